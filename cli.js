@@ -2,14 +2,34 @@
 
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
 const readline = require('readline');
+const { verifyResponse } = require('./src/signing/signatures');
 
 /**
  * Interactive CLI for Schema.ICU SDK
  * 
- * Usage: node cli.js
+ * Usage: node cli.js [--trusted-key=<hex>]... [--require-signatures]
  * Or add to package.json scripts: "cli": "node cli.js"
+ *
+ * Every response's signature is verified and its status printed. Public
+ * keys to trust can also be pinned with SCHEMA_ICU_TRUSTED_KEYS
+ * (comma-separated); with --require-signatures (or
+ * SCHEMA_ICU_REQUIRE_SIGNATURES=true) unverified responses are not shown.
+ * Requiring signatures needs at least one pinned key: any key can sign.
  */
 
+const args = process.argv.slice(2);
+const trustedKeys = [
+  ...(process.env.SCHEMA_ICU_TRUSTED_KEYS || '').split(','),
+  ...args.filter(arg => arg.startsWith('--trusted-key=')).map(arg => arg.slice('--trusted-key='.length))
+].map(key => key.trim()).filter(Boolean);
+const requireSignatures = args.includes('--require-signatures') ||
+  process.env.SCHEMA_ICU_REQUIRE_SIGNATURES === 'true';
+
+if (requireSignatures && trustedKeys.length === 0) {
+  console.error('\n❌ --require-signatures needs a pinned key: pass --trusted-key=<hex> or set SCHEMA_ICU_TRUSTED_KEYS.\n');
+  process.exit(1);
+}
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
@@ -40,6 +60,23 @@ function print(text, color = 'reset') {
   console.log(colors[color] + text + colors.reset);
 }
 
+/**
+ * Verify a response's signature and print the outcome; with
+ * requireSignatures an unverified response is rejected
+ */
+function checkSignature(result) {
+  const verification = verifyResponse(result, { trustedKeys });
+
+  if (verification.verified) {
+    print(`🔐 Signature verified (${verification.publicKey.slice(0, 12)}...)`, 'green');
+  } else if (requireSignatures) {
+    throw new Error(`Signature verification failed: ${verification.reason}`);
+  } else {
+    print(`⚠️  Signature not verified: ${verification.reason}`, 'yellow');
+  }
+  return result;
+}
+
 function printHelp() {
   print('\n📚 Available Commands:', 'bright');
   print('  /code <query>           - Generate code', 'cyan');
@@ -89,7 +126,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Generating code...', 'yellow');
-        const codeResult = await client.codeGenerator.generate(query, { language: 'JavaScript' });
+        const codeResult = checkSignature(await client.codeGenerator.generate(query, { language: 'JavaScript' }));
         if (codeResult.success) {
           print('\n✅ Generated Code:', 'green');
           console.log(codeResult.data.code);
@@ -103,7 +140,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Generating schema...', 'yellow');
-        const schemaResult = await client.schemaGenerator.generate(query);
+        const schemaResult = checkSignature(await client.schemaGenerator.generate(query));
         if (schemaResult.success) {
           print('\n✅ JSON Schema:', 'green');
           console.log(schemaResult.data.schemaAsString || schemaResult.data.code);
@@ -117,7 +154,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Generating command...', 'yellow');
-        const termResult = await client.terminalAgent.generate(query, { os: 'windows', shell: 'bash' });
+        const termResult = checkSignature(await client.terminalAgent.generate(query, { os: 'windows', shell: 'bash' }));
         if (termResult.success) {
           print('\n✅ Command:', 'green');
           console.log(termResult.data.code);
@@ -131,10 +168,10 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Improving code...', 'yellow');
-        const improveResult = await client.codeImprover.improve(
+        const improveResult = checkSignature(await client.codeImprover.improve(
           'Improve this code',
           { code: query, language: 'JavaScript' }
-        );
+        ));
         if (improveResult.success) {
           print('\n✅ Improved Code:', 'green');
           console.log(improveResult.data.improvedCode || improveResult.data.code);
@@ -148,7 +185,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Planning project...', 'yellow');
-        const planResult = await client.projectPlanner.plan(query, { experience: 'intermediate' });
+        const planResult = checkSignature(await client.projectPlanner.plan(query, { experience: 'intermediate' }));
         if (planResult.success) {
           print(`\n✅ Project: ${planResult.data.projectName}`, 'green');
           print(`📝 ${planResult.data.projectDescription}\n`, 'cyan');
@@ -170,7 +207,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Improving prompt...', 'yellow');
-        const promptResult = await client.promptImprover.improve(query);
+        const promptResult = checkSignature(await client.promptImprover.improve(query));
         if (promptResult.success) {
           print('\n✅ Improved Prompt:', 'green');
           console.log(promptResult.data.improvedPrompt || promptResult.data.code);
@@ -184,7 +221,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Generating GitHub commands...', 'yellow');
-        const ghResult = await client.githubAgent.generate(query);
+        const ghResult = checkSignature(await client.githubAgent.generate(query));
         if (ghResult.success) {
           print('\n✅ GitHub Commands:', 'green');
           if (ghResult.data.githubCommands) {
@@ -205,7 +242,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Designing component...', 'yellow');
-        const boxResult = await client.boxDesigner.design(query);
+        const boxResult = checkSignature(await client.boxDesigner.design(query));
         if (boxResult.success) {
           print(`\n✅ Component: ${boxResult.data.name}`, 'green');
           print(`📝 ${boxResult.data.description}\n`, 'cyan');
@@ -227,7 +264,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Recommending agent...', 'yellow');
-        const chooseResult = await client.toolChoice.recommend(query, {
+        const chooseResult = checkSignature(await client.toolChoice.recommend(query, {
           availableTools: [
             { name: 'codeGenerator', description: 'Generate code' },
             { name: 'schemaGenerator', description: 'Create schemas' },
@@ -235,7 +272,7 @@ async function handleCommand(input) {
             { name: 'projectPlanner', description: 'Plan projects' },
             { name: 'codeImprover', description: 'Improve code' }
           ]
-        });
+        }));
         if (chooseResult.success) {
           print(`\n✅ Recommended Agent: ${chooseResult.data.chosenTool}`, 'green');
           print(`💭 ${chooseResult.data.reasoning}\n`, 'magenta');
@@ -257,7 +294,7 @@ async function handleCommand(input) {
           break;
         }
         print('🔄 Processing query...', 'yellow');
-        const baseResult = await client.base.query(askQuery);
+        const baseResult = checkSignature(await client.base.query(askQuery));
         if (baseResult.success) {
           print('\n✅ Response:', 'green');
           console.log(baseResult.data.code || baseResult.data);
@@ -291,7 +328,9 @@ async function start() {
 
   const config = client.getConfig();
   print(`\n✅ Authenticated as: ${config.email || 'Unknown'}`, 'green');
-  print(`🎫 Tier: ${config.tier || 'Unknown'}\n`, 'green');
+  print(`🎫 Tier: ${config.tier || 'Unknown'}`, 'green');
+  print(`🔐 Signatures: ${trustedKeys.length > 0 ? `${trustedKeys.length} pinned key(s)` : 'any key'}` +
+    `${requireSignatures ? ', required' : ''}\n`, 'green');
 
   printHelp();
   rl.prompt();
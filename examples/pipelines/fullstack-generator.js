@@ -8,6 +8,7 @@
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
 const fs = require('fs');
 const path = require('path');
+const { ActionExecutor, PolicyEngine } = require('../../src');
 
 class FullStackGenerator {
   constructor(schemaICU) {
@@ -239,72 +240,45 @@ class FullStackGenerator {
 
   async saveToProject(results, projectName) {
     const baseDir = path.join('./examples/pipelines/output', projectName);
-    
-    // Create directory structure
-    const dirs = [
-      baseDir,
-      `${baseDir}/backend`,
-      `${baseDir}/frontend`,
-      `${baseDir}/tests`,
-      `${baseDir}/deployment`,
-      `${baseDir}/.github/workflows`
+    const files = [
+      ['backend/api.js', results.improvedBackend?.data?.improvedCode],
+      ['backend/auth.js', results.backend?.auth?.code],
+      ['backend/middleware.js', results.backend?.middleware?.code],
+      ['frontend/App.tsx', results.frontend?.data?.code],
+      ['schema.prisma', results.schema?.data?.schemaAsString],
+      ['tests/backend.test.js', results.tests?.backend?.code],
+      ['tests/frontend.test.tsx', results.tests?.frontend?.code],
+      ['README.md', results.documentation?.data?.code],
+      ['.github/workflows/main.yml', results.cicd?.data?.githubCommands
+        ?.map(cmd => `# ${cmd.reasoning}\n${cmd.command}`)
+        .join('\n\n')],
+      ['generation-results.json', JSON.stringify(results, null, 2)]
     ];
 
-    dirs.forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
+    const actions = files
+      .filter(([, content]) => content)
+      .map(([target, content]) => ({
+        type: 'CREATE_FILE',
+        targets: [target],
+        payload: { content },
+        reasoning: `Generated ${target}`,
+        requiresApproval: true
+      }));
+
+    // Files are written through the policy checks; running the example approves them
+    fs.mkdirSync(baseDir, { recursive: true });
+    const executor = new ActionExecutor({
+      root: baseDir,
+      policyEngine: new PolicyEngine(),
+      autoApprove: true,
+      overwrite: true,
+      continueOnError: true
     });
+    const { results: applied } = await executor.apply(actions);
 
-    // Save backend files
-    if (results.improvedBackend?.data?.improvedCode) {
-      fs.writeFileSync(`${baseDir}/backend/api.js`, results.improvedBackend.data.improvedCode);
-    }
-    if (results.backend?.auth?.code) {
-      fs.writeFileSync(`${baseDir}/backend/auth.js`, results.backend.auth.code);
-    }
-    if (results.backend?.middleware?.code) {
-      fs.writeFileSync(`${baseDir}/backend/middleware.js`, results.backend.middleware.code);
-    }
-
-    // Save frontend
-    if (results.frontend?.data?.code) {
-      fs.writeFileSync(`${baseDir}/frontend/App.tsx`, results.frontend.data.code);
-    }
-
-    // Save schema
-    if (results.schema?.data?.schemaAsString) {
-      fs.writeFileSync(`${baseDir}/schema.prisma`, results.schema.data.schemaAsString);
-    }
-
-    // Save tests
-    if (results.tests) {
-      if (results.tests.backend?.code) {
-        fs.writeFileSync(`${baseDir}/tests/backend.test.js`, results.tests.backend.code);
-      }
-      if (results.tests.frontend?.code) {
-        fs.writeFileSync(`${baseDir}/tests/frontend.test.tsx`, results.tests.frontend.code);
-      }
-    }
-
-    // Save documentation
-    if (results.documentation?.data?.code) {
-      fs.writeFileSync(`${baseDir}/README.md`, results.documentation.data.code);
-    }
-
-    // Save CI/CD
-    if (results.cicd?.data?.githubCommands) {
-      const workflow = results.cicd.data.githubCommands
-        .map(cmd => `# ${cmd.reasoning}\n${cmd.command}`)
-        .join('\n\n');
-      fs.writeFileSync(`${baseDir}/.github/workflows/main.yml`, workflow);
-    }
-
-    // Save complete results JSON
-    fs.writeFileSync(
-      `${baseDir}/generation-results.json`,
-      JSON.stringify(results, null, 2)
-    );
+    applied
+      .filter(action => action.status !== 'applied')
+      .forEach(action => console.log(`⚠️  ${action.targets[0]} not saved (${action.status}): ${action.reason || action.error}`));
 
     console.log(`\n💾 Project saved to: ${baseDir}/\n`);
     return baseDir;
@@ -1,11 +1,56 @@
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
+const { verifyResponse } = require('../src/signing/signatures');
 
 /**
  * Project Manager - Uses Schema.ICU to help manage development projects
+ *
+ * Every response's signature is verified; the outcome of the last call is
+ * kept in `lastVerification`. With `requireSignatures` an unverified
+ * response throws instead of being returned.
  */
 class ProjectManager {
-  constructor() {
-    this.client = new SchemaICU();
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - SchemaICU client (created when omitted)
+   * @param {string[]} [options.trustedKeys] - Pinned Schema.ICU public keys (hex)
+   * @param {boolean} [options.requireSignatures] - Throw on a missing or invalid signature
+   *   (needs `trustedKeys`)
+   */
+  constructor(options = {}) {
+    if (options.requireSignatures && !(options.trustedKeys || []).length) {
+      const error = new Error('requireSignatures needs trustedKeys: without them any signer is accepted');
+      error.code = 'SIGNATURE_KEYS_REQUIRED';
+      throw error;
+    }
+
+    this.client = options.client || new SchemaICU();
+    this.trustedKeys = options.trustedKeys || [];
+    this.requireSignatures = options.requireSignatures || false;
+    this.lastVerification = null;
+  }
+
+  /**
+   * Verify a response's signature against its data and the pinned keys
+   * @returns {{verified: boolean, reason: string, publicKey: string|null}}
+   */
+  verifyResponse(result) {
+    return verifyResponse(result, { trustedKeys: this.trustedKeys });
+  }
+
+  /**
+   * Verify a response and unwrap its data
+   * @private
+   */
+  unwrap(result) {
+    this.lastVerification = this.verifyResponse(result);
+
+    if (!this.lastVerification.verified && this.requireSignatures) {
+      const error = new Error(`Signature verification failed: ${this.lastVerification.reason}`);
+      error.code = 'SIGNATURE_INVALID';
+      error.verification = this.lastVerification;
+      throw error;
+    }
+    return result.success ? result.data : result;
   }
 
   /**
@@ -19,7 +64,7 @@ class ProjectManager {
       { technology: options.technology || 'Node.js', experience: options.experience || 'intermediate', ...options }
     );
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -33,7 +78,7 @@ class ProjectManager {
       { language }
     );
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -47,7 +92,7 @@ class ProjectManager {
       { os, shell: 'bash' }
     );
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -58,7 +103,7 @@ class ProjectManager {
     
     const result = await this.client.schemaGenerator.generate(description);
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -74,7 +119,7 @@ class ProjectManager {
       { code, language, focusAreas }
     );
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -85,7 +130,7 @@ class ProjectManager {
     
     const result = await this.client.githubAgent.generate(task);
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -96,7 +141,7 @@ class ProjectManager {
     
     const result = await this.client.base.query(question);
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -107,7 +152,7 @@ class ProjectManager {
     
     const result = await this.client.boxDesigner.design(description);
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -118,7 +163,7 @@ class ProjectManager {
     
     const result = await this.client.promptImprover.improve(prompt);
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -129,7 +174,7 @@ class ProjectManager {
     
     const result = await this.client.diffImprover.improve(code, { language, focusAreas });
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 
   /**
@@ -152,7 +197,7 @@ class ProjectManager {
     
     const result = await this.client.toolChoice.recommend(task, { availableTools });
     
-    return result.success ? result.data : result;
+    return this.unwrap(result);
   }
 }
 
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Export Built-in Pipelines
+ *
+ * Writes the built-in pipelines from src/pipelines/ as declarative
+ * pipeline files that PipelineEngine.loadPipelineFile() can load.
+ *
+ * Usage: node scripts/export-pipelines.js [outputDir] [--json]
+ * Default output: pipelines/<id>.yaml
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipelines } = require('../src');
+const { toPipelineFile } = require('../src/format/pipelineFile');
+
+function main() {
+  const args = process.argv.slice(2);
+  const format = args.includes('--json') ? 'json' : 'yaml';
+  const outputDir = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'pipelines'));
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  pipelines.all.forEach(pipeline => {
+    const file = path.join(outputDir, `${pipeline.id}.${format}`);
+    fs.writeFileSync(file, toPipelineFile(pipeline, format));
+    console.log(`✅ ${pipeline.id} -> ${path.relative(process.cwd(), file)}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Lint Pipelines
+ *
+ * Runs the static pipeline linter over pipeline files (.yaml, .yml,
+ * .json) or JavaScript modules exporting a definition. Without files it
+ * lints the built-in pipelines. Exits with status 1 if any pipeline has
+ * errors; warnings alone do not fail.
+ *
+ * Usage: node scripts/lint-pipeline.js [file...] [--json]
+ * --json prints [{ file, pipelineId, valid, errorCount, warningCount, diagnostics }]
+ */
+
+const path = require('path');
+const { pipelines } = require('../src');
+const { readPipelineFile } = require('../src/format/pipelineFile');
+const { lintPipeline } = require('../src/lint/pipelineLinter');
+
+async function loadDefinition(file) {
+  if (path.extname(file).toLowerCase() === '.js') {
+    return require(path.resolve(file));
+  }
+  return readPipelineFile(file);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  const targets = files.length > 0
+    ? await Promise.all(files.map(async file => ({ file, definition: await loadDefinition(file) })))
+    : pipelines.all.map(definition => ({ file: null, definition }));
+
+  const pipelineIds = [
+    ...pipelines.all.map(pipeline => pipeline.id),
+    ...targets.map(target => target.definition?.id).filter(Boolean)
+  ];
+  const reports = targets.map(({ file, definition }) => ({ file, ...lintPipeline(definition, { pipelineIds }) }));
+
+  if (asJson) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(report => {
+      const label = report.file || report.pipelineId;
+      console.log(`${report.valid ? '✅' : '❌'} ${label} (${report.errorCount} errors, ${report.warningCount} warnings)`);
+      report.diagnostics.forEach(d => {
+        console.log(`   ${d.severity === 'error' ? '✗' : '⚠'} ${d.path} ${d.message} [${d.rule}]`);
+      });
+    });
+  }
+
+  return reports.every(report => report.valid);
+}
+
+main()
+  .then(valid => {
+    process.exit(valid ? 0 : 1);
+  })
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Local Schema.ICU Server
+ *
+ * Starts LocalSchemaICUServer so the SDK, examples and pipelines can run
+ * without the hosted API. Point the client at it with
+ * `new SchemaICU({ baseUrl: 'http://127.0.0.1', port })`.
+ *
+ * Usage: node scripts/local-server.js [--port=4010] [--api-key=KEY]
+ *          [--fixtures=file.json] [--fault=rate-limit|server-error|malformed]
+ *          [--latency=ms] [--times=n] [--agent=name]
+ */
+
+const fs = require('fs');
+const { LocalSchemaICUServer } = require('../src/server/LocalSchemaICUServer');
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const scope = {
+    ...(args.agent ? { agent: args.agent } : {}),
+    ...(args.times ? { times: Number(args.times) } : {})
+  };
+
+  const faults = [];
+  if (args.latency) {
+    faults.push({ mode: 'latency', delay: Number(args.latency), ...scope });
+  }
+  if (args.fault) {
+    faults.push({ mode: args.fault, ...scope });
+  }
+
+  const server = new LocalSchemaICUServer({
+    port: args.port ? Number(args.port) : 4010,
+    apiKey: typeof args['api-key'] === 'string' ? args['api-key'] : undefined,
+    fixtures: args.fixtures ? JSON.parse(fs.readFileSync(args.fixtures, 'utf-8')) : {},
+    faults
+  });
+
+  const url = await server.start();
+  const { baseUrl, port } = server.getClientConfig();
+
+  console.log(`✅ Local Schema.ICU server listening on ${url}`);
+  console.log(`   Client:     new SchemaICU({ baseUrl: '${baseUrl}', port: ${port} })`);
+  console.log(`   Public key: ${server.publicKey}`);
+  faults.forEach(fault => console.log(`   Fault:      ${JSON.stringify(fault)}`));
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Sign Pipelines
+ *
+ * Signs pipeline files (.yaml, .yml, .json) in place with a secp256k1
+ * key, or verifies their signatures. The key is read from --key,
+ * --key-file or the PIPELINE_SIGNING_KEY environment variable.
+ *
+ * Usage: node scripts/sign-pipeline.js --generate-key [--key-file=key.json]
+ *        node scripts/sign-pipeline.js <file...> [--key=HEX | --key-file=key.json]
+ *        node scripts/sign-pipeline.js <file...> --verify [--trusted-key=HEX]...
+ * --verify exits with status 1 if any file is unsigned, tampered or signed
+ * by a key that is not trusted. Without --trusted-key no signer is
+ * trusted: intact signatures are reported as "signature valid, signer not
+ * trusted".
+ */
+
+const fs = require('fs');
+const { createSigningKey, getPublicKey } = require('../src/signing/signatures');
+const { signPipeline, verifyPipeline } = require('../src/signing/pipelineSignatures');
+const { readPipelineFile, toPipelineFile, getPipelineFileFormat } = require('../src/format/pipelineFile');
+
+function parseArgs(argv) {
+  const args = { files: [], trustedKeys: [] };
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      args.files.push(arg);
+    } else if (match[1] === 'trusted-key') {
+      args.trustedKeys.push(match[2]);
+    } else {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return args;
+}
+
+function readPrivateKey(args) {
+  if (typeof args.key === 'string') {
+    return args.key;
+  }
+  if (typeof args['key-file'] === 'string') {
+    return JSON.parse(fs.readFileSync(args['key-file'], 'utf-8')).privateKey;
+  }
+  if (process.env.PIPELINE_SIGNING_KEY) {
+    return process.env.PIPELINE_SIGNING_KEY;
+  }
+  throw new Error('No signing key: use --key, --key-file or PIPELINE_SIGNING_KEY (or --generate-key to create one)');
+}
+
+async function verifyFiles(files, trustedKeys) {
+  const results = await Promise.all(files.map(async file => ({
+    file,
+    ...verifyPipeline(await readPipelineFile(file), { trustedKeys })
+  })));
+
+  // An intact signature from an unpinned key only shows the file was not changed
+  const trusted = trustedKeys.length > 0;
+  results.forEach(result => {
+    if (result.verified && !trusted) {
+      console.log(`⚠️  ${result.file}: signature valid, signer not trusted (${result.publicKey})`);
+    } else {
+      console.log(`${result.verified ? '✅' : '❌'} ${result.file}: ${result.reason}` +
+        `${result.verified ? ` (${result.publicKey})` : ''}`);
+    }
+  });
+  if (!trusted) {
+    console.log('   Pass --trusted-key=<hex> to check who signed');
+  }
+  return trusted && results.every(result => result.verified);
+}
+
+async function signFiles(files, privateKey) {
+  const publicKey = getPublicKey(privateKey);
+
+  for (const file of files) {
+    const signed = signPipeline(await readPipelineFile(file), privateKey);
+    fs.writeFileSync(file, toPipelineFile(signed, getPipelineFileFormat(file)));
+    console.log(`🔏 Signed ${file} (${signed.signature.hash.slice(0, 12)}...)`);
+  }
+  console.log(`   Public key: ${publicKey}`);
+  return true;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args['generate-key']) {
+    const key = createSigningKey();
+    if (typeof args['key-file'] === 'string') {
+      fs.writeFileSync(args['key-file'], `${JSON.stringify(key, null, 2)}\n`, { mode: 0o600 });
+      console.log(`🔑 Wrote ${args['key-file']}`);
+    } else {
+      console.log(`🔑 Private key: ${key.privateKey}`);
+    }
+    console.log(`   Public key:  ${key.publicKey}`);
+    return true;
+  }
+
+  if (args.files.length === 0) {
+    throw new Error('No pipeline files given');
+  }
+  return args.verify
+    ? verifyFiles(args.files, args.trustedKeys)
+    : signFiles(args.files, readPrivateKey(args));
+}
+
+main()
+  .then(ok => {
+    process.exit(ok ? 0 : 1);
+  })
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Verify Step Proofs
+ *
+ * Checks step proofs (from createStepProof) offline: each step's output
+ * must match its signed hash, the signature must be valid and the proof
+ * must lead to the run's Merkle root. Exits with status 1 if any proof
+ * fails, or if no --trusted-key is given: any key can sign, so intact
+ * proofs are then reported as "signature valid, signer not trusted".
+ *
+ * Usage: node scripts/verify-step-proof.js <proof.json...> [--root=HEX]
+ *          [--data=output.json] [--trusted-key=HEX]...
+ * --root is the run's merkleRoot (without it, each proof's own root is used)
+ * --data replaces the output stored in the proof, e.g. a step's raw agent output
+ */
+
+const fs = require('fs');
+const { verifyStepProof } = require('../src/signing/runProofs');
+
+function parseArgs(argv) {
+  const args = { files: [], trustedKeys: [] };
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      args.files.push(arg);
+    } else if (match[1] === 'trusted-key') {
+      args.trustedKeys.push(match[2]);
+    } else {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return args;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.files.length === 0) {
+    throw new Error('No proof files given');
+  }
+  if (!args.root) {
+    console.log('⚠️  No --root given: checking each proof against its own root');
+  }
+
+  const options = {
+    ...(typeof args.root === 'string' ? { root: args.root } : {}),
+    ...(typeof args.data === 'string' ? { data: readJson(args.data) } : {}),
+    trustedKeys: args.trustedKeys
+  };
+
+  // A valid signature from an unpinned key only shows the output matches the key it came with
+  const trusted = args.trustedKeys.length > 0;
+  const results = args.files.map(file => ({ file, ...verifyStepProof(readJson(file), options) }));
+  results.forEach(result => {
+    if (result.verified && !trusted) {
+      console.log(`⚠️  ${result.file} (${result.path}): signature valid, signer not trusted (${result.publicKey})`);
+    } else {
+      console.log(`${result.verified ? '✅' : '❌'} ${result.file} (${result.path || 'unknown step'}): ${result.reason}`);
+    }
+  });
+  if (!trusted) {
+    console.log('   Pass --trusted-key=<hex> to check who signed');
+  }
+  return trusted && results.every(result => result.verified);
+}
+
+try {
+  process.exit(main() ? 0 : 1);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
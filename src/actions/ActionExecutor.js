@@ -0,0 +1,527 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseUnifiedDiff, applyPatch, formatRejects } = require('../diff/unifiedDiff');
+const { GitRepository } = require('../git/GitRepository');
+const { runShellCommand } = require('../utils/shell');
+
+const FILE_ACTIONS = ['CREATE_FILE', 'MODIFY_FILE', 'DELETE_FILE', 'APPLY_DIFF'];
+
+/**
+ * ActionExecutor - Applies pipeline actions to a project directory
+ *
+ * Takes the actions of a PipelineResult and applies them one by one
+ * under `root`: files are created, modified, deleted or patched and
+ * commands run in the root. Before each action:
+ * 1. The PolicyEngine (if any) is asked through `checkAction`; denied
+ *    actions are not applied.
+ * 2. If the action or the policy requires approval, `onApprovalRequired`
+ *    is asked. Without a handler the action is rejected unless
+ *    `autoApprove` is set.
+ *
+ * Every action gets a record `{ index, type, targets, status, ... }` with
+ * status applied, denied, rejected, failed or skipped (after a failure,
+ * unless `continueOnError`), which also goes to the audit log as an
+ * `action:applied` entry. Paths may not leave the root.
+ *
+ * APPLY_DIFF patches every file of its diff or none: hunks are applied
+ * with offset and fuzz tolerance, or merged three ways with
+ * `payload.original` (the code the agent saw), and hunks that still do
+ * not apply are written to `<file>.rej` instead.
+ *
+ * With `git`, the root must be in a git repository: the actions are
+ * applied on a new branch (`schema-icu/run-<runId>` by default) and every
+ * applied file action is committed with a message from its reasoning.
+ * The result's `git` lists the commits; `GitRepository#rollback(git)`
+ * returns to the base branch and deletes the run branch.
+ *
+ * @example
+ * const executor = new ActionExecutor({ root: process.cwd(), policyEngine, onApprovalRequired });
+ * const { success, results } = await executor.apply(result.actions);
+ */
+class ActionExecutor {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Project directory actions apply to
+   * @param {PolicyEngine} [options.policyEngine] - Checks every action first
+   * @param {Function} [options.onApprovalRequired] - (request) => boolean | { approved, approvedBy, reason }
+   * @param {boolean} [options.autoApprove] - Approve every action that requires approval
+   * @param {AuditLog} [options.auditLog] - Receives an `action:applied` entry per action
+   * @param {boolean} [options.continueOnError] - Keep going after a failed action (default false)
+   * @param {boolean} [options.overwrite] - Let CREATE_FILE replace existing files (default false)
+   * @param {number} [options.commandTimeout] - RUN_COMMAND timeout in ms (default 120000)
+   * @param {number} [options.fuzz] - Context lines APPLY_DIFF may ignore at each end of a hunk (default 2)
+   * @param {boolean|Object} [options.git] - Apply on a new branch and commit each file action
+   * @param {string} [options.git.branch] - Branch name (default `schema-icu/run-<runId>`)
+   * @param {{name: string, email: string}} [options.git.author] - Commit author (default: git config)
+   * @param {Function} [options.log] - Logger for progress messages
+   */
+  constructor(options = {}) {
+    if (!options.root) {
+      throw new Error('ActionExecutor requires a root directory');
+    }
+
+    this.root = path.resolve(options.root);
+    this.policyEngine = options.policyEngine || null;
+    this.onApprovalRequired = options.onApprovalRequired || null;
+    this.autoApprove = options.autoApprove || false;
+    this.auditLog = options.auditLog || null;
+    this.continueOnError = options.continueOnError || false;
+    this.overwrite = options.overwrite || false;
+    this.commandTimeout = options.commandTimeout || 120000;
+    this.fuzz = options.fuzz ?? 2;
+    this.git = options.git || null;
+    this.log = options.log || (() => {});
+    this.repository = new GitRepository(this.root, { author: this.git?.author });
+
+    this.handlers = {
+      CREATE_FILE: action => this.createFile(action),
+      MODIFY_FILE: action => this.modifyFile(action),
+      DELETE_FILE: action => this.deleteFile(action),
+      APPLY_DIFF: action => this.applyDiff(action),
+      RUN_COMMAND: action => this.runCommand(action),
+      CREATE_BRANCH: action => this.createBranch(action),
+      COMMIT_CHANGES: action => this.commitChanges(action)
+    };
+  }
+
+  /**
+   * Apply actions in order
+   * @param {Object[]} actions - Pipeline actions
+   * @param {Object} [context] - Passed to the policy checks; `runId` and `pipelineId` go to the audit log
+   * @returns {Promise<{success: boolean, results: Object[]}>}
+   */
+  async apply(actions, context = {}) {
+    const results = [];
+    let failed = false;
+
+    if (this.auditLog) {
+      await this.auditLog.open();
+    }
+
+    this.gitRun = null;
+    if (this.git) {
+      const branch = this.git.branch || `schema-icu/run-${context.runId || Date.now()}`;
+      this.gitRun = { ...(await this.repository.createRunBranch(branch)), commits: [] };
+      this.log(`   🌿 Applying on branch ${branch} (from ${this.gitRun.baseBranch || this.gitRun.baseSha})`);
+    }
+
+    for (const [index, action] of actions.entries()) {
+      const result = failed
+        ? this.record(index, action, { status: 'skipped', reason: 'an earlier action failed' }, context)
+        : await this.applyAction(action, context, index);
+      results.push(result);
+
+      if (result.status !== 'applied' && !this.continueOnError) {
+        failed = true;
+      }
+    }
+
+    const outcome = { success: results.every(result => result.status === 'applied'), results };
+    if (this.gitRun) {
+      outcome.git = this.gitRun;
+      this.gitRun = null;
+    }
+    return outcome;
+  }
+
+  /**
+   * Check, approve and apply one action
+   * @param {Object} action - Pipeline action
+   * @param {Object} [context] - See apply
+   * @param {number} [index] - Position of the action, for the record
+   * @returns {Promise<Object>} Record of the outcome
+   */
+  async applyAction(action, context = {}, index = 0) {
+    action = this.withDiffTargets(action);
+    const handler = this.handlers[action.type];
+    if (!handler) {
+      return this.record(index, action, { status: 'failed', error: `Unsupported action type: ${action.type}` }, context);
+    }
+
+    let requiresApproval = Boolean(action.requiresApproval);
+    if (this.policyEngine) {
+      const policyCheck = await this.policyEngine.checkAction(action, context);
+      if (!policyCheck.allowed) {
+        this.log(`   🚫 ${action.type} denied: ${policyCheck.reason}`);
+        return this.record(index, action, { status: 'denied', reason: policyCheck.reason }, context);
+      }
+      requiresApproval = requiresApproval || Boolean(policyCheck.requiresApproval);
+    }
+
+    let decision = null;
+    if (requiresApproval) {
+      decision = await this.requestApproval(action);
+      if (!decision.approved) {
+        this.log(`   ✋ ${action.type} rejected${decision.reason ? `: ${decision.reason}` : ''}`);
+        return this.record(index, action, { status: 'rejected', reason: decision.reason, decidedBy: decision.decidedBy }, context);
+      }
+    }
+
+    const startTime = Date.now();
+    try {
+      const outcome = await handler(action);
+      const commit = await this.commitAction(action, context, index);
+      this.log(`   ✅ ${action.type} ${(action.targets || []).join(', ')}${commit ? ` (${commit.slice(0, 7)})` : ''}`.trimEnd());
+      return this.record(index, action, {
+        status: 'applied',
+        decidedBy: decision?.decidedBy,
+        outcome,
+        ...(commit ? { commit } : {}),
+        duration: Date.now() - startTime
+      }, context);
+    } catch (error) {
+      this.log(`   ❌ ${action.type} failed: ${error.message}`);
+      return this.record(index, action, {
+        status: 'failed',
+        error: error.message,
+        code: error.code,
+        decidedBy: decision?.decidedBy,
+        outcome: error.outcome,
+        duration: Date.now() - startTime
+      }, context);
+    }
+  }
+
+  /**
+   * Ask for approval of an action
+   * @private
+   * @returns {Promise<{approved: boolean, decidedBy: string, reason: string|null}>}
+   */
+  async requestApproval(action) {
+    if (this.autoApprove) {
+      return { approved: true, decidedBy: 'autoApprove', reason: null };
+    }
+    if (!this.onApprovalRequired) {
+      return { approved: false, decidedBy: 'none', reason: 'no approval handler (set onApprovalRequired or autoApprove)' };
+    }
+
+    const answer = await this.onApprovalRequired({ type: 'action', action });
+    return answer && typeof answer === 'object'
+      ? { approved: Boolean(answer.approved), decidedBy: answer.approvedBy || 'onApprovalRequired', reason: answer.reason || null }
+      : { approved: Boolean(answer), decidedBy: 'onApprovalRequired', reason: null };
+  }
+
+  /**
+   * Commit the files of an applied action on the run branch
+   * @private
+   * @returns {Promise<string|null>} Commit SHA, or null without a run branch or changes
+   */
+  async commitAction(action, context, index) {
+    if (!this.gitRun || !FILE_ACTIONS.includes(action.type)) {
+      return null;
+    }
+
+    const message = this.getCommitMessage(action, context);
+    const sha = await this.repository.commit(message, action.targets);
+    if (sha) {
+      this.gitRun.commits.push({ sha, index, message: message.split('\n')[0], targets: action.targets });
+    }
+    return sha;
+  }
+
+  /**
+   * Commit message of an action: its reasoning as the subject, then the
+   * action and the run it comes from
+   * @private
+   */
+  getCommitMessage(action, context) {
+    const description = `${action.type} ${action.targets.join(', ')}`;
+    const reasoning = String(action.reasoning || '').trim().split('\n')[0] || description;
+    const subject = reasoning.length > 72 ? `${reasoning.slice(0, 69)}...` : reasoning;
+
+    const trailers = [
+      `Action: ${description}`,
+      ...(context.runId ? [`Schema-ICU-Run: ${context.runId}`] : []),
+      ...(context.pipelineId ? [`Schema-ICU-Pipeline: ${context.pipelineId}`] : [])
+    ];
+    return `${subject}\n\n${trailers.join('\n')}`;
+  }
+
+  /**
+   * Build the record of an action and add it to the audit log
+   * @private
+   */
+  record(index, action, fields, context) {
+    const record = {
+      index,
+      type: action.type,
+      targets: action.targets || [],
+      ...fields
+    };
+
+    if (this.auditLog) {
+      this.auditLog.append('action:applied', {
+        runId: context.runId,
+        pipelineId: context.pipelineId,
+        ...record
+      });
+    }
+    return record;
+  }
+
+  /**
+   * Absolute path of an action target, which must stay inside the root
+   * (also through symlinked directories, or a target that is a symlink)
+   * @private
+   */
+  async resolveTarget(target) {
+    if (!target || typeof target !== 'string') {
+      throw this.createError('Action has no target path', 'INVALID_TARGET');
+    }
+
+    const resolved = path.resolve(this.root, target);
+    const inside = candidate => candidate === this.root || candidate.startsWith(`${this.root}${path.sep}`);
+    if (!inside(resolved)) {
+      throw this.createError(`Target ${target} is outside the project root`, 'PATH_OUTSIDE_ROOT');
+    }
+
+    // The target, or its deepest existing ancestor, must not be a link out of the root
+    let existing = resolved;
+    while (!(await this.exists(existing))) {
+      existing = path.dirname(existing);
+    }
+    const realRoot = await fs.realpath(this.root);
+    const realExisting = await fs.realpath(existing).catch(error => {
+      if (error.code === 'ENOENT') {
+        throw this.createError(`Target ${target} is a symlink to a missing file`, 'PATH_OUTSIDE_ROOT');
+      }
+      throw error;
+    });
+    if (realExisting !== realRoot && !realExisting.startsWith(`${realRoot}${path.sep}`)) {
+      throw this.createError(`Target ${target} is outside the project root`, 'PATH_OUTSIDE_ROOT');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * @private
+   */
+  async exists(file) {
+    try {
+      await fs.lstat(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * @private
+   */
+  async createFile(action) {
+    const file = await this.resolveTarget(action.targets?.[0]);
+    const content = String(action.payload?.content ?? '');
+
+    if (!this.overwrite && await this.exists(file)) {
+      throw this.createError(`File already exists: ${action.targets[0]}`, 'FILE_EXISTS');
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+
+    return { path: action.targets[0], bytes: Buffer.byteLength(content) };
+  }
+
+  /**
+   * @private
+   */
+  async modifyFile(action) {
+    const file = await this.resolveTarget(action.targets?.[0]);
+    const content = String(action.payload?.content ?? '');
+
+    if (!(await this.exists(file))) {
+      throw this.createError(`File not found: ${action.targets[0]}`, 'FILE_NOT_FOUND');
+    }
+    await fs.writeFile(file, content);
+
+    return { path: action.targets[0], bytes: Buffer.byteLength(content) };
+  }
+
+  /**
+   * @private
+   */
+  async deleteFile(action) {
+    const file = await this.resolveTarget(action.targets?.[0]);
+
+    if (!(await this.exists(file))) {
+      throw this.createError(`File not found: ${action.targets[0]}`, 'FILE_NOT_FOUND');
+    }
+    await fs.unlink(file);
+
+    return { path: action.targets[0] };
+  }
+
+  /**
+   * APPLY_DIFF action without a real target, with the paths of its diff
+   * headers as targets, so policies see the files it patches
+   * @private
+   */
+  withDiffTargets(action) {
+    const targets = action.targets || [];
+    if (action.type !== 'APPLY_DIFF' || (targets.length > 0 && !targets.includes('current-file'))) {
+      return action;
+    }
+
+    try {
+      const paths = parseUnifiedDiff(action.payload?.diff).map(file => file.newPath || file.oldPath);
+      return paths.every(Boolean) ? { ...action, targets: paths } : action;
+    } catch (error) {
+      // Reported when the diff is applied
+      return action;
+    }
+  }
+
+  /**
+   * Files an APPLY_DIFF action patches: its targets in diff order, or
+   * the paths in the diff headers
+   * @private
+   */
+  getDiffTargets(action, files) {
+    const targets = (action.targets || []).filter(target => target !== 'current-file');
+
+    return files.map((file, index) => {
+      const target = targets.length === files.length ? targets[index] : (file.newPath || file.oldPath);
+      if (!target) {
+        throw this.createError('APPLY_DIFF target is the current-file placeholder; set the path of the file to patch', 'INVALID_TARGET');
+      }
+      return target;
+    });
+  }
+
+  /**
+   * Patch every file of a diff, or none of them. Hunks that do not apply
+   * are written to `<file>.rej` and fail the action with DIFF_CONFLICT.
+   * @private
+   */
+  async applyDiff(action) {
+    const files = parseUnifiedDiff(action.payload?.diff);
+    const targets = this.getDiffTargets(action, files);
+    const patches = [];
+
+    for (const [index, file] of files.entries()) {
+      const target = targets[index];
+      const filePath = await this.resolveTarget(target);
+      const exists = await this.exists(filePath);
+      if (!exists && file.oldPath !== null) {
+        throw this.createError(`File not found: ${target}`, 'FILE_NOT_FOUND');
+      }
+
+      const content = exists ? await fs.readFile(filePath, 'utf-8') : '';
+      const result = applyPatch(content, file.hunks, {
+        fuzz: this.fuzz,
+        // The original the agent saw only describes a single-file diff
+        original: files.length === 1 ? action.payload?.original : undefined
+      });
+      patches.push({ file, target, filePath, result });
+    }
+
+    const outcome = {
+      files: patches.map(({ target, result }) => ({
+        path: target,
+        applied: result.applied,
+        method: result.method,
+        hunks: result.hunks,
+        conflicts: result.conflicts
+      }))
+    };
+
+    const failed = patches.filter(({ result }) => !result.applied);
+    if (failed.length > 0) {
+      for (const { file, target, filePath, result } of failed) {
+        const rejected = result.hunks.filter(hunk => hunk.status === 'rejected').map(hunk => hunk.index);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(`${filePath}.rej`, formatRejects(file, rejected));
+        outcome.files.find(entry => entry.path === target).rejectFile = `${target}.rej`;
+      }
+
+      const error = this.createError(
+        `${failed.length} of ${files.length} file(s) did not patch cleanly: ${failed.map(({ target }) => target).join(', ')}`,
+        'DIFF_CONFLICT'
+      );
+      error.outcome = outcome;
+      throw error;
+    }
+
+    for (const { file, filePath, result } of patches) {
+      if (file.newPath === null && result.content === '') {
+        await fs.unlink(filePath);
+      } else {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, result.content);
+      }
+    }
+    return outcome;
+  }
+
+  /**
+   * @private
+   */
+  async createBranch(action) {
+    const branch = action.payload?.branch || action.targets?.[0];
+    if (!branch) {
+      throw this.createError('CREATE_BRANCH action has no branch name', 'INVALID_TARGET');
+    }
+    return this.repository.createRunBranch(branch);
+  }
+
+  /**
+   * Commit the action's targets, or every change under the root
+   * @private
+   */
+  async commitChanges(action) {
+    const message = action.payload?.message || action.reasoning;
+    if (!message) {
+      throw this.createError('COMMIT_CHANGES action has no message', 'INVALID_COMMAND');
+    }
+    if (!(await this.repository.isRepository())) {
+      throw this.createError(`Not a git repository: ${this.root}`, 'GIT_NOT_A_REPOSITORY');
+    }
+
+    for (const target of action.targets || []) {
+      await this.resolveTarget(target);
+    }
+    const sha = await this.repository.commit(message, action.targets?.length ? action.targets : ['.']);
+    return { sha };
+  }
+
+  /**
+   * Run a shell command in the root
+   * @private
+   */
+  async runCommand(action) {
+    const command = action.payload?.command;
+    if (!command) {
+      throw this.createError('RUN_COMMAND action has no command', 'INVALID_COMMAND');
+    }
+
+    const { timedOut, duration: _duration, ...output } = await runShellCommand(command, {
+      cwd: this.root,
+      timeout: this.commandTimeout
+    });
+    if (timedOut) {
+      const error = this.createError(`Command timed out after ${this.commandTimeout}ms: ${command}`, 'COMMAND_TIMEOUT');
+      error.outcome = output;
+      throw error;
+    }
+    if (output.exitCode !== 0) {
+      const error = this.createError(`Command exited with code ${output.exitCode}: ${command}`, 'COMMAND_FAILED');
+      error.outcome = output;
+      throw error;
+    }
+    return output;
+  }
+}
+
+module.exports = { ActionExecutor };
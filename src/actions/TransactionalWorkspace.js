@@ -0,0 +1,456 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ActionExecutor } = require('./ActionExecutor');
+const { GitRepository } = require('../git/GitRepository');
+const { runShellCommand } = require('../utils/shell');
+
+const WORKSPACE_MODES = ['copy', 'worktree'];
+
+/** Verification output kept per stream (the end, where failures are reported) */
+const OUTPUT_LIMIT = 20000;
+
+/**
+ * TransactionalWorkspace - Applies actions to a scratch copy of a project
+ * and promotes them only once verification passes
+ *
+ * 1. The root is copied to a temporary directory (`mode: 'copy'`), or
+ *    HEAD is checked out there as a git worktree (`mode: 'worktree'`,
+ *    which needs a clean working tree). Ignored directories such as
+ *    `node_modules` are not copied; the `link` ones are symlinked to the
+ *    project's own so verification can use them.
+ * 2. The actions are applied there with an ActionExecutor.
+ * 3. The `verify` commands (tests, lint...) run there in order, up to the
+ *    first that fails.
+ * 4. If every action applied and every command passed, the files the
+ *    actions created, modified or deleted are written to the root. Files
+ *    that changed in the root meanwhile are not overwritten: promotion is
+ *    refused as a whole. If writing fails partway, the files already
+ *    replaced are restored.
+ *
+ * Actions cannot reach the root: they are confined to the scratch copy.
+ * The verify commands can, through the `link` directories, which are the
+ * project's own and not copies (copying `node_modules` for every run
+ * would cost more than the run). Leave them out (`link: []`) for commands
+ * that should not share them. Apart from that, the root is left untouched
+ * unless the changes are promoted, and files written by the verification
+ * commands are never promoted. The scratch copy is removed afterwards
+ * unless `keep` is set.
+ *
+ * @example
+ * const workspace = new TransactionalWorkspace({ root: process.cwd(), verify: ['npm test', 'npm run lint'] });
+ * const { success, verification } = await workspace.apply(result.actions, { policyEngine, autoApprove: true });
+ */
+class TransactionalWorkspace {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Project directory changes are promoted to
+   * @param {string[]} [options.verify] - Shell commands that must all exit with 0 (default none)
+   * @param {'copy'|'worktree'} [options.mode] - How the scratch copy is made (default 'copy')
+   * @param {string[]} [options.ignore] - Names (any depth) or root-relative paths not copied or promoted
+   *   (default ['.git', 'node_modules'])
+   * @param {string[]} [options.link] - Top-level ignored directories symlinked into the copy (default ['node_modules'])
+   * @param {number} [options.commandTimeout] - Timeout of each verify command in ms (default 600000)
+   * @param {boolean} [options.keep] - Leave the scratch copy in place, e.g. to inspect a failure
+   * @param {Function} [options.log] - Logger for progress messages
+   */
+  constructor(options = {}) {
+    if (!options.root) {
+      throw new Error('TransactionalWorkspace requires a root directory');
+    }
+    if (options.mode && !WORKSPACE_MODES.includes(options.mode)) {
+      throw this.createError(`Unknown workspace mode: ${options.mode} (use ${WORKSPACE_MODES.join(' or ')})`, 'INVALID_WORKSPACE_MODE');
+    }
+
+    this.root = path.resolve(options.root);
+    this.mode = options.mode || 'copy';
+    this.verify = [].concat(options.verify || []);
+    this.ignore = options.ignore || ['.git', 'node_modules'];
+    this.link = options.link || ['node_modules'];
+    this.commandTimeout = options.commandTimeout || 600000;
+    this.keep = options.keep || false;
+    this.log = options.log || (() => {});
+    this.repository = new GitRepository(this.root);
+  }
+
+  /**
+   * Apply actions in a scratch copy, verify them, and promote the changes
+   * @param {Object[]} actions - Pipeline actions
+   * @param {Object} [executorOptions] - ActionExecutor options (policy, approval, audit log...);
+   *   `root` is the scratch copy and `git` is not supported
+   * @param {Object} [context] - Passed to ActionExecutor#apply
+   * @returns {Promise<{success: boolean, results: Object[], verification: Object}>}
+   *   `success` once the changes are promoted; see PIPELINE_ENGINE.md for `verification`.
+   *   A promotion that fails is rolled back and reported in `verification.reason`.
+   */
+  async apply(actions, executorOptions = {}, context = {}) {
+    if (executorOptions.git) {
+      throw this.createError('Actions applied in a workspace cannot be committed with git', 'WORKSPACE_GIT_UNSUPPORTED');
+    }
+
+    const scratch = await this.create();
+    const verification = {
+      mode: this.mode,
+      passed: false,
+      promoted: false,
+      reason: null,
+      changes: { created: [], modified: [], deleted: [] },
+      commands: [],
+      conflicts: []
+    };
+    this.log(`   🧪 Scratch ${this.mode} at ${scratch.root}`);
+
+    try {
+      const before = await this.snapshot(scratch.root);
+      const executor = new ActionExecutor({ ...executorOptions, root: scratch.root });
+      const applied = await executor.apply(actions, context);
+
+      // Taken before verification, so files the commands write are not promoted
+      const changes = await this.collectChanges(before, scratch.root);
+      verification.changes = {
+        created: changes.created.map(change => change.path),
+        modified: changes.modified.map(change => change.path),
+        deleted: changes.deleted.map(change => change.path)
+      };
+
+      if (!applied.success) {
+        verification.reason = 'Not every action was applied';
+      } else {
+        verification.commands = await this.runVerification(scratch.root);
+        const failed = verification.commands.find(command => command.exitCode !== 0);
+        verification.passed = !failed;
+        verification.reason = failed ? `Verification failed: ${failed.command}` : null;
+      }
+
+      if (verification.passed) {
+        verification.conflicts = await this.findConflicts(changes, before);
+        if (verification.conflicts.length > 0) {
+          verification.reason = `Files changed in the project during the run: ${verification.conflicts.map(conflict => conflict.path).join(', ')}`;
+        } else {
+          try {
+            await this.promote(changes);
+            verification.promoted = true;
+          } catch (error) {
+            verification.reason = error.code === 'WORKSPACE_ROLLBACK_FAILED'
+              ? error.message
+              : `Promotion failed and was rolled back: ${error.message}`;
+          }
+        }
+      }
+
+      this.log(verification.promoted
+        ? `   ✅ Verified; promoted ${changes.created.length + changes.modified.length + changes.deleted.length} file change(s)`
+        : `   ❌ Not promoted: ${verification.reason}`);
+      return { success: verification.promoted, results: applied.results, verification };
+    } finally {
+      if (this.keep) {
+        verification.workspace = scratch.root;
+      } else {
+        await this.remove(scratch);
+      }
+    }
+  }
+
+  /**
+   * Make the scratch copy
+   * @private
+   * @returns {Promise<{directory: string, root: string, worktree?: string}>}
+   *   `root` is the copy of the project root inside `directory`
+   */
+  async create() {
+    if (this.mode === 'worktree') {
+      if (!(await this.repository.isRepository())) {
+        throw this.createError(`Not a git repository: ${this.root}`, 'GIT_NOT_A_REPOSITORY');
+      }
+      if (!(await this.repository.isClean())) {
+        throw this.createError('The working tree has uncommitted changes; commit or stash them, or use mode: \'copy\'', 'WORKSPACE_DIRTY');
+      }
+    }
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-icu-workspace-'));
+    try {
+      let scratch;
+      if (this.mode === 'worktree') {
+        const worktree = path.join(directory, 'worktree');
+        await this.repository.addWorktree(worktree);
+        scratch = { directory, worktree, root: path.join(worktree, await this.repository.getPrefix()) };
+      } else {
+        const root = path.join(directory, 'root');
+        await fs.cp(this.root, root, {
+          recursive: true,
+          verbatimSymlinks: true,
+          filter: source => !this.isIgnored(path.relative(this.root, source))
+        });
+        scratch = { directory, root };
+      }
+
+      for (const name of this.link) {
+        const shared = path.join(this.root, name);
+        const target = path.join(scratch.root, name);
+        if (await this.exists(shared) && !(await this.exists(target))) {
+          await fs.symlink(shared, target, 'dir');
+        }
+      }
+      return scratch;
+    } catch (error) {
+      await fs.rm(directory, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the scratch copy (and its worktree registration)
+   * @private
+   */
+  async remove(scratch) {
+    if (scratch.worktree) {
+      await this.repository.removeWorktree(scratch.worktree).catch(error => {
+        this.log(`   ⚠️  Could not remove worktree ${scratch.worktree}: ${error.message}`);
+      });
+    }
+    await fs.rm(scratch.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Whether a root-relative path is excluded from copies and promotion
+   * @private
+   */
+  isIgnored(relative) {
+    const normalized = relative.split(path.sep).join('/');
+    const segments = normalized.split('/');
+    return this.ignore.some(entry => (entry.includes('/')
+      ? normalized === entry || normalized.startsWith(`${entry}/`)
+      : segments.includes(entry)));
+  }
+
+  /**
+   * Hashes of the regular files under a directory, by relative path
+   * (symlinks and ignored paths are left out)
+   * @private
+   * @returns {Promise<Map<string, string>>}
+   */
+  async snapshot(root) {
+    const hashes = new Map();
+
+    const walk = async relative => {
+      const entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+      for (const entry of entries) {
+        const child = relative ? `${relative}/${entry.name}` : entry.name;
+        if (this.isIgnored(child)) {
+          continue;
+        }
+        if (entry.isDirectory()) {
+          await walk(child);
+        } else if (entry.isFile()) {
+          hashes.set(child, await this.hashFile(path.join(root, child)));
+        }
+      }
+    };
+
+    await walk('');
+    return hashes;
+  }
+
+  /**
+   * SHA-256 of a file, or null when it does not exist
+   * @private
+   */
+  async hashFile(file) {
+    try {
+      return crypto.createHash('sha256').update(await fs.readFile(file)).digest('hex');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Files the actions created, modified or deleted in the scratch copy,
+   * with the content to promote
+   * @private
+   */
+  async collectChanges(before, root) {
+    const after = await this.snapshot(root);
+    const changes = { created: [], modified: [], deleted: [] };
+
+    for (const [relative, hash] of after) {
+      if (before.get(relative) !== hash) {
+        const change = { path: relative, content: await fs.readFile(path.join(root, relative)) };
+        changes[before.has(relative) ? 'modified' : 'created'].push(change);
+      }
+    }
+    for (const relative of before.keys()) {
+      if (!after.has(relative)) {
+        changes.deleted.push({ path: relative });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Run the verify commands in the scratch copy, stopping at the first failure
+   * @private
+   */
+  async runVerification(root) {
+    const results = [];
+
+    for (const command of this.verify) {
+      this.log(`   🔎 ${command}`);
+      const output = await runShellCommand(command, { cwd: root, timeout: this.commandTimeout })
+        .catch(error => ({ ...error.outcome, exitCode: null, stderr: error.message }));
+      results.push({
+        command,
+        exitCode: output.exitCode,
+        timedOut: Boolean(output.timedOut),
+        duration: output.duration || 0,
+        stdout: output.stdout.slice(-OUTPUT_LIMIT),
+        stderr: output.stderr.slice(-OUTPUT_LIMIT)
+      });
+
+      if (output.exitCode !== 0) {
+        break;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Changed paths whose file in the root no longer matches what the
+   * scratch copy started from
+   * @private
+   */
+  async findConflicts(changes, before) {
+    const conflicts = [];
+
+    for (const change of [...changes.created, ...changes.modified, ...changes.deleted]) {
+      const current = await this.hashFile(path.join(this.root, change.path));
+      const expected = before.get(change.path) ?? null;
+      if (current !== expected) {
+        conflicts.push({
+          path: change.path,
+          reason: expected === null ? 'created in the project' : current === null ? 'deleted in the project' : 'modified in the project'
+        });
+      }
+    }
+    return conflicts;
+  }
+
+  /**
+   * Write the changes to the root. Every new content is first written
+   * next to its target; then originals are moved aside and the new files
+   * renamed over them. If any step fails, what was done is undone and
+   * the error is thrown (WORKSPACE_ROLLBACK_FAILED if undoing failed too).
+   * @private
+   */
+  async promote(changes) {
+    const suffix = `.schema-icu-${process.pid}`;
+    const staged = { files: [], directories: [] };
+    const done = [];
+
+    try {
+      for (const change of [...changes.created, ...changes.modified]) {
+        const target = path.join(this.root, change.path);
+        const temporary = `${target}${suffix}.tmp`;
+        const existing = await fs.stat(target).catch(() => null);
+
+        const directory = await fs.mkdir(path.dirname(target), { recursive: true });
+        if (directory) {
+          staged.directories.push(directory);
+        }
+        await fs.writeFile(temporary, change.content);
+        staged.files.push(temporary);
+        if (existing) {
+          await fs.chmod(temporary, existing.mode);
+        }
+      }
+
+      for (const change of [...changes.created, ...changes.modified, ...changes.deleted]) {
+        const target = path.join(this.root, change.path);
+        const step = { target, backup: null, written: false };
+        done.push(step);
+
+        if (await this.exists(target)) {
+          await fs.rename(target, `${target}${suffix}.bak`);
+          step.backup = `${target}${suffix}.bak`;
+        }
+        if (change.content !== undefined) {
+          await fs.rename(`${target}${suffix}.tmp`, target);
+          step.written = true;
+        }
+      }
+    } catch (error) {
+      await this.rollback(done, staged, error);
+      throw error;
+    }
+
+    for (const step of done) {
+      if (step.backup) {
+        await fs.rm(step.backup, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Undo a partial promotion: restore the originals moved aside and
+   * remove the new and staged files and the directories made for them
+   * @private
+   */
+  async rollback(done, staged, cause) {
+    const failures = [];
+
+    for (const step of [...done].reverse()) {
+      try {
+        if (step.written) {
+          await fs.rm(step.target, { force: true });
+        }
+        if (step.backup) {
+          await fs.rename(step.backup, step.target);
+        }
+      } catch (error) {
+        failures.push(`${path.relative(this.root, step.target)} (${error.message})`);
+      }
+    }
+    await Promise.all(staged.files.map(file => fs.rm(file, { force: true })));
+    for (const directory of staged.directories.reverse()) {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+
+    if (failures.length > 0) {
+      const error = this.createError(
+        `Promotion failed (${cause.message}) and could not be rolled back for: ${failures.join(', ')}`,
+        'WORKSPACE_ROLLBACK_FAILED'
+      );
+      error.cause = cause;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async exists(file) {
+    try {
+      await fs.lstat(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = { TransactionalWorkspace, WORKSPACE_MODES };
@@ -0,0 +1,283 @@
+/**
+ * Code Files
+ *
+ * Turns generated code into file actions. Agent output often holds
+ * several files in one `code` string; they are split on the usual
+ * markers:
+ * - fenced blocks naming their file: ```js src/app.js, ```js:src/app.js,
+ *   ```js title="src/app.js", or a `src/app.js` / **src/app.js** label
+ *   on the line before the fence
+ * - header comments: `// File: src/app.js`, `# File: app.py`,
+ *   `<!-- File: index.html -->` (each starts a new file)
+ *
+ * Files without a name get one from the service design (boxDesigner)
+ * or the project plan: `src/<design-name>.<ext>`, or
+ * `tests/<design-name>.test.<ext>` for tests. A bare file name such as
+ * `routes.js` takes the directory of a path the plan mentions, like
+ * `src/routes.js`. Without a design or plan the old
+ * `generated-<stepId>.<ext>` name is kept.
+ */
+
+const EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  java: 'java',
+  'c++': 'cpp',
+  'c#': 'cs',
+  ruby: 'rb',
+  go: 'go',
+  rust: 'rs'
+};
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*(.*)$/;
+const FILE_HEADER = /^\s*(?:\/\/|#|--|\/\*|<!--)\s*File(?:name)?:\s*(\S+?)\s*(?:\*\/|-->)?\s*$/i;
+const FILE_LABEL = /^\s*(?:#+\s*)?(?:\*\*|__)?(?:File(?:name)?:\s*)?`?([\w.@/-]+\.[\w]+)`?(?:\*\*|__)?:?\s*$/i;
+const FILE_PATH = /^[\w.@-]+(?:\/[\w.@-]+)*\.\w+$/;
+
+/**
+ * File extension for a language name
+ * @param {string} [language] - e.g. 'JavaScript'
+ * @returns {string} Extension without the dot ('txt' when unknown)
+ */
+function getFileExtension(language) {
+  return EXTENSIONS[language?.toLowerCase()] || 'txt';
+}
+
+/**
+ * Path in a fence's info string: ```js src/app.js, ```js:src/app.js,
+ * ```src/app.js or ```js title="src/app.js"
+ * @private
+ */
+function parseFenceInfo(info) {
+  const [first = '', ...rest] = info.trim().split(/\s+/);
+  const attribute = info.match(/(?:title|file|filename|path)=["']?([^"'\s]+)/i);
+  const [language, suffix] = first.split(':');
+
+  const candidates = [attribute?.[1], suffix, FILE_PATH.test(first) ? first : null, ...rest];
+  return {
+    language: FILE_PATH.test(first) ? null : language || null,
+    path: candidates.find(candidate => candidate && FILE_PATH.test(candidate)) || null
+  };
+}
+
+/**
+ * Fenced code blocks of a text, with the file each one names
+ * @private
+ */
+function splitFences(lines) {
+  const blocks = [];
+  let open = null;
+
+  lines.forEach((line, index) => {
+    const fence = line.match(FENCE);
+
+    if (open) {
+      if (fence && fence[1][0] === open.marker[0] && fence[1].length >= open.marker.length && fence[2].trim() === '') {
+        blocks.push(open);
+        open = null;
+      } else {
+        open.lines.push(line);
+      }
+      return;
+    }
+
+    if (fence) {
+      const { language, path } = parseFenceInfo(fence[2]);
+      const label = lines.slice(0, index).reverse().find(previous => previous.trim() !== '');
+      open = {
+        marker: fence[1],
+        language,
+        path: path || label?.match(FILE_LABEL)?.[1] || null,
+        lines: []
+      };
+    }
+  });
+
+  return blocks.map(block => {
+    // A header comment on the first line names the file too
+    const header = block.lines[0]?.match(FILE_HEADER);
+    return {
+      path: block.path || header?.[1] || null,
+      language: block.language,
+      content: (header && !block.path ? block.lines.slice(1) : block.lines).join('\n')
+    };
+  });
+}
+
+/**
+ * Split generated code into files
+ * @param {string} code - Agent output
+ * @returns {Array<{path: string|null, language: string|null, content: string}>}
+ *   One entry with a null path when the output holds a single unnamed file
+ */
+function splitCodeFiles(code) {
+  const text = String(code ?? '').replace(/\r\n/g, '\n');
+  const lines = text.split('\n');
+  const withNewline = content => (content.endsWith('\n') ? content : `${content}\n`);
+
+  const blocks = splitFences(lines);
+  const wrapped = blocks.length === 1 && FENCE.test(text.trim().split('\n')[0]);
+  if (blocks.some(block => block.path) || wrapped) {
+    return blocks.map(block => ({ ...block, content: withNewline(block.content) }));
+  }
+
+  const headers = lines
+    .map((line, index) => ({ index, match: line.match(FILE_HEADER) }))
+    .filter(entry => entry.match);
+  if (headers.length === 0) {
+    return [{ path: null, language: null, content: text }];
+  }
+
+  const files = [];
+  const preamble = lines.slice(0, headers[0].index).join('\n');
+  if (preamble.trim()) {
+    files.push({ path: null, language: null, content: withNewline(preamble.trim()) });
+  }
+  headers.forEach((header, i) => {
+    const end = i + 1 < headers.length ? headers[i + 1].index : lines.length;
+    const content = lines.slice(header.index + 1, end).join('\n').replace(/^\n+/, '').replace(/\n+$/, '');
+    files.push({ path: header.match[1], language: null, content: withNewline(content) });
+  });
+  return files;
+}
+
+/**
+ * @private
+ */
+function toFileName(name) {
+  return String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * File paths mentioned in a project plan's tasks
+ * @private
+ */
+function getPlanPaths(plan) {
+  const text = (plan?.tasks || [])
+    .map(task => `${task.taskName || ''} ${task.taskDescription || ''}`)
+    .join(' ');
+  return (text.match(/[\w.@-]+(?:\/[\w.@-]+)+\.\w+/g) || []).map(path => path.replace(/\.$/, ''));
+}
+
+/**
+ * @private
+ */
+function looksLikeTests(content) {
+  return /\b(?:describe|it|test)\s*\(\s*['"`]|\bdef test_|\bimport pytest\b|@Test\b/.test(content);
+}
+
+/**
+ * Path of a generated file
+ * @param {Object} file - Entry of splitCodeFiles
+ * @param {Object} options
+ * @param {string} options.stepId - Step that generated the file
+ * @param {number} [options.index] - Position of the file in the step's output
+ * @param {string} [options.language] - Language of the step's output
+ * @param {Object} [options.design] - boxDesigner output (`name`)
+ * @param {Object} [options.plan] - projectPlanner output (`projectName`, `tasks`)
+ * @returns {string}
+ */
+function inferFilePath(file, { stepId, index = 0, language, design, plan }) {
+  if (file.path) {
+    const named = file.path.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (named.includes('/')) {
+      return named;
+    }
+    return getPlanPaths(plan).find(path => path.endsWith(`/${named}`)) || named;
+  }
+
+  const extension = EXTENSIONS[file.language?.toLowerCase()]
+    || (/^[a-z0-9]{1,4}$/.test(file.language || '') && file.language !== 'txt' ? file.language : null)
+    || getFileExtension(language);
+  const suffix = index > 0 ? `-${index + 1}` : '';
+  const base = toFileName(design?.name) || toFileName(plan?.projectName);
+
+  if (!base) {
+    return `generated-${stepId}${suffix}.${extension}`;
+  }
+  if (/test|spec/i.test(stepId) || looksLikeTests(file.content)) {
+    return extension === 'py'
+      ? `tests/test_${base.replace(/-/g, '_')}${suffix}.py`
+      : `tests/${base}${suffix}.test.${extension}`;
+  }
+  return `src/${base}${suffix}.${extension}`;
+}
+
+/**
+ * @private
+ */
+function withCopySuffix(path, copy) {
+  const match = path.match(/^(.*?)((?:\.test|\.spec)?\.\w+)?$/);
+  return `${match[1]}-${copy}${match[2] || ''}`;
+}
+
+/**
+ * One CREATE_FILE or MODIFY_FILE action per file of a step's code
+ * @param {string} code - Agent output
+ * @param {Object} options - See inferFilePath, and:
+ * @param {string} [options.reasoning] - Reasoning for the actions
+ * @param {string[]} [options.existingFiles] - Project files; these are modified instead of created
+ * @returns {Object[]} Actions
+ */
+function buildFileActions(code, options) {
+  const existing = new Set(options.existingFiles || []);
+
+  return splitCodeFiles(code).map((file, index) => {
+    const target = inferFilePath(file, { ...options, index });
+    return {
+      type: existing.has(target) ? 'MODIFY_FILE' : 'CREATE_FILE',
+      targets: [target],
+      payload: { content: file.content },
+      reasoning: options.reasoning || 'Generated by code generator',
+      requiresApproval: true
+    };
+  });
+}
+
+/**
+ * Give file actions whose path an earlier action already writes a free
+ * `-2`, `-3`... path instead, so no generated file replaces another.
+ * Moved actions become CREATE_FILE and record the collision as
+ * `collision: { path, stepId }`. Actions are changed in place.
+ * @param {Object[]} actions - New actions of a step
+ * @param {Map<string, string|null>} claimedPaths - Paths written by earlier actions, mapped to
+ *   their step; the new paths are added
+ * @param {string} stepId - Step the actions come from
+ * @returns {Object[]} The actions that were moved
+ */
+function resolvePathCollisions(actions, claimedPaths, stepId) {
+  const moved = [];
+
+  actions
+    .filter(action => action.type === 'CREATE_FILE' || action.type === 'MODIFY_FILE')
+    .forEach(action => {
+      const wanted = action.targets[0];
+      let target = wanted;
+      for (let copy = 2; claimedPaths.has(target); copy++) {
+        target = withCopySuffix(wanted, copy);
+      }
+
+      if (target !== wanted) {
+        action.type = 'CREATE_FILE';
+        action.targets = [target];
+        action.collision = { path: wanted, stepId: claimedPaths.get(wanted) };
+        moved.push(action);
+      }
+      claimedPaths.set(target, stepId);
+    });
+
+  return moved;
+}
+
+module.exports = {
+  getFileExtension,
+  splitCodeFiles,
+  inferFilePath,
+  buildFileActions,
+  resolvePathCollisions
+};
@@ -0,0 +1,239 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256, canonicalize } = require('../utils/canonical');
+
+/** `prevHash` of the first entry of a log */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Entry types written by PipelineEngine (and by tools that apply actions)
+ */
+const AUDIT_ENTRY_TYPES = [
+  'run:start',
+  'policy:check',
+  'approval',
+  'agent:call',
+  'action:applied',
+  'workspace:verify'
+];
+
+/**
+ * Hash of an entry: SHA-256 of the canonical JSON of every field but `hash`
+ * @param {Object} entry - Audit log entry
+ * @returns {string}
+ */
+function hashAuditEntry(entry) {
+  const { hash: _hash, ...content } = entry;
+  return sha256(content);
+}
+
+/**
+ * Check that a sequence of entries is an unbroken hash chain. Edited
+ * entries fail their own hash; deleted or reordered entries break the
+ * sequence numbers and the `prevHash` link of the entry after them.
+ * Entries removed from the end leave a valid, shorter chain, so pass the
+ * `headHash` recorded elsewhere to detect truncation.
+ * @param {Object[]} entries - Entries in log order
+ * @param {Object} [options]
+ * @param {string} [options.headHash] - Expected hash of the last entry
+ * @returns {{valid: boolean, count: number, headHash: string, errors: Object[]}}
+ *   errors are `{ index, seq, reason }`
+ */
+function verifyAuditLog(entries, options = {}) {
+  const errors = [];
+  let prevHash = GENESIS_HASH;
+
+  entries.forEach((entry, index) => {
+    const report = reason => errors.push({ index, seq: entry.seq, reason });
+
+    if (entry.seq !== index) {
+      report(`sequence gap: expected entry ${index}, found ${entry.seq}`);
+    }
+    if (entry.prevHash !== prevHash) {
+      report('chain broken: prevHash does not match the previous entry');
+    }
+    if (entry.hash !== hashAuditEntry(entry)) {
+      report('hash mismatch: entry was changed after it was written');
+    }
+    prevHash = entry.hash;
+  });
+
+  if (options.headHash && options.headHash !== prevHash) {
+    errors.push({ index: entries.length, seq: null, reason: 'head mismatch: entries were removed from or added to the end' });
+  }
+
+  return { valid: errors.length === 0, count: entries.length, headHash: prevHash, errors };
+}
+
+/**
+ * AuditLog - Append-only, hash-chained record of what the engine did
+ *
+ * Each entry carries the hash of the entry before it, so editing,
+ * deleting or reordering entries is detected by verifyAuditLog. With a
+ * `file`, every entry is appended to it as a JSON line as soon as it is
+ * written; `flush()` waits for those writes and reports any failure.
+ * A log created with only a `file` continues the chain already in it:
+ * `open()` reads it, and must finish before the first append (the
+ * engine and ActionExecutor call it themselves).
+ *
+ * @example
+ * const auditLog = new AuditLog({ file: '.schema-icu/audit.jsonl' });
+ * const engine = new PipelineEngine(client, { audit: true, auditLog });
+ * await engine.runPipeline('implement-feature', context);
+ * auditLog.verify(); // { valid: true, count, headHash, errors: [] }
+ */
+class AuditLog {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON Lines file entries are appended to
+   * @param {Object[]} [options.entries] - Entries already written (see load)
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.entries = options.entries || [];
+    this.writes = Promise.resolve();
+    this.writeError = null;
+    this.opened = !this.file || Boolean(options.entries);
+    this.opening = null;
+  }
+
+  /**
+   * Open an audit log file, continuing its chain. The entries are not
+   * verified; call verify() for that.
+   * @param {string} file - Path of the JSON Lines file
+   * @returns {Promise<AuditLog>}
+   */
+  static async load(file) {
+    return new AuditLog({ file, entries: await AuditLog.readEntries(file) });
+  }
+
+  /**
+   * Entries of a JSON Lines file (none when it does not exist)
+   * @private
+   */
+  static async readEntries(file) {
+    let content = '';
+    try {
+      content = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return content.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}: invalid audit entry on line ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Read the entries already in the file so appends continue its chain.
+   * Does nothing after the first call, or for a log created by load() or
+   * without a file.
+   * @returns {Promise<AuditLog>} this
+   */
+  async open() {
+    if (!this.opened) {
+      this.opening = this.opening || AuditLog.readEntries(this.file).then(entries => {
+        this.entries = entries;
+        this.opened = true;
+      });
+      await this.opening;
+    }
+    return this;
+  }
+
+  /**
+   * Hash of the last entry (GENESIS_HASH while the log is empty)
+   * @returns {string}
+   */
+  get headHash() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].hash : GENESIS_HASH;
+  }
+
+  /**
+   * Append an entry
+   * @param {string} type - Entry type (see AUDIT_ENTRY_TYPES)
+   * @param {Object} [data] - JSON data of the entry
+   * @returns {Object} The entry `{ seq, timestamp, type, data, prevHash, hash }`
+   */
+  append(type, data = {}) {
+    if (this.writeError) {
+      throw this.writeError;
+    }
+    if (!this.opened) {
+      const error = new Error(`Audit log ${this.file} is not open: await open() before appending, or its chain restarts`);
+      error.code = 'AUDIT_LOG_NOT_OPEN';
+      throw error;
+    }
+
+    const entry = {
+      seq: this.entries.length,
+      timestamp: new Date().toISOString(),
+      type,
+      data: JSON.parse(canonicalize(data)),
+      prevHash: this.headHash
+    };
+    entry.hash = hashAuditEntry(entry);
+    this.entries.push(entry);
+
+    if (this.file) {
+      const line = `${JSON.stringify(entry)}\n`;
+      this.writes = this.writes
+        .then(async () => {
+          await fs.mkdir(path.dirname(this.file), { recursive: true });
+          await fs.appendFile(this.file, line);
+        })
+        .catch(error => {
+          this.writeError = this.writeError || error;
+        });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Wait until every entry is written to the file
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writes;
+    if (this.writeError) {
+      throw this.writeError;
+    }
+  }
+
+  /**
+   * Entries, optionally only those of one run or type
+   * @param {Object} [filter]
+   * @param {string} [filter.runId]
+   * @param {string} [filter.type]
+   * @returns {Object[]}
+   */
+  getEntries(filter = {}) {
+    return this.entries.filter(entry => (
+      (!filter.runId || entry.data.runId === filter.runId) &&
+      (!filter.type || entry.type === filter.type)
+    ));
+  }
+
+  /**
+   * Verify the chain of this log (see verifyAuditLog)
+   * @param {Object} [options] - `{ headHash }`
+   */
+  verify(options = {}) {
+    return verifyAuditLog(this.entries, options);
+  }
+}
+
+module.exports = {
+  AuditLog,
+  AUDIT_ENTRY_TYPES,
+  GENESIS_HASH,
+  hashAuditEntry,
+  verifyAuditLog
+};
@@ -0,0 +1,118 @@
+const { AGENT_METHODS } = require('../engine/agents');
+const {
+  createCassette,
+  writeCassette,
+  getRequestKey,
+  serializeError
+} = require('./cassette');
+
+/**
+ * RecordingClient - Records every agent call made through a SchemaICU client
+ *
+ * Wraps a SchemaICU client and exposes the same agents. Each call is
+ * passed through unchanged, and its input, context, response (including
+ * the signature) or error is appended to a cassette. The cassette file is
+ * rewritten after every call, so a run that crashes halfway still leaves
+ * the calls made so far on disk.
+ *
+ * @example
+ * const recorder = new RecordingClient(new SchemaICU(), { cassette: 'tests/fixtures/cassettes/run.json' });
+ * const engine = new PipelineEngine(recorder);
+ * await engine.runPipeline('implement-feature', context);
+ * // Later, offline:
+ * const engine = new PipelineEngine(await ReplayClient.load('tests/fixtures/cassettes/run.json'));
+ */
+class RecordingClient {
+  /**
+   * @param {SchemaICU} client - Client whose calls are recorded
+   * @param {Object} [options]
+   * @param {string} [options.cassette] - File to write (omit to only keep interactions in memory)
+   * @param {string[]} [options.ignore] - Paths left out of the stored request keys (see getRequestKey)
+   */
+  constructor(client, options = {}) {
+    if (!client) {
+      throw new Error('RecordingClient requires a SchemaICU client instance');
+    }
+
+    this.client = client;
+    this.file = options.cassette || null;
+    this.ignore = options.ignore || [];
+    this.cassette = createCassette();
+    this.writing = Promise.resolve();
+
+    Object.entries(AGENT_METHODS).forEach(([agent, methods]) => {
+      if (!client[agent]) return;
+      this[agent] = {};
+      methods.forEach(method => {
+        if (typeof client[agent][method] === 'function') {
+          this[agent][method] = (...args) => this.record(agent, method, args);
+        }
+      });
+    });
+  }
+
+  /**
+   * Recorded interactions so far
+   * @returns {Object[]}
+   */
+  get interactions() {
+    return this.cassette.interactions;
+  }
+
+  /**
+   * Pass a call through to the wrapped client and record it
+   * @private
+   */
+  async record(agent, method, args) {
+    // The third argument carries per-call options such as the abort signal
+    const [input, context] = args;
+    const request = { agent, method, input, context };
+    const interaction = {
+      key: getRequestKey(request, this.ignore),
+      request: JSON.parse(JSON.stringify(request)),
+      response: null,
+      error: null,
+      duration: 0,
+      recordedAt: new Date().toISOString()
+    };
+
+    const startTime = Date.now();
+    try {
+      const response = await this.client[agent][method](...args);
+      interaction.response = response === undefined ? null : JSON.parse(JSON.stringify(response));
+      return response;
+    } catch (error) {
+      interaction.error = serializeError(error);
+      throw error;
+    } finally {
+      interaction.duration = Date.now() - startTime;
+      this.cassette.interactions.push(interaction);
+      await this.save();
+    }
+  }
+
+  /**
+   * Write the cassette file (a no-op without one). Writes are serialized,
+   * so calls finishing together never interleave their files.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.file) {
+      return;
+    }
+    this.writing = this.writing
+      .catch(() => {}) // a failed write was reported to its own caller
+      .then(() => writeCassette(this.file, this.cassette));
+    await this.writing;
+  }
+
+  isAuthenticated() {
+    return this.client.isAuthenticated();
+  }
+
+  getConfig() {
+    return this.client.getConfig();
+  }
+}
+
+module.exports = { RecordingClient };
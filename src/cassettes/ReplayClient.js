@@ -0,0 +1,123 @@
+const { AGENT_METHODS } = require('../engine/agents');
+const { readCassette, getRequestKey, deserializeError } = require('./cassette');
+
+/**
+ * ReplayClient - Serves agent responses from a cassette
+ *
+ * Stands in for a SchemaICU client: every agent call is matched against
+ * the recorded requests by hash and answered with the recorded response,
+ * or the recorded error is thrown again. Nothing goes over the network.
+ *
+ * Requests that were recorded more than once (e.g. retries, loop
+ * iterations) are answered in recording order; once those run out the
+ * last response is repeated, unless `repeat` is false. A request with no
+ * recording fails with code CASSETTE_MISS.
+ *
+ * Matching uses the agent, method, input and context. `ignore` lists
+ * paths to leave out, e.g. `['context.requestId']`, so volatile fields do
+ * not break replays; keys are recomputed from the stored requests, so the
+ * ignore list can change after recording.
+ *
+ * @example
+ * const client = await ReplayClient.load('tests/fixtures/cassettes/implement-feature.json');
+ * const engine = new PipelineEngine(client);
+ * const result = await engine.runPipeline('implement-feature', context);
+ */
+class ReplayClient {
+  /**
+   * @param {Object} cassette - Cassette (see readCassette)
+   * @param {Object} [options]
+   * @param {string[]} [options.ignore] - Request paths left out of matching ('*' matches any key)
+   * @param {boolean} [options.repeat] - Repeat the last response of a request once its recordings run out (default true)
+   */
+  constructor(cassette, options = {}) {
+    if (!cassette || !Array.isArray(cassette.interactions)) {
+      throw new Error('ReplayClient requires a cassette');
+    }
+
+    this.cassette = cassette;
+    this.ignore = options.ignore || [];
+    this.repeat = options.repeat !== false;
+    this.calls = [];
+
+    // Recordings of each request key, in order
+    this.recordings = new Map();
+    cassette.interactions.forEach(interaction => {
+      const key = getRequestKey(interaction.request, this.ignore);
+      if (!this.recordings.has(key)) {
+        this.recordings.set(key, []);
+      }
+      this.recordings.get(key).push(interaction);
+    });
+    this.served = new Map();
+
+    Object.entries(AGENT_METHODS).forEach(([agent, methods]) => {
+      this[agent] = {};
+      methods.forEach(method => {
+        this[agent][method] = (input, context) => this.replay({ agent, method, input, context });
+      });
+    });
+  }
+
+  /**
+   * Create a ReplayClient from a cassette file
+   * @param {string} filePath - Path of the cassette
+   * @param {Object} [options] - See constructor
+   * @returns {Promise<ReplayClient>}
+   */
+  static async load(filePath, options = {}) {
+    return new ReplayClient(await readCassette(filePath), options);
+  }
+
+  /**
+   * Answer a call from the cassette
+   * @private
+   */
+  async replay(request) {
+    const key = getRequestKey(request, this.ignore);
+    const recordings = this.recordings.get(key) || [];
+    const served = this.served.get(key) || 0;
+
+    this.calls.push({ ...request, key, matched: recordings.length > 0 });
+
+    if (recordings.length === 0 || (served >= recordings.length && !this.repeat)) {
+      const error = new Error(
+        `No recorded response for ${request.agent}.${request.method} (request ${key.slice(0, 12)})`
+      );
+      error.code = 'CASSETTE_MISS';
+      error.request = request;
+      throw error;
+    }
+
+    this.served.set(key, served + 1);
+    const interaction = recordings[Math.min(served, recordings.length - 1)];
+
+    if (interaction.error) {
+      throw deserializeError(interaction.error);
+    }
+    return JSON.parse(JSON.stringify(interaction.response));
+  }
+
+  /**
+   * Recorded interactions that no call has used yet, e.g. to assert that
+   * a replayed run made every call it made when it was recorded
+   * @returns {Object[]}
+   */
+  getUnusedInteractions() {
+    const unused = [];
+    this.recordings.forEach((recordings, key) => {
+      unused.push(...recordings.slice(this.served.get(key) || 0));
+    });
+    return unused;
+  }
+
+  isAuthenticated() {
+    return true;
+  }
+
+  getConfig() {
+    return { replay: true };
+  }
+}
+
+module.exports = { ReplayClient };
@@ -0,0 +1,143 @@
+/**
+ * Cassettes
+ *
+ * A cassette is a JSON file of recorded agent calls. RecordingClient
+ * writes one while passing calls through to a real SchemaICU client;
+ * ReplayClient serves the recorded responses back, so pipelines can run
+ * deterministically without a network.
+ *
+ * @example
+ * {
+ *   "cassetteVersion": 1,
+ *   "recordedAt": "2026-01-01T00:00:00.000Z",
+ *   "interactions": [{
+ *     "request": { "agent": "codeGenerator", "method": "generate", "input": "...", "context": { ... } },
+ *     "response": { "success": true, "data": { ... }, "timestamp": "...", "signature": { ... } },
+ *     "error": null,
+ *     "duration": 812,
+ *     "recordedAt": "2026-01-01T00:00:00.000Z"
+ *   }]
+ * }
+ *
+ * Requests are matched by a hash of their agent, method, input and
+ * context. Fields that change from run to run (ids, timestamps) can be
+ * left out of the hash with `ignore` paths such as 'context.requestId'
+ * or 'context.*.updatedAt' ('*' matches any key).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256 } = require('../utils/canonical');
+
+/** Version of the cassette file format */
+const CASSETTE_VERSION = 1;
+
+/**
+ * Create an empty cassette
+ * @returns {Object}
+ */
+function createCassette() {
+  return {
+    cassetteVersion: CASSETTE_VERSION,
+    recordedAt: new Date().toISOString(),
+    interactions: []
+  };
+}
+
+/**
+ * Read a cassette file
+ * @param {string} filePath - Path of the cassette
+ * @returns {Promise<Object>} The cassette
+ */
+async function readCassette(filePath) {
+  const cassette = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (cassette.cassetteVersion !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+    throw new Error(`${filePath}: unsupported cassette (cassetteVersion ${cassette.cassetteVersion})`);
+  }
+  return cassette;
+}
+
+/**
+ * Write a cassette file through a temporary file and a rename, so a crash
+ * never leaves a half-written cassette behind
+ * @param {string} filePath - Path of the cassette
+ * @param {Object} cassette - The cassette
+ */
+async function writeCassette(filePath, cassette) {
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempFile, `${JSON.stringify(cassette, null, 2)}\n`);
+  await fs.rename(tempFile, filePath);
+}
+
+/**
+ * Hash a request for matching, leaving out the ignored paths
+ * @param {Object} request - `{ agent, method, input, context }`
+ * @param {string[]} [ignore] - Dotted paths to leave out ('*' matches any key)
+ * @returns {string} SHA-256 hex digest
+ */
+function getRequestKey(request, ignore = []) {
+  const { agent, method, input, context } = request;
+  const copy = JSON.parse(JSON.stringify({ agent, method, input, context }));
+  ignore.forEach(ignorePath => removePath(copy, ignorePath.split('.')));
+  return sha256(copy);
+}
+
+/**
+ * Delete a dotted path from an object
+ * @private
+ */
+function removePath(value, segments) {
+  if (!value || typeof value !== 'object') return;
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(value) : [segment];
+
+  keys.forEach(key => {
+    if (rest.length === 0) {
+      delete value[key];
+    } else {
+      removePath(value[key], rest);
+    }
+  });
+}
+
+/**
+ * Serializable copy of an agent error (message, code and HTTP status),
+ * enough for ReplayClient to rethrow an error the engine classifies the
+ * same way
+ * @param {Error} error - Error thrown by the agent call
+ * @returns {Object}
+ */
+function serializeError(error) {
+  const status = error.statusCode || error.status || error.response?.status;
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(status ? { status } : {})
+  };
+}
+
+/**
+ * Rebuild an error recorded with serializeError
+ * @param {Object} recorded - Recorded error
+ * @returns {Error}
+ */
+function deserializeError(recorded) {
+  const error = new Error(recorded.message);
+  if (recorded.name && recorded.name !== 'Error') error.name = recorded.name;
+  if (recorded.code) error.code = recorded.code;
+  if (recorded.status) error.status = recorded.status;
+  return error;
+}
+
+module.exports = {
+  CASSETTE_VERSION,
+  createCassette,
+  readCassette,
+  writeCassette,
+  getRequestKey,
+  serializeError,
+  deserializeError
+};
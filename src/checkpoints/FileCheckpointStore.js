@@ -0,0 +1,119 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * FileCheckpointStore - Persists pipeline run checkpoints as JSON files
+ *
+ * Default store used by PipelineEngine when checkpointing is enabled.
+ * Each run is written to `<directory>/<runId>.json`; writes go through a
+ * temporary file and a rename so a crash never leaves a half-written
+ * checkpoint behind.
+ *
+ * Any object with the same async methods (save, load, delete, list) can
+ * be passed to the engine as `checkpointStore` instead, e.g. to keep
+ * checkpoints in a database.
+ *
+ * @example
+ * const store = new FileCheckpointStore('.schema-icu/runs');
+ * const engine = new PipelineEngine(client, { checkpoint: true, checkpointStore: store });
+ */
+class FileCheckpointStore {
+  /**
+   * @param {string} [directory] - Where checkpoint files are written
+   */
+  constructor(directory = path.join(process.cwd(), '.schema-icu', 'runs')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Save (or overwrite) the checkpoint of a run
+   * @param {string} runId - Run ID
+   * @param {Object} state - Serializable run state
+   */
+  async save(runId, state) {
+    const file = this.getPath(runId);
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Load the checkpoint of a run
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} The saved state, or null if there is none
+   */
+  async load(runId) {
+    try {
+      const content = await fs.readFile(this.getPath(runId), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the checkpoint of a run
+   * @param {string} runId - Run ID
+   * @returns {Promise<boolean>} Whether a checkpoint was deleted
+   */
+  async delete(runId) {
+    try {
+      await fs.unlink(this.getPath(runId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List saved runs
+   * @returns {Promise<Object[]>} Summaries: runId, pipelineId, status, updatedAt
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const runs = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const state = await this.load(path.basename(file, '.json'));
+      if (state) {
+        runs.push({
+          runId: state.runId,
+          pipelineId: state.pipelineId,
+          status: state.status,
+          updatedAt: state.updatedAt
+        });
+      }
+    }
+
+    return runs.sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  }
+
+  /**
+   * Path of a run's checkpoint file
+   * @private
+   */
+  getPath(runId) {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new Error(`Invalid run id: ${runId}`);
+    }
+    return path.join(this.directory, `${runId}.json`);
+  }
+}
+
+module.exports = { FileCheckpointStore };
@@ -0,0 +1,143 @@
+/**
+ * Line Merges
+ *
+ * Line matching (Myers' O(ND) diff) and a three-way merge in the style
+ * of diff3: changes made on only one side since the common base are
+ * taken, identical changes on both sides are taken once, and different
+ * changes to the same lines are conflicts.
+ */
+
+/**
+ * Match the lines of two texts along a shortest edit script
+ * @param {string[]} a - Lines of the first text
+ * @param {string[]} b - Lines of the second text
+ * @returns {Array<number|undefined>} For each line of `a`, the index of its match in `b`
+ */
+function matchLines(a, b) {
+  const matches = new Array(a.length);
+
+  // Common prefix and suffix need no search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    matches[--endA] = --endB;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  const pickDown = (state, d, k) => k === -d || (k !== d && state[offset + k - 1] < state[offset + k + 1]);
+
+  let done = max === 0;
+  for (let d = 0; !done && d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = pickDown(v, d, k) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[start + x] === b[start + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  // Walk back through the saved states, recording the diagonal moves
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const k = x - y;
+    const prevK = pickDown(trace[d], d, k) ? k + 1 : k - 1;
+    const prevX = trace[d][offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches[start + x] = start + y;
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return matches;
+}
+
+/**
+ * @private
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Three-way merge of two texts derived from a common base
+ * @param {string[]} base - Lines of the common ancestor
+ * @param {string[]} ours - Lines of one descendant (e.g. the file on disk)
+ * @param {string[]} theirs - Lines of the other descendant (e.g. the patched base)
+ * @returns {{clean: boolean, lines: string[], conflicts: Object[]}}
+ *   `lines` marks conflicts with <<<<<<< / ||||||| / ======= / >>>>>>> lines;
+ *   each conflict is `{ line, base, ours, theirs }` (line: 1-based, in `lines`)
+ */
+function mergeThreeWay(base, ours, theirs) {
+  const toOurs = matchLines(base, ours);
+  const toTheirs = matchLines(base, theirs);
+  const lines = [];
+  const conflicts = [];
+  let o = 0;
+  let a = 0;
+  let b = 0;
+
+  while (o < base.length || a < ours.length || b < theirs.length) {
+    // Stable line: unchanged on both sides
+    if (o < base.length && toOurs[o] === a && toTheirs[o] === b) {
+      lines.push(base[o]);
+      o++;
+      a++;
+      b++;
+      continue;
+    }
+
+    // Unstable chunk up to the next line both sides kept
+    let next = o;
+    while (next < base.length && (toOurs[next] === undefined || toTheirs[next] === undefined)) {
+      next++;
+    }
+    const aEnd = next < base.length ? toOurs[next] : ours.length;
+    const bEnd = next < base.length ? toTheirs[next] : theirs.length;
+    const baseChunk = base.slice(o, next);
+    const oursChunk = ours.slice(a, aEnd);
+    const theirsChunk = theirs.slice(b, bEnd);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      lines.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      lines.push(...oursChunk);
+    } else {
+      conflicts.push({ line: lines.length + 1, base: baseChunk, ours: oursChunk, theirs: theirsChunk });
+      lines.push('<<<<<<< current', ...oursChunk, '||||||| original', ...baseChunk, '=======', ...theirsChunk, '>>>>>>> patched');
+    }
+
+    o = next;
+    a = aEnd;
+    b = bEnd;
+  }
+
+  return { clean: conflicts.length === 0, lines, conflicts };
+}
+
+module.exports = {
+  matchLines,
+  mergeThreeWay
+};
@@ -0,0 +1,318 @@
+/**
+ * Unified Diffs
+ *
+ * Parses unified diffs (as produced by `diff -u`, git and diffImprover)
+ * and applies them to file content the way `patch` does:
+ * - A hunk is looked for at its line number, shifted by the lines earlier
+ *   hunks added or removed, then at growing distances from there
+ *   (offset).
+ * - If its context does not match anywhere, up to `fuzz` lines of
+ *   leading and trailing context are ignored.
+ * - A hunk that still does not match is rejected. When the original
+ *   content the diff was made against is known, the diff is applied to
+ *   it instead and merged three ways with the current content.
+ *
+ * Rejected hunks can be written out as a `.rej` report with formatRejects.
+ */
+
+const { mergeThreeWay } = require('./merge');
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Strip the a/ or b/ prefix and any timestamp from a ---/+++ path
+ * @private
+ */
+function parseHeaderPath(line) {
+  const value = line.slice(4).split('\t')[0].trim();
+  if (value === '/dev/null') {
+    return null;
+  }
+  return value.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse a unified diff
+ * @param {string} text - Diff text, possibly covering several files
+ * @returns {Array<{oldPath: string|null, newPath: string|null, hunks: Object[]}>}
+ *   hunks are `{ oldStart, oldLines, newStart, newLines, lines: [{ type: ' '|'-'|'+', text }] }`
+ */
+function parseUnifiedDiff(text) {
+  const files = [];
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  let file = null;
+  let hunk = null;
+
+  const startFile = () => {
+    file = { oldPath: null, newPath: null, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+      startFile();
+      file.oldPath = parseHeaderPath(line);
+      file.newPath = parseHeaderPath(lines[i + 1]);
+      i++;
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      if (!file) {
+        startFile();
+      }
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      continue;
+    }
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the line before
+      const last = hunk.lines[hunk.lines.length - 1];
+      if (last) {
+        last.noNewline = true;
+      }
+    } else if (line[0] === ' ' || line[0] === '-' || line[0] === '+') {
+      hunk.lines.push({ type: line[0], text: line.slice(1) });
+    } else if (line === '' && i < lines.length - 1) {
+      // Some tools drop the space of empty context lines
+      hunk.lines.push({ type: ' ', text: '' });
+    }
+  }
+
+  const parsed = files.filter(entry => entry.hunks.length > 0);
+  if (parsed.length === 0) {
+    const error = new Error('No hunks found in diff');
+    error.code = 'DIFF_INVALID';
+    throw error;
+  }
+  return parsed;
+}
+
+/**
+ * Split content into lines, remembering whether it ends with a newline
+ * @private
+ */
+function splitLines(content) {
+  const text = String(content ?? '');
+  return {
+    lines: text === '' ? [] : text.replace(/\n$/, '').split('\n'),
+    noNewline: text !== '' && !text.endsWith('\n')
+  };
+}
+
+/**
+ * @private
+ */
+function joinLines(lines, noNewline) {
+  if (lines.length === 0) {
+    return '';
+  }
+  return `${lines.join('\n')}${noNewline ? '' : '\n'}`;
+}
+
+/**
+ * Hunk header line
+ * @param {Object} hunk - Parsed hunk
+ * @returns {string} `@@ -oldStart,oldLines +newStart,newLines @@`
+ */
+function formatHunkHeader(hunk) {
+  return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+}
+
+/**
+ * Index in the file where a hunk's old lines start
+ * @private
+ */
+function getHunkStart(hunk) {
+  return Math.max(0, hunk.oldStart - 1 + (hunk.oldLines === 0 ? 1 : 0));
+}
+
+/**
+ * Find where a hunk applies, trying every offset without fuzz first
+ * @private
+ * @returns {{start: number, head: number, fuzz: number, remove: number, insert: Object[]}|null}
+ */
+function locateHunk(lines, hunk, expected, minStart, maxFuzz) {
+  const leadingContext = hunk.lines.findIndex(line => line.type !== ' ');
+  const trailingContext = [...hunk.lines].reverse().findIndex(line => line.type !== ' ');
+  const hasOldLines = hunk.lines.some(line => line.type !== '+');
+
+  for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+    const head = Math.min(fuzz, Math.max(leadingContext, 0));
+    const tail = Math.min(fuzz, Math.max(trailingContext, 0));
+    if (fuzz > 0 && head === 0 && tail === 0) {
+      break;
+    }
+
+    const body = hunk.lines.slice(head, hunk.lines.length - tail);
+    const old = body.filter(line => line.type !== '+').map(line => line.text);
+    // Without any context left, a hunk would match anywhere
+    if (hasOldLines && old.length === 0) {
+      break;
+    }
+
+    const target = expected + head;
+    const last = lines.length - old.length;
+    const matchesAt = start => old.every((text, i) => lines[start + i] === text);
+
+    for (let distance = 0; target - distance >= minStart || target + distance <= last; distance++) {
+      for (const start of distance === 0 ? [target] : [target - distance, target + distance]) {
+        if (start >= minStart && start <= last && matchesAt(start)) {
+          return {
+            start,
+            head,
+            fuzz,
+            remove: old.length,
+            insert: body.filter(line => line.type !== '-')
+          };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply hunks to content, leaving out the ones that do not match
+ * @private
+ */
+function applyHunkList(content, hunks, fuzz) {
+  const { lines, noNewline: initialNoNewline } = splitLines(content);
+  let noNewline = initialNoNewline;
+  let delta = 0;
+  let lastOffset = 0;
+  let minStart = 0;
+
+  const results = hunks.map((hunk, index) => {
+    const header = formatHunkHeader(hunk);
+    const expected = Math.min(Math.max(getHunkStart(hunk) + delta + lastOffset, 0), lines.length);
+    const match = locateHunk(lines, hunk, expected, minStart, fuzz);
+
+    if (!match) {
+      return { index, header, status: 'rejected', reason: 'context does not match the file' };
+    }
+
+    // Offsets count from the line number in the header, as `patch` reports them
+    const offset = match.start - match.head - (getHunkStart(hunk) + delta);
+    lines.splice(match.start, match.remove, ...match.insert.map(line => line.text));
+    delta += match.insert.length - match.remove;
+    lastOffset = offset;
+    minStart = match.start + match.insert.length;
+
+    const lastLine = match.insert[match.insert.length - 1];
+    if (lastLine && minStart === lines.length) {
+      noNewline = Boolean(lastLine.noNewline);
+    }
+
+    return { index, header, status: 'applied', line: match.start + 1, offset, fuzz: match.fuzz };
+  });
+
+  return { content: joinLines(lines, noNewline), hunks: results };
+}
+
+/**
+ * Apply the hunks of one file's diff to its content
+ * @param {string} content - Current file content
+ * @param {Object[]} hunks - Hunks of the file (see parseUnifiedDiff)
+ * @param {Object} [options]
+ * @param {number} [options.fuzz] - Context lines that may be ignored at each end of a hunk (default 2)
+ * @param {string} [options.original] - Content the diff was made against, for a three-way merge
+ * @returns {{applied: boolean, method: 'patch'|'merge'|null, content: string, hunks: Object[], conflicts: Object[]}}
+ *   `hunks` reports each hunk: `{ index, header, status: 'applied'|'merged'|'rejected', line?, offset?, fuzz?, reason? }`.
+ *   Unless `applied`, `content` is the input unchanged.
+ */
+function applyPatch(content, hunks, options = {}) {
+  const fuzz = options.fuzz ?? 2;
+  const patched = applyHunkList(content, hunks, fuzz);
+  const rejected = patched.hunks.filter(hunk => hunk.status === 'rejected');
+
+  if (rejected.length === 0) {
+    return { applied: true, method: 'patch', content: patched.content, hunks: patched.hunks, conflicts: [] };
+  }
+
+  const failed = { applied: false, method: null, content: String(content ?? ''), hunks: patched.hunks, conflicts: [] };
+  if (typeof options.original !== 'string') {
+    return failed;
+  }
+
+  // Patch the content the agent saw, then carry the changes over
+  const theirs = applyHunkList(options.original, hunks, 0);
+  if (theirs.hunks.some(hunk => hunk.status === 'rejected')) {
+    rejected.forEach(hunk => {
+      hunk.reason = `${hunk.reason}, and the diff does not apply to the original either`;
+    });
+    return failed;
+  }
+
+  const merge = mergeThreeWay(
+    splitLines(options.original).lines,
+    splitLines(content).lines,
+    splitLines(theirs.content).lines
+  );
+  if (!merge.clean) {
+    rejected.forEach(hunk => {
+      hunk.reason = `${hunk.reason}, and merging with the original conflicts`;
+    });
+    return { ...failed, conflicts: merge.conflicts };
+  }
+
+  rejected.forEach(hunk => {
+    hunk.status = 'merged';
+    delete hunk.reason;
+  });
+  return {
+    applied: true,
+    method: 'merge',
+    content: joinLines(merge.lines, splitLines(theirs.content).noNewline),
+    hunks: patched.hunks,
+    conflicts: []
+  };
+}
+
+/**
+ * Format hunks as a unified diff, e.g. a `.rej` report of rejected hunks
+ * @param {Object} file - Parsed file diff (see parseUnifiedDiff)
+ * @param {number[]} [indexes] - Hunks to include (default all)
+ * @returns {string}
+ */
+function formatRejects(file, indexes = file.hunks.map((hunk, index) => index)) {
+  const output = [
+    `--- ${file.oldPath ? `a/${file.oldPath}` : '/dev/null'}`,
+    `+++ ${file.newPath ? `b/${file.newPath}` : '/dev/null'}`
+  ];
+
+  indexes.forEach(index => {
+    const hunk = file.hunks[index];
+    output.push(formatHunkHeader(hunk));
+    hunk.lines.forEach(line => {
+      output.push(`${line.type}${line.text}`);
+      if (line.noNewline) {
+        output.push('\\ No newline at end of file');
+      }
+    });
+  });
+
+  return `${output.join('\n')}\n`;
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  applyPatch,
+  formatHunkHeader,
+  formatRejects
+};
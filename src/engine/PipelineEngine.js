@@ -1,4 +1,71 @@
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
+const { FileCheckpointStore } = require('../checkpoints/FileCheckpointStore');
+const { AuditLog } = require('../audit/AuditLog');
+const { ActionExecutor } = require('../actions/ActionExecutor');
+const { TransactionalWorkspace } = require('../actions/TransactionalWorkspace');
+const { buildFileActions, resolvePathCollisions } = require('../actions/codeFiles');
+const { parseUnifiedDiff } = require('../diff/unifiedDiff');
+const { sha256, canonicalize } = require('../utils/canonical');
+const { validateSchema, formatValidationErrors } = require('../validation/jsonSchema');
+const { AGENT_OUTPUT_SCHEMAS } = require('../validation/agentSchemas');
+const { readPipelineFile } = require('../format/pipelineFile');
+const { lintPipeline } = require('../lint/pipelineLinter');
+const { verifyResponse } = require('../signing/signatures');
+const { verifyPipeline } = require('../signing/pipelineSignatures');
+const { getRunMerkleRoot } = require('../signing/runProofs');
+const { PLAN_VERSION, forEachPlannedStep } = require('./plan');
+const {
+  TEMPLATE_ROOTS,
+  findTemplateReferences,
+  checkTemplate,
+  hasDefault,
+  renderTemplate,
+  renderTemplateValues
+} = require('./templates');
+const {
+  evaluateCondition,
+  buildConditionScope,
+  resolvePath,
+  LOOP_CONDITIONS
+} = require('./conditions');
+
+/**
+ * Default retry policy: a single attempt, so retries are opt-in.
+ * `retryOn` lists the error classes (see classifyError) worth retrying.
+ */
+const DEFAULT_RETRY_POLICY = {
+  attempts: 1,
+  backoff: 1000, // base delay in ms, doubled after each attempt
+  maxDelay: 30000,
+  retryOn: ['timeout', 'network', 'rate-limit', 'server']
+};
+
+/** Network error codes that indicate a transient failure */
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+];
+
+/** Events emitted while pipelines run (see stream()) */
+const PIPELINE_EVENTS = [
+  'run:start',
+  'step:start',
+  'step:retry',
+  'step:complete',
+  'step:skipped',
+  'approval:requested',
+  'action:collected',
+  'policy:denied',
+  'run:complete'
+];
 
 /**
  * PipelineEngine - Core engine for executing Schema.ICU agent pipelines
@@ -11,35 +78,80 @@ const { SchemaICU } = require('@smartledger/schema-icu-sdk');
  * - Context propagation between steps
  * - Error handling and retries
  * - Action collection and approval flows
+ * - Applying actions to a project directory (ActionExecutor), optionally as git commits
+ *   or through a verified scratch copy (TransactionalWorkspace)
+ * - Checkpointing and resuming failed runs
+ * - Progress events (EventEmitter) and an async event stream
  * - BSV signature verification
+ * - Hash-chained audit log
  * 
  * @example
  * const engine = new PipelineEngine(schemaICU);
  * engine.registerPipeline(implementFeaturePipeline);
  * const result = await engine.runPipeline('implement-feature', context);
  */
-class PipelineEngine {
+class PipelineEngine extends EventEmitter {
   /**
    * @param {SchemaICU} schemaICU - Schema.ICU SDK client instance
    * @param {Object} options - Configuration options
    */
   constructor(schemaICU, options = {}) {
+    super();
+
     if (!schemaICU) {
       throw new Error('PipelineEngine requires a SchemaICU client instance');
     }
+    if (options.maxConcurrency !== undefined && !(Number.isInteger(options.maxConcurrency) && options.maxConcurrency > 0)) {
+      throw new Error(`maxConcurrency must be a positive integer, got ${options.maxConcurrency}`);
+    }
+
+    // Any key can sign, so a required signature only means something against pinned keys
+    if (options.requireSignatures && !(options.trustedKeys || []).length) {
+      const error = new Error('requireSignatures needs trustedKeys: without them any signer is accepted');
+      error.code = 'SIGNATURE_KEYS_REQUIRED';
+      throw error;
+    }
+    if (options.requireSignedPipelines && !(options.trustedPipelineKeys || []).length) {
+      const error = new Error('requireSignedPipelines needs trustedPipelineKeys: without them any signer is accepted');
+      error.code = 'PIPELINE_KEYS_REQUIRED';
+      throw error;
+    }
 
     this.client = schemaICU;
     this.pipelines = new Map();
+    this.pipelineVerifications = new Map();
     this.policyEngine = options.policyEngine || null;
     this.options = {
       verbose: options.verbose || false,
       defaultTimeout: options.defaultTimeout || 60000, // 60s per step
+      maxConcurrency: options.maxConcurrency || 4, // parallel steps per run
+      maxPipelineDepth: options.maxPipelineDepth || 5, // nested sub-pipeline limit
       autoApprove: options.autoApprove || false,
       onStepComplete: options.onStepComplete || null,
       onApprovalRequired: options.onApprovalRequired || null,
-      ...options
+      maxReasks: options.maxReasks || 0, // re-asks after invalid agent output
+      trustedKeys: options.trustedKeys || [], // pinned Schema.ICU public keys (hex)
+      requireSignatures: options.requireSignatures || false, // fail steps whose signature does not verify
+      trustedPipelineKeys: options.trustedPipelineKeys || [], // public keys allowed to sign pipelines (hex)
+      requireSignedPipelines: options.requireSignedPipelines || false, // refuse unsigned or tampered pipelines
+      ...options,
+      retry: { ...DEFAULT_RETRY_POLICY, ...options.retry }, // per-step retry defaults
+      outputSchemas: options.outputSchemas === false // false: only validate steps with a schema
+        ? null
+        : { ...AGENT_OUTPUT_SCHEMAS, ...options.outputSchemas }
     };
 
+    // Checkpoints are opt-in; the JSON-file store is used unless one is given
+    this.checkpointStore = options.checkpoint
+      ? (options.checkpointStore || new FileCheckpointStore())
+      : null;
+
+    // Auditing is opt-in; entries go to .schema-icu/audit.jsonl unless a log is given.
+    // Its existing chain is read (AuditLog#open) when the first run starts.
+    this.auditLog = options.audit
+      ? (options.auditLog || new AuditLog({ file: path.join(process.cwd(), '.schema-icu', 'audit.jsonl') }))
+      : null;
+
     this.log('PipelineEngine initialized');
   }
 
@@ -59,255 +171,1919 @@ class PipelineEngine {
 
     // Validate pipeline definition
     this.validatePipelineDefinition(pipelineDefinition);
+    const verification = this.checkPipelineSignature(pipelineDefinition);
 
     this.pipelines.set(pipelineDefinition.id, pipelineDefinition);
+    this.pipelineVerifications.set(pipelineDefinition.id, verification);
     this.log(`Registered pipeline: ${pipelineDefinition.id} (${pipelineDefinition.name})`);
 
     return this;
   }
 
+  /**
+   * Verify the signature of a pipeline definition against
+   * `trustedPipelineKeys`. With `requireSignedPipelines` an unsigned,
+   * tampered or untrusted pipeline is refused with a
+   * PIPELINE_SIGNATURE_INVALID error; otherwise it is registered and
+   * the outcome kept for getPipelineVerification.
+   * @private
+   * @returns {{verified: boolean, reason: string, publicKey: string|null}}
+   */
+  checkPipelineSignature(pipeline) {
+    const verification = verifyPipeline(pipeline, { trustedKeys: this.options.trustedPipelineKeys });
+
+    if (!verification.verified && this.options.requireSignedPipelines) {
+      const error = new Error(`Pipeline ${pipeline.id} refused: ${verification.reason}`);
+      error.code = 'PIPELINE_SIGNATURE_INVALID';
+      error.verification = verification;
+      throw error;
+    }
+    if (pipeline.signature && !verification.verified) {
+      this.log(`⚠️  Pipeline ${pipeline.id} signature not verified: ${verification.reason}`);
+    }
+
+    return verification;
+  }
+
+  /**
+   * Signature verification of a registered pipeline
+   * @param {string} pipelineId - Pipeline ID
+   * @returns {{verified: boolean, reason: string, publicKey: string|null}|undefined}
+   */
+  getPipelineVerification(pipelineId) {
+    return this.pipelineVerifications.get(pipelineId);
+  }
+
+  /**
+   * Load a declarative pipeline from a YAML or JSON file and register it
+   * @param {string} filePath - Path of a .yaml, .yml or .json pipeline file
+   * @returns {Promise<Object>} The registered pipeline definition
+   */
+  async loadPipelineFile(filePath) {
+    const pipeline = await readPipelineFile(filePath);
+    this.registerPipeline(pipeline);
+    return pipeline;
+  }
+
+  /**
+   * Lint a pipeline definition without registering it. Unlike
+   * registration, which stops at the first problem, this reports every
+   * problem found, including ones registration lets through (unknown
+   * agent methods or input sources, unregistered sub-pipelines, typos).
+   * @param {Object} pipelineDefinition - Pipeline configuration
+   * @returns {Object} `{ pipelineId, valid, errorCount, warningCount, diagnostics }`
+   */
+  lintPipeline(pipelineDefinition) {
+    return lintPipeline(pipelineDefinition, { pipelineIds: [...this.pipelines.keys()] });
+  }
+
   /**
    * Validate a pipeline definition
    * @private
    */
   validatePipelineDefinition(pipeline) {
+    const stepIds = new Set();
+
+    if (pipeline.maxConcurrency !== undefined && !(Number.isInteger(pipeline.maxConcurrency) && pipeline.maxConcurrency > 0)) {
+      throw new Error(`Pipeline ${pipeline.id} maxConcurrency must be a positive integer`);
+    }
+
     // Check all steps have required fields
     pipeline.steps.forEach((step, index) => {
-      if (!step.id) {
-        throw new Error(`Step ${index} missing id`);
+      this.validateStep(step, index);
+    });
+    this.checkUniqueStepIds(pipeline.steps, `Pipeline ${pipeline.id}`).forEach(id => stepIds.add(id));
+
+    // Check dependencies point at known steps and form no cycles
+    const graph = this.buildStepGraph(pipeline);
+    graph.forEach((deps, stepId) => {
+      deps.forEach(dep => {
+        if (!stepIds.has(dep)) {
+          throw new Error(`Step ${stepId} depends on unknown step: ${dep}`);
+        }
+      });
+    });
+
+    const cycle = this.findCycle(graph);
+    if (cycle) {
+      throw new Error(`Pipeline ${pipeline.id} has a dependency cycle: ${cycle.join(' -> ')}`);
+    }
+
+    this.validateStepReferences(pipeline, graph);
+
+    return true;
+  }
+
+  /**
+   * Check that `{{steps.<id>...}}` template references name a step that
+   * is guaranteed to have run first: a (transitive) dependency, or for
+   * sub-steps, another step of the same loop or map body
+   * @private
+   */
+  validateStepReferences(pipeline, graph) {
+    const ancestorsOf = (stepId, seen = new Set()) => {
+      (graph.get(stepId) || []).forEach(dep => {
+        if (!seen.has(dep)) {
+          seen.add(dep);
+          ancestorsOf(dep, seen);
+        }
+      });
+      return seen;
+    };
+
+    const check = (step, visible) => {
+      this.getStepTemplates(step).forEach(({ field, template }) => {
+        findTemplateReferences(template).forEach(ref => {
+          const [root, stepId] = ref.path.split('.');
+          if (root !== 'steps') return;
+          if (!visible.has(stepId)) {
+            throw new Error(
+              `Step ${step.id} ${field} references step ${stepId}, which is not one of its dependencies: {{${ref.expression}}}`
+            );
+          }
+        });
+      });
+
+      const body = step.type === 'loop' ? step.steps : (step.type === 'map' ? this.getMapBody(step) : []);
+      const bodyIds = body.map(subStep => subStep.id);
+      body.forEach(subStep => check(subStep, new Set([...visible, ...bodyIds])));
+    };
+
+    pipeline.steps.forEach(step => check(step, ancestorsOf(step.id)));
+  }
+
+  /**
+   * Templates of a step: its query and the string values of its context
+   * and resultMap (which may also read the agent output as `data`)
+   * @private
+   * @returns {Array<{field: string, template: string, roots: string[]}>}
+   */
+  getStepTemplates(step) {
+    const templates = [];
+    if (typeof step.query === 'string') {
+      templates.push({ field: 'query', template: step.query, roots: TEMPLATE_ROOTS });
+    }
+    Object.entries(step.context || {}).forEach(([key, value]) => {
+      if (typeof value === 'string') {
+        templates.push({ field: `context.${key}`, template: value, roots: TEMPLATE_ROOTS });
       }
-      if (!step.agent) {
-        throw new Error(`Step ${step.id} missing agent`);
+    });
+    Object.entries(step.resultMap || {}).forEach(([key, value]) => {
+      if (typeof value === 'string') {
+        templates.push({ field: `resultMap.${key}`, template: value, roots: [...TEMPLATE_ROOTS, 'data'] });
       }
-      if (!step.method) {
-        throw new Error(`Step ${step.id} missing method`);
+    });
+    return templates;
+  }
+
+  /**
+   * Find `{{context...}}` references that the run's context cannot
+   * satisfy, so the run fails before any agent is called. References
+   * with a `default` filter, and map items (`context.item`), are exempt.
+   * @private
+   * @returns {string[]} Descriptions of the unresolved references
+   */
+  findUnresolvedContextReferences(pipeline, context) {
+    const unresolved = [];
+
+    const check = (step, inMapBody) => {
+      this.getStepTemplates(step).forEach(({ field, template }) => {
+        findTemplateReferences(template).forEach(ref => {
+          const [root, key] = ref.path.split('.');
+          if (root !== 'context' || hasDefault(ref)) return;
+          if (inMapBody && (key === 'item' || key === 'itemIndex')) return;
+          const value = resolvePath({ context }, ref.path);
+          if (value === undefined || value === null) {
+            unresolved.push(`${step.id} ${field}: {{${ref.expression}}}`);
+          }
+        });
+      });
+
+      if (step.type === 'loop') {
+        step.steps.forEach(subStep => check(subStep, inMapBody));
+      } else if (step.type === 'map') {
+        this.getMapBody(step).forEach(subStep => check(subStep, true));
       }
-      if (!step.inputFrom) {
-        throw new Error(`Step ${step.id} missing inputFrom`);
+    };
+
+    pipeline.steps.forEach(step => check(step, false));
+    return unresolved;
+  }
+
+  /**
+   * Reject a list of steps (a pipeline, or a loop or map body) that
+   * repeats an id: results, dependencies and scheduling are keyed on it
+   * @private
+   * @returns {string[]} The ids
+   */
+  checkUniqueStepIds(steps, owner) {
+    const seen = new Set();
+    steps.forEach(step => {
+      if (seen.has(step.id)) {
+        throw new Error(`${owner} has more than one step with id ${step.id}`);
       }
+      seen.add(step.id);
     });
+    return [...seen];
+  }
 
-    return true;
+  /**
+   * Validate a single step (and the body of loop steps)
+   * @private
+   */
+  validateStep(step, index) {
+    if (!step.id) {
+      throw new Error(`Step ${index} missing id`);
+    }
+    if (step.dependsOn !== undefined && !Array.isArray(step.dependsOn)) {
+      throw new Error(`Step ${step.id} dependsOn must be an array of step ids`);
+    }
+    if (step.when !== undefined && typeof step.when !== 'function' && typeof step.when !== 'object') {
+      throw new Error(`Step ${step.id} when must be a function or a condition object`);
+    }
+    ['context', 'resultMap'].forEach(field => {
+      if (step[field] !== undefined && (typeof step[field] !== 'object' || step[field] === null)) {
+        throw new Error(`Step ${step.id} ${field} must be an object`);
+      }
+    });
+    this.getStepTemplates(step).forEach(({ field, template, roots }) => {
+      const problems = checkTemplate(template, roots);
+      if (problems.length > 0) {
+        throw new Error(`Step ${step.id} ${field} has an invalid template: ${problems.join('; ')}`);
+      }
+    });
+
+    if (step.type === 'loop') {
+      if (!Array.isArray(step.steps) || step.steps.length === 0) {
+        throw new Error(`Loop step ${step.id} must have a non-empty steps array`);
+      }
+      if (!Number.isInteger(step.maxIterations) || step.maxIterations < 1) {
+        throw new Error(`Loop step ${step.id} must have a positive integer maxIterations`);
+      }
+      if (typeof step.until === 'string' && !LOOP_CONDITIONS[step.until]) {
+        throw new Error(`Loop step ${step.id} has unknown until condition: ${step.until}`);
+      }
+      step.steps.forEach((subStep, subIndex) => this.validateStep(subStep, subIndex));
+      this.checkUniqueStepIds(step.steps, `Loop step ${step.id}`);
+      return;
+    }
+
+    if (step.type === 'pipeline') {
+      if (!step.pipelineId) {
+        throw new Error(`Pipeline step ${step.id} missing pipelineId`);
+      }
+      return;
+    }
+
+    if (step.type === 'map') {
+      if (typeof step.items !== 'string' && typeof step.items !== 'function') {
+        throw new Error(`Map step ${step.id} must have items (a path or a function)`);
+      }
+      const body = this.getMapBody(step);
+      if (body.length === 0) {
+        throw new Error(`Map step ${step.id} must have a step or a non-empty steps array`);
+      }
+      if (step.maxConcurrency !== undefined && !(Number.isInteger(step.maxConcurrency) && step.maxConcurrency > 0)) {
+        throw new Error(`Map step ${step.id} maxConcurrency must be a positive integer`);
+      }
+      body.forEach((subStep, subIndex) => this.validateStep(subStep, subIndex));
+      this.checkUniqueStepIds(body, `Map step ${step.id}`);
+      return;
+    }
+
+    if (step.type !== undefined && step.type !== 'agent') {
+      throw new Error(`Step ${step.id} has unknown type: ${step.type}`);
+    }
+    if (!step.agent) {
+      throw new Error(`Step ${step.id} missing agent`);
+    }
+    if (!step.method) {
+      throw new Error(`Step ${step.id} missing method`);
+    }
+    if (!step.inputFrom) {
+      throw new Error(`Step ${step.id} missing inputFrom`);
+    }
+  }
+
+  /**
+   * Build the dependency graph of a pipeline (step id -> dependency ids).
+   * Steps without `dependsOn` depend on the step before them, which keeps
+   * plain pipelines sequential; `dependsOn: []` marks a step as a root.
+   * @private
+   */
+  buildStepGraph(pipeline) {
+    const graph = new Map();
+
+    pipeline.steps.forEach((step, index) => {
+      if (Array.isArray(step.dependsOn)) {
+        graph.set(step.id, [...step.dependsOn]);
+      } else {
+        graph.set(step.id, index > 0 ? [pipeline.steps[index - 1].id] : []);
+      }
+    });
+
+    return graph;
+  }
+
+  /**
+   * Find a dependency cycle using depth-first search
+   * @private
+   * @returns {string[]|null} Step ids forming the cycle, or null
+   */
+  findCycle(graph) {
+    const visiting = new Set();
+    const visited = new Set();
+    const path = [];
+
+    const visit = (stepId) => {
+      if (visiting.has(stepId)) {
+        return [...path.slice(path.indexOf(stepId)), stepId];
+      }
+      if (visited.has(stepId) || !graph.has(stepId)) {
+        return null;
+      }
+
+      visiting.add(stepId);
+      path.push(stepId);
+
+      for (const dep of graph.get(stepId)) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+
+      path.pop();
+      visiting.delete(stepId);
+      visited.add(stepId);
+      return null;
+    };
+
+    for (const stepId of graph.keys()) {
+      const cycle = visit(stepId);
+      if (cycle) return cycle;
+    }
+
+    return null;
   }
 
   /**
    * Execute a registered pipeline
    * @param {string} pipelineId - ID of the pipeline to run
    * @param {Object} context - Execution context
+   * @param {Object} [runOptions] - Run options
+   * @param {AbortSignal} [runOptions.signal] - Cancels the run when aborted
+   * @param {string} [runOptions.runId] - Run ID to use instead of a generated one
+   * @param {Object} [runOptions.plan] - Plan from planRun() the run must follow
    * @returns {Promise<Object>} Pipeline result
    */
-  async runPipeline(pipelineId, context = {}) {
+  async runPipeline(pipelineId, context = {}, runOptions = {}) {
+    return this.executePipeline(pipelineId, context, runOptions);
+  }
+
+  /**
+   * Plan a run without calling any agent (dry run). Resolves each step's
+   * input and agent context where they do not depend on earlier output,
+   * evaluates conditions that only read the context, checks policy for
+   * the pipeline and every agent step and lists the approvals the run
+   * would request. Sub-pipelines are planned with their static context.
+   *
+   * Passing the plan to runPipeline() as `{ plan }` makes it the run's
+   * contract: the run fails with PLAN_MISMATCH if the definition or
+   * context changed since planning, and a step fails with PLAN_VIOLATION
+   * if its agent, input or context differ from what was planned.
+   *
+   * @param {string} pipelineId - ID of the pipeline to plan
+   * @param {Object} context - Execution context the run would get
+   * @returns {Promise<Object>} Run plan (render it with formatPlan())
+   */
+  async planRun(pipelineId, context = {}) {
+    return this.planPipeline(pipelineId, context, []);
+  }
+
+  /**
+   * Plan a pipeline (top-level or sub-pipeline)
+   * @private
+   */
+  async planPipeline(pipelineId, context, callStack) {
     const pipeline = this.pipelines.get(pipelineId);
-    
     if (!pipeline) {
       throw new Error(`Pipeline not found: ${pipelineId}`);
     }
 
-    this.log(`\n🚀 Starting pipeline: ${pipeline.name}`);
-    this.log(`   ID: ${pipelineId}`);
-    this.log(`   Steps: ${pipeline.steps.length}`);
+    const executionContext = { ...pipeline.defaultContext, ...context, stepResults: {} };
+    const plan = {
+      planVersion: PLAN_VERSION,
+      pipelineId: pipeline.id,
+      pipelineName: pipeline.name,
+      pipelineVersion: pipeline.version || null,
+      definitionHash: this.getDefinitionHash(pipeline),
+      contextHash: this.getContextHash(executionContext),
+      createdAt: new Date().toISOString(),
+      allowed: true,
+      policy: { allowed: true },
+      requiresApproval: Boolean(pipeline.requiresApproval && !this.options.autoApprove),
+      unresolved: this.findUnresolvedContextReferences(pipeline, executionContext),
+      approvals: [],
+      denied: [],
+      runtimeInputs: [],
+      steps: []
+    };
 
-    const startTime = Date.now();
-    const startedAt = new Date().toISOString();
+    if (this.policyEngine) {
+      plan.policy = await this.policyEngine.checkPipeline(pipeline, executionContext);
+    }
+    if (plan.requiresApproval) {
+      plan.approvals.push({ type: 'pipeline', pipelineId: pipeline.id, name: pipeline.name });
+    }
+
+    const graph = this.buildStepGraph(pipeline);
+    const state = { plan, callStack: [...callStack, pipeline.id] };
+    for (const step of pipeline.steps) {
+      plan.steps.push(await this.planStep({ ...step, dependsOn: graph.get(step.id) }, executionContext, state, false));
+    }
+
+    plan.allowed = plan.policy.allowed && plan.unresolved.length === 0 && plan.denied.length === 0;
+    return plan;
+  }
+
+  /**
+   * Plan one step; loop and map bodies are planned as nested steps
+   * @private
+   */
+  async planStep(step, context, state, inMapBody) {
+    const planned = {
+      stepId: step.id,
+      stepName: step.name,
+      type: step.type || 'agent',
+      dependsOn: step.dependsOn || [],
+      condition: null,
+      runtime: []
+    };
+    const addRuntime = (field, reference) => {
+      planned.runtime.push({ field, reference });
+      state.plan.runtimeInputs.push({ pipelineId: state.plan.pipelineId, stepId: step.id, field, reference });
+    };
+
+    // Step outputs (and map items) only exist at runtime
+    const isRuntimeReference = ref => {
+      const [root, key] = ref.path.split('.');
+      return root === 'steps' || (inMapBody && root === 'context' && (key === 'item' || key === 'itemIndex'));
+    };
+    const runtimeReferences = template => findTemplateReferences(template).filter(isRuntimeReference);
+    const scope = buildConditionScope([], context);
+
+    if (typeof step.when === 'function') {
+      planned.condition = { status: 'runtime', reason: 'predicate function' };
+      addRuntime('when', 'predicate function');
+    } else if (step.when) {
+      const stepPaths = this.getConditionPaths(step.when).filter(path => path.startsWith('steps.'));
+      if (stepPaths.length > 0) {
+        planned.condition = { status: 'runtime', reason: stepPaths.join(', ') };
+        stepPaths.forEach(path => addRuntime('when', path));
+      } else {
+        const outcome = await evaluateCondition(step.when, [], context);
+        planned.condition = { status: outcome.passed ? 'passes' : 'skips', reason: outcome.reason };
+      }
+    }
+
+    if (planned.type === 'loop' || planned.type === 'map') {
+      if (planned.type === 'loop') {
+        planned.maxIterations = step.maxIterations;
+        planned.until = typeof step.until === 'function' ? 'predicate function' : (step.until || null);
+      } else {
+        planned.items = typeof step.items === 'function' ? 'items function' : step.items;
+        addRuntime('items', planned.items);
+      }
+      const body = planned.type === 'loop' ? step.steps : this.getMapBody(step);
+      planned.steps = [];
+      for (const subStep of body) {
+        planned.steps.push(await this.planStep(subStep, context, state, inMapBody || planned.type === 'map'));
+      }
+      return planned;
+    }
+
+    if (planned.type === 'pipeline') {
+      planned.pipelineId = step.pipelineId;
+      planned.plan = null;
+
+      const { stepResults: _parentResults, ...childContext } = context;
+      let staticContext = true;
+      if (step.contextBuilder) {
+        staticContext = false;
+        addRuntime('context', 'contextBuilder function');
+      }
+      Object.entries(step.context || {}).forEach(([key, template]) => {
+        const refs = runtimeReferences(template);
+        if (refs.length > 0) {
+          staticContext = false;
+          refs.forEach(ref => addRuntime(`context.${key}`, `{{${ref.expression}}}`));
+          return;
+        }
+        try {
+          Object.assign(childContext, renderTemplateValues({ [key]: template }, scope));
+        } catch (error) {
+          // Reported by the run-level check for unresolved references
+        }
+      });
+
+      const deny = reason => {
+        planned.note = `not planned: ${reason}`;
+        state.plan.denied.push({ pipelineId: state.plan.pipelineId, stepId: step.id, reason });
+      };
+      if (state.callStack.includes(step.pipelineId)) {
+        deny(`recursive invocation of ${step.pipelineId}`);
+      } else if (!this.pipelines.has(step.pipelineId)) {
+        deny(`pipeline ${step.pipelineId} is not registered`);
+      } else {
+        const child = await this.planPipeline(step.pipelineId, childContext, state.callStack);
+        planned.plan = child;
+        state.plan.approvals.push(...child.approvals);
+        state.plan.denied.push(...child.denied);
+        state.plan.runtimeInputs.push(...child.runtimeInputs);
+        if (!child.policy.allowed) {
+          state.plan.denied.push({ pipelineId: state.plan.pipelineId, stepId: step.id, reason: child.policy.reason });
+        }
+        // With runtime context values, missing references may still be supplied
+        if (staticContext) {
+          state.plan.unresolved.push(...child.unresolved.map(entry => `${step.id} -> ${entry}`));
+        }
+      }
+      return planned;
+    }
+
+    // Agent step
+    planned.agent = step.agent;
+    planned.method = step.method;
+    planned.inputFrom = step.inputFrom;
+
+    const queryReferences = runtimeReferences(step.query);
+    queryReferences.forEach(ref => addRuntime('input', `{{${ref.expression}}}`));
+    if (step.inputFrom === 'previousStep' && !step.query) {
+      const lastDependency = planned.dependsOn[planned.dependsOn.length - 1];
+      addRuntime('input', lastDependency ? `steps.${lastDependency}.data` : 'output of the previous step');
+    }
+    if (step.inputFrom === 'item') {
+      addRuntime('input', 'context.item');
+    }
+
+    planned.input = null;
+    if (!planned.runtime.some(entry => entry.field === 'input')) {
+      try {
+        planned.input = step.inputFrom === 'previousStep'
+          ? renderTemplate(step.query, scope)
+          : this.buildStepInput(step, [], context);
+      } catch (error) {
+        // Reported by the run-level check for unresolved references
+      }
+    }
+
+    planned.context = null;
+    if (step.contextBuilder) {
+      addRuntime('context', 'contextBuilder function');
+    } else {
+      const staticValues = {};
+      Object.entries(step.context || {}).forEach(([key, template]) => {
+        const refs = runtimeReferences(template);
+        if (refs.length > 0) {
+          refs.forEach(ref => addRuntime(`context.${key}`, `{{${ref.expression}}}`));
+        } else {
+          staticValues[key] = template;
+        }
+      });
+      planned.context = this.buildDefaultContext(step, context);
+      Object.entries(staticValues).forEach(([key, template]) => {
+        try {
+          Object.assign(planned.context, renderTemplateValues({ [key]: template }, scope));
+        } catch (error) {
+          // Reported by the run-level check for unresolved references
+        }
+      });
+    }
+
+    planned.policy = this.policyEngine
+      ? await this.policyEngine.checkStep(step, context)
+      : { allowed: true };
+    if (!planned.policy.allowed) {
+      state.plan.denied.push({ pipelineId: state.plan.pipelineId, stepId: step.id, reason: planned.policy.reason });
+    }
+
+    planned.requiresApproval = Boolean(step.requiresApproval && !this.options.autoApprove);
+    if (planned.requiresApproval) {
+      state.plan.approvals.push({ type: 'step', pipelineId: state.plan.pipelineId, stepId: step.id, name: step.name });
+    }
+
+    return planned;
+  }
+
+  /**
+   * Paths read by a declarative condition
+   * @private
+   */
+  getConditionPaths(condition) {
+    if (!condition || typeof condition !== 'object') return [];
+    if (Array.isArray(condition.all)) return condition.all.flatMap(child => this.getConditionPaths(child));
+    if (Array.isArray(condition.any)) return condition.any.flatMap(child => this.getConditionPaths(child));
+    if (condition.not) return this.getConditionPaths(condition.not);
+    return typeof condition.path === 'string' ? [condition.path] : [];
+  }
+
+  /**
+   * Hash of the context a run starts with (step results excluded)
+   * @private
+   */
+  getContextHash(executionContext) {
+    const { stepResults: _stepResults, ...context } = executionContext;
+    return sha256(context);
+  }
 
-    // Merge default context with provided context
-    const executionContext = {
-      ...pipeline.defaultContext,
-      ...context,
-      stepResults: {}
+  /**
+   * Check that a run matches the plan it was given: same pipeline and
+   * definitions (including planned sub-pipelines) and the same context
+   * @private
+   * @returns {Error|null} PLAN_MISMATCH error, or null when the run matches
+   */
+  checkRunAgainstPlan(plan, pipeline, executionContext) {
+    const problems = [];
+
+    if (plan.planVersion !== PLAN_VERSION) {
+      problems.push(`unsupported plan version ${plan.planVersion}`);
+    }
+    if (plan.pipelineId !== pipeline.id) {
+      problems.push(`plan is for pipeline ${plan.pipelineId}`);
+    } else if (plan.definitionHash !== this.getDefinitionHash(pipeline)) {
+      problems.push(`pipeline ${pipeline.id} changed since it was planned`);
+    }
+    if (plan.contextHash !== this.getContextHash(executionContext)) {
+      problems.push('context differs from the planned context');
+    }
+
+    forEachPlannedStep(plan, planned => {
+      if (!planned.plan) return;
+      const child = this.pipelines.get(planned.plan.pipelineId);
+      if (!child || planned.plan.definitionHash !== this.getDefinitionHash(child)) {
+        problems.push(`pipeline ${planned.plan.pipelineId} changed since it was planned`);
+      }
+    });
+
+    if (problems.length === 0) {
+      return null;
+    }
+    const error = new Error(`Run does not match its plan: ${problems.join('; ')}`);
+    error.code = 'PLAN_MISMATCH';
+    return error;
+  }
+
+  /**
+   * Check an agent step against its planned agent, method, input and
+   * context before it is called
+   * @private
+   * @throws {Error} code PLAN_VIOLATION
+   */
+  checkStepAgainstPlan(step, input, agentContext, run) {
+    const planned = run.plannedSteps.get(step.id);
+    let problem = null;
+
+    if (!planned) {
+      problem = 'step is not in the plan';
+    } else if (planned.agent !== step.agent || planned.method !== step.method) {
+      problem = `planned ${planned.agent}.${planned.method}, got ${step.agent}.${step.method}`;
+    } else if (planned.input !== null && planned.input !== input) {
+      problem = 'input differs from the planned input';
+    } else if (planned.context) {
+      const changed = Object.keys(planned.context).filter(key =>
+        canonicalize(planned.context[key]) !== canonicalize(agentContext[key])
+      );
+      if (changed.length > 0) {
+        problem = `context differs from the plan: ${changed.join(', ')}`;
+      }
+    }
+
+    if (problem) {
+      const error = new Error(`Step ${step.id} violates the run plan: ${problem}`);
+      error.code = 'PLAN_VIOLATION';
+      throw error;
+    }
+  }
+
+  /**
+   * Run a pipeline and iterate over its events as they happen, including
+   * those of sub-pipelines it invokes. The iterator ends after the run's
+   * `run:complete` event and rethrows if the run fails to start (e.g. it
+   * is blocked by policy). Leaving the loop early cancels the run.
+   *
+   * @example
+   * for await (const event of engine.stream('implement-feature', context)) {
+   *   console.log(event.type, event.stepId || '');
+   * }
+   *
+   * @param {string} pipelineId - ID of the pipeline to run
+   * @param {Object} context - Execution context
+   * @param {Object} [runOptions] - Run options (see runPipeline)
+   * @returns {AsyncGenerator<Object>} Pipeline events
+   */
+  async *stream(pipelineId, context = {}, runOptions = {}) {
+    const runId = runOptions.runId || crypto.randomUUID();
+    const runIds = new Set([runId]);
+    const queue = [];
+    let wake = null;
+    let done = false;
+    let failure = null;
+
+    const listener = (event) => {
+      if (event.type === 'run:start' && runIds.has(event.parentRunId)) {
+        runIds.add(event.runId);
+      }
+      if (runIds.has(event.runId)) {
+        queue.push(event);
+        if (wake) wake();
+      }
     };
+    PIPELINE_EVENTS.forEach(type => this.on(type, listener));
+
+    // Closing the iterator early aborts the run, as does the caller's signal
+    const controller = new AbortController();
+    const onExternalAbort = () => controller.abort(runOptions.signal.reason);
+    if (runOptions.signal) {
+      if (runOptions.signal.aborted) {
+        onExternalAbort();
+      } else {
+        runOptions.signal.addEventListener('abort', onExternalAbort, { once: true });
+      }
+    }
+
+    const running = this.runPipeline(pipelineId, context, { ...runOptions, runId, signal: controller.signal })
+      .catch(error => {
+        failure = error;
+      })
+      .finally(() => {
+        done = true;
+        if (wake) wake();
+      });
+
+    try {
+      while (queue.length > 0 || !done) {
+        if (queue.length === 0) {
+          await new Promise(resolve => {
+            wake = resolve;
+          });
+          wake = null;
+          continue;
+        }
+        yield queue.shift();
+      }
+
+      if (failure) {
+        throw failure;
+      }
+    } finally {
+      PIPELINE_EVENTS.forEach(type => this.off(type, listener));
+      if (!done) {
+        controller.abort(this.createAbortError('Event stream closed'));
+        await running;
+      }
+      if (runOptions.signal) {
+        runOptions.signal.removeEventListener('abort', onExternalAbort);
+      }
+    }
+  }
+
+  /**
+   * Resume a checkpointed run from its first incomplete step. Completed
+   * and skipped steps are restored from the checkpoint instead of calling
+   * their agents again; failed and cancelled steps run again.
+   * @param {string} runId - ID of the run to resume (PipelineResult.runId)
+   * @param {Object} [runOptions] - Run options (see runPipeline)
+   * @returns {Promise<Object>} Pipeline result
+   */
+  async resumeRun(runId, runOptions = {}) {
+    if (!this.checkpointStore) {
+      throw new Error('Checkpointing is not enabled (set the checkpoint option)');
+    }
+
+    const checkpoint = await this.checkpointStore.load(runId);
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for run: ${runId}`);
+    }
+    if (checkpoint.status === 'completed') {
+      throw new Error(`Run ${runId} already completed`);
+    }
+
+    const pipeline = this.pipelines.get(checkpoint.pipelineId);
+    if (!pipeline) {
+      throw new Error(`Pipeline not found: ${checkpoint.pipelineId}`);
+    }
+    if (pipeline.version !== checkpoint.pipelineVersion) {
+      throw new Error(
+        `Pipeline ${pipeline.id} changed since run ${runId} was checkpointed ` +
+        `(version ${checkpoint.pipelineVersion} -> ${pipeline.version})`
+      );
+    }
+    if (this.getDefinitionHash(pipeline) !== checkpoint.definitionHash) {
+      throw new Error(
+        `Pipeline ${pipeline.id} definition changed since run ${runId} was checkpointed`
+      );
+    }
+
+    this.log(`\n⏯️  Resuming run ${runId}`);
+    return this.executePipeline(pipeline.id, checkpoint.context, runOptions, null, checkpoint);
+  }
+
+  /**
+   * List checkpointed runs
+   * @returns {Promise<Object[]>} Run summaries from the checkpoint store
+   */
+  async listRuns() {
+    return this.checkpointStore ? this.checkpointStore.list() : [];
+  }
+
+  /**
+   * Apply the actions of a run to a project directory with an
+   * ActionExecutor. The engine's policy engine, approval settings and
+   * audit log are used unless options override them. With `git: true`
+   * the actions are committed on a branch named after the run, and the
+   * branch and commit SHAs are also recorded as `result.git`.
+   *
+   * With `workspace`, the actions are applied in a scratch copy of the
+   * root by a TransactionalWorkspace and reach the root only when its
+   * `verify` commands pass; the outcome is recorded as
+   * `result.verification`.
+   * @param {Object} result - PipelineResult (or anything with `actions`)
+   * @param {Object} options - ActionExecutor options; `root` is required
+   * @param {Object} [options.workspace] - TransactionalWorkspace options (`verify`, `mode`...)
+   * @returns {Promise<{success: boolean, results: Object[], git?: Object, verification?: Object}>}
+   */
+  async applyActions(result, options = {}) {
+    const { workspace, ...executorOptions } = options;
+    const settings = {
+      policyEngine: this.policyEngine,
+      onApprovalRequired: this.options.onApprovalRequired,
+      autoApprove: this.options.autoApprove,
+      auditLog: this.auditLog,
+      log: message => this.log(message),
+      ...executorOptions
+    };
+    const context = { runId: result.runId, pipelineId: result.pipelineId };
+    if (settings.auditLog) {
+      await settings.auditLog.open();
+    }
+
+    if (workspace) {
+      const transaction = new TransactionalWorkspace({ root: settings.root, log: settings.log, ...workspace });
+      this.log(`\n📝 Applying ${result.actions.length} action(s) to ${transaction.root} through a scratch ${transaction.mode}`);
+      const outcome = await transaction.apply(result.actions, settings, context);
+      result.verification = outcome.verification;
+
+      if (settings.auditLog) {
+        const { passed, promoted, reason, changes, commands } = outcome.verification;
+        settings.auditLog.append('workspace:verify', {
+          ...context,
+          passed,
+          promoted,
+          reason,
+          changes,
+          commands: commands.map(command => ({ command: command.command, exitCode: command.exitCode }))
+        });
+        await settings.auditLog.flush();
+      }
+      return outcome;
+    }
+
+    const executor = new ActionExecutor(settings);
+    this.log(`\n📝 Applying ${result.actions.length} action(s) to ${executor.root}`);
+    const outcome = await executor.apply(result.actions, context);
+    if (executor.auditLog) {
+      await executor.auditLog.flush();
+    }
+    if (outcome.git) {
+      result.git = outcome.git;
+      this.log(`   🌿 ${outcome.git.commits.length} commit(s) on ${outcome.git.branch}`);
+    }
+    return outcome;
+  }
+
+  /**
+   * Execute a pipeline as part of a call chain (sub-pipeline steps)
+   * @private
+   * @param {Object} [parentRun] - Run of the pipeline step invoking this one
+   * @param {Object} [checkpoint] - Saved state of a run being resumed
+   */
+  async executePipeline(pipelineId, context, runOptions = {}, parentRun = null, checkpoint = null) {
+    const pipeline = this.pipelines.get(pipelineId);
+    const callStack = parentRun ? parentRun.callStack : [];
+    
+    if (!pipeline) {
+      throw new Error(`Pipeline not found: ${pipelineId}`);
+    }
+
+    if (callStack.includes(pipelineId)) {
+      throw new Error(`Recursive pipeline invocation: ${[...callStack, pipelineId].join(' -> ')}`);
+    }
+    if (callStack.length >= this.options.maxPipelineDepth) {
+      throw new Error(`Maximum pipeline nesting depth (${this.options.maxPipelineDepth}) exceeded`);
+    }
+
+    if (this.auditLog) {
+      await this.auditLog.open(); // continue the chain already in the file
+    }
+
+    this.log(`\n🚀 Starting pipeline: ${pipeline.name}`);
+    this.log(`   ID: ${pipelineId}`);
+    this.log(`   Steps: ${pipeline.steps.length}`);
+
+    const runId = checkpoint ? checkpoint.runId : (runOptions.runId || crypto.randomUUID());
+    const startTime = Date.now();
+    const startedAt = checkpoint ? checkpoint.startedAt : new Date().toISOString();
+
+    // Merge default context with provided context (or restore it when resuming)
+    const executionContext = checkpoint
+      ? { ...checkpoint.executionContext, stepResults: {} }
+      : { ...pipeline.defaultContext, ...context, stepResults: {} };
+
+    const stepResults = [];
+    const actions = [];
+
+    // Restore finished steps when resuming
+    if (checkpoint) {
+      const finished = checkpoint.steps.filter(r => r.status === 'completed' || r.status === 'skipped');
+      stepResults.push(...finished);
+      finished.forEach(r => {
+        executionContext.stepResults[r.stepId] = r.data;
+      });
+      actions.push(...checkpoint.actions);
+      this.log(`   Restored ${finished.length} completed step(s)`);
+    }
+
+    // Files written by the run's actions, mapped to the step that writes them
+    const claimedPaths = new Map();
+    resolvePathCollisions(actions, claimedPaths, null);
+
+    let pipelineSuccess = true;
+    let pipelineError = null;
+
+    // Cancellation: the caller's signal and the pipeline timeout both abort
+    // the run controller, whose signal is handed to every agent call
+    const controller = new AbortController();
+
+    // State shared by every step of this run
+    const run = {
+      id: runId,
+      pipelineId: pipeline.id,
+      parentRunId: parentRun ? parentRun.id : null,
+      signal: controller.signal,
+      callStack: [...callStack, pipeline.id],
+      runOptions,
+      // Agent steps of the plan this run must follow (top-level runs only)
+      plannedSteps: null
+    };
+
+    this.emitEvent('run:start', run, {
+      parentRunId: run.parentRunId,
+      pipelineName: pipeline.name,
+      totalSteps: pipeline.steps.length,
+      resumed: Boolean(checkpoint)
+    });
+    this.audit('run:start', run, {
+      parentRunId: run.parentRunId,
+      resumed: Boolean(checkpoint),
+      definitionHash: this.getDefinitionHash(pipeline),
+      contextHash: this.getContextHash(executionContext),
+      pipelineVerified: Boolean(this.pipelineVerifications.get(pipeline.id)?.verified)
+    });
+
+    // Armed before the pre-run checks, so approval waits can be cancelled too
+    let cancelError = null;
+    const cancel = (error) => {
+      if (!controller.signal.aborted) {
+        cancelError = error;
+        controller.abort(error);
+      }
+    };
+
+    const onExternalAbort = () => {
+      const error = this.createAbortError('Pipeline cancelled');
+      error.cause = runOptions.signal.reason;
+      cancel(error);
+    };
+    if (runOptions.signal) {
+      if (runOptions.signal.aborted) {
+        onExternalAbort();
+      } else {
+        runOptions.signal.addEventListener('abort', onExternalAbort, { once: true });
+      }
+    }
+
+    const pipelineTimer = pipeline.timeout
+      ? setTimeout(() => cancel(this.createAbortError(
+          `Pipeline timeout after ${pipeline.timeout}ms`, 'PIPELINE_TIMEOUT'
+        )), pipeline.timeout)
+      : null;
+    const disarm = () => {
+      clearTimeout(pipelineTimer);
+      if (runOptions.signal) {
+        runOptions.signal.removeEventListener('abort', onExternalAbort);
+      }
+    };
+
+    try {
+      // A run given a plan must match it before anything else happens
+      if (runOptions.plan) {
+        const mismatch = this.checkRunAgainstPlan(runOptions.plan, pipeline, executionContext);
+        if (mismatch) {
+          throw this.failRun(run, mismatch);
+        }
+        run.plannedSteps = new Map();
+        forEachPlannedStep(runOptions.plan, (planned, plan) => {
+          if (plan === runOptions.plan && planned.type === 'agent') {
+            run.plannedSteps.set(planned.stepId, planned);
+          }
+        });
+      }
+
+      // Template references to the context must resolve before any agent runs
+      const unresolved = this.findUnresolvedContextReferences(pipeline, executionContext);
+      if (unresolved.length > 0) {
+        const error = new Error(`Unresolved template references: ${unresolved.join(', ')}`);
+        error.code = 'TEMPLATE_UNRESOLVED';
+        error.unresolved = unresolved;
+        throw this.failRun(run, error);
+      }
+
+      // Check pipeline-level policy
+      if (this.policyEngine) {
+        const policyCheck = await this.policyEngine.checkPipeline(pipeline, executionContext);
+        this.audit('policy:check', run, { stepId: null, allowed: policyCheck.allowed, reason: policyCheck.reason });
+        if (!policyCheck.allowed) {
+          this.emitEvent('policy:denied', run, { stepId: null, reason: policyCheck.reason });
+          throw this.failRun(run, new Error(`Pipeline blocked by policy: ${policyCheck.reason}`));
+        }
+      }
+
+      // Request approval if needed
+      if (pipeline.requiresApproval) {
+        const decision = await this.untilAborted(this.requestApproval({
+          type: 'pipeline',
+          pipeline: pipeline.name,
+          description: pipeline.description
+        }, run), controller.signal);
+
+        // null: cancelled or timed out while waiting, reported as a cancelled run
+        if (decision && !decision.approved) {
+          throw this.failRun(run, new Error(`Pipeline execution rejected${decision.reason ? `: ${decision.reason}` : ' by user'}`));
+        }
+      }
+    } catch (error) {
+      disarm();
+      throw error;
+    }
+
+    // Execute steps as their dependencies complete, up to the concurrency cap
+    const graph = this.buildStepGraph(pipeline);
+    const maxConcurrency = pipeline.maxConcurrency || this.options.maxConcurrency;
+    const pending = pipeline.steps.map(step => ({ ...step, dependsOn: graph.get(step.id) }));
+    const running = new Map();
+    const completed = new Set(stepResults.map(r => r.stepId));
+    let stopped = false;
+
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (completed.has(pending[i].id)) {
+        pending.splice(i, 1);
+      }
+    }
+
+    // Only top-level runs are checkpointed; sub-pipelines rerun as a whole
+    const saveCheckpoint = (status) => (this.checkpointStore && callStack.length === 0)
+      ? this.saveCheckpoint({
+        runId,
+        pipeline,
+        status,
+        startedAt,
+        context,
+        executionContext,
+        stepResults,
+        actions
+      })
+      : Promise.resolve();
+
+    await saveCheckpoint('running');
+
+    while (pending.length > 0 || running.size > 0) {
+      // Launch every step whose dependencies are all complete
+      for (let i = 0; !stopped && !cancelError && i < pending.length && running.size < maxConcurrency; ) {
+        const step = pending[i];
+        if (!step.dependsOn.every(dep => completed.has(dep))) {
+          i++;
+          continue;
+        }
+
+        pending.splice(i, 1);
+        const position = pipeline.steps.findIndex(s => s.id === step.id) + 1;
+        this.log(`\n📍 Step ${position}/${pipeline.steps.length}: ${step.name}`);
+        running.set(step.id, this.runStep(step, stepResults, executionContext, run));
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+
+      const { step, stepResult, error } = await Promise.race(running.values());
+      running.delete(step.id);
+      completed.add(step.id);
+      stepResults.push(stepResult);
+
+      if (error) {
+        if (cancelError) {
+          this.log(`   🛑 Step cancelled: ${error.message}`);
+        } else if (!step.continueOnError && !stopped) {
+          stopped = true;
+          pipelineSuccess = false;
+          pipelineError = error.message;
+          this.log(`   ❌ Step error: ${error.message}`);
+        }
+        continue;
+      }
+
+      // Store result in context for future steps
+      executionContext.stepResults[step.id] = stepResult.data;
+
+      // Collect actions; generated files never replace each other's paths
+      if (stepResult.actions) {
+        resolvePathCollisions(stepResult.actions, claimedPaths, step.id).forEach(action => {
+          this.log(`   ⚠️  ${action.collision.path} is already written by ${action.collision.stepId || 'an earlier step'}; using ${action.targets[0]}`);
+        });
+        actions.push(...stepResult.actions);
+        stepResult.actions.forEach(action => {
+          this.emitEvent('action:collected', run, { stepId: step.id, action });
+        });
+      }
+
+      // Callback
+      if (this.options.onStepComplete) {
+        await this.options.onStepComplete(stepResult, stepResults.length, pipeline.steps.length);
+      }
+
+      if (!stepResult.success && !step.continueOnError && !stopped) {
+        stopped = true;
+        pipelineSuccess = false;
+        pipelineError = stepResult.error;
+        this.log(`   ❌ Step failed, stopping pipeline`);
+      }
+
+      await saveCheckpoint('running');
+    }
+
+    disarm();
+
+    // Steps left without a stop or cancellation could never be scheduled
+    if (pending.length > 0 && !stopped && !cancelError) {
+      pipelineSuccess = false;
+      pipelineError = `Steps could not be scheduled: ${pending.map(step => step.id).join(', ')}`;
+    }
+    if (cancelError) {
+      pipelineSuccess = false;
+      pipelineError = cancelError.message;
+    }
+    const status = cancelError ? 'cancelled' : (pipelineSuccess ? 'completed' : 'failed');
+    await saveCheckpoint(status);
+
+    // Report steps in definition order regardless of completion order
+    stepResults.sort((a, b) => 
+      pipeline.steps.findIndex(s => s.id === a.stepId) - pipeline.steps.findIndex(s => s.id === b.stepId)
+    );
+
+    const totalDuration = Date.now() - startTime;
+    const completedAt = new Date().toISOString();
+    const merkleRoot = getRunMerkleRoot({ steps: stepResults });
+
+    const result = {
+      runId,
+      pipelineId: pipeline.id,
+      pipelineName: pipeline.name,
+      success: pipelineSuccess,
+      status,
+      steps: stepResults,
+      totalDuration,
+      startedAt,
+      completedAt,
+      actions,
+      merkleRoot,
+      error: pipelineError,
+      context: executionContext
+    };
+
+    this.log(`\n✨ Pipeline ${pipelineSuccess ? 'completed successfully' : status}`);
+    this.log(`   Duration: ${totalDuration}ms`);
+    this.log(`   Steps executed: ${stepResults.length}/${pipeline.steps.length}`);
+    this.log(`   Actions collected: ${actions.length}`);
+    if (merkleRoot) {
+      this.log(`   🌳 Merkle root: ${merkleRoot}`);
+    }
+
+    this.emitEvent('run:complete', run, {
+      status,
+      success: pipelineSuccess,
+      error: pipelineError,
+      result
+    });
+    if (this.auditLog) {
+      await this.auditLog.flush();
+    }
+
+    return result;
+  }
+
+  /**
+   * Report a run that ended before any step ran (blocked by policy or
+   * rejected), so listeners always see a `run:complete` after `run:start`
+   * @private
+   * @returns {Error} The error, for the caller to throw
+   */
+  failRun(run, error) {
+    this.emitEvent('run:complete', run, {
+      status: 'failed',
+      success: false,
+      error: error.message,
+      result: null
+    });
+    return error;
+  }
+
+  /**
+   * Emit a pipeline event. Every payload carries its type, the run and
+   * pipeline it belongs to and a timestamp.
+   * @private
+   */
+  emitEvent(type, run, payload = {}) {
+    this.emit(type, {
+      type,
+      runId: run.id,
+      pipelineId: run.pipelineId,
+      timestamp: new Date().toISOString(),
+      ...payload
+    });
+  }
+
+  /**
+   * Persist the state of a run to the checkpoint store. Failures to write
+   * are reported but never fail the run itself.
+   * @private
+   */
+  async saveCheckpoint({ runId, pipeline, status, startedAt, context, executionContext, stepResults, actions }) {
+    const state = {
+      runId,
+      pipelineId: pipeline.id,
+      pipelineVersion: pipeline.version,
+      definitionHash: this.getDefinitionHash(pipeline),
+      status,
+      startedAt,
+      updatedAt: new Date().toISOString(),
+      context,
+      executionContext,
+      steps: stepResults,
+      actions
+    };
+
+    try {
+      await this.checkpointStore.save(runId, state);
+    } catch (error) {
+      console.warn(`⚠️  Failed to save checkpoint for run ${runId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hash of a pipeline definition (including function sources), used to
+   * detect definitions that changed since a checkpoint was written
+   * @private
+   */
+  getDefinitionHash(pipeline) {
+    return sha256(pipeline);
+  }
+
+  /**
+   * Run a step and settle with its result, never rejecting, so the
+   * scheduler can race several in-flight steps
+   * @private
+   */
+  async runStep(step, previousResults, context, run) {
+    const results = [...previousResults];
+
+    try {
+      if (step.when) {
+        const condition = await evaluateCondition(step.when, results, context);
+        if (!condition.passed) {
+          const stepResult = this.buildSkippedResult(step, condition.reason);
+          this.emitEvent('step:skipped', run, {
+            stepId: step.id,
+            stepName: step.name,
+            reason: stepResult.skipReason
+          });
+          return { step, stepResult };
+        }
+      }
+
+      this.emitEvent('step:start', run, { stepId: step.id, stepName: step.name, stepType: step.type || 'agent' });
+
+      let stepResult;
+      switch (step.type) {
+        case 'loop':
+          stepResult = await this.executeLoopStep(step, results, context, run);
+          break;
+        case 'map':
+          stepResult = await this.executeMapStep(step, results, context, run);
+          break;
+        case 'pipeline':
+          stepResult = await this.executePipelineStep(step, results, context, run);
+          break;
+        default:
+          stepResult = await this.executeStep(step, results, context, run);
+      }
+      this.emitEvent('step:complete', run, { stepId: step.id, stepName: step.name, result: stepResult });
+      return { step, stepResult };
+    } catch (error) {
+      const stepResult = {
+        stepId: step.id,
+        stepName: step.name,
+        success: false,
+        status: run.signal.aborted ? 'cancelled' : 'failed',
+        data: null,
+        error: error.message,
+        errorType: error.errorType,
+        duration: 0,
+        timestamp: new Date().toISOString()
+      };
+      if (error.attempts) {
+        stepResult.attempts = error.attempts;
+      }
+      if (error.validationErrors) {
+        stepResult.validationErrors = error.validationErrors;
+      }
+      if (error.verification) {
+        stepResult.verified = false;
+        stepResult.verificationReason = error.verification.reason;
+      }
+      this.emitEvent('step:complete', run, { stepId: step.id, stepName: step.name, result: stepResult });
+      return { step, stepResult, error };
+    }
+  }
+
+  /**
+   * Build the result of a step whose `when` condition was not met.
+   * Skipped steps count as successful and expose empty data, so later
+   * lookups like `results.find(...)?.data.code` read undefined.
+   * @private
+   */
+  buildSkippedResult(step, reason) {
+    this.log(`   ⏭️  Skipped: ${reason}`);
+
+    return {
+      stepId: step.id,
+      stepName: step.name,
+      success: true,
+      status: 'skipped',
+      skipReason: `Condition not met: ${reason}`,
+      data: {},
+      duration: 0,
+      timestamp: new Date().toISOString(),
+      actions: []
+    };
+  }
+
+  /**
+   * Execute a single pipeline step
+   * @private
+   */
+  async executeStep(step, previousResults, context, run) {
+    const startTime = Date.now();
+
+    // Build input for this step
+    const input = this.buildStepInput(step, previousResults, context);
+    
+    // Build context for agent call; templated `context` values go on top
+    const agentContext = {
+      ...(step.contextBuilder
+        ? step.contextBuilder(previousResults, context)
+        : this.buildDefaultContext(step, context)),
+      ...renderTemplateValues(step.context, buildConditionScope(previousResults, context))
+    };
+
+    if (run.plannedSteps) {
+      this.checkStepAgainstPlan(step, input, agentContext, run);
+    }
+
+    this.log(`   Agent: ${step.agent}.${step.method}`);
+    if (step.query) {
+      this.log(`   Query: ${step.query.substring(0, 80)}${step.query.length > 80 ? '...' : ''}`);
+    }
+
+    // Check step-level policy
+    if (this.policyEngine) {
+      const policyCheck = await this.policyEngine.checkStep(step, context);
+      this.audit('policy:check', run, { stepId: step.id, allowed: policyCheck.allowed, reason: policyCheck.reason });
+      if (!policyCheck.allowed) {
+        this.emitEvent('policy:denied', run, { stepId: step.id, reason: policyCheck.reason });
+        const error = new Error(`Step blocked by policy: ${policyCheck.reason}`);
+        error.code = 'POLICY_DENIED';
+        throw error;
+      }
+    }
+
+    // Request approval if needed
+    if (step.requiresApproval) {
+      const decision = await this.untilAborted(this.requestApproval({
+        type: 'step',
+        stepId: step.id,
+        step: step.name,
+        agent: step.agent,
+        query: input
+      }, run), run.signal);
+
+      // null: the run was cancelled or timed out while waiting
+      if (!decision) {
+        throw this.getAbortError(run.signal);
+      }
+      if (!decision.approved) {
+        const error = new Error(`Step execution rejected${decision.reason ? `: ${decision.reason}` : ' by user'}`);
+        error.code = 'APPROVAL_REJECTED';
+        throw error;
+      }
+    }
+
+    // Execute agent method
+    const agent = this.client[step.agent];
+    if (!agent) {
+      throw new Error(`Agent not found: ${step.agent}`);
+    }
+
+    const method = agent[step.method];
+    if (!method) {
+      throw new Error(`Method not found: ${step.agent}.${step.method}`);
+    }
+
+    // Call the agent (with timeout and retries), re-asking on invalid output
+    const timeout = step.timeout || this.options.defaultTimeout;
+    const { value: agentResult, attempts } = await this.callAgent(step, run, () => this.callWithValidation(
+      (callInput, callContext) => this.callWithRetry(
+        () => this.executeWithTimeout(
+          stepSignal => method.call(agent, callInput, callContext, { signal: stepSignal }),
+          timeout,
+          run.signal
+        ),
+        this.getRetryPolicy(step),
+        run.signal,
+        (record, maxAttempts) => this.emitEvent('step:retry', run, {
+          stepId: step.id,
+          stepName: step.name,
+          maxAttempts,
+          ...record
+        })
+      ),
+      step,
+      input,
+      agentContext,
+      run
+    ));
+
+    const duration = Date.now() - startTime;
+    const verification = this.verifyStepSignature(step, agentResult, attempts, run);
+
+    // Transform result if transformer provided, or map it declaratively
+    let transformedData = agentResult.data;
+    if (step.resultTransform) {
+      transformedData = step.resultTransform(agentResult.data, context);
+    } else if (step.resultMap) {
+      transformedData = renderTemplateValues(step.resultMap, {
+        ...buildConditionScope(previousResults, context),
+        data: agentResult.data
+      });
+    }
+
+    // Extract actions if present
+    const actions = this.extractActions(step, transformedData, { input, agentContext, context, previousResults });
+
+    const result = {
+      stepId: step.id,
+      stepName: step.name,
+      success: agentResult.success,
+      status: agentResult.success ? 'completed' : 'failed',
+      data: transformedData,
+      duration,
+      timestamp: new Date().toISOString(),
+      signature: agentResult.signature,
+      verified: verification.verified,
+      verificationReason: verification.reason,
+      attempts,
+      actions
+    };
+
+    this.log(`   ✅ Completed in ${duration}ms`);
+    if (verification.verified) {
+      this.log(`   🔐 Signature verified (${verification.publicKey.slice(0, 12)}...)`);
+    } else {
+      this.log(`   ⚠️  Signature not verified: ${verification.reason}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run an agent call, recording failed calls in the audit log
+   * (successful ones are recorded once their signature is verified)
+   * @private
+   */
+  async callAgent(step, run, call) {
+    try {
+      return await call();
+    } catch (error) {
+      this.audit('agent:call', run, {
+        stepId: step.id,
+        agent: step.agent,
+        method: step.method,
+        success: false,
+        attempts: error.attempts?.length,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify the signature of an agent response against its raw `data`
+   * and the pinned `trustedKeys`, and record the call in the audit log.
+   * With `requireSignatures` a missing or invalid signature fails the
+   * step with a SIGNATURE_INVALID error.
+   * @private
+   * @returns {{verified: boolean, reason: string, publicKey: string|null}}
+   */
+  verifyStepSignature(step, agentResult, attempts, run) {
+    const verification = verifyResponse(agentResult, { trustedKeys: this.options.trustedKeys });
+    this.audit('agent:call', run, {
+      stepId: step.id,
+      agent: step.agent,
+      method: step.method,
+      success: agentResult.success,
+      attempts: attempts.length,
+      signatureHash: agentResult.signature?.hash ?? null,
+      verified: verification.verified,
+      verificationReason: verification.reason
+    });
+
+    if (!verification.verified && this.options.requireSignatures) {
+      const error = new Error(`Signature verification failed for step ${step.id}: ${verification.reason}`);
+      error.code = 'SIGNATURE_INVALID';
+      error.errorType = 'signature';
+      error.verification = verification;
+      error.attempts = attempts;
+      throw error;
+    }
+
+    return verification;
+  }
+
+  /**
+   * Call an agent and validate its output against the step's schema.
+   * Invalid output is re-asked up to `maxReasks` times with the
+   * validation errors appended to the query; after that the step fails
+   * with an OUTPUT_VALIDATION_FAILED error carrying `validationErrors`.
+   * Attempts of every call are numbered in one sequence.
+   * @private
+   * @param {Function} call - (input, context) => callWithRetry result
+   * @returns {Promise<{value: any, attempts: Object[]}>}
+   */
+  async callWithValidation(call, step, input, agentContext, run) {
+    const schema = this.getOutputSchema(step);
+    const maxReasks = step.maxReasks ?? this.options.maxReasks;
+    const attempts = [];
+    const collect = records => records.forEach(record => {
+      attempts.push({ ...record, attempt: attempts.length + 1 });
+    });
+
+    let callInput = input;
+    let callContext = agentContext;
+
+    for (let reask = 0; ; reask++) {
+      let outcome;
+      try {
+        outcome = await call(callInput, callContext);
+      } catch (error) {
+        if (error.attempts) {
+          collect(error.attempts);
+          error.attempts = attempts;
+        }
+        throw error;
+      }
+      collect(outcome.attempts);
+
+      const agentResult = outcome.value;
+      const errors = schema && agentResult.success ? validateSchema(schema, agentResult.data) : [];
+      if (errors.length === 0) {
+        return { value: agentResult, attempts };
+      }
+
+      const record = attempts[attempts.length - 1];
+      Object.assign(record, {
+        success: false,
+        error: 'Output failed schema validation',
+        errorType: 'validation',
+        validationErrors: errors
+      });
+
+      if (reask >= maxReasks) {
+        const error = new Error(
+          `Step output failed schema validation: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`
+        );
+        error.code = 'OUTPUT_VALIDATION_FAILED';
+        error.errorType = 'validation';
+        error.validationErrors = errors;
+        error.attempts = attempts;
+        throw error;
+      }
+
+      this.log(`   📐 Output failed schema validation (${errors.length} error(s)), re-asking ${reask + 1}/${maxReasks}`);
+      this.emitEvent('step:retry', run, {
+        stepId: step.id,
+        stepName: step.name,
+        reask: reask + 1,
+        maxReasks,
+        ...record
+      });
+
+      const feedback = 'Your previous response did not match the required output schema:\n' +
+        `${formatValidationErrors(errors)}\n` +
+        'Respond again with output that satisfies the schema.';
+      callContext = { ...agentContext, validationFeedback: feedback };
+      // diffImprover's input is the code itself, so feedback only goes in its context
+      callInput = typeof input === 'string' && step.agent !== 'diffImprover'
+        ? `${input}\n\n${feedback}`
+        : input;
+    }
+  }
+
+  /**
+   * Resolve the output schema of an agent step: its own `validation`,
+   * or the engine's schema for its agent. `validation: false` opts out.
+   * @private
+   * @returns {Object|null}
+   */
+  getOutputSchema(step) {
+    if (step.validation === false) {
+      return null;
+    }
+    if (step.validation) {
+      return step.validation;
+    }
+    return (this.options.outputSchemas && this.options.outputSchemas[step.agent]) || null;
+  }
+
+  /**
+   * Execute a loop step: run its body of sub-steps in order, repeating
+   * until the `until` condition holds or `maxIterations` is reached.
+   * Every iteration is kept in `history`; the final iteration's last
+   * sub-step provides the loop's `data`, so later steps read it like any
+   * other step result.
+   * @private
+   */
+  async executeLoopStep(step, previousResults, context, run) {
+    const startTime = Date.now();
+    const history = [];
+    let latestResults = [];
+    let converged = false;
+    let failure = null;
+
+    const baseResults = this.orderByDependency(step, previousResults);
+
+    for (let iteration = 1; iteration <= step.maxIterations && !failure; iteration++) {
+      if (run.signal.aborted) {
+        throw this.getAbortError(run.signal);
+      }
+
+      this.log(`   🔄 Iteration ${iteration}/${step.maxIterations}`);
+      const body = await this.runBody(step.steps, baseResults, context, run, latestResults);
+      const iterationResults = body.results;
+      failure = body.failure;
 
-    const stepResults = [];
-    const actions = [];
-    let pipelineSuccess = true;
-    let pipelineError = null;
+      history.push({ iteration, steps: iterationResults });
+      latestResults = iterationResults;
 
-    // Check pipeline-level policy
-    if (this.policyEngine) {
-      const policyCheck = await this.policyEngine.checkPipeline(pipeline, executionContext);
-      if (!policyCheck.allowed) {
-        throw new Error(`Pipeline blocked by policy: ${policyCheck.reason}`);
+      if (!failure && step.until) {
+        converged = await this.checkLoopCondition(step, iterationResults, context, iteration);
+        if (converged) {
+          this.log(`   🎯 Converged after ${iteration} iteration(s)`);
+          break;
+        }
       }
     }
 
-    // Request approval if needed
-    if (pipeline.requiresApproval && !this.options.autoApprove) {
-      const approved = await this.requestApproval({
-        type: 'pipeline',
-        pipeline: pipeline.name,
-        description: pipeline.description
-      });
-      
-      if (!approved) {
-        throw new Error('Pipeline execution rejected by user');
-      }
+    const finalResult = latestResults[latestResults.length - 1];
+
+    return {
+      stepId: step.id,
+      stepName: step.name,
+      success: !failure,
+      status: failure ? 'failed' : 'completed',
+      error: failure || undefined,
+      data: finalResult?.data ?? {},
+      iterations: history.length,
+      converged,
+      history,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      signature: finalResult?.signature,
+      actions: latestResults.flatMap(r => r.actions || [])
+    };
+  }
+
+  /**
+   * Execute a map step: resolve an array from earlier outputs and run the
+   * body (`step`, or a `steps` sequence) once per item, at most
+   * `maxConcurrency` items at a time. Each item is exposed to its body as
+   * `context.item` (and under the name given in `as`) with `context.itemIndex`.
+   * `data` is the ordered array of each item's final output; actions are
+   * combined in item order. A failed item stops the remaining items unless
+   * the step has `continueOnError`.
+   * @private
+   */
+  async executeMapStep(step, previousResults, context, run) {
+    const startTime = Date.now();
+    const items = typeof step.items === 'function'
+      ? await step.items(previousResults, context)
+      : resolvePath(buildConditionScope(previousResults, context), step.items);
+
+    if (!Array.isArray(items)) {
+      throw new Error(`Map step ${step.id} items did not resolve to an array: ${step.items}`);
     }
 
-    // Execute each step
-    for (let i = 0; i < pipeline.steps.length; i++) {
-      const step = pipeline.steps[i];
-      
-      try {
-        this.log(`\n📍 Step ${i + 1}/${pipeline.steps.length}: ${step.name}`);
-        
-        const stepResult = await this.executeStep(step, stepResults, executionContext);
-        
-        stepResults.push(stepResult);
-        
-        // Store result in context for future steps
-        executionContext.stepResults[step.id] = stepResult.data;
-        
-        // Collect actions
-        if (stepResult.actions) {
-          actions.push(...stepResult.actions);
-        }
+    this.log(`   🗂️  Mapping over ${items.length} item(s)`);
 
-        // Callback
-        if (this.options.onStepComplete) {
-          await this.options.onStepComplete(stepResult, i + 1, pipeline.steps.length);
-        }
+    const body = this.getMapBody(step);
+    const baseResults = this.orderByDependency(step, previousResults);
+    const itemResults = new Array(items.length);
+    const queue = items.map((item, index) => ({ item, index }));
+    let stopped = false;
 
-        if (!stepResult.success && !step.continueOnError) {
-          pipelineSuccess = false;
-          pipelineError = stepResult.error;
-          this.log(`   ❌ Step failed, stopping pipeline`);
-          break;
+    const worker = async () => {
+      while (queue.length > 0 && !stopped && !run.signal.aborted) {
+        const { item, index } = queue.shift();
+        const itemContext = { ...context, item, itemIndex: index };
+        if (step.as) {
+          itemContext[step.as] = item;
         }
+        const { results, failure } = await this.runBody(body, baseResults, itemContext, run);
+        const last = results[results.length - 1];
 
-      } catch (error) {
-        const stepResult = {
-          stepId: step.id,
-          stepName: step.name,
-          success: false,
-          data: null,
-          error: error.message,
-          duration: 0,
-          timestamp: new Date().toISOString()
+        itemResults[index] = {
+          index,
+          item,
+          success: !failure,
+          status: failure ? 'failed' : 'completed',
+          error: failure || undefined,
+          data: failure ? null : (last?.data ?? {}),
+          steps: results
         };
 
-        stepResults.push(stepResult);
-
-        if (!step.continueOnError) {
-          pipelineSuccess = false;
-          pipelineError = error.message;
-          this.log(`   ❌ Step error: ${error.message}`);
-          break;
+        if (failure && !step.continueOnError) {
+          stopped = true;
         }
       }
-    }
+    };
 
-    const totalDuration = Date.now() - startTime;
-    const completedAt = new Date().toISOString();
+    const limit = Math.max(1, Math.min(step.maxConcurrency || this.options.maxConcurrency, items.length));
+    await Promise.all(Array.from({ length: limit }, worker));
 
-    const result = {
-      pipelineId: pipeline.id,
-      pipelineName: pipeline.name,
-      success: pipelineSuccess,
-      steps: stepResults,
-      totalDuration,
-      startedAt,
-      completedAt,
-      actions,
-      error: pipelineError,
-      context: executionContext
-    };
+    if (run.signal.aborted) {
+      throw this.getAbortError(run.signal);
+    }
 
-    this.log(`\n✨ Pipeline ${pipelineSuccess ? 'completed successfully' : 'failed'}`);
-    this.log(`   Duration: ${totalDuration}ms`);
-    this.log(`   Steps executed: ${stepResults.length}/${pipeline.steps.length}`);
-    this.log(`   Actions collected: ${actions.length}`);
+    const finished = itemResults.filter(Boolean);
+    const failed = finished.filter(r => !r.success);
+    const error = failed.length > 0
+      ? `${failed.length}/${items.length} item(s) failed: ${failed[0].error}`
+      : undefined;
 
-    return result;
+    return {
+      stepId: step.id,
+      stepName: step.name,
+      success: failed.length === 0,
+      status: failed.length === 0 ? 'completed' : 'failed',
+      error,
+      data: finished.map(r => r.data),
+      items: finished,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      actions: finished.flatMap(r => r.steps.flatMap(sub => sub.actions || []))
+    };
   }
 
   /**
-   * Execute a single pipeline step
+   * Execute a pipeline step: run another registered pipeline as a child.
+   * The child gets the parent context (without its step results) merged
+   * with `contextBuilder` output, goes through the same policy checks and
+   * approvals as a top-level run, and shares the parent's cancellation.
+   * The child's PipelineResult is nested under `pipelineResult`; its
+   * actions bubble up and its last step's data becomes this step's data.
    * @private
    */
-  async executeStep(step, previousResults, context) {
+  async executePipelineStep(step, previousResults, context, run) {
     const startTime = Date.now();
+    const { stepResults: _parentResults, ...parentContext } = context;
+    const childContext = {
+      ...parentContext,
+      ...(step.contextBuilder ? step.contextBuilder(previousResults, context) : {}),
+      ...renderTemplateValues(step.context, buildConditionScope(previousResults, context))
+    };
 
-    // Build input for this step
-    const input = this.buildStepInput(step, previousResults, context);
-    
-    // Build context for agent call
-    const agentContext = step.contextBuilder 
-      ? step.contextBuilder(previousResults, context)
-      : this.buildDefaultContext(step, context);
+    // The child gets a run id of its own; the parent's plan covers its definition only
+    const { runId: _parentRunId, plan: _parentPlan, ...inheritedOptions } = run.runOptions;
 
-    this.log(`   Agent: ${step.agent}.${step.method}`);
-    if (step.query) {
-      this.log(`   Query: ${step.query.substring(0, 80)}${step.query.length > 80 ? '...' : ''}`);
-    }
+    this.log(`   ↪️  Running sub-pipeline: ${step.pipelineId}`);
 
-    // Check step-level policy
-    if (this.policyEngine) {
-      const policyCheck = await this.policyEngine.checkStep(step, context);
-      if (!policyCheck.allowed) {
-        throw new Error(`Step blocked by policy: ${policyCheck.reason}`);
-      }
-    }
+    const childResult = await this.executePipeline(
+      step.pipelineId,
+      childContext,
+      { ...inheritedOptions, signal: run.signal },
+      run
+    );
+    const lastChildStep = childResult.steps[childResult.steps.length - 1];
 
-    // Request approval if needed
-    if (step.requiresApproval && !this.options.autoApprove) {
-      const approved = await this.requestApproval({
-        type: 'step',
-        step: step.name,
-        agent: step.agent,
-        query: input
-      });
-      
-      if (!approved) {
-        throw new Error('Step execution rejected by user');
-      }
-    }
+    return {
+      stepId: step.id,
+      stepName: step.name,
+      success: childResult.success,
+      status: childResult.status,
+      error: childResult.error || undefined,
+      data: lastChildStep?.data ?? {},
+      pipelineResult: childResult,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      actions: childResult.actions
+    };
+  }
 
-    // Execute agent method
-    const agent = this.client[step.agent];
-    if (!agent) {
-      throw new Error(`Agent not found: ${step.agent}`);
+  /**
+   * Sub-steps run for each item of a map step
+   * @private
+   */
+  getMapBody(step) {
+    if (step.step) {
+      return [step.step];
     }
+    return Array.isArray(step.steps) ? step.steps : [];
+  }
 
-    const method = agent[step.method];
-    if (!method) {
-      throw new Error(`Method not found: ${step.agent}.${step.method}`);
-    }
+  /**
+   * Run a body of sub-steps in order (loop iterations, map items).
+   * Sub-steps see the base results, the latest result of each body step
+   * from `latestResults` (the previous iteration) and the results of this
+   * run of the body.
+   * @private
+   * @returns {Promise<{results: Object[], failure: string|null}>}
+   */
+  async runBody(steps, baseResults, context, run, latestResults = []) {
+    const results = [];
 
-    // Call the agent (with timeout)
-    const timeout = step.timeout || this.options.defaultTimeout;
-    const agentResult = await this.executeWithTimeout(
-      method.bind(agent)(input, agentContext),
-      timeout
-    );
+    for (const subStep of steps) {
+      const currentIds = new Set(results.map(r => r.stepId));
+      const visible = [
+        ...baseResults,
+        ...latestResults.filter(r => !currentIds.has(r.stepId)),
+        ...results
+      ];
 
-    const duration = Date.now() - startTime;
+      const { stepResult, error } = await this.runStep(subStep, visible, context, run);
+      results.push(stepResult);
 
-    // Transform result if transformer provided
-    let transformedData = agentResult.data;
-    if (step.resultTransform) {
-      transformedData = step.resultTransform(agentResult.data, context);
+      if ((error || !stepResult.success) && !subStep.continueOnError) {
+        return { results, failure: stepResult.error || `Sub-step ${subStep.id} failed` };
+      }
     }
 
-    // Extract actions if present
-    const actions = this.extractActions(step, transformedData);
+    return { results, failure: null };
+  }
 
-    const result = {
-      stepId: step.id,
-      stepName: step.name,
-      success: agentResult.success,
-      data: transformedData,
-      duration,
-      timestamp: new Date().toISOString(),
-      signature: agentResult.signature,
-      actions
-    };
+  /**
+   * Order results so the step's last dependency comes last, making it the
+   * "previous step" for the first sub-step of a loop or map body
+   * @private
+   */
+  orderByDependency(step, previousResults) {
+    const lastDependency = step.dependsOn?.[step.dependsOn.length - 1];
+    return [
+      ...previousResults.filter(r => r.stepId !== lastDependency),
+      ...previousResults.filter(r => r.stepId === lastDependency)
+    ];
+  }
 
-    this.log(`   ✅ Completed in ${duration}ms`);
-    if (agentResult.signature) {
-      this.log(`   🔐 Cryptographically signed`);
+  /**
+   * Evaluate a loop's `until` condition after an iteration
+   * @private
+   */
+  async checkLoopCondition(step, iterationResults, context, iteration) {
+    if (typeof step.until === 'string') {
+      return LOOP_CONDITIONS[step.until](iterationResults, context);
+    }
+    if (typeof step.until === 'function') {
+      return Boolean(await step.until(iterationResults, context, iteration));
     }
 
-    return result;
+    const outcome = await evaluateCondition(step.until, iterationResults, context, { iteration });
+    return outcome.passed;
   }
 
   /**
@@ -315,31 +2091,43 @@ class PipelineEngine {
    * @private
    */
   buildStepInput(step, previousResults, context) {
+    const query = renderTemplate(step.query, buildConditionScope(previousResults, context));
+
     switch (step.inputFrom) {
       case 'user':
-        return step.query || context.userPrompt || '';
+        return query || context.userPrompt || '';
       
       case 'context':
-        return step.query || '';
+        return query || '';
       
       case 'previousStep':
-        if (previousResults.length === 0) {
+        // The "previous" step is the last dependency, which for steps
+        // without dependsOn is the step before them in the pipeline
+        const lastDependency = step.dependsOn?.[step.dependsOn.length - 1];
+        const lastResult = lastDependency
+          ? previousResults.find(r => r.stepId === lastDependency)
+          : previousResults[previousResults.length - 1];
+        if (!lastResult) {
           throw new Error(`Step ${step.id} requires previous step but none exists`);
         }
-        const lastResult = previousResults[previousResults.length - 1];
-        return step.query || lastResult.data.code || lastResult.data.improvedCode || JSON.stringify(lastResult.data);
+        return query || lastResult.data.code || lastResult.data.improvedCode || JSON.stringify(lastResult.data);
       
       case 'file':
-        return step.query || '';
+        return query || '';
       
       case 'selection':
-        return context.selection?.content || step.query || '';
+        return context.selection?.content || query || '';
       
       case 'tests':
-        return step.query || JSON.stringify(context.testResults || {});
+        return query || JSON.stringify(context.testResults || {});
+      
+      case 'item':
+        // Map steps: the current item, after the query if there is one
+        const itemText = typeof context.item === 'string' ? context.item : JSON.stringify(context.item);
+        return query ? `${query}\n\n${itemText}` : itemText;
       
       default:
-        return step.query || '';
+        return query || '';
     }
   }
 
@@ -372,25 +2160,27 @@ class PipelineEngine {
    * Extract actions from agent result
    * @private
    */
-  extractActions(step, data) {
+  extractActions(step, data, { input, agentContext = {}, context = {}, previousResults = [] } = {}) {
     const actions = [];
 
     // Code-related agents might produce file changes
     if (step.agent === 'codeGenerator' && data.code) {
-      actions.push({
-        type: 'CREATE_FILE',
-        targets: [`generated-${step.id}.${this.getFileExtension(data.language)}`],
-        payload: { content: data.code },
-        reasoning: data.reasoning || 'Generated by code generator',
-        requiresApproval: true
-      });
+      actions.push(...buildFileActions(data.code, {
+        stepId: step.id,
+        language: data.language || agentContext.language,
+        reasoning: data.reasoning,
+        ...this.findDesignAndPlan(agentContext, previousResults),
+        existingFiles: context.files
+      }));
     }
 
     if (step.agent === 'diffImprover' && data.diff) {
+      // The code the agent saw lets the diff be merged into a changed file
+      const original = typeof agentContext.code === 'string' && agentContext.code ? agentContext.code : input;
       actions.push({
         type: 'APPLY_DIFF',
-        targets: ['current-file'],
-        payload: { diff: data.diff },
+        targets: this.getDiffTargets(data.diff, agentContext, context),
+        payload: { diff: data.diff, ...(typeof original === 'string' ? { original } : {}) },
         reasoning: data.explanation || 'Code improvement',
         requiresApproval: true
       });
@@ -420,51 +2210,329 @@ class PipelineEngine {
 
     return actions;
   }
-
   /**
-   * Get file extension for a language
+   * Service design and project plan generated code is named after: the
+   * step's `serviceDesign` / `projectPlan` context, or the latest earlier
+   * output shaped like boxDesigner / projectPlanner output
    * @private
    */
-  getFileExtension(language) {
-    const extensions = {
-      'javascript': 'js',
-      'typescript': 'ts',
-      'python': 'py',
-      'java': 'java',
-      'c++': 'cpp',
-      'c#': 'cs',
-      'ruby': 'rb',
-      'go': 'go',
-      'rust': 'rs'
+  findDesignAndPlan(agentContext, previousResults) {
+    const find = (agent, value) => {
+      const matches = data => data && typeof data === 'object' && validateSchema(AGENT_OUTPUT_SCHEMAS[agent], data).length === 0;
+      if (matches(value)) {
+        return value;
+      }
+      return [...previousResults].reverse().find(result => result.status === 'completed' && matches(result.data))?.data;
+    };
+
+    return {
+      design: find('boxDesigner', agentContext.serviceDesign),
+      plan: find('projectPlanner', agentContext.projectPlan)
     };
-    return extensions[language?.toLowerCase()] || 'txt';
   }
 
   /**
-   * Execute a promise with timeout
+   * Files a diffImprover diff patches: the step's `filePath` context,
+   * the file of the IDE selection, or the paths in the diff headers.
+   * 'current-file' remains when none is known.
    * @private
    */
-  async executeWithTimeout(promise, timeoutMs) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error(`Step timeout after ${timeoutMs}ms`)), timeoutMs)
-      )
-    ]);
+  getDiffTargets(diff, agentContext, context) {
+    const filePath = agentContext.filePath || context.filePath || context.selection?.file;
+    if (filePath) {
+      return [filePath];
+    }
+
+    try {
+      const paths = parseUnifiedDiff(diff).map(file => file.newPath || file.oldPath);
+      return paths.every(Boolean) ? paths : ['current-file'];
+    } catch (error) {
+      return ['current-file'];
+    }
   }
 
+
   /**
-   * Request approval from user (override this in IDE integrations)
+   * Execute an abortable call with a timeout. The call receives an
+   * AbortSignal that fires on timeout or when the run signal aborts;
+   * the timer and listeners are always cleared once it settles.
    * @private
+   * @param {function(AbortSignal): Promise} fn - Call to execute
+   * @param {number} timeoutMs - Timeout in ms
+   * @param {AbortSignal} [signal] - Run-level signal
    */
-  async requestApproval(request) {
-    if (this.options.onApprovalRequired) {
-      return await this.options.onApprovalRequired(request);
+  async executeWithTimeout(fn, timeoutMs, signal) {
+    // Fail before calling fn, so a synchronous throw cannot leave the
+    // rejected race promise unhandled
+    if (signal?.aborted) {
+      throw this.getAbortError(signal);
     }
 
-    // Default: auto-approve in non-interactive mode
-    this.log(`   ⚠️  Approval required for ${request.type}: ${request.pipeline || request.step}`);
-    return true;
+    const controller = new AbortController();
+    let timer = null;
+    let onAbort = null;
+
+    const interrupted = new Promise((_, reject) => {
+      const fail = (error) => {
+        controller.abort(error);
+        reject(error);
+      };
+
+      timer = setTimeout(() => fail(this.createAbortError(
+        `Step timeout after ${timeoutMs}ms`, 'STEP_TIMEOUT'
+      )), timeoutMs);
+
+      if (signal) {
+        onAbort = () => fail(this.getAbortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    try {
+      return await Promise.race([fn(controller.signal), interrupted]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Wait for a promise unless a signal aborts first
+   * @private
+   * @returns {Promise<*>} The promise's value, or null once the signal aborted
+   */
+  untilAborted(promise, signal) {
+    // Once abandoned, a later rejection of the promise is not an error of the run
+    promise.catch(() => {});
+    if (signal.aborted) {
+      return Promise.resolve(null);
+    }
+
+    let onAbort = null;
+    const aborted = new Promise(resolve => {
+      onAbort = () => resolve(null);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  /**
+   * Create an error for an aborted operation
+   * @private
+   */
+  createAbortError(message, code = 'ABORTED') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Get the error describing why a signal aborted
+   * @private
+   */
+  getAbortError(signal) {
+    return signal.reason instanceof Error
+      ? signal.reason
+      : this.createAbortError('Pipeline cancelled');
+  }
+
+  /**
+   * Wait for a delay, rejecting early if the signal aborts
+   * @private
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.getAbortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.getAbortError(signal));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Resolve the retry policy for a step (step settings override engine defaults)
+   * @private
+   */
+  getRetryPolicy(step) {
+    return { ...this.options.retry, ...step.retry };
+  }
+
+  /**
+   * Call a function until it succeeds, retrying transient failures
+   * according to the policy. Every attempt is recorded; on final failure
+   * the attempts are attached to the thrown error.
+   * @private
+   * @param {Function} [onRetry] - Called with the failed attempt before each retry
+   * @returns {Promise<{value: any, attempts: Object[]}>}
+   */
+  async callWithRetry(fn, policy, signal, onRetry = null) {
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now();
+
+      try {
+        const value = await fn();
+        attempts.push({ attempt, success: true, duration: Date.now() - startTime });
+        return { value, attempts };
+      } catch (error) {
+        const errorType = this.classifyError(error);
+        const record = {
+          attempt,
+          success: false,
+          error: error.message,
+          errorType,
+          duration: Date.now() - startTime
+        };
+        attempts.push(record);
+
+        if (attempt >= policy.attempts || signal?.aborted || !this.isRetryable(error, errorType, policy)) {
+          error.errorType = errorType;
+          error.attempts = attempts;
+          throw error;
+        }
+
+        record.retryDelay = this.getRetryDelay(policy, attempt);
+        this.log(`   🔁 Attempt ${attempt}/${policy.attempts} failed (${errorType}): ${error.message}`);
+        this.log(`      Retrying in ${record.retryDelay}ms...`);
+        if (onRetry) {
+          onRetry(record, policy.attempts);
+        }
+        try {
+          await this.sleep(record.retryDelay, signal);
+        } catch (abortError) {
+          abortError.errorType = 'cancelled';
+          abortError.attempts = attempts;
+          throw abortError;
+        }
+      }
+    }
+  }
+
+  /**
+   * Classify an error so retry policies can tell transient failures
+   * (timeouts, network, rate limits, 5xx) from permanent ones
+   * (validation, policy, rejected approvals, invalid signatures)
+   * @private
+   * @returns {string} timeout | cancelled | network | rate-limit | server | validation | policy | rejected | signature | unknown
+   */
+  classifyError(error) {
+    const status = error.statusCode || error.status || error.response?.status;
+
+    if (error.code === 'STEP_TIMEOUT' || error.name === 'TimeoutError') {
+      return 'timeout';
+    }
+    if (error.name === 'AbortError') {
+      return 'cancelled';
+    }
+    if (error.code === 'POLICY_DENIED') {
+      return 'policy';
+    }
+    if (error.code === 'APPROVAL_REJECTED') {
+      return 'rejected';
+    }
+    if (error.code === 'OUTPUT_VALIDATION_FAILED') {
+      return 'validation';
+    }
+    if (error.code === 'SIGNATURE_INVALID') {
+      return 'signature';
+    }
+    if (status === 429) {
+      return 'rate-limit';
+    }
+    if (status >= 500) {
+      return 'server';
+    }
+    if (status >= 400) {
+      return 'validation';
+    }
+    // fetch wraps socket errors: TypeError('fetch failed') with the code on `cause`
+    if (TRANSIENT_NETWORK_CODES.includes(error.code) || TRANSIENT_NETWORK_CODES.includes(error.cause?.code)) {
+      return 'network';
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Whether a failed attempt should be retried under a policy
+   * @private
+   */
+  isRetryable(error, errorType, policy) {
+    if (typeof policy.retryOn === 'function') {
+      return Boolean(policy.retryOn(error, errorType));
+    }
+    return (policy.retryOn || []).includes(errorType);
+  }
+
+  /**
+   * Delay before the next attempt: exponential from `backoff`, capped at `maxDelay`
+   * @private
+   */
+  getRetryDelay(policy, attempt) {
+    const delay = typeof policy.backoff === 'function'
+      ? policy.backoff(attempt)
+      : (policy.backoff || 0) * Math.pow(2, attempt - 1);
+
+    return Math.min(delay, policy.maxDelay ?? Infinity);
+  }
+
+  /**
+   * Request approval from user (override this in IDE integrations).
+   * `onApprovalRequired` returns a boolean, or `{ approved, approvedBy,
+   * reason }` to record who decided. Without a handler the request is
+   * rejected unless `autoApprove` is set. Every decision is audited.
+   * @private
+   * @returns {Promise<{approved: boolean, decidedBy: string, reason: string|null}>}
+   */
+  async requestApproval(request, run) {
+    let decision;
+
+    if (this.options.autoApprove) {
+      decision = { approved: true, decidedBy: 'autoApprove', reason: null };
+    } else if (this.options.onApprovalRequired) {
+      this.emitEvent('approval:requested', run, { request });
+      const answer = await this.options.onApprovalRequired(request);
+      decision = answer && typeof answer === 'object'
+        ? { approved: Boolean(answer.approved), decidedBy: answer.approvedBy || 'onApprovalRequired', reason: answer.reason || null }
+        : { approved: Boolean(answer), decidedBy: 'onApprovalRequired', reason: null };
+    } else {
+      this.emitEvent('approval:requested', run, { request });
+      this.log(`   ⚠️  Approval required for ${request.type}: ${request.pipeline || request.step}, but no onApprovalRequired handler is set`);
+      decision = { approved: false, decidedBy: 'none', reason: 'no approval handler (set onApprovalRequired or autoApprove)' };
+    }
+
+    this.audit('approval', run, {
+      stepId: request.stepId ?? null,
+      request: request.type,
+      name: request.pipeline || request.step,
+      ...decision
+    });
+    return decision;
+  }
+
+  /**
+   * Append an entry about a run to the audit log, if auditing is on
+   * @private
+   */
+  audit(type, run, data) {
+    if (this.auditLog) {
+      this.auditLog.append(type, { runId: run.id, pipelineId: run.pipelineId, ...data });
+    }
   }
 
   /**
@@ -476,7 +2544,8 @@ class PipelineEngine {
       name: p.name,
       description: p.description,
       steps: p.steps.length,
-      version: p.version
+      version: p.version,
+      verified: this.pipelineVerifications.get(p.id).verified
     }));
   }
 
@@ -491,6 +2560,7 @@ class PipelineEngine {
    * Remove a pipeline
    */
   unregisterPipeline(pipelineId) {
+    this.pipelineVerifications.delete(pipelineId);
     return this.pipelines.delete(pipelineId);
   }
 
@@ -505,4 +2575,4 @@ class PipelineEngine {
   }
 }
 
-module.exports = { PipelineEngine };
+module.exports = { PipelineEngine, PIPELINE_EVENTS };
@@ -0,0 +1,30 @@
+/**
+ * Agents
+ *
+ * The Schema.ICU agents and the methods each one exposes (AgentName /
+ * AgentMethod in pipeline.d.ts). Shared by the linter, the cassette
+ * clients and the local server.
+ */
+
+/** Methods of each Schema.ICU agent */
+const AGENT_METHODS = {
+  base: ['query'],
+  codeGenerator: ['generate'],
+  schemaGenerator: ['generate'],
+  terminalAgent: ['generate'],
+  codeImprover: ['improve'],
+  diffImprover: ['improve'],
+  boxDesigner: ['design'],
+  projectPlanner: ['plan'],
+  promptImprover: ['improve'],
+  toolChoice: ['recommend'],
+  githubAgent: ['generate']
+};
+
+/** Names of the agents */
+const AGENT_NAMES = Object.keys(AGENT_METHODS);
+
+module.exports = {
+  AGENT_METHODS,
+  AGENT_NAMES
+};
@@ -0,0 +1,165 @@
+/**
+ * Step Conditions
+ *
+ * Evaluates the `when` field of a pipeline step. A condition is either a
+ * function `(results, context) => boolean` or a declarative object that
+ * can be stored as data:
+ *
+ * @example
+ * // Leaf: a path plus one operator
+ * { path: 'steps.analyze-failures.data.code', notEmpty: true }
+ * { path: 'context.preferences.language', equals: 'TypeScript' }
+ *
+ * // Combinators
+ * { all: [cond, cond] }   { any: [cond, cond] }   { not: cond }
+ *
+ * Paths are resolved against `{ steps, context }`, where `steps` maps
+ * step ids to their results (stepId, status, data, ...).
+ *
+ * Loop steps use the same conditions for `until`, with `iteration` added
+ * to the scope, plus the named conditions in LOOP_CONDITIONS.
+ */
+
+const OPERATORS = {
+  exists: (value, expected) => (value !== undefined && value !== null) === expected,
+  notEmpty: (value, expected) => !isEmpty(value) === expected,
+  equals: (value, expected) => value === expected,
+  notEquals: (value, expected) => value !== expected,
+  in: (value, expected) => Array.isArray(expected) && expected.includes(value),
+  gt: (value, expected) => value > expected,
+  gte: (value, expected) => value >= expected,
+  lt: (value, expected) => value < expected,
+  lte: (value, expected) => value <= expected,
+  matches: (value, expected) => typeof value === 'string' && new RegExp(expected).test(value)
+};
+
+/**
+ * Named `until` conditions for loop steps, evaluated over the results of
+ * the iteration that just finished
+ */
+const LOOP_CONDITIONS = {
+  // A step reported passing tests
+  'tests-pass': results => results.some(result => {
+    const data = result.data || {};
+    return data.testsPassed === true ||
+      data.passed === true ||
+      (Array.isArray(data.failures) && data.failures.length === 0);
+  }),
+
+  // An improver step reported nothing left to improve
+  'no-improvements': results => results.some(result => {
+    const improvements = result.data?.improvements;
+    return result.status === 'completed' && Array.isArray(improvements) && improvements.length === 0;
+  })
+};
+
+/**
+ * Whether a value is empty: null/undefined, blank string, empty array or object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Resolve a dotted path against an object
+ * @param {Object} scope - Object to read from
+ * @param {string} path - e.g. 'steps.plan-tasks.data.tasks'
+ * @returns {*} The value, or undefined if any segment is missing
+ */
+function resolvePath(scope, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    scope
+  );
+}
+
+/**
+ * Build the scope declarative conditions are resolved against
+ * @param {Object[]} results - Step results so far
+ * @param {Object} context - Execution context
+ */
+function buildConditionScope(results, context) {
+  const steps = {};
+  results.forEach(result => {
+    steps[result.stepId] = result;
+  });
+  return { steps, context };
+}
+
+/**
+ * Evaluate a declarative condition object
+ * @param {Object} condition - Declarative condition
+ * @param {Object} scope - `{ steps, context }`
+ * @returns {{passed: boolean, reason: string}} reason describes the condition that decided the outcome
+ */
+function evaluateDeclarative(condition, scope) {
+  if (Array.isArray(condition.all)) {
+    for (const child of condition.all) {
+      const outcome = evaluateDeclarative(child, scope);
+      if (!outcome.passed) return outcome;
+    }
+    return { passed: true, reason: 'all conditions met' };
+  }
+
+  if (Array.isArray(condition.any)) {
+    const reasons = [];
+    for (const child of condition.any) {
+      const outcome = evaluateDeclarative(child, scope);
+      if (outcome.passed) return outcome;
+      reasons.push(outcome.reason);
+    }
+    return { passed: false, reason: `none of: ${reasons.join('; ')}` };
+  }
+
+  if (condition.not) {
+    const outcome = evaluateDeclarative(condition.not, scope);
+    return { passed: !outcome.passed, reason: `not (${outcome.reason})` };
+  }
+
+  if (typeof condition.path !== 'string') {
+    throw new Error(`Invalid condition: ${JSON.stringify(condition)}`);
+  }
+
+  const operator = Object.keys(OPERATORS).find(op => op in condition);
+  if (!operator) {
+    throw new Error(`Condition on ${condition.path} has no operator`);
+  }
+
+  const value = resolvePath(scope, condition.path);
+  const passed = OPERATORS[operator](value, condition[operator]);
+  return {
+    passed,
+    reason: `${condition.path} ${operator} ${JSON.stringify(condition[operator])}`
+  };
+}
+
+/**
+ * Evaluate a step's `when` condition
+ * @param {Function|Object} when - Predicate or declarative condition
+ * @param {Object[]} results - Step results so far
+ * @param {Object} context - Execution context
+ * @param {Object} [extraScope] - Extra values for declarative paths (e.g. iteration)
+ * @returns {Promise<{passed: boolean, reason: string}>}
+ */
+async function evaluateCondition(when, results, context, extraScope = {}) {
+  if (typeof when === 'function') {
+    const passed = Boolean(await when(results, context));
+    return { passed, reason: 'when predicate returned false' };
+  }
+
+  return evaluateDeclarative(when, { ...buildConditionScope(results, context), ...extraScope });
+}
+
+module.exports = {
+  LOOP_CONDITIONS,
+  evaluateCondition,
+  buildConditionScope,
+  resolvePath,
+  isEmpty
+};
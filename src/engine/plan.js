@@ -0,0 +1,126 @@
+/**
+ * Run Plans
+ *
+ * PipelineEngine.planRun() describes what a run would do without calling
+ * any agent: each step's input and agent context where they are known up
+ * front, the inputs that depend on runtime output, policy decisions and
+ * the approvals the run will ask for. formatPlan() renders a plan for
+ * people; the plan itself is data and can be stored, reviewed and passed
+ * back to runPipeline() as the run's execution contract.
+ */
+
+/** Version of the plan structure */
+const PLAN_VERSION = 1;
+
+const PREVIEW_LENGTH = 160;
+
+/**
+ * Shorten text for one line of the rendering
+ * @private
+ */
+function preview(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > PREVIEW_LENGTH ? `${line.slice(0, PREVIEW_LENGTH - 3)}...` : line;
+}
+
+/**
+ * Visit every planned step, including loop/map bodies and the steps of
+ * planned sub-pipelines
+ * @param {Object} plan - Run plan
+ * @param {Function} visit - (plannedStep, plan) => void
+ */
+function forEachPlannedStep(plan, visit) {
+  const walk = steps => steps.forEach(planned => {
+    visit(planned, plan);
+    walk(planned.steps || []);
+    if (planned.plan) {
+      forEachPlannedStep(planned.plan, visit);
+    }
+  });
+  walk(plan.steps);
+}
+
+/**
+ * Render a plan as readable text
+ * @param {Object} plan - Plan from PipelineEngine.planRun()
+ * @returns {string}
+ */
+function formatPlan(plan) {
+  const lines = [];
+
+  lines.push(`Plan: ${plan.pipelineName} (${plan.pipelineId}${plan.pipelineVersion ? ` v${plan.pipelineVersion}` : ''})`);
+  lines.push(`Policy: ${plan.policy.allowed ? 'allowed' : `denied - ${plan.policy.reason}`}`);
+  if (plan.requiresApproval) {
+    lines.push('Approval: required before the run starts');
+  }
+  if (plan.unresolved.length > 0) {
+    lines.push(`Unresolved: ${plan.unresolved.join(', ')}`);
+  }
+  lines.push('');
+  lines.push('Steps:');
+  renderSteps(plan.steps, '  ', lines);
+
+  lines.push('');
+  lines.push(`Approvals: ${plan.approvals.length === 0
+    ? 'none'
+    : plan.approvals.map(approval => approval.stepId || `pipeline ${approval.pipelineId}`).join(', ')}`);
+  if (plan.denied.length > 0) {
+    lines.push(`Denied: ${plan.denied.map(entry => `${entry.stepId} (${entry.reason})`).join(', ')}`);
+  }
+  lines.push(`Runtime inputs: ${plan.runtimeInputs.length}`);
+  lines.push(`Verdict: ${plan.allowed ? 'ready to run' : 'the run would be blocked'}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * @private
+ */
+function renderSteps(steps, indent, lines) {
+  steps.forEach((planned, index) => {
+    const flags = [];
+    if (planned.requiresApproval) flags.push('[approval]');
+    if (planned.policy && !planned.policy.allowed) flags.push(`[denied: ${planned.policy.reason}]`);
+
+    let target = planned.type;
+    if (planned.type === 'agent') target = `${planned.agent}.${planned.method}`;
+    if (planned.type === 'loop') target = `loop, up to ${planned.maxIterations} iterations`;
+    if (planned.type === 'map') target = `map over ${planned.items}`;
+    if (planned.type === 'pipeline') target = `pipeline ${planned.pipelineId}`;
+
+    lines.push(`${indent}${index + 1}. ${planned.stepId} - ${target}${flags.length ? ` ${flags.join(' ')}` : ''}`);
+
+    const detail = `${indent}   `;
+    if (planned.dependsOn.length > 0) {
+      lines.push(`${detail}after: ${planned.dependsOn.join(', ')}`);
+    }
+    if (planned.condition) {
+      lines.push(`${detail}when: ${planned.condition.status} (${planned.condition.reason})`);
+    }
+    if (planned.type === 'agent') {
+      lines.push(`${detail}input: ${planned.input === null ? 'at runtime' : preview(planned.input)}`);
+      if (planned.context && Object.keys(planned.context).length > 0) {
+        lines.push(`${detail}context: ${preview(planned.context)}`);
+      }
+    }
+    planned.runtime.forEach(entry => {
+      lines.push(`${detail}runtime: ${entry.field} <- ${entry.reference}`);
+    });
+
+    if (planned.steps) {
+      renderSteps(planned.steps, detail, lines);
+    }
+    if (planned.plan) {
+      renderSteps(planned.plan.steps, detail, lines);
+    } else if (planned.note) {
+      lines.push(`${detail}${planned.note}`);
+    }
+  });
+}
+
+module.exports = {
+  PLAN_VERSION,
+  forEachPlannedStep,
+  formatPlan
+};
@@ -0,0 +1,238 @@
+/**
+ * Query Templates
+ *
+ * Step `query` strings and `context` values can reference the pipeline
+ * context and the output of earlier steps:
+ *
+ * @example
+ * 'Generate schemas for: {{steps.improve-prompt.data.improvedPrompt}}'
+ * 'Project: {{context.projectName | default:"untitled"}}'
+ * 'Tasks: {{steps.plan-tasks.data.tasks | pluck:taskName | join:", "}}'
+ * 'Plan: {{steps.plan-tasks.data | json | truncate:2000}}'
+ *
+ * Paths are resolved against `{ steps, context }`, the same scope as step
+ * conditions. Filters run left to right; an argument is read as JSON when
+ * it parses (`truncate:2000`, `join:", "`) and as plain text otherwise.
+ * Objects and arrays without a filter are rendered as indented JSON.
+ *
+ * A reference that resolves to undefined or null is an error unless it
+ * has a `default` filter: a query is never sent to an agent with a hole
+ * in it. `default:null` marks a reference as optional.
+ */
+
+const { resolvePath } = require('./conditions');
+
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/** Roots a template path may start with */
+const TEMPLATE_ROOTS = ['steps', 'context'];
+
+const FILTERS = {
+  // Shorten text to at most `length` characters, marking the cut with '...'
+  truncate: (value, length = 500) => {
+    const text = toText(value);
+    return text.length > length ? `${text.slice(0, Math.max(length - 3, 0))}...` : text;
+  },
+
+  // Render as JSON; `json:0` for a single line
+  json: (value, indent = 2) => JSON.stringify(value, null, indent),
+
+  // Join array items with a separator
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+
+  // Take one field from every item of an array
+  pluck: (value, key) => (Array.isArray(value) ? value.map(item => item?.[key]) : value?.[key]),
+
+  // Value to use when the reference is missing (null: leave it empty)
+  default: (value, fallback = '') => (value === undefined || value === null ? fallback : value),
+
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  trim: value => toText(value).trim()
+};
+
+/**
+ * Render a value into template output: strings as-is, objects as JSON
+ * @private
+ */
+function toText(value) {
+  if (typeof value === 'string') return value;
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Parse one `{{ ... }}` expression into a path and filters
+ * @param {string} expression - Text between the braces
+ * @returns {{path: string, filters: Array<{name: string, arg: *}>}}
+ */
+function parseExpression(expression) {
+  const [path, ...filterParts] = expression.split('|').map(part => part.trim());
+
+  const filters = filterParts.map(part => {
+    const separator = part.indexOf(':');
+    if (separator === -1) {
+      return { name: part, arg: undefined };
+    }
+    const rawArg = part.slice(separator + 1).trim();
+    let arg;
+    try {
+      arg = JSON.parse(rawArg);
+    } catch (error) {
+      arg = rawArg;
+    }
+    return { name: part.slice(0, separator).trim(), arg };
+  });
+
+  return { path, filters };
+}
+
+/**
+ * List the references in a template
+ * @param {string} template - Template text
+ * @returns {Array<{expression: string, path: string, filters: Object[]}>}
+ */
+function findTemplateReferences(template) {
+  if (typeof template !== 'string') {
+    return [];
+  }
+  return Array.from(template.matchAll(TEMPLATE_PATTERN), match => ({
+    expression: match[1],
+    ...parseExpression(match[1])
+  }));
+}
+
+/**
+ * Check the syntax of a template's references: known roots and filters
+ * @param {string} template - Template text
+ * @param {string[]} [roots] - Allowed first path segments
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function checkTemplate(template, roots = TEMPLATE_ROOTS) {
+  const problems = [];
+
+  findTemplateReferences(template).forEach(ref => {
+    const root = ref.path.split('.')[0];
+    if (!roots.includes(root)) {
+      problems.push(`{{${ref.expression}}} must start with ${roots.join(' or ')}`);
+    }
+    ref.filters.forEach(filter => {
+      if (!FILTERS[filter.name]) {
+        problems.push(`{{${ref.expression}}} uses unknown filter: ${filter.name}`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Whether a reference supplies its own value when the path is missing
+ * @param {Object} ref - Reference from findTemplateReferences
+ * @returns {boolean}
+ */
+function hasDefault(ref) {
+  return ref.filters.some(filter => filter.name === 'default');
+}
+
+/**
+ * Render a template against a scope
+ * @param {string} template - Template text
+ * @param {Object} scope - `{ steps, context }`
+ * @returns {string}
+ * @throws {Error} code TEMPLATE_UNRESOLVED, with `unresolved` paths, if a reference has no value
+ */
+function renderTemplate(template, scope) {
+  if (typeof template !== 'string' || !template.includes('{{')) {
+    return template;
+  }
+
+  const unresolved = [];
+  const rendered = template.replace(TEMPLATE_PATTERN, (match, expression) => {
+    const { path, value, optional } = evaluateExpression(expression, scope);
+    if ((value === undefined || value === null) && !optional) {
+      unresolved.push(path);
+      return match;
+    }
+    return toText(value);
+  });
+
+  if (unresolved.length > 0) {
+    throw createUnresolvedError(unresolved);
+  }
+
+  return rendered;
+}
+
+/**
+ * Resolve an expression's path and apply its filters
+ * @private
+ */
+function evaluateExpression(expression, scope) {
+  const { path, filters } = parseExpression(expression);
+  const optional = filters.some(filter => filter.name === 'default');
+  let value = resolvePath(scope, path);
+
+  for (const filter of filters) {
+    if (!FILTERS[filter.name]) {
+      throw new Error(`Unknown template filter: ${filter.name}`);
+    }
+    // Only `default` may see a missing value
+    if ((value === undefined || value === null) && filter.name !== 'default') {
+      continue;
+    }
+    value = filter.arg === undefined ? FILTERS[filter.name](value) : FILTERS[filter.name](value, filter.arg);
+  }
+
+  return { path, value, optional };
+}
+
+/**
+ * @private
+ */
+function createUnresolvedError(unresolved) {
+  const error = new Error(`Unresolved template reference(s): ${unresolved.join(', ')}`);
+  error.code = 'TEMPLATE_UNRESOLVED';
+  error.unresolved = unresolved;
+  return error;
+}
+
+/**
+ * Render every string value of an object (one level deep), e.g. a step's
+ * declarative `context`. A value that is a single reference and nothing
+ * else keeps the referenced value as-is, so `'{{steps.plan.data}}'`
+ * passes the plan object rather than its JSON text.
+ * @param {Object} values - Object whose string values may be templates
+ * @param {Object} scope - `{ steps, context }`
+ * @returns {Object}
+ */
+function renderTemplateValues(values, scope) {
+  const rendered = {};
+
+  Object.entries(values || {}).forEach(([key, template]) => {
+    const single = typeof template === 'string' && template.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (!single) {
+      rendered[key] = renderTemplate(template, scope);
+      return;
+    }
+
+    const { path, value, optional } = evaluateExpression(single[1], scope);
+    if ((value === undefined || value === null) && !optional) {
+      throw createUnresolvedError([path]);
+    }
+    rendered[key] = value;
+  });
+
+  return rendered;
+}
+
+module.exports = {
+  TEMPLATE_ROOTS,
+  FILTERS,
+  findTemplateReferences,
+  checkTemplate,
+  hasDefault,
+  renderTemplate,
+  renderTemplateValues
+};
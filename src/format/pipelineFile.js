@@ -0,0 +1,141 @@
+/**
+ * Pipeline Files
+ *
+ * Reads and writes pipeline definitions as YAML or JSON so they can be
+ * stored, shared, diffed and signed as data. A pipeline file holds the
+ * same fields as a JavaScript definition, minus functions: context
+ * building uses step `context` templates, result mapping uses
+ * `resultMap` templates and conditions use the declarative `when` form.
+ *
+ * @example
+ * # implement-feature.yaml
+ * formatVersion: 1
+ * id: implement-feature
+ * name: Implement Feature
+ * steps:
+ *   - id: generate-code
+ *     agent: codeGenerator
+ *     method: generate
+ *     inputFrom: previousStep
+ *     context:
+ *       language: '{{context.preferences.language | default:"JavaScript"}}'
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+/** Version of the file format written by toPipelineFile */
+const PIPELINE_FORMAT_VERSION = 1;
+
+/**
+ * Work out a file's format from its extension
+ * @param {string} filePath - Path of the pipeline file
+ * @returns {'yaml'|'json'}
+ */
+function getPipelineFileFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') {
+    return 'yaml';
+  }
+  if (extension === '.json') {
+    return 'json';
+  }
+  throw new Error(`Unsupported pipeline file extension: ${extension || '(none)'} (use .yaml, .yml or .json)`);
+}
+
+/**
+ * List the places where a definition holds a function, which a pipeline
+ * file cannot express
+ * @param {*} value - Definition (or part of one)
+ * @param {string} [at] - Path of the value, for messages
+ * @returns {string[]} Paths such as 'steps[1].contextBuilder'
+ */
+function findFunctions(value, at = '') {
+  if (typeof value === 'function') {
+    return [at];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findFunctions(item, `${at}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => findFunctions(item, at ? `${at}.${key}` : key));
+  }
+  return [];
+}
+
+/**
+ * Parse the text of a pipeline file
+ * @param {string} text - File content
+ * @param {'yaml'|'json'} format - File format
+ * @returns {Object} Pipeline definition
+ */
+function parsePipelineFile(text, format) {
+  let definition;
+  try {
+    definition = format === 'json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${format.toUpperCase()} in pipeline file: ${error.message}`);
+  }
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Pipeline file must contain an object');
+  }
+
+  const { formatVersion = PIPELINE_FORMAT_VERSION, ...pipeline } = definition;
+  if (formatVersion !== PIPELINE_FORMAT_VERSION) {
+    throw new Error(`Unsupported pipeline file formatVersion: ${formatVersion}`);
+  }
+
+  return pipeline;
+}
+
+/**
+ * Read a pipeline definition from a YAML or JSON file
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<Object>} Pipeline definition
+ */
+async function readPipelineFile(filePath) {
+  const format = getPipelineFileFormat(filePath);
+  const text = await fs.readFile(filePath, 'utf-8');
+
+  try {
+    return parsePipelineFile(text, format);
+  } catch (error) {
+    error.message = `${filePath}: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Serialize a pipeline definition to a pipeline file
+ * @param {Object} pipeline - Pipeline definition (without functions)
+ * @param {'yaml'|'json'} [format] - Output format
+ * @returns {string} File content
+ */
+function toPipelineFile(pipeline, format = 'yaml') {
+  const functions = findFunctions(pipeline);
+  if (functions.length > 0) {
+    throw new Error(
+      `Pipeline ${pipeline.id} cannot be exported: ${functions.join(', ')} ` +
+      `${functions.length === 1 ? 'is a function' : 'are functions'} ` +
+      '(use context/resultMap templates and declarative when conditions)'
+    );
+  }
+
+  const definition = { formatVersion: PIPELINE_FORMAT_VERSION, ...pipeline };
+
+  if (format === 'json') {
+    return `${JSON.stringify(definition, null, 2)}\n`;
+  }
+  return YAML.stringify(definition, { lineWidth: 0 });
+}
+
+module.exports = {
+  PIPELINE_FORMAT_VERSION,
+  getPipelineFileFormat,
+  findFunctions,
+  parsePipelineFile,
+  readPipelineFile,
+  toPipelineFile
+};
@@ -0,0 +1,206 @@
+const { execFile } = require('child_process');
+const path = require('path');
+
+/**
+ * GitRepository - Minimal local git operations for applying actions
+ *
+ * Runs the `git` command line in a working tree: branches, commits of
+ * given paths, and rollback of a run branch. Only the local repository
+ * is used; nothing is fetched or pushed, so no remote is needed.
+ *
+ * Commits use the repository's configured author, or
+ * `Schema.ICU <schema-icu@localhost>` when none is configured.
+ *
+ * @example
+ * const repo = new GitRepository(process.cwd());
+ * const base = await repo.createRunBranch('schema-icu/run-1234');
+ * const sha = await repo.commit('Add rate limiter', ['src/rateLimiter.js']);
+ * await repo.rollback(base); // back to the base branch, run branch deleted
+ */
+class GitRepository {
+  /**
+   * @param {string} root - Working tree directory
+   * @param {Object} [options]
+   * @param {{name: string, email: string}} [options.author] - Author of commits
+   */
+  constructor(root, options = {}) {
+    this.root = path.resolve(root);
+    this.author = options.author || null;
+  }
+
+  /**
+   * Run a git command in the working tree
+   * @private
+   * @returns {Promise<string>} Trimmed stdout
+   */
+  git(args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', args, { cwd: this.root, env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } }, (error, stdout, stderr) => {
+        if (error) {
+          const gitError = new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`);
+          gitError.code = 'GIT_FAILED';
+          reject(gitError);
+        } else {
+          resolve(stdout.trim());
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Whether the root is inside a git working tree
+   * @returns {Promise<boolean>}
+   */
+  async isRepository() {
+    try {
+      return (await this.git(['rev-parse', '--is-inside-work-tree'])) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Current branch, or null on a detached HEAD
+   * @returns {Promise<string|null>}
+   */
+  async currentBranch() {
+    const branch = await this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
+    return branch === 'HEAD' ? null : branch;
+  }
+
+  /**
+   * SHA of HEAD
+   * @returns {Promise<string>}
+   */
+  head() {
+    return this.git(['rev-parse', 'HEAD']);
+  }
+
+  /**
+   * Whether the root has no uncommitted or untracked changes
+   * @returns {Promise<boolean>}
+   */
+  async isClean() {
+    return (await this.git(['status', '--porcelain', '--', '.'])) === '';
+  }
+
+  /**
+   * Path of the root inside the repository ('' at the top level)
+   * @returns {Promise<string>}
+   */
+  async getPrefix() {
+    return (await this.git(['rev-parse', '--show-prefix'])).replace(/\/$/, '');
+  }
+
+  /**
+   * Check out HEAD in a new linked working tree, detached from any branch
+   * @param {string} directory - Where to create the working tree (must not exist)
+   * @returns {Promise<void>}
+   */
+  async addWorktree(directory) {
+    await this.git(['worktree', 'add', '-q', '--detach', directory, 'HEAD']);
+  }
+
+  /**
+   * Remove a linked working tree created with addWorktree
+   * @param {string} directory - The working tree
+   * @returns {Promise<void>}
+   */
+  async removeWorktree(directory) {
+    await this.git(['worktree', 'remove', '--force', directory]);
+  }
+
+  /**
+   * Create a branch at HEAD and switch to it. Uncommitted changes stay in
+   * the working tree.
+   * @param {string} name - New branch
+   * @returns {Promise<{branch: string, baseBranch: string|null, baseSha: string}>}
+   */
+  async createRunBranch(name) {
+    if (!(await this.isRepository())) {
+      throw this.createError(`Not a git repository: ${this.root}`, 'GIT_NOT_A_REPOSITORY');
+    }
+
+    let baseSha;
+    try {
+      baseSha = await this.head();
+    } catch (error) {
+      throw this.createError('The repository has no commits to branch from', 'GIT_NO_COMMITS');
+    }
+
+    const exists = await this.git(['branch', '--list', name]);
+    if (exists) {
+      throw this.createError(`Branch already exists: ${name}`, 'GIT_BRANCH_EXISTS');
+    }
+
+    const baseBranch = await this.currentBranch();
+    await this.git(['checkout', '-q', '-b', name]);
+    return { branch: name, baseBranch, baseSha };
+  }
+
+  /**
+   * Commit the current state of some paths (additions, changes and
+   * deletions), leaving other changes in the working tree uncommitted
+   * @param {string} message - Commit message
+   * @param {string[]} paths - Paths relative to the root
+   * @returns {Promise<string|null>} SHA of the commit, or null if the paths have no changes
+   */
+  async commit(message, paths) {
+    if (paths.length === 0) {
+      return null;
+    }
+
+    await this.git(['add', '-A', '--', ...paths]);
+    const staged = await this.git(['diff', '--cached', '--name-only', '--', ...paths]);
+    if (!staged) {
+      return null;
+    }
+
+    await this.git([...(await this.getAuthorConfig()), 'commit', '-q', '-m', message, '--', ...paths]);
+    return this.head();
+  }
+
+  /**
+   * `-c` options setting the commit author when the repository has none
+   * @private
+   */
+  async getAuthorConfig() {
+    const author = this.author || await this.git(['config', 'user.email'])
+      .then(() => null)
+      .catch(() => ({ name: 'Schema.ICU', email: 'schema-icu@localhost' }));
+    return author ? ['-c', `user.name=${author.name}`, '-c', `user.email=${author.email}`] : [];
+  }
+
+  /**
+   * Undo a run branch: switch back to where it started and delete it
+   * @param {{branch: string, baseBranch: string|null, baseSha: string}} run - From createRunBranch
+   * @returns {Promise<void>}
+   */
+  async rollback(run) {
+    await this.git(['checkout', '-q', run.baseBranch || run.baseSha]);
+    await this.git(['branch', '-q', '-D', run.branch]);
+  }
+
+  /**
+   * Undo single commits with new commits that revert them, newest first
+   * @param {string[]} shas - Commits to revert
+   * @returns {Promise<string>} SHA of HEAD after the reverts
+   */
+  async revert(shas) {
+    for (const sha of [...shas].reverse()) {
+      await this.git([...(await this.getAuthorConfig()), 'revert', '--no-edit', sha]);
+    }
+    return this.head();
+  }
+}
+
+module.exports = { GitRepository };
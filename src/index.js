@@ -5,14 +5,82 @@
  * @module @smartledger/schema-icu-ide-core
  */
 
-const { PipelineEngine } = require('./engine/PipelineEngine');
+const { PipelineEngine, PIPELINE_EVENTS } = require('./engine/PipelineEngine');
 const { PolicyEngine } = require('./policy/PolicyEngine');
+const { FileCheckpointStore } = require('./checkpoints/FileCheckpointStore');
+const { AuditLog, verifyAuditLog } = require('./audit/AuditLog');
+const { ActionExecutor } = require('./actions/ActionExecutor');
+const { TransactionalWorkspace } = require('./actions/TransactionalWorkspace');
+const { GitRepository } = require('./git/GitRepository');
+const { validateSchema } = require('./validation/jsonSchema');
+const { AGENT_OUTPUT_SCHEMAS } = require('./validation/agentSchemas');
+const { readPipelineFile, toPipelineFile } = require('./format/pipelineFile');
+const { lintPipeline } = require('./lint/pipelineLinter');
+const { AGENT_METHODS } = require('./engine/agents');
+const { formatPlan } = require('./engine/plan');
+const { RecordingClient } = require('./cassettes/RecordingClient');
+const { ReplayClient } = require('./cassettes/ReplayClient');
+const { LocalSchemaICUServer } = require('./server/LocalSchemaICUServer');
+const { verifyResponse } = require('./signing/signatures');
+const { signPipeline, verifyPipeline } = require('./signing/pipelineSignatures');
+const { getRunMerkleRoot, createStepProof, verifyStepProof } = require('./signing/runProofs');
 const pipelines = require('./pipelines');
 
 module.exports = {
   // Core classes
   PipelineEngine,
   PolicyEngine,
+  FileCheckpointStore,
+
+  // Applies run actions (files, diffs, commands) under a project root
+  ActionExecutor,
+
+  // Applies actions in a scratch copy and promotes them once verified
+  TransactionalWorkspace,
+
+  // Local git branches and commits for applied actions
+  GitRepository,
+
+  // Hash-chained audit log of runs, agent calls, approvals and policy checks
+  AuditLog,
+  verifyAuditLog,
+
+  // Record/replay of agent calls (cassettes)
+  RecordingClient,
+  ReplayClient,
+
+  // Local stand-in for the hosted API (development and CI)
+  LocalSchemaICUServer,
+
+  // Event names emitted by PipelineEngine
+  PIPELINE_EVENTS,
+
+  // Signature verification of agent responses
+  verifyResponse,
+
+  // Signed pipeline definitions
+  signPipeline,
+  verifyPipeline,
+
+  // Merkle proofs of run outputs
+  getRunMerkleRoot,
+  createStepProof,
+  verifyStepProof,
+
+  // Output validation
+  validateSchema,
+  AGENT_OUTPUT_SCHEMAS,
+
+  // Declarative pipeline files (YAML/JSON)
+  readPipelineFile,
+  toPipelineFile,
+
+  // Static pipeline checks
+  lintPipeline,
+  AGENT_METHODS,
+
+  // Rendering of dry-run plans (engine.planRun)
+  formatPlan,
   
   // Built-in pipelines
   pipelines,
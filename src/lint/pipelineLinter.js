@@ -0,0 +1,393 @@
+/**
+ * Pipeline Linter
+ *
+ * Static checks for pipeline definitions that go beyond what
+ * registration enforces: agent/method pairs, step references in
+ * dependsOn, templates and conditions, input sources, unreachable steps
+ * and likely typos. Every finding is a machine-readable diagnostic:
+ *
+ * @example
+ * {
+ *   severity: 'error',
+ *   rule: 'unknown-method',
+ *   message: 'codeGenerator has no method improve (available: generate)',
+ *   path: '$.steps[2].method',
+ *   stepId: 'generate-code'
+ * }
+ *
+ * Used by PipelineEngine.lintPipeline() and scripts/lint-pipeline.js.
+ */
+
+const { AGENT_METHODS } = require('../engine/agents');
+const { LOOP_CONDITIONS } = require('../engine/conditions');
+const { findTemplateReferences, checkTemplate, TEMPLATE_ROOTS } = require('../engine/templates');
+
+const INPUT_SOURCES = ['user', 'file', 'previousStep', 'context', 'tests', 'selection', 'item'];
+
+const STEP_TYPES = ['agent', 'loop', 'map', 'pipeline'];
+
+const PIPELINE_FIELDS = [
+  'id', 'version', 'name', 'description', 'author', 'tags', 'steps', 'defaultContext',
+  'requiresApproval', 'timeout', 'maxConcurrency', 'signature'
+];
+
+const STEP_FIELDS = [
+  'id', 'name', 'description', 'type', 'agent', 'method', 'inputFrom', 'query', 'context',
+  'contextBuilder', 'resultTransform', 'resultMap', 'validation', 'maxReasks', 'requiresApproval',
+  'timeout', 'retry', 'continueOnError', 'dependsOn', 'when', 'steps', 'step', 'items', 'as',
+  'maxConcurrency', 'maxIterations', 'until', 'pipelineId'
+];
+
+/**
+ * Lint a pipeline definition
+ * @param {Object} pipeline - Pipeline definition
+ * @param {Object} [options]
+ * @param {string[]} [options.pipelineIds] - Registered pipelines, to check `pipeline` steps against
+ * @returns {{pipelineId: string, valid: boolean, errorCount: number, warningCount: number, diagnostics: Object[]}}
+ */
+function lintPipeline(pipeline, options = {}) {
+  const diagnostics = [];
+  const report = (severity, rule, message, path, stepId) => {
+    diagnostics.push({ severity, rule, message, path, ...(stepId ? { stepId } : {}) });
+  };
+
+  if (!pipeline || typeof pipeline !== 'object' || Array.isArray(pipeline)) {
+    report('error', 'invalid-definition', 'Pipeline definition must be an object', '$');
+    return summarize(pipeline, diagnostics);
+  }
+
+  if (!pipeline.id) {
+    report('error', 'missing-field', 'Pipeline is missing id', '$.id');
+  }
+  Object.keys(pipeline).forEach(key => {
+    if (!PIPELINE_FIELDS.includes(key)) {
+      report('warning', 'unknown-field', `Unknown pipeline field: ${key}`, `$.${key}`);
+    }
+  });
+  if (!Array.isArray(pipeline.steps) || pipeline.steps.length === 0) {
+    report('error', 'missing-field', 'Pipeline must have a non-empty steps array', '$.steps');
+    return summarize(pipeline, diagnostics);
+  }
+
+  const allStepIds = new Set();
+  collectStepIds(pipeline.steps, allStepIds);
+
+  const graph = buildGraph(pipeline.steps);
+  lintGraph(pipeline.steps, graph, report);
+
+  const ancestors = new Map(pipeline.steps.map(step => [step.id, findAncestors(step.id, graph)]));
+
+  lintStepList(pipeline.steps, '$.steps', report, {
+    options,
+    allStepIds,
+    visibleFor: step => ancestors.get(step.id) || new Set(),
+    hasPredecessor: step => (graph.get(step.id) || []).length > 0
+  });
+
+  return summarize(pipeline, diagnostics);
+}
+
+/**
+ * @private
+ */
+function summarize(pipeline, diagnostics) {
+  const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+  return {
+    pipelineId: pipeline?.id || null,
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: diagnostics.length - errorCount,
+    diagnostics
+  };
+}
+
+/**
+ * Collect the ids of steps at every nesting level
+ * @private
+ */
+function collectStepIds(steps, ids) {
+  (steps || []).forEach(step => {
+    if (step && step.id) {
+      ids.add(step.id);
+    }
+    collectStepIds(getBody(step), ids);
+  });
+}
+
+/**
+ * Sub-steps of a loop or map step
+ * @private
+ */
+function getBody(step) {
+  if (step?.type === 'map' && step.step) return [step.step];
+  if (step?.type !== 'loop' && step?.type !== 'map') return [];
+  return Array.isArray(step.steps) ? step.steps : [];
+}
+
+/**
+ * Dependency graph of top-level steps, as PipelineEngine builds it
+ * @private
+ */
+function buildGraph(steps) {
+  const graph = new Map();
+  steps.forEach((step, index) => {
+    if (!step || !step.id || graph.has(step.id)) return;
+    const deps = step.dependsOn !== undefined
+      ? (Array.isArray(step.dependsOn) ? step.dependsOn : [])
+      : (index > 0 && steps[index - 1]?.id ? [steps[index - 1].id] : []);
+    graph.set(step.id, deps);
+  });
+  return graph;
+}
+
+/**
+ * @private
+ */
+function findAncestors(stepId, graph, seen = new Set()) {
+  (graph.get(stepId) || []).forEach(dep => {
+    if (!seen.has(dep)) {
+      seen.add(dep);
+      findAncestors(dep, graph, seen);
+    }
+  });
+  return seen;
+}
+
+/**
+ * Unknown dependencies, cycles and steps that can never be scheduled
+ * @private
+ */
+function lintGraph(steps, graph, report) {
+  const indexOf = id => steps.findIndex(step => step && step.id === id);
+
+  steps.forEach((step, index) => {
+    if (step && step.dependsOn !== undefined && !Array.isArray(step.dependsOn)) {
+      report('error', 'invalid-dependency', `Step ${step.id} dependsOn must be an array of step ids`,
+        `$.steps[${index}].dependsOn`, step.id);
+      return;
+    }
+    (step?.dependsOn || []).forEach((dep, depIndex) => {
+      if (!graph.has(dep)) {
+        report('error', 'unknown-dependency', `Step ${step.id} depends on unknown step: ${dep}`,
+          `$.steps[${index}].dependsOn[${depIndex}]`, step.id);
+      }
+    });
+  });
+
+  // A step can run only if all its dependencies can
+  const runnable = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    graph.forEach((deps, stepId) => {
+      if (!runnable.has(stepId) && deps.every(dep => runnable.has(dep))) {
+        runnable.add(stepId);
+        changed = true;
+      }
+    });
+  }
+
+  graph.forEach((deps, stepId) => {
+    if (runnable.has(stepId)) return;
+    const inCycle = findAncestors(stepId, graph).has(stepId);
+    report(
+      'error',
+      inCycle ? 'dependency-cycle' : 'unreachable-step',
+      inCycle
+        ? `Step ${stepId} is part of a dependency cycle`
+        : `Step ${stepId} can never run: it depends on a step that is unknown or in a cycle`,
+      `$.steps[${indexOf(stepId)}]`,
+      stepId
+    );
+  });
+}
+
+/**
+ * Lint one list of steps (the pipeline, or a loop/map body)
+ * @private
+ */
+function lintStepList(steps, path, report, scope) {
+  const seen = new Set();
+
+  steps.forEach((step, index) => {
+    const stepPath = `${path}[${index}]`;
+    if (!step || typeof step !== 'object') {
+      report('error', 'invalid-step', 'Step must be an object', stepPath);
+      return;
+    }
+    if (!step.id) {
+      report('error', 'missing-field', `Step ${index} is missing id`, `${stepPath}.id`);
+    } else if (seen.has(step.id)) {
+      report('error', 'duplicate-step-id', `Duplicate step id: ${step.id}`, `${stepPath}.id`, step.id);
+    }
+    seen.add(step.id);
+
+    lintStep(step, stepPath, report, scope);
+  });
+}
+
+/**
+ * @private
+ */
+function lintStep(step, path, report, scope) {
+  const stepId = step.id;
+  const type = step.type || 'agent';
+
+  Object.keys(step).forEach(key => {
+    if (!STEP_FIELDS.includes(key)) {
+      report('warning', 'unknown-field', `Unknown step field: ${key}`, `${path}.${key}`, stepId);
+    }
+  });
+
+  if (!STEP_TYPES.includes(type)) {
+    report('error', 'unknown-step-type', `Unknown step type: ${type}`, `${path}.type`, stepId);
+    return;
+  }
+
+  if (type === 'agent') {
+    lintAgentStep(step, path, report, scope);
+  } else if (type === 'pipeline') {
+    if (!step.pipelineId) {
+      report('error', 'missing-field', `Pipeline step ${stepId} is missing pipelineId`, `${path}.pipelineId`, stepId);
+    } else if (scope.options.pipelineIds && !scope.options.pipelineIds.includes(step.pipelineId)) {
+      report('warning', 'unknown-pipeline', `Pipeline ${step.pipelineId} is not registered`, `${path}.pipelineId`, stepId);
+    }
+  } else if (type === 'loop') {
+    if (!Number.isInteger(step.maxIterations) || step.maxIterations < 1) {
+      report('error', 'invalid-loop', `Loop step ${stepId} needs a positive integer maxIterations`, `${path}.maxIterations`, stepId);
+    }
+    if (typeof step.until === 'string' && !LOOP_CONDITIONS[step.until]) {
+      report('error', 'unknown-condition', `Unknown until condition: ${step.until}`, `${path}.until`, stepId);
+    }
+  } else if (type === 'map' && typeof step.items !== 'string' && typeof step.items !== 'function') {
+    report('error', 'invalid-map', `Map step ${stepId} needs items (a path or a function)`, `${path}.items`, stepId);
+  }
+
+  lintReferences(step, path, report, scope);
+
+  const body = getBody(step);
+  if ((type === 'loop' || type === 'map') && body.length === 0) {
+    report('error', 'invalid-step', `${type} step ${stepId} has no sub-steps`, `${path}.steps`, stepId);
+  }
+  if (body.length > 0) {
+    const bodyIds = body.map(subStep => subStep && subStep.id);
+    const outer = scope.visibleFor(step);
+    lintStepList(body, type === 'map' && step.step ? `${path}.step` : `${path}.steps`, report, {
+      ...scope,
+      visibleFor: () => new Set([...outer, ...bodyIds]),
+      inMapBody: scope.inMapBody || type === 'map',
+      // The first sub-step's "previous step" is the parent's predecessor
+      hasPredecessor: subStep => subStep !== body[0] || scope.hasPredecessor(step)
+    });
+  }
+}
+
+/**
+ * Agent, method and input checks
+ * @private
+ */
+function lintAgentStep(step, path, report, scope) {
+  const stepId = step.id;
+
+  if (!step.agent) {
+    report('error', 'missing-field', `Step ${stepId} is missing agent`, `${path}.agent`, stepId);
+  } else if (!AGENT_METHODS[step.agent]) {
+    report('error', 'unknown-agent', `Unknown agent: ${step.agent}`, `${path}.agent`, stepId);
+  } else if (step.method && !AGENT_METHODS[step.agent].includes(step.method)) {
+    report('error', 'unknown-method',
+      `${step.agent} has no method ${step.method} (available: ${AGENT_METHODS[step.agent].join(', ')})`,
+      `${path}.method`, stepId);
+  }
+  if (!step.method) {
+    report('error', 'missing-field', `Step ${stepId} is missing method`, `${path}.method`, stepId);
+  }
+
+  if (!step.inputFrom) {
+    report('error', 'missing-field', `Step ${stepId} is missing inputFrom`, `${path}.inputFrom`, stepId);
+  } else if (!INPUT_SOURCES.includes(step.inputFrom)) {
+    report('error', 'unknown-input-source',
+      `Unknown inputFrom: ${step.inputFrom} (expected one of: ${INPUT_SOURCES.join(', ')})`,
+      `${path}.inputFrom`, stepId);
+  } else if (step.inputFrom === 'previousStep' && !scope.hasPredecessor(step)) {
+    report('error', 'previous-step-without-predecessor',
+      `Step ${stepId} takes input from the previous step but has none`, `${path}.inputFrom`, stepId);
+  } else if (step.inputFrom === 'item' && !scope.inMapBody) {
+    report('error', 'item-outside-map', `Step ${stepId} takes input from item but is not inside a map step`,
+      `${path}.inputFrom`, stepId);
+  } else if (['context', 'file'].includes(step.inputFrom) && !step.query) {
+    report('warning', 'empty-input', `Step ${stepId} takes input from ${step.inputFrom} but has no query`,
+      `${path}.query`, stepId);
+  }
+}
+
+/**
+ * Step references in templates, conditions and map items
+ * @private
+ */
+function lintReferences(step, path, report, scope) {
+  const stepId = step.id;
+  const visible = scope.visibleFor(step);
+
+  const checkStepPath = (refPath, field, label) => {
+    const [root, referenced] = refPath.split('.');
+    if (root !== 'steps' || !referenced) return;
+    if (!scope.allStepIds.has(referenced)) {
+      report('error', 'unknown-step-reference', `${label} references unknown step: ${referenced}`, `${path}.${field}`, stepId);
+    } else if (!visible.has(referenced)) {
+      report('error', 'step-reference-not-dependency',
+        `${label} references step ${referenced}, which is not one of its dependencies`, `${path}.${field}`, stepId);
+    }
+  };
+
+  const templates = [];
+  if (typeof step.query === 'string') templates.push({ field: 'query', template: step.query, roots: TEMPLATE_ROOTS });
+  ['context', 'resultMap'].forEach(group => {
+    Object.entries(step[group] || {}).forEach(([key, value]) => {
+      if (typeof value === 'string') {
+        templates.push({
+          field: `${group}.${key}`,
+          template: value,
+          roots: group === 'resultMap' ? [...TEMPLATE_ROOTS, 'data'] : TEMPLATE_ROOTS
+        });
+      }
+    });
+  });
+
+  templates.forEach(({ field, template, roots }) => {
+    checkTemplate(template, roots).forEach(problem => {
+      report('error', 'invalid-template', `Invalid template in ${field}: ${problem}`, `${path}.${field}`, stepId);
+    });
+    findTemplateReferences(template).forEach(ref => {
+      checkStepPath(ref.path, field, `Template {{${ref.expression}}}`);
+    });
+  });
+
+  ['when', 'until'].forEach(field => {
+    if (step[field] && typeof step[field] === 'object') {
+      conditionPaths(step[field]).forEach(conditionPath => {
+        checkStepPath(conditionPath, field, `Condition on ${conditionPath}`);
+      });
+    }
+  });
+
+  if (step.type === 'map' && typeof step.items === 'string') {
+    checkStepPath(step.items, 'items', `items ${step.items}`);
+  }
+}
+
+/**
+ * Paths used by a declarative condition
+ * @private
+ */
+function conditionPaths(condition) {
+  if (!condition || typeof condition !== 'object') return [];
+  if (Array.isArray(condition.all)) return condition.all.flatMap(conditionPaths);
+  if (Array.isArray(condition.any)) return condition.any.flatMap(conditionPaths);
+  if (condition.not) return conditionPaths(condition.not);
+  return typeof condition.path === 'string' ? [condition.path] : [];
+}
+
+module.exports = {
+  INPUT_SOURCES,
+  lintPipeline
+};
@@ -7,7 +7,7 @@
  * 1. Generate command to run tests
  * 2. Analyze test failures
  * 3. Improve code to fix failures
- * 4. Generate diff with fixes
+ * 4. Generate diff with fixes (skipped when there is nothing to fix)
  * 5. Generate re-run command
  */
 
@@ -28,10 +28,10 @@ const fixTests = {
       method: 'generate',
       inputFrom: 'context',
       query: 'Generate command to run all tests',
-      contextBuilder: (results, context) => ({
-        os: context.environment?.os || 'linux',
-        shell: context.environment?.shell || 'bash'
-      }),
+      context: {
+        os: '{{context.environment.os | default:"linux"}}',
+        shell: '{{context.environment.shell | default:"bash"}}'
+      },
       continueOnError: false
     },
     
@@ -42,7 +42,8 @@ const fixTests = {
       agent: 'base',
       method: 'query',
       inputFrom: 'tests',
-      query: 'Analyze these test failures and identify the root causes. Be specific about what needs to be fixed.',
+      query: 'Analyze these test failures and identify the root causes. Be specific about what needs to be fixed.\n\n' +
+        '{{context.testResults | json | truncate:8000 | default:"No test results were provided."}}',
       continueOnError: false
     },
     
@@ -54,11 +55,11 @@ const fixTests = {
       method: 'improve',
       inputFrom: 'previousStep',
       query: 'Fix the code to make the failing tests pass',
-      contextBuilder: (results, context) => ({
-        code: context.failingCode || '',
-        language: context.preferences?.language || 'JavaScript',
+      context: {
+        code: '{{context.failingCode | default:""}}',
+        language: '{{context.preferences.language | default:"JavaScript"}}',
         focusAreas: ['correctness', 'test-compatibility']
-      }),
+      },
       continueOnError: false
     },
     
@@ -69,10 +70,17 @@ const fixTests = {
       agent: 'diffImprover',
       method: 'improve',
       inputFrom: 'previousStep',
-      contextBuilder: (results, context) => ({
-        language: context.preferences?.language || 'JavaScript',
+      // Only diff when the analysis found something and fixes were produced
+      when: {
+        all: [
+          { path: 'steps.analyze-failures.data.code', notEmpty: true },
+          { path: 'steps.generate-fixes.data.improvedCode', notEmpty: true }
+        ]
+      },
+      context: {
+        language: '{{context.preferences.language | default:"JavaScript"}}',
         focusAreas: ['correctness']
-      }),
+      },
       continueOnError: true
     },
     
@@ -84,10 +92,10 @@ const fixTests = {
       method: 'generate',
       inputFrom: 'context',
       query: 'Generate command to re-run the failing tests',
-      contextBuilder: (results, context) => ({
-        os: context.environment?.os || 'linux',
-        shell: context.environment?.shell || 'bash'
-      }),
+      context: {
+        os: '{{context.environment.os | default:"linux"}}',
+        shell: '{{context.environment.shell | default:"bash"}}'
+      },
       continueOnError: true
     }
   ],
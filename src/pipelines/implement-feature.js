@@ -6,8 +6,8 @@
  * 
  * Flow:
  * 1. Improve the user's prompt for clarity
- * 2. Break down into project tasks
- * 3. Generate API schema/contracts
+ * 2. Break down into project tasks (in parallel with 3)
+ * 3. Generate API schema/contracts (in parallel with 2)
  * 4. Generate implementation code
  * 5. Improve code with error handling
  * 6. Generate diff for review
@@ -39,11 +39,11 @@ const implementFeature = {
       agent: 'projectPlanner',
       method: 'plan',
       inputFrom: 'previousStep',
-      contextBuilder: (results, context) => ({
-        technology: context.preferences?.framework || 'Node.js',
-        experience: context.preferences?.experience || 'intermediate'
-      }),
-      resultTransform: (data) => data,
+      dependsOn: ['improve-prompt'],
+      context: {
+        technology: '{{context.preferences.framework | default:"Node.js"}}',
+        experience: '{{context.preferences.experience | default:"intermediate"}}'
+      },
       continueOnError: false
     },
     
@@ -54,10 +54,11 @@ const implementFeature = {
       agent: 'schemaGenerator',
       method: 'generate',
       inputFrom: 'context',
-      query: 'Based on the project plan, generate JSON schemas for the main data models',
-      contextBuilder: (results) => ({
-        projectPlan: results.find(r => r.stepId === 'plan-tasks')?.data
-      }),
+      query: 'Generate JSON schemas for the main data models of this feature:\n\n{{steps.improve-prompt.data.improvedPrompt}}',
+      dependsOn: ['improve-prompt'],
+      context: {
+        featureDescription: '{{steps.improve-prompt.data.improvedPrompt}}'
+      },
       continueOnError: true // Schema is helpful but not required
     },
     
@@ -68,11 +69,12 @@ const implementFeature = {
       agent: 'codeGenerator',
       method: 'generate',
       inputFrom: 'previousStep',
-      contextBuilder: (results, context) => ({
-        language: context.preferences?.language || 'JavaScript',
-        schema: results.find(r => r.stepId === 'generate-schema')?.data?.schemaAsString,
-        projectPlan: results.find(r => r.stepId === 'plan-tasks')?.data
-      }),
+      dependsOn: ['plan-tasks', 'generate-schema'],
+      context: {
+        language: '{{context.preferences.language | default:"JavaScript"}}',
+        schema: '{{steps.generate-schema.data.schemaAsString | default:null}}', // optional step
+        projectPlan: '{{steps.plan-tasks.data}}'
+      },
       continueOnError: false
     },
     
@@ -84,11 +86,11 @@ const implementFeature = {
       method: 'improve',
       inputFrom: 'previousStep',
       query: 'Add comprehensive error handling, input validation, and improve code quality',
-      contextBuilder: (results, context) => ({
-        code: results.find(r => r.stepId === 'generate-code')?.data?.code,
-        language: context.preferences?.language || 'JavaScript',
+      context: {
+        code: '{{steps.generate-code.data.code}}',
+        language: '{{context.preferences.language | default:"JavaScript"}}',
         focusAreas: ['error-handling', 'validation', 'readability', 'performance']
-      }),
+      },
       continueOnError: true
     },
     
@@ -99,14 +101,9 @@ const implementFeature = {
       agent: 'diffImprover',
       method: 'improve',
       inputFrom: 'previousStep',
-      contextBuilder: (results, context) => {
-        const originalCode = results.find(r => r.stepId === 'generate-code')?.data?.code;
-        const improvedCode = results.find(r => r.stepId === 'improve-code')?.data?.improvedCode;
-        
-        return {
-          language: context.preferences?.language || 'JavaScript',
-          focusAreas: ['error-handling', 'validation']
-        };
+      context: {
+        language: '{{context.preferences.language | default:"JavaScript"}}',
+        focusAreas: ['error-handling', 'validation']
       },
       continueOnError: true
     }
@@ -38,13 +38,10 @@ const newService = {
       agent: 'projectPlanner',
       method: 'plan',
       inputFrom: 'previousStep',
-      contextBuilder: (results, context) => {
-        const design = results.find(r => r.stepId === 'design-architecture')?.data;
-        return {
-          technology: context.preferences?.framework || 'Node.js with Express',
-          experience: context.preferences?.experience || 'intermediate',
-          serviceDesign: design
-        };
+      context: {
+        technology: '{{context.preferences.framework | default:"Node.js with Express"}}',
+        experience: '{{context.preferences.experience | default:"intermediate"}}',
+        serviceDesign: '{{steps.design-architecture.data}}'
       },
       continueOnError: false
     },
@@ -56,14 +53,12 @@ const newService = {
       agent: 'schemaGenerator',
       method: 'generate',
       inputFrom: 'context',
-      query: 'Generate JSON schemas for all API endpoints based on the service design',
-      contextBuilder: (results) => {
-        const design = results.find(r => r.stepId === 'design-architecture')?.data;
-        return {
-          inputs: design?.inputs,
-          outputs: design?.outputs,
-          serviceName: design?.name
-        };
+      query: 'Generate JSON schemas for all API endpoints of the {{steps.design-architecture.data.name}} service.\n\n' +
+        'Service design:\n{{steps.design-architecture.data | json | truncate:4000}}',
+      context: {
+        inputs: '{{steps.design-architecture.data.inputs}}',
+        outputs: '{{steps.design-architecture.data.outputs}}',
+        serviceName: '{{steps.design-architecture.data.name}}'
       },
       continueOnError: false
     },
@@ -76,17 +71,11 @@ const newService = {
       method: 'generate',
       inputFrom: 'context',
       query: 'Generate complete service code with routes, controllers, and business logic',
-      contextBuilder: (results, context) => {
-        const design = results.find(r => r.stepId === 'design-architecture')?.data;
-        const schema = results.find(r => r.stepId === 'generate-schemas')?.data;
-        const plan = results.find(r => r.stepId === 'create-plan')?.data;
-        
-        return {
-          language: context.preferences?.language || 'JavaScript',
-          serviceDesign: design,
-          schemas: schema?.schemaAsString,
-          projectPlan: plan
-        };
+      context: {
+        language: '{{context.preferences.language | default:"JavaScript"}}',
+        serviceDesign: '{{steps.design-architecture.data}}',
+        schemas: '{{steps.generate-schemas.data.schemaAsString}}',
+        projectPlan: '{{steps.create-plan.data}}'
       },
       continueOnError: false
     },
@@ -99,14 +88,10 @@ const newService = {
       method: 'generate',
       inputFrom: 'context',
       query: 'Generate comprehensive unit and integration tests for this service',
-      contextBuilder: (results, context) => {
-        const serviceCode = results.find(r => r.stepId === 'generate-service-code')?.data;
-        
-        return {
-          language: context.preferences?.language || 'JavaScript',
-          codeToTest: serviceCode?.code,
-          testFramework: 'Jest'
-        };
+      context: {
+        language: '{{context.preferences.language | default:"JavaScript"}}',
+        codeToTest: '{{steps.generate-service-code.data.code}}',
+        testFramework: 'Jest'
       },
       continueOnError: true
     },
@@ -119,11 +104,11 @@ const newService = {
       method: 'generate',
       inputFrom: 'context',
       query: 'Generate commands to initialize project, install dependencies, and run the service',
-      contextBuilder: (results, context) => ({
-        os: context.environment?.os || 'linux',
-        shell: context.environment?.shell || 'bash',
-        framework: context.preferences?.framework || 'Node.js'
-      }),
+      context: {
+        os: '{{context.environment.os | default:"linux"}}',
+        shell: '{{context.environment.shell | default:"bash"}}',
+        framework: '{{context.preferences.framework | default:"Node.js"}}'
+      },
       continueOnError: true
     },
     
@@ -135,13 +120,9 @@ const newService = {
       method: 'generate',
       inputFrom: 'context',
       query: 'Create GitHub workflow for CI/CD: install deps, run tests, and deploy',
-      contextBuilder: (results, context) => {
-        const plan = results.find(r => r.stepId === 'create-plan')?.data;
-        
-        return {
-          projectName: plan?.projectName,
-          framework: context.preferences?.framework
-        };
+      context: {
+        projectName: '{{steps.create-plan.data.projectName | default:null}}',
+        framework: '{{context.preferences.framework | default:null}}'
       },
       continueOnError: true
     }
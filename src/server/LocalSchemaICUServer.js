@@ -0,0 +1,386 @@
+const http = require('http');
+const { AGENT_RESPONDERS } = require('./agentResponders');
+const { AGENT_NAMES } = require('../engine/agents');
+const { createSigningKey, getPublicKey, signData } = require('../signing/signatures');
+
+/**
+ * Default route of each agent. Other spellings of the agent name in the
+ * path are accepted as well ('/api/agents/codeGenerator/generate',
+ * '/codeGenerator', '/api/terminal'); see resolveAgent.
+ */
+const AGENT_ROUTES = {
+  base: '/api/base',
+  codeGenerator: '/api/code-generator',
+  schemaGenerator: '/api/schema-generator',
+  terminalAgent: '/api/terminal-agent',
+  codeImprover: '/api/code-improver',
+  diffImprover: '/api/diff-improver',
+  boxDesigner: '/api/box-designer',
+  projectPlanner: '/api/project-planner',
+  promptImprover: '/api/prompt-improver',
+  toolChoice: '/api/tool-choice',
+  githubAgent: '/api/github-agent'
+};
+
+const FAULT_MODES = ['latency', 'rate-limit', 'server-error', 'malformed'];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * @private
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * Find the agent a request path is for
+ * @param {string} pathname - Request path
+ * @returns {string|null} Agent name
+ */
+function resolveAgent(pathname) {
+  const segments = pathname.split('/').filter(Boolean).map(normalizeName);
+
+  for (const segment of segments) {
+    const agent = AGENT_NAMES.find(name => {
+      const normalized = normalizeName(name);
+      return segment === normalized || segment === normalized.replace(/agent$/, '');
+    });
+    if (agent) {
+      return agent;
+    }
+  }
+  return null;
+}
+
+/**
+ * LocalSchemaICUServer - Local HTTP stand-in for the hosted Schema.ICU API
+ *
+ * Serves all 11 agents without network access, for development and CI.
+ * Responses carry schema-conformant `data` (from fixtures, or from the
+ * simple rules in agentResponders) and a signature made with a local
+ * secp256k1 key, whose public key is `server.publicKey`.
+ *
+ * Requests are `POST` with a JSON body `{ query, context }` (`prompt`,
+ * `code` or `input` are accepted in place of `query`). `GET /health`
+ * reports the server's status, agents and public key.
+ *
+ * Faults can be injected to exercise retries, validation and timeouts:
+ * - `latency`: delay the response by `delay` ms (combines with the others)
+ * - `rate-limit`: answer 429 with a Retry-After header
+ * - `server-error`: answer 500
+ * - `malformed`: answer 200 with a truncated JSON body, or with
+ *   `payload: 'schema'` a valid envelope whose data fails the agent schema
+ * A fault applies to every request, or only to `agent` (a name or list),
+ * and only `times` times when set. A request can also ask for one with
+ * the `x-schema-icu-fault` header.
+ *
+ * @example
+ * const server = new LocalSchemaICUServer({ port: 4010, faults: [{ mode: 'rate-limit', times: 1 }] });
+ * await server.start();
+ * const client = new SchemaICU(server.getClientConfig()); // { baseUrl, port, apiKey }
+ * ...
+ * await server.stop();
+ */
+class LocalSchemaICUServer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port] - Port to listen on (0 picks a free one)
+   * @param {string} [options.host] - Host to bind (default 127.0.0.1)
+   * @param {string} [options.apiKey] - Require this key (x-api-key or Bearer); any key is accepted when unset
+   * @param {Object} [options.fixtures] - Per-agent data: an object, an array (served in order) or (query, context) => data
+   * @param {Object[]} [options.faults] - Faults to inject (see above)
+   * @param {string} [options.privateKey] - Hex secp256k1 signing key (generated when omitted)
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.apiKey = options.apiKey || null;
+    this.fixtures = options.fixtures || {};
+    this.privateKey = options.privateKey || createSigningKey().privateKey;
+    this.publicKey = getPublicKey(this.privateKey);
+    this.faults = [];
+    this.requests = [];
+    this.fixtureCalls = {};
+    this.server = null;
+
+    (options.faults || []).forEach(fault => this.injectFault(fault));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async start() {
+    if (this.server) {
+      return this.url;
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.send(res, 500, { success: false, error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    return this.url;
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string}
+   */
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * SchemaICU client configuration pointing at this server
+   * @returns {{baseUrl: string, port: number, apiKey: string}}
+   */
+  getClientConfig() {
+    return {
+      baseUrl: `http://${this.host}`,
+      port: this.port,
+      apiKey: this.apiKey || 'local'
+    };
+  }
+
+  /**
+   * Add a fault
+   * @param {Object} fault - `{ mode, agent?, times?, delay?, retryAfter?, payload? }`
+   * @returns {LocalSchemaICUServer} this (for chaining)
+   */
+  injectFault(fault) {
+    if (!FAULT_MODES.includes(fault.mode)) {
+      throw new Error(`Unknown fault mode: ${fault.mode} (expected one of: ${FAULT_MODES.join(', ')})`);
+    }
+    this.faults.push({ ...fault });
+    return this;
+  }
+
+  /**
+   * Remove all faults
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Handle one HTTP request
+   * @private
+   */
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, this.url);
+
+    if (req.method === 'GET' && pathname.replace(/\/$/, '').endsWith('/health')) {
+      this.send(res, 200, {
+        status: 'ok',
+        agents: AGENT_NAMES,
+        publicKey: this.publicKey
+      });
+      return;
+    }
+
+    const agent = resolveAgent(pathname);
+    if (!agent) {
+      this.send(res, 404, { success: false, error: `Unknown agent endpoint: ${pathname}` });
+      return;
+    }
+    if (req.method !== 'POST') {
+      this.send(res, 405, { success: false, error: `Use POST for ${pathname}` });
+      return;
+    }
+    if (!this.isAuthorized(req)) {
+      this.send(res, 401, { success: false, error: 'Invalid or missing API key' });
+      return;
+    }
+    const headerMode = req.headers['x-schema-icu-fault'];
+    if (headerMode && !FAULT_MODES.includes(headerMode)) {
+      this.send(res, 400, { success: false, error: `Unknown fault mode: ${headerMode}` });
+      return;
+    }
+
+    let body;
+    try {
+      body = await this.readBody(req);
+    } catch (error) {
+      this.send(res, 400, { success: false, error: error.message });
+      return;
+    }
+
+    const query = body.query ?? body.prompt ?? body.code ?? body.input ?? '';
+    const context = body.context && typeof body.context === 'object' ? body.context : {};
+    const record = { agent, query, context, status: 200, fault: null };
+    this.requests.push(record);
+
+    const faults = this.takeFaults(agent, headerMode);
+    const fault = faults.find(candidate => candidate.mode !== 'latency');
+    for (const latency of faults.filter(candidate => candidate.mode === 'latency')) {
+      await new Promise(resolve => setTimeout(resolve, latency.delay ?? 1000));
+    }
+
+    if (fault) {
+      record.fault = fault.mode;
+    }
+    if (fault?.mode === 'rate-limit') {
+      record.status = 429;
+      const retryAfter = fault.retryAfter ?? 1;
+      this.send(res, 429, { success: false, error: 'Rate limit exceeded', retryAfter }, { 'Retry-After': String(retryAfter) });
+      return;
+    }
+    if (fault?.mode === 'server-error') {
+      record.status = 500;
+      this.send(res, 500, { success: false, error: 'Internal server error (injected fault)' });
+      return;
+    }
+    if (fault?.mode === 'malformed' && fault.payload !== 'schema') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"success":true,"data":{"code":');
+      return;
+    }
+
+    const data = fault?.mode === 'malformed'
+      ? { unexpected: true }
+      : await this.respond(agent, query, context);
+    const timestamp = new Date().toISOString();
+
+    this.send(res, 200, {
+      success: true,
+      data,
+      timestamp,
+      signature: signData(data, this.privateKey, timestamp)
+    });
+  }
+
+  /**
+   * Data for an agent call: the agent's fixture, or its responder
+   * @private
+   */
+  async respond(agent, query, context) {
+    const fixture = this.fixtures[agent];
+
+    if (typeof fixture === 'function') {
+      return fixture(query, context);
+    }
+    if (Array.isArray(fixture)) {
+      const call = this.fixtureCalls[agent] || 0;
+      this.fixtureCalls[agent] = call + 1;
+      return fixture[Math.min(call, fixture.length - 1)];
+    }
+    if (fixture) {
+      return fixture;
+    }
+    return AGENT_RESPONDERS[agent](query, context);
+  }
+
+  /**
+   * Faults that apply to a request, counting down limited ones
+   * @private
+   */
+  takeFaults(agent, headerMode) {
+    const applied = [];
+
+    this.faults = this.faults.filter(fault => {
+      const agents = fault.agent ? [].concat(fault.agent) : null;
+      if (agents && !agents.includes(agent)) {
+        return true;
+      }
+      applied.push(fault);
+      if (fault.times === undefined) {
+        return true;
+      }
+      fault.times--;
+      return fault.times > 0;
+    });
+
+    if (headerMode) {
+      applied.unshift({ mode: headerMode });
+    }
+
+    return applied;
+  }
+
+  /**
+   * @private
+   */
+  isAuthorized(req) {
+    if (!this.apiKey) {
+      return true;
+    }
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    return req.headers['x-api-key'] === this.apiKey || bearer === this.apiKey;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @private
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf-8');
+        try {
+          const body = text ? JSON.parse(text) : {};
+          resolve(body && typeof body === 'object' ? body : { query: body });
+        } catch (error) {
+          reject(new Error(`Invalid JSON body: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * @private
+   */
+  send(res, status, body, headers = {}) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = {
+  LocalSchemaICUServer,
+  AGENT_ROUTES,
+  FAULT_MODES,
+  resolveAgent
+};
@@ -0,0 +1,188 @@
+/**
+ * Local Agent Responders
+ *
+ * Simple, deterministic stand-ins for the 11 Schema.ICU agents, used by
+ * LocalSchemaICUServer when no fixture is configured. Each responder
+ * turns a query and context into `data` that conforms to the agent's
+ * output schema (see AGENT_OUTPUT_SCHEMAS); the content is derived from
+ * the query with plain rules, which is enough to drive pipelines end to
+ * end in development and CI.
+ */
+
+/**
+ * First line of a query, shortened, for names and comments
+ * @private
+ */
+function summarize(query, length = 60) {
+  const line = String(query || '').split('\n').find(text => text.trim()) || 'task';
+  const trimmed = line.trim();
+  return trimmed.length > length ? `${trimmed.slice(0, length - 3)}...` : trimmed;
+}
+
+/**
+ * Identifier built from the words of a query ('add user login' -> 'addUserLogin')
+ * @private
+ */
+function toIdentifier(query, pascal = false) {
+  const words = summarize(query, 200).toLowerCase().match(/[a-z0-9]+/g) || ['generated'];
+  const name = words.slice(0, 4).map((word, index) => (
+    index === 0 && !pascal ? word : word[0].toUpperCase() + word.slice(1)
+  )).join('');
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * @private
+ */
+function wordsOf(text) {
+  return new Set(String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+const AGENT_RESPONDERS = {
+  base: query => ({
+    response: `Local answer to: ${summarize(query)}`,
+    includesCode: false,
+    code: '',
+    continue: false,
+    questionForUser: false,
+    question: '',
+    missingContext: []
+  }),
+
+  codeGenerator: (query, context) => {
+    const name = toIdentifier(query);
+    return {
+      code: [
+        `// ${summarize(query)}`,
+        `function ${name}(input) {`,
+        '  if (input === undefined) {',
+        `    throw new TypeError('${name} requires an input');`,
+        '  }',
+        '  return input;',
+        '}',
+        '',
+        `module.exports = { ${name} };`,
+        ''
+      ].join('\n'),
+      missingContext: [],
+      reasoning: 'Generated by the local Schema.ICU server from the query.',
+      language: context.language || 'JavaScript',
+      complexity: 'O(1)'
+    };
+  },
+
+  schemaGenerator: query => ({
+    schemaAsString: JSON.stringify({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: toIdentifier(query, true),
+      description: summarize(query, 200),
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' }
+      },
+      required: ['id']
+    }, null, 2),
+    missingContext: []
+  }),
+
+  terminalAgent: (query, context) => {
+    const words = wordsOf(query);
+    let code = `echo ${JSON.stringify(summarize(query))}`;
+    if (words.has('test') || words.has('tests')) code = 'npm test';
+    else if (words.has('install') || words.has('dependencies')) code = 'npm install';
+    else if (words.has('start') || words.has('run')) code = 'npm start';
+    return {
+      code,
+      reasoning: `Command for ${context.shell || 'bash'} on ${context.os || 'linux'}.`,
+      missingContext: []
+    };
+  },
+
+  codeImprover: (query, context) => ({
+    improvedCode: `// Improved: ${summarize(query)}\n${context.code || ''}`,
+    missingContext: []
+  }),
+
+  diffImprover: (code, context = {}) => {
+    const original = String(code || '');
+    const file = context.filePath || 'code';
+    const comment = '// Reviewed by the local Schema.ICU server';
+    const lines = original.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return {
+      diff: [
+        `--- a/${file}`,
+        `+++ b/${file}`,
+        `@@ -1,${lines.length} +1,${lines.length + 1} @@`,
+        `+${comment}`,
+        ...lines.map(line => ` ${line}`),
+        ''
+      ].join('\n'),
+      improvedCode: `${comment}\n${original}`,
+      explanation: 'Added a review marker; the local server does not change behaviour.',
+      missingContext: []
+    };
+  },
+
+  boxDesigner: query => ({
+    name: toIdentifier(query, true),
+    description: summarize(query, 200),
+    inputs: [{ name: 'request', type: 'object', description: 'Input of the component' }],
+    outputs: [{ name: 'result', type: 'object', description: 'Output of the component' }],
+    dependencies: []
+  }),
+
+  projectPlanner: (query, context) => ({
+    projectName: toIdentifier(query, true),
+    projectDescription: summarize(query, 200),
+    tasks: [
+      { taskName: 'Design', taskDescription: `Design the solution with ${context.technology || 'Node.js'}`, estimatedTimeHours: 2 },
+      { taskName: 'Implement', taskDescription: summarize(query, 200), estimatedTimeHours: 4 },
+      { taskName: 'Test', taskDescription: 'Write and run tests', estimatedTimeHours: 2 }
+    ]
+  }),
+
+  promptImprover: query => ({
+    improvedPrompt: `${String(query || '').trim()}\n\nBe specific about inputs, outputs, error handling and tests.`,
+    missingContext: []
+  }),
+
+  toolChoice: (query, context) => {
+    const tools = Array.isArray(context.availableTools) && context.availableTools.length > 0
+      ? context.availableTools
+      : [{ name: 'base', description: 'General purpose agent' }];
+    const queryWords = wordsOf(query);
+    const scored = tools.map((tool, index) => {
+      const toolWords = wordsOf(`${tool.name} ${tool.description || ''}`);
+      const score = [...toolWords].filter(word => queryWords.has(word)).length;
+      return { tool: tool.name, index, score, rationale: `${score} word(s) in common with the query` };
+    }).sort((a, b) => b.score - a.score || a.index - b.index);
+    const [best, ...rest] = scored;
+
+    return {
+      chosenTool: best.tool,
+      chosenToolIndex: best.index,
+      isAgent: Boolean(tools[best.index].isAgent),
+      shouldInvokeTool: true,
+      missingContext: [],
+      reasoning: `Chosen tool: ${best.tool} (${best.rationale}).`,
+      alternativeTools: rest
+    };
+  },
+
+  githubAgent: query => {
+    const branch = `feature/${toIdentifier(query).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    return {
+      githubCommands: [
+        { command: `git checkout -b ${branch}`, reasoning: 'Work on a feature branch' },
+        { command: 'git add -A', reasoning: 'Stage the changes' },
+        { command: `git commit -m ${JSON.stringify(summarize(query))}`, reasoning: 'Commit the changes' },
+        { command: `git push -u origin ${branch}`, reasoning: 'Publish the branch' }
+      ],
+      missingContext: []
+    };
+  }
+};
+
+module.exports = { AGENT_RESPONDERS };
@@ -0,0 +1,120 @@
+/**
+ * Merkle Trees
+ *
+ * Binary SHA-256 Merkle trees over hex leaf hashes, with inclusion
+ * proofs. Leaves and inner nodes are hashed with different prefixes
+ * (0x00 and 0x01, as in RFC 6962), so a leaf can never pass for an inner
+ * node. An odd node at the end of a level moves up unchanged instead of
+ * being paired with itself.
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Hash of a leaf
+ * @param {string} content - Leaf content (e.g. canonical JSON)
+ * @returns {string} Hex digest
+ */
+function hashLeaf(content) {
+  return crypto.createHash('sha256').update(LEAF_PREFIX).update(content).digest('hex');
+}
+
+/**
+ * Hash of an inner node
+ * @param {string} left - Hex hash of the left child
+ * @param {string} right - Hex hash of the right child
+ * @returns {string} Hex digest
+ */
+function hashNode(left, right) {
+  return crypto.createHash('sha256')
+    .update(NODE_PREFIX)
+    .update(Buffer.from(left, 'hex'))
+    .update(Buffer.from(right, 'hex'))
+    .digest('hex');
+}
+
+/**
+ * Build every level of a tree, from the leaves up to the root
+ * @param {string[]} leaves - Leaf hashes (see hashLeaf)
+ * @returns {string[][]} Levels; the last one holds the root alone
+ */
+function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('A Merkle tree needs at least one leaf');
+  }
+
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+/**
+ * Root of a tree
+ * @param {string[]} leaves - Leaf hashes
+ * @returns {string|null} Hex root, or null without leaves
+ */
+function getMerkleRoot(leaves) {
+  if (leaves.length === 0) {
+    return null;
+  }
+  const levels = buildMerkleTree(leaves);
+  return levels[levels.length - 1][0];
+}
+
+/**
+ * Sibling hashes linking a leaf to the root
+ * @param {string[]} leaves - Leaf hashes
+ * @param {number} index - Index of the leaf
+ * @returns {Array<{hash: string, position: 'left'|'right'}>}
+ */
+function getMerklePath(leaves, index) {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error(`Leaf index out of range: ${index}`);
+  }
+
+  const path = [];
+  const levels = buildMerkleTree(leaves);
+  let position = index;
+
+  levels.slice(0, -1).forEach(level => {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < level.length) {
+      path.push({ hash: level[sibling], position: sibling < position ? 'left' : 'right' });
+    }
+    position = Math.floor(position / 2);
+  });
+
+  return path;
+}
+
+/**
+ * Fold a leaf hash up a Merkle path
+ * @param {string} leaf - Leaf hash
+ * @param {Array<{hash: string, position: 'left'|'right'}>} path - See getMerklePath
+ * @returns {string} The root the path leads to
+ */
+function computeMerkleRoot(leaf, path) {
+  return path.reduce(
+    (hash, sibling) => (sibling.position === 'left' ? hashNode(sibling.hash, hash) : hashNode(hash, sibling.hash)),
+    leaf
+  );
+}
+
+module.exports = {
+  hashLeaf,
+  hashNode,
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerklePath,
+  computeMerkleRoot
+};
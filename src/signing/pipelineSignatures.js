@@ -0,0 +1,62 @@
+/**
+ * Pipeline Signatures
+ *
+ * Pipelines can be shared as signed artifacts: the signature covers the
+ * canonical JSON of the definition without its `signature` field, so key
+ * order and file format (YAML, JSON or a JavaScript module) do not
+ * matter, but any change to a step, query or template does.
+ *
+ * @example
+ * const signed = signPipeline(definition, privateKey);
+ * verifyPipeline(signed, { trustedKeys: [publicKey] }); // { verified: true, ... }
+ */
+
+const { signData, verifyResponse } = require('./signatures');
+
+/**
+ * Definition as covered by its signature
+ * @private
+ */
+function getSignedContent(definition) {
+  const { signature: _signature, ...content } = definition;
+  return content;
+}
+
+/**
+ * Sign a pipeline definition
+ * @param {Object} definition - Pipeline definition (an existing signature is replaced)
+ * @param {string} privateKey - Hex secp256k1 private key
+ * @param {string} [signedAt] - Signing time (defaults to now)
+ * @returns {Object} Copy of the definition with a `signature`
+ */
+function signPipeline(definition, privateKey, signedAt) {
+  const content = getSignedContent(definition);
+  return { ...content, signature: signData(content, privateKey, signedAt) };
+}
+
+/**
+ * Verify the signature of a pipeline definition
+ * @param {Object} definition - Signed pipeline definition
+ * @param {Object} [options]
+ * @param {string[]} [options.trustedKeys] - Public keys (hex) allowed to sign pipelines; any key is accepted when empty
+ * @returns {{verified: boolean, reason: string, publicKey: string|null}}
+ */
+function verifyPipeline(definition, options = {}) {
+  const verification = verifyResponse(
+    { data: getSignedContent(definition), signature: definition.signature },
+    options
+  );
+
+  if (verification.reason.startsWith('hash mismatch')) {
+    return { ...verification, reason: 'hash mismatch: pipeline definition was changed after signing' };
+  }
+  if (verification.reason === 'missing signature') {
+    return { ...verification, reason: 'unsigned pipeline' };
+  }
+  return verification;
+}
+
+module.exports = {
+  signPipeline,
+  verifyPipeline
+};
@@ -0,0 +1,145 @@
+/**
+ * Run Proofs
+ *
+ * One Merkle root authenticates every signed agent output of a run. The
+ * leaves are the signed steps in result order, each hashed from its path
+ * and signature (`hash`, `signature`, `publicKey`, `signedAt`). An
+ * inclusion proof for one step carries its leaf, the sibling hashes up
+ * to the root and the step's data, so the step can be checked offline
+ * against the root alone.
+ *
+ * Step paths are step ids; sub-steps are nested under their parent:
+ * `refine/2/improve` (loop iteration 2), `per-file/0/generate` (map item
+ * 0) and `child/generate-code` (sub-pipeline step).
+ *
+ * @example
+ * const proof = createStepProof(result, 'generate-code');
+ * verifyStepProof(proof, { root: result.merkleRoot }); // { verified: true, ... }
+ */
+
+const { canonicalize } = require('../utils/canonical');
+const { verifyResponse } = require('./signatures');
+const { hashLeaf, getMerkleRoot, getMerklePath, computeMerkleRoot } = require('./merkle');
+
+const PROOF_VERSION = 1;
+
+/**
+ * Signed agent steps of a run, depth first, with their paths
+ * @param {Object[]} steps - Step results
+ * @param {string} [prefix] - Path of the parent step
+ * @returns {Array<{path: string, step: Object}>}
+ */
+function collectSignedSteps(steps, prefix = '') {
+  return steps.flatMap(step => {
+    const path = prefix ? `${prefix}/${step.stepId}` : step.stepId;
+
+    if (step.history) {
+      return step.history.flatMap(entry => collectSignedSteps(entry.steps, `${path}/${entry.iteration}`));
+    }
+    if (step.items) {
+      return step.items.flatMap(item => collectSignedSteps(item.steps, `${path}/${item.index}`));
+    }
+    if (step.pipelineResult) {
+      return collectSignedSteps(step.pipelineResult.steps, path);
+    }
+    return step.signature ? [{ path, step }] : [];
+  });
+}
+
+/**
+ * Leaf of a signed step
+ * @private
+ */
+function toLeaf(path, signature) {
+  return {
+    path,
+    hash: signature.hash,
+    signature: signature.signature,
+    publicKey: signature.publicKey,
+    signedAt: signature.signedAt
+  };
+}
+
+/**
+ * @private
+ */
+function hashStepLeaf(leaf) {
+  return hashLeaf(canonicalize(leaf));
+}
+
+/**
+ * Merkle root over the signed steps of a run
+ * @param {Object} result - PipelineResult (or anything with `steps`)
+ * @returns {string|null} Hex root, or null if no step is signed
+ */
+function getRunMerkleRoot(result) {
+  const leaves = collectSignedSteps(result.steps).map(({ path, step }) => hashStepLeaf(toLeaf(path, step.signature)));
+  return getMerkleRoot(leaves);
+}
+
+/**
+ * Inclusion proof for one signed step of a run
+ * @param {Object} result - PipelineResult
+ * @param {string} stepPath - Path of the step (see above)
+ * @returns {Object} `{ proofVersion, root, index, leafCount, leaf, siblings, data }`
+ */
+function createStepProof(result, stepPath) {
+  const signed = collectSignedSteps(result.steps);
+  const index = signed.findIndex(entry => entry.path === stepPath);
+  if (index === -1) {
+    throw new Error(`No signed step at ${stepPath} (signed steps: ${signed.map(entry => entry.path).join(', ') || 'none'})`);
+  }
+
+  const leaves = signed.map(({ path, step }) => hashStepLeaf(toLeaf(path, step.signature)));
+  return {
+    proofVersion: PROOF_VERSION,
+    root: getMerkleRoot(leaves),
+    index,
+    leafCount: leaves.length,
+    leaf: toLeaf(stepPath, signed[index].step.signature),
+    siblings: getMerklePath(leaves, index),
+    data: signed[index].step.data
+  };
+}
+
+/**
+ * Check a step proof offline: the leaf must lead to the root, the data
+ * must match the signed hash and the signature must be valid (and made
+ * with a trusted key, when given). Steps with a resultTransform or
+ * resultMap hold mapped data; pass the agent's raw output as `data`.
+ * @param {Object} proof - See createStepProof
+ * @param {Object} [options]
+ * @param {string} [options.root] - Trusted run root (defaults to the proof's own root)
+ * @param {*} [options.data] - Step output to check (defaults to the proof's data)
+ * @param {string[]} [options.trustedKeys] - Public keys allowed to sign agent responses
+ * @returns {{verified: boolean, reason: string, path: string, publicKey: string|null}}
+ */
+function verifyStepProof(proof, options = {}) {
+  const path = proof?.leaf?.path ?? null;
+  const result = (verified, reason) => ({ verified, reason, path, publicKey: proof?.leaf?.publicKey ?? null });
+
+  if (!proof || proof.proofVersion !== PROOF_VERSION || !proof.leaf || !Array.isArray(proof.siblings)) {
+    return result(false, 'malformed proof');
+  }
+
+  const root = options.root ?? proof.root;
+  if (computeMerkleRoot(hashStepLeaf(toLeaf(path, proof.leaf)), proof.siblings) !== root) {
+    return result(false, 'root mismatch: the step is not part of the run');
+  }
+
+  const data = 'data' in options ? options.data : proof.data;
+  const verification = verifyResponse({ data, signature: proof.leaf }, { trustedKeys: options.trustedKeys });
+  if (!verification.verified) {
+    return result(false, verification.reason);
+  }
+
+  return result(true, 'step output is signed and included in the run');
+}
+
+module.exports = {
+  PROOF_VERSION,
+  collectSignedSteps,
+  getRunMerkleRoot,
+  createStepProof,
+  verifyStepProof
+};
@@ -0,0 +1,476 @@
+/**
+ * Response Signatures
+ *
+ * Schema.ICU signs every agent response with a BSV (secp256k1) key:
+ *
+ * @example
+ * signature: {
+ *   hash: 'c03b9f...',       // SHA-256 (hex) of the JSON of `data`
+ *   signature: 'H/2Ta+...',  // compact recoverable signature, base64
+ *   publicKey: '036576...',  // compressed secp256k1 public key, hex
+ *   signedAt: '2025-12-10T01:35:27.603Z'
+ * }
+ *
+ * The signature is a Bitcoin signed message (BSM) over the `hash`
+ * string, as made by `bsv.Message.sign(hash, privateKey)`: ECDSA over
+ * double SHA-256 of "Bitcoin Signed Message:\n" and the message, each
+ * prefixed with its length. It is 65 bytes: a header byte (27 + the
+ * recovery id, + 4 for a compressed key) then r and s. The signer's
+ * public key is recovered from it and compared with `publicKey`.
+ *
+ * Keys are plain hex strings: 32-byte private keys and 33-byte
+ * compressed public keys.
+ */
+
+const crypto = require('crypto');
+const { sha256, canonicalize } = require('../utils/canonical');
+
+const CURVE = 'secp256k1';
+
+const MESSAGE_MAGIC = Buffer.from('Bitcoin Signed Message:\n');
+
+/** secp256k1 domain parameters */
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+/**
+ * Generate a signing key pair
+ * @returns {{privateKey: string, publicKey: string}} Hex private key and compressed public key
+ */
+function createSigningKey() {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.generateKeys();
+  return {
+    privateKey: ecdh.getPrivateKey('hex').padStart(64, '0'),
+    publicKey: ecdh.getPublicKey('hex', 'compressed')
+  };
+}
+
+/**
+ * Compressed public key of a private key
+ * @param {string} privateKey - Hex private key
+ * @returns {string}
+ */
+function getPublicKey(privateKey) {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.setPrivateKey(privateKey, 'hex');
+  return ecdh.getPublicKey('hex', 'compressed');
+}
+
+/**
+ * Hash of a response payload, as carried in `signature.hash`
+ * @param {*} data - Response data
+ * @returns {string} SHA-256 hex digest of the canonical JSON
+ */
+function hashData(data) {
+  return sha256(data);
+}
+
+/**
+ * Whether a signed hash covers some data: the SHA-256 of its canonical
+ * JSON, or of its JSON as received (the key order the service serialized)
+ * @private
+ */
+function matchesHash(hash, data) {
+  if (hash === hashData(data)) {
+    return true;
+  }
+  const json = JSON.stringify(data);
+  return json !== undefined && json !== canonicalize(data) && hash === sha256Buffer(json).toString('hex');
+}
+
+/**
+ * Length-prefixed magic and message
+ * @private
+ */
+function getMessagePayload(message) {
+  const body = Buffer.from(message, 'utf-8');
+  return Buffer.concat([encodeVarInt(MESSAGE_MAGIC.length), MESSAGE_MAGIC, encodeVarInt(body.length), body]);
+}
+
+/**
+ * @private
+ */
+function sha256Buffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest();
+}
+
+/**
+ * Digest a Bitcoin signed message is signed over
+ * @param {string} message - Message (for responses, the `hash` string)
+ * @returns {Buffer} Double SHA-256 of the length-prefixed magic and message
+ */
+function getMessageDigest(message) {
+  return sha256Buffer(sha256Buffer(getMessagePayload(message)));
+}
+
+/**
+ * Bitcoin variable-length integer
+ * @private
+ */
+function encodeVarInt(value) {
+  if (value < 0xfd) {
+    return Buffer.from([value]);
+  }
+  const buffer = Buffer.alloc(value <= 0xffff ? 3 : 5);
+  buffer[0] = value <= 0xffff ? 0xfd : 0xfe;
+  if (value <= 0xffff) {
+    buffer.writeUInt16LE(value, 1);
+  } else {
+    buffer.writeUInt32LE(value, 1);
+  }
+  return buffer;
+}
+
+/**
+ * Sign a message as a Bitcoin signed message
+ * @param {string} message - Message
+ * @param {string} privateKey - Hex private key
+ * @returns {string} Base64 compact signature (65 bytes, compressed key)
+ */
+function signMessage(message, privateKey) {
+  const digest = getMessageDigest(message);
+  // crypto.sign hashes its input once more, so the signed digest is the double SHA-256
+  const raw = crypto.sign('sha256', sha256Buffer(getMessagePayload(message)), {
+    key: toPrivateKeyObject(privateKey),
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  const r = toBigInt(raw.subarray(0, 32));
+  let s = toBigInt(raw.subarray(32));
+  // Low-S form, as Bitcoin signers produce
+  if (s > N / 2n) {
+    s = N - s;
+  }
+
+  const publicKey = getPublicKey(privateKey);
+  const recovery = [0, 1, 2, 3].find(id => {
+    const point = recoverPoint(digest, r, s, id);
+    return point && encodePoint(point, true) === publicKey;
+  });
+
+  return Buffer.concat([Buffer.from([27 + recovery + 4]), toBuffer(r), toBuffer(s)]).toString('base64');
+}
+
+/**
+ * Public key that made a Bitcoin signed message signature
+ * @param {string} message - Message
+ * @param {string} signature - Base64 compact signature
+ * @returns {string} Hex public key, compressed or not as the signature's header says
+ * @throws {Error} With code SIGNATURE_MALFORMED when no key can be recovered
+ */
+function recoverMessageSigner(message, signature) {
+  const bytes = Buffer.from(signature, 'base64');
+  const fail = reason => {
+    const error = new Error(reason);
+    error.code = 'SIGNATURE_MALFORMED';
+    return error;
+  };
+
+  if (bytes.length !== 65) {
+    throw fail(`expected a 65-byte compact signature, got ${bytes.length} bytes`);
+  }
+  const header = bytes[0];
+  if (header < 27 || header > 34) {
+    throw fail(`invalid header byte ${header}`);
+  }
+
+  const compressed = header >= 31;
+  const recovery = (header - 27) & 3;
+  const r = toBigInt(bytes.subarray(1, 33));
+  const s = toBigInt(bytes.subarray(33));
+  if (r === 0n || r >= N || s === 0n || s >= N) {
+    throw fail('r or s out of range');
+  }
+
+  const point = recoverPoint(getMessageDigest(message), r, s, recovery);
+  if (!point) {
+    throw fail('no public key can be recovered');
+  }
+  return encodePoint(point, compressed);
+}
+
+/**
+ * Sign a response payload
+ * @param {*} data - Response data
+ * @param {string} privateKey - Hex private key
+ * @param {string} [signedAt] - Signing time (defaults to now)
+ * @returns {{hash: string, signature: string, publicKey: string, signedAt: string}}
+ */
+function signData(data, privateKey, signedAt = new Date().toISOString()) {
+  const hash = hashData(data);
+
+  return {
+    hash,
+    signature: signMessage(hash, privateKey),
+    publicKey: getPublicKey(privateKey),
+    signedAt
+  };
+}
+
+/**
+ * Verify the signature of an agent response: the hash must match the
+ * JSON of `data`, the key recovered from the signature over the hash must
+ * be the response's public key, and with `trustedKeys` the public key
+ * must be one of them
+ * @param {Object} response - Agent response `{ data, signature }`
+ * @param {Object} [options]
+ * @param {string[]} [options.trustedKeys] - Pinned public keys (hex); any key is accepted when empty
+ * @returns {{verified: boolean, reason: string, publicKey: string|null}}
+ */
+function verifyResponse(response, options = {}) {
+  const signature = response?.signature;
+  const trustedKeys = options.trustedKeys || [];
+  const result = (verified, reason) => ({ verified, reason, publicKey: signature?.publicKey || null });
+
+  if (!signature) {
+    return result(false, 'missing signature');
+  }
+  if (typeof signature.hash !== 'string' || typeof signature.signature !== 'string' ||
+    typeof signature.publicKey !== 'string') {
+    return result(false, 'malformed signature: hash, signature and publicKey are required');
+  }
+  if (!matchesHash(signature.hash, response.data)) {
+    return result(false, 'hash mismatch: response data does not match the signed hash');
+  }
+
+  let publicKey;
+  try {
+    publicKey = normalizePublicKey(signature.publicKey);
+  } catch (error) {
+    return result(false, `invalid public key: ${error.message}`);
+  }
+  if (trustedKeys.length > 0 && !trustedKeys.some(key => sameKey(key, publicKey))) {
+    return result(false, `untrusted public key: ${signature.publicKey}`);
+  }
+
+  let signer;
+  try {
+    signer = recoverMessageSigner(signature.hash, signature.signature);
+  } catch (error) {
+    return result(false, `malformed signature: ${error.message}`);
+  }
+  return sameKey(signer, publicKey) ? result(true, 'signature valid') : result(false, 'invalid signature');
+}
+
+/**
+ * Compressed form of a hex public key, checked to be on the curve
+ * @private
+ */
+function normalizePublicKey(publicKey) {
+  if (typeof publicKey !== 'string' || !/^(?:[0-9a-fA-F]{2})+$/.test(publicKey)) {
+    throw new Error('not a hex string');
+  }
+  return crypto.ECDH.convertKey(publicKey, CURVE, 'hex', 'hex', 'compressed');
+}
+
+/**
+ * Whether two hex public keys (compressed or not) are the same key
+ * @private
+ */
+function sameKey(a, b) {
+  try {
+    return normalizePublicKey(a) === normalizePublicKey(b);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @private
+ */
+function toBigInt(buffer) {
+  return BigInt(`0x${buffer.toString('hex') || '0'}`);
+}
+
+/**
+ * @private
+ */
+function toBuffer(value) {
+  return Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+}
+
+/**
+ * @private
+ */
+function mod(a, m = P) {
+  const result = a % m;
+  return result >= 0n ? result : result + m;
+}
+
+/**
+ * Modular exponentiation
+ * @private
+ */
+function power(base, exponent, m = P) {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) {
+      result = (result * b) % m;
+    }
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Modular inverse (m is prime)
+ * @private
+ */
+function invert(a, m = P) {
+  return power(a, m - 2n, m);
+}
+
+/**
+ * Sum of two affine points (null is the point at infinity)
+ * @private
+ */
+function addPoints(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.x === b.x) {
+    if (mod(a.y + b.y) === 0n) {
+      return null;
+    }
+    const slope = mod(3n * a.x * a.x * invert(2n * a.y));
+    const x = mod(slope * slope - 2n * a.x);
+    return { x, y: mod(slope * (a.x - x) - a.y) };
+  }
+  const slope = mod((b.y - a.y) * invert(b.x - a.x));
+  const x = mod(slope * slope - a.x - b.x);
+  return { x, y: mod(slope * (a.x - x) - a.y) };
+}
+
+/**
+ * Scalar multiple of a point, in Jacobian coordinates
+ * @private
+ */
+function multiply(point, scalar) {
+  // Jacobian point (X, Y, Z) stands for (X / Z^2, Y / Z^3); Z = 0 is infinity
+  const double = ({ X, Y, Z }) => {
+    if (Z === 0n || Y === 0n) return { X: 0n, Y: 1n, Z: 0n };
+    const YY = mod(Y * Y);
+    const S = mod(4n * X * YY);
+    const M = mod(3n * X * X);
+    const X3 = mod(M * M - 2n * S);
+    return { X: X3, Y: mod(M * (S - X3) - 8n * YY * YY), Z: mod(2n * Y * Z) };
+  };
+  const add = (p, q) => {
+    if (p.Z === 0n) return q;
+    if (q.Z === 0n) return p;
+    const Z1Z1 = mod(p.Z * p.Z);
+    const Z2Z2 = mod(q.Z * q.Z);
+    const U1 = mod(p.X * Z2Z2);
+    const U2 = mod(q.X * Z1Z1);
+    const S1 = mod(p.Y * q.Z * Z2Z2);
+    const S2 = mod(q.Y * p.Z * Z1Z1);
+    if (U1 === U2) {
+      return S1 === S2 ? double(p) : { X: 0n, Y: 1n, Z: 0n };
+    }
+    const H = mod(U2 - U1);
+    const R = mod(S2 - S1);
+    const HH = mod(H * H);
+    const HHH = mod(H * HH);
+    const X3 = mod(R * R - HHH - 2n * U1 * HH);
+    return { X: X3, Y: mod(R * (U1 * HH - X3) - S1 * HHH), Z: mod(H * p.Z * q.Z) };
+  };
+
+  let result = { X: 0n, Y: 1n, Z: 0n };
+  let addend = { X: point.x, Y: point.y, Z: 1n };
+  let k = mod(scalar, N);
+  while (k > 0n) {
+    if (k & 1n) {
+      result = add(result, addend);
+    }
+    addend = double(addend);
+    k >>= 1n;
+  }
+
+  if (result.Z === 0n) {
+    return null;
+  }
+  const zInverse = invert(result.Z);
+  const zInverse2 = mod(zInverse * zInverse);
+  return { x: mod(result.X * zInverse2), y: mod(result.Y * zInverse2 * zInverse) };
+}
+
+/**
+ * Public key point of an ECDSA signature: Q = r⁻¹(sR - eG), where R is
+ * the curve point with x = r (+ n) and the parity given by the recovery id
+ * @private
+ * @returns {{x: bigint, y: bigint}|null}
+ */
+function recoverPoint(digest, r, s, recovery) {
+  const x = r + (recovery >> 1 ? N : 0n);
+  if (x >= P) {
+    return null;
+  }
+
+  const ySquared = mod(x * x * x + 7n);
+  let y = power(ySquared, (P + 1n) / 4n);
+  if (mod(y * y) !== ySquared) {
+    return null;
+  }
+  if ((y & 1n) !== BigInt(recovery & 1)) {
+    y = P - y;
+  }
+
+  const e = mod(toBigInt(digest), N);
+  const rInverse = invert(r, N);
+  const sR = multiply({ x, y }, s);
+  const eG = multiply(G, e);
+  const negativeEG = eG ? { x: eG.x, y: mod(-eG.y) } : null;
+  const sum = addPoints(sR, negativeEG);
+  return sum ? multiply(sum, rInverse) : null;
+}
+
+/**
+ * Hex SEC encoding of a point
+ * @private
+ */
+function encodePoint(point, compressed) {
+  const x = point.x.toString(16).padStart(64, '0');
+  if (compressed) {
+    return `${point.y & 1n ? '03' : '02'}${x}`;
+  }
+  return `04${x}${point.y.toString(16).padStart(64, '0')}`;
+}
+
+/**
+ * Build a KeyObject from a hex private key
+ * @private
+ */
+function toPrivateKeyObject(privateKey) {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.setPrivateKey(privateKey, 'hex');
+  const point = ecdh.getPublicKey(null, 'uncompressed');
+
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: CURVE,
+      d: Buffer.from(privateKey.padStart(64, '0'), 'hex').toString('base64url'),
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33).toString('base64url')
+    }
+  });
+}
+
+module.exports = {
+  createSigningKey,
+  getPublicKey,
+  hashData,
+  getMessageDigest,
+  signMessage,
+  recoverMessageSigner,
+  signData,
+  verifyResponse
+};
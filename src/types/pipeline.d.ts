@@ -39,7 +39,8 @@ export type InputSource =
   | 'previousStep'    // Output from previous step
   | 'context'         // From pipeline context
   | 'tests'           // From test execution
-  | 'selection';      // From IDE selection
+  | 'selection'       // From IDE selection
+  | 'item';           // Current item of a map step (appended to query)
 
 /**
  * Action types that can be emitted by pipeline steps
@@ -55,6 +56,131 @@ export type ActionType =
   | 'SHOW_MESSAGE'
   | 'REQUEST_APPROVAL';
 
+/**
+ * Classification of a step error, used to decide whether to retry
+ */
+export type ErrorType =
+  | 'timeout'         // Step exceeded its timeout
+  | 'cancelled'       // Run aborted or pipeline timeout reached
+  | 'network'         // Connection reset/refused, DNS failure
+  | 'rate-limit'      // HTTP 429
+  | 'server'          // HTTP 5xx
+  | 'validation'      // HTTP 4xx (bad request, invalid input) or output failing its schema
+  | 'policy'          // Blocked by PolicyEngine
+  | 'rejected'        // Approval rejected
+  | 'signature'       // Response signature missing or invalid (requireSignatures)
+  | 'unknown';
+
+/**
+ * Retry policy for agent calls
+ */
+export interface RetryPolicy {
+  /** Total attempts including the first (1 = no retries) */
+  attempts?: number;
+  
+  /** Base delay in ms, doubled after each attempt, or a function of the attempt number */
+  backoff?: number | ((attempt: number) => number);
+  
+  /** Upper bound for a single delay in ms */
+  maxDelay?: number;
+  
+  /** Error types to retry, or a predicate */
+  retryOn?: ErrorType[] | ((error: Error, errorType: ErrorType) => boolean);
+}
+
+/**
+ * A single attempt at calling a step's agent
+ */
+export interface StepAttempt {
+  /** Attempt number, starting at 1 */
+  attempt: number;
+  
+  /** Whether this attempt succeeded */
+  success: boolean;
+  
+  /** Error message if the attempt failed */
+  error?: string;
+  
+  /** Classification of the error */
+  errorType?: ErrorType;
+  
+  /** Duration of the attempt in ms */
+  duration: number;
+  
+  /** Delay before the next attempt in ms, if one was made */
+  retryDelay?: number;
+  
+  /** Schema errors in this attempt's output (the agent was re-asked) */
+  validationErrors?: ValidationError[];
+}
+
+/**
+ * A JSON Schema violation in a step's output
+ */
+export interface ValidationError {
+  /** JSON path of the offending value, e.g. '$.tasks[0].taskName' */
+  path: string;
+  
+  /** Schema keyword that failed, e.g. 'required' or 'type' */
+  keyword: string;
+  
+  message: string;
+}
+
+/**
+ * JSON Schema (the subset supported by the engine's validator)
+ */
+export interface JsonSchema {
+  type?: string | string[];
+  enum?: any[];
+  const?: any;
+  required?: string[];
+  properties?: Record<string, JsonSchema | boolean>;
+  additionalProperties?: JsonSchema | boolean;
+  items?: JsonSchema | boolean;
+  minItems?: number;
+  maxItems?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  allOf?: JsonSchema[];
+  anyOf?: JsonSchema[];
+  oneOf?: JsonSchema[];
+  not?: JsonSchema;
+  [keyword: string]: any;
+}
+
+/**
+ * Declarative step condition. Paths resolve against
+ * `{ steps: { [stepId]: PipelineStepResult }, context: PipelineContext }`.
+ */
+export type StepCondition =
+  | { all: StepCondition[] }
+  | { any: StepCondition[] }
+  | { not: StepCondition }
+  | {
+      path: string;
+      exists?: boolean;
+      notEmpty?: boolean;
+      equals?: any;
+      notEquals?: any;
+      in?: any[];
+      gt?: number;
+      gte?: number;
+      lt?: number;
+      lte?: number;
+      matches?: string;
+    };
+
+/**
+ * Named convergence conditions for loop steps
+ */
+export type LoopCondition =
+  | 'tests-pass'        // A body step reported passing tests
+  | 'no-improvements';  // An improver step returned an empty improvements list
+
 /**
  * Single step in a pipeline
  */
@@ -68,26 +194,74 @@ export interface PipelineStep {
   /** Description of what this step does */
   description?: string;
   
-  /** Which agent to invoke */
-  agent: AgentName;
+  /** Step type: a single agent call (default), a loop, a map over an array, or a sub-pipeline */
+  type?: 'agent' | 'loop' | 'map' | 'pipeline';
+  
+  /** Pipeline steps: id of the registered pipeline to run (contextBuilder output is merged into its context) */
+  pipelineId?: string;
+  
+  /** Which agent to invoke (agent steps) */
+  agent?: AgentName;
+  
+  /** Which method to call on the agent (agent steps) */
+  method?: AgentMethod;
+  
+  /** Where to get the query/input from (agent steps) */
+  inputFrom?: InputSource;
   
-  /** Which method to call on the agent */
-  method: AgentMethod;
+  /** Loop/map steps: body of sub-steps run in order on every iteration or item */
+  steps?: PipelineStep[];
   
-  /** Where to get the query/input from */
-  inputFrom: InputSource;
+  /** Map steps: single sub-step run per item (alternative to steps) */
+  step?: PipelineStep;
   
-  /** Optional: custom query template or string */
+  /** Map steps: array to map over, as a path ('steps.plan-tasks.data.tasks') or a function */
+  items?: string | ((results: PipelineStepResult[], context: PipelineContext) => any[] | Promise<any[]>);
+  
+  /** Map steps: extra context key for the current item (always available as context.item) */
+  as?: string;
+  
+  /** Map steps: maximum items processed at once (defaults to engine maxConcurrency) */
+  maxConcurrency?: number;
+  
+  /** Loop steps: upper bound on iterations */
+  maxIterations?: number;
+  
+  /** Loop steps: stop once this holds after an iteration */
+  until?:
+    | LoopCondition
+    | StepCondition
+    | ((iterationResults: PipelineStepResult[], context: PipelineContext, iteration: number) => boolean | Promise<boolean>);
+  
+  /**
+   * Optional: ids of steps that must complete before this one runs.
+   * Defaults to the preceding step; use [] to run from the start.
+   */
+  dependsOn?: string[];
+  
+  /** Optional: skip this step unless the condition holds */
+  when?: StepCondition | ((results: PipelineStepResult[], context: PipelineContext) => boolean | Promise<boolean>);
+  
+  /** Optional: query text; may contain {{context.x}} / {{steps.<id>.data.x}} templates with filters */
   query?: string;
   
   /** Optional: transform function to build context from previous results */
   contextBuilder?: (results: PipelineStepResult[], context: PipelineContext) => any;
   
+  /** Optional: agent context values (templates allowed), merged over contextBuilder output */
+  context?: Record<string, any>;
+  
   /** Optional: transform function to process the result */
   resultTransform?: (result: any, context: PipelineContext) => any;
   
-  /** Optional: validation schema for the result */
-  validation?: any;
+  /** Optional: declarative result mapping; templates may also read the agent output as {{data.x}} */
+  resultMap?: Record<string, any>;
+  
+  /** JSON Schema the agent's output must match (defaults to the agent's standard schema; false disables) */
+  validation?: JsonSchema | false;
+  
+  /** Times to re-ask the agent with the validation errors when its output is invalid (overrides engine default) */
+  maxReasks?: number;
   
   /** Whether this step requires human approval before execution */
   requiresApproval?: boolean;
@@ -95,6 +269,9 @@ export interface PipelineStep {
   /** Maximum execution time in ms */
   timeout?: number;
   
+  /** Retry policy for the agent call (overrides engine default) */
+  retry?: RetryPolicy;
+  
   /** Whether to continue pipeline if this step fails */
   continueOnError?: boolean;
 }
@@ -112,12 +289,27 @@ export interface PipelineStepResult {
   /** Whether the step succeeded */
   success: boolean;
   
+  /** Outcome of the step */
+  status: 'completed' | 'failed' | 'cancelled' | 'skipped';
+  
+  /** Why the step was skipped (status 'skipped'; data is then {}) */
+  skipReason?: string;
+  
   /** The data returned by the agent */
   data: any;
   
   /** Error if step failed */
   error?: string;
   
+  /** Classification of the error if step failed */
+  errorType?: ErrorType;
+  
+  /** Every attempt made at calling the agent */
+  attempts?: StepAttempt[];
+  
+  /** Schema errors in the agent's final output, if that failed the step */
+  validationErrors?: ValidationError[];
+  
   /** Execution duration in ms */
   duration: number;
   
@@ -132,8 +324,37 @@ export interface PipelineStepResult {
     signedAt: string;
   };
   
+  /** Whether the signature matched the response data, the public key and any pinned keys */
+  verified?: boolean;
+  
+  /** Why the signature did or did not verify, e.g. 'hash mismatch: ...' */
+  verificationReason?: string;
+  
   /** Actions suggested by this step */
   actions?: PipelineAction[];
+  
+  /** Loop steps: number of iterations run */
+  iterations?: number;
+  
+  /** Loop steps: whether `until` held before maxIterations was reached */
+  converged?: boolean;
+  
+  /** Loop steps: sub-step results of every iteration */
+  history?: Array<{ iteration: number; steps: PipelineStepResult[] }>;
+  
+  /** Pipeline steps: the child run's full result */
+  pipelineResult?: PipelineResult;
+  
+  /** Map steps: per-item outcome, in item order (data is then the array of item outputs) */
+  items?: Array<{
+    index: number;
+    item: any;
+    success: boolean;
+    status: 'completed' | 'failed';
+    error?: string;
+    data: any;
+    steps: PipelineStepResult[];
+  }>;
 }
 
 /**
@@ -149,6 +370,8 @@ export interface PipelineAction {
   /** Payload specific to action type */
   payload: {
     diff?: string;
+    /** APPLY_DIFF: the code the agent saw, for a three-way merge when the file has changed */
+    original?: string;
     content?: string;
     command?: string;
     message?: string;
@@ -163,6 +386,136 @@ export interface PipelineAction {
   
   /** Whether this action was approved */
   approved?: boolean;
+  
+  /** Set when the file's path was already written by an earlier action and it was moved */
+  collision?: {
+    path: string;
+    stepId: string | null;
+  };
+}
+
+/**
+ * Outcome of one action applied by an ActionExecutor
+ */
+export interface ActionResult {
+  /** Position of the action in the applied list */
+  index: number;
+  type: ActionType;
+  targets: string[];
+  status: 'applied' | 'denied' | 'rejected' | 'failed' | 'skipped';
+  
+  /** Why the action was denied, rejected or skipped */
+  reason?: string | null;
+  
+  /** Error message and code of a failed action */
+  error?: string;
+  code?: string;
+  
+  /** Who approved or rejected the action, when approval was required */
+  decidedBy?: string;
+  
+  /** Commit of the action's files, when applied with `git` */
+  commit?: string;
+  
+  /** Handler output: written path and bytes, patched files, or command exitCode/stdout/stderr */
+  outcome?: {
+    /** APPLY_DIFF: one entry per file of the diff */
+    files?: DiffFileResult[];
+    [key: string]: any;
+  };
+  duration?: number;
+}
+
+/**
+ * How one file of an APPLY_DIFF action was patched
+ */
+export interface DiffFileResult {
+  path: string;
+  applied: boolean;
+  /** 'patch' (hunks applied), 'merge' (three-way merge with the original), or null */
+  method: 'patch' | 'merge' | null;
+  hunks: Array<{
+    index: number;
+    header: string;
+    status: 'applied' | 'merged' | 'rejected';
+    /** 1-based line the hunk was applied at */
+    line?: number;
+    /** Lines the hunk moved from its header's position */
+    offset?: number;
+    /** Context lines ignored at each end */
+    fuzz?: number;
+    reason?: string;
+  }>;
+  /** Conflicting changes found by the three-way merge */
+  conflicts: Array<{ line: number; base: string[]; ours: string[]; theirs: string[] }>;
+  /** Report of the rejected hunks, next to the file */
+  rejectFile?: string;
+}
+
+/**
+ * Result of ActionExecutor.apply() and PipelineEngine.applyActions()
+ */
+export interface ActionExecution {
+  /** Whether every action was applied */
+  success: boolean;
+  results: ActionResult[];
+  
+  /** Branch and commits, when applied with `git` */
+  git?: GitRun;
+  
+  /** Scratch copy outcome, when applied with `workspace` */
+  verification?: WorkspaceVerification;
+}
+
+/**
+ * Outcome of actions applied in a scratch copy with `workspace`
+ */
+export interface WorkspaceVerification {
+  mode: 'copy' | 'worktree';
+  /** Whether every action applied and every verify command exited with 0 */
+  passed: boolean;
+  /** Whether the changes were written to the root */
+  promoted: boolean;
+  /** Why the changes were not promoted */
+  reason: string | null;
+  /** Root-relative paths the actions changed */
+  changes: {
+    created: string[];
+    modified: string[];
+    deleted: string[];
+  };
+  /** Verify commands that ran, up to the first failure */
+  commands: Array<{
+    command: string;
+    exitCode: number | null;
+    timedOut: boolean;
+    duration: number;
+    /** End of the output */
+    stdout: string;
+    stderr: string;
+  }>;
+  /** Changed paths that were also changed in the root during the run */
+  conflicts: Array<{ path: string; reason: string }>;
+  /** Scratch copy, when kept with `keep: true` */
+  workspace?: string;
+}
+
+/**
+ * Branch and commits of actions applied with `git`
+ */
+export interface GitRun {
+  branch: string;
+  /** Branch the run branch started from (null on a detached HEAD) */
+  baseBranch: string | null;
+  baseSha: string;
+  commits: Array<{
+    sha: string;
+    /** Index of the committed action */
+    index: number;
+    /** Subject line of the commit */
+    message: string;
+    targets: string[];
+  }>;
 }
 
 /**
@@ -202,7 +555,13 @@ export interface PipelineDefinition {
   /** Maximum total execution time in ms */
   timeout?: number;
   
-  /** BSV signature of this pipeline definition (for marketplace) */
+  /** Maximum number of steps running at once (overrides engine default) */
+  maxConcurrency?: number;
+  
+  /**
+   * BSV signature of this pipeline definition (see signPipeline), over the
+   * canonical JSON of every other field
+   */
   signature?: {
     hash: string;
     signature: string;
@@ -221,7 +580,7 @@ export interface PipelineContext {
   /** Current project directory */
   projectRoot?: string;
   
-  /** Files in scope */
+  /** Files in scope; generated files with these paths become MODIFY_FILE actions */
   files?: string[];
   
   /** Selected code/text */
@@ -259,6 +618,9 @@ export interface PipelineContext {
  * Result from executing a complete pipeline
  */
 export interface PipelineResult {
+  /** Unique ID of this run (used to resume it from a checkpoint) */
+  runId: string;
+  
   /** Pipeline ID */
   pipelineId: string;
   
@@ -268,6 +630,9 @@ export interface PipelineResult {
   /** Overall success status */
   success: boolean;
   
+  /** Outcome of the run; 'cancelled' results hold the steps finished so far */
+  status: 'completed' | 'failed' | 'cancelled';
+  
   /** Results from each step */
   steps: PipelineStepResult[];
   
@@ -283,6 +648,15 @@ export interface PipelineResult {
   /** All actions collected from steps */
   actions: PipelineAction[];
   
+  /** Merkle root over the signatures of every signed step (null if none is signed) */
+  merkleRoot: string | null;
+  
+  /** Branch and commits, once applyActions ran with `git` */
+  git?: GitRun;
+  
+  /** Verification and promotion, once applyActions ran with `workspace` */
+  verification?: WorkspaceVerification;
+  
   /** Summary/final output */
   summary?: string;
   
@@ -293,6 +667,319 @@ export interface PipelineResult {
   context: PipelineContext;
 }
 
+/**
+ * Options for a single pipeline run
+ */
+export interface RunOptions {
+  /** Aborts the run: in-flight agent calls are cancelled and a partial result is returned */
+  signal?: AbortSignal;
+  
+  /** Run ID to use instead of a generated one */
+  runId?: string;
+  
+  /** Plan from planRun() the run must follow (its execution contract) */
+  plan?: RunPlan;
+}
+
+/**
+ * A step of a run plan
+ */
+export interface PlannedStep {
+  stepId: string;
+  stepName: string;
+  type: 'agent' | 'loop' | 'map' | 'pipeline';
+  dependsOn: string[];
+  
+  /** Outcome of `when` if it only reads the context; 'runtime' if it reads step output */
+  condition: { status: 'passes' | 'skips' | 'runtime'; reason: string } | null;
+  
+  /** Inputs that depend on runtime output, e.g. { field: 'context.code', reference: '{{steps.generate.data.code}}' } */
+  runtime: Array<{ field: string; reference: string }>;
+  
+  /** Agent steps */
+  agent?: AgentName;
+  method?: AgentMethod;
+  inputFrom?: InputSource;
+  
+  /** Query sent to the agent, or null when it depends on runtime output */
+  input?: string | null;
+  
+  /** Agent context values known up front (null with a contextBuilder) */
+  context?: Record<string, any> | null;
+  
+  policy?: { allowed: boolean; reason?: string };
+  requiresApproval?: boolean;
+  
+  /** Loop and map steps: the planned body */
+  steps?: PlannedStep[];
+  maxIterations?: number;
+  until?: string | object | null;
+  items?: string;
+  
+  /** Pipeline steps: the sub-pipeline's plan (null when it cannot be planned, see note) */
+  pipelineId?: string;
+  plan?: RunPlan | null;
+  note?: string;
+}
+
+/**
+ * Result of PipelineEngine.planRun(): what a run would do, without calling any agent
+ */
+export interface RunPlan {
+  planVersion: number;
+  pipelineId: string;
+  pipelineName: string;
+  pipelineVersion: string | null;
+  
+  /** Hashes the run is checked against when the plan is used as a contract */
+  definitionHash: string;
+  contextHash: string;
+  
+  createdAt: string;
+  
+  /** False if policy denies the pipeline or a step, or context references are unresolved */
+  allowed: boolean;
+  
+  policy: { allowed: boolean; reason?: string };
+  requiresApproval: boolean;
+  unresolved: string[];
+  approvals: Array<{ type: 'pipeline' | 'step'; pipelineId: string; stepId?: string; name: string }>;
+  denied: Array<{ pipelineId: string; stepId: string; reason: string }>;
+  runtimeInputs: Array<{ pipelineId: string; stepId: string; field: string; reference: string }>;
+  steps: PlannedStep[];
+}
+
+/**
+ * Fields shared by every pipeline event
+ */
+export interface PipelineEventBase {
+  type: keyof PipelineEventMap;
+  runId: string;
+  pipelineId: string;
+  timestamp: string;
+}
+
+/**
+ * Events emitted by PipelineEngine, keyed by event name
+ */
+export interface PipelineEventMap {
+  'run:start': PipelineEventBase & {
+    /** Run of the pipeline step that invoked this run (sub-pipelines) */
+    parentRunId: string | null;
+    pipelineName: string;
+    totalSteps: number;
+    resumed: boolean;
+  };
+  'step:start': PipelineEventBase & {
+    stepId: string;
+    stepName: string;
+    stepType: 'agent' | 'loop' | 'map' | 'pipeline';
+  };
+  'step:retry': PipelineEventBase & StepAttempt & {
+    stepId: string;
+    stepName: string;
+    /** Set when retrying a failed call */
+    maxAttempts?: number;
+    /** Set when re-asking after invalid output */
+    reask?: number;
+    maxReasks?: number;
+  };
+  'step:complete': PipelineEventBase & {
+    stepId: string;
+    stepName: string;
+    /** Completed, failed or cancelled result */
+    result: PipelineStepResult;
+  };
+  'step:skipped': PipelineEventBase & {
+    stepId: string;
+    stepName: string;
+    reason: string;
+  };
+  'approval:requested': PipelineEventBase & {
+    request: { type: 'pipeline' | 'step'; [key: string]: any };
+  };
+  'action:collected': PipelineEventBase & {
+    stepId: string;
+    action: PipelineAction;
+  };
+  'policy:denied': PipelineEventBase & {
+    /** null when the whole pipeline was denied */
+    stepId: string | null;
+    reason: string;
+  };
+  'run:complete': PipelineEventBase & {
+    status: 'completed' | 'failed' | 'cancelled';
+    success: boolean;
+    error: string | null;
+    /** null when the run was blocked before any step ran */
+    result: PipelineResult | null;
+  };
+}
+
+export type PipelineEvent = PipelineEventMap[keyof PipelineEventMap];
+
+/**
+ * One finding of the pipeline linter
+ */
+export interface LintDiagnostic {
+  severity: 'error' | 'warning';
+  
+  /** Rule that produced it, e.g. 'unknown-method' or 'unreachable-step' */
+  rule: string;
+  
+  message: string;
+  
+  /** JSON path into the definition, e.g. '$.steps[2].method' */
+  path: string;
+  
+  /** Step the finding is about, when there is one */
+  stepId?: string;
+}
+
+/**
+ * Result of PipelineEngine.lintPipeline() / lintPipeline()
+ */
+export interface LintResult {
+  pipelineId: string | null;
+  
+  /** False when there is at least one error (warnings do not count) */
+  valid: boolean;
+  
+  errorCount: number;
+  warningCount: number;
+  diagnostics: LintDiagnostic[];
+}
+
+/**
+ * Saved state of a run, written after every step when checkpointing is enabled
+ */
+export interface RunCheckpoint {
+  runId: string;
+  pipelineId: string;
+  
+  /** Pipeline version at the time of the checkpoint */
+  pipelineVersion: string;
+  
+  /** Hash of the full definition; resuming fails if it changed */
+  definitionHash: string;
+  
+  status: 'running' | 'completed' | 'failed' | 'cancelled';
+  startedAt: string;
+  updatedAt: string;
+  
+  /** Context the run was started with */
+  context: PipelineContext;
+  
+  /** Execution context including step results */
+  executionContext: PipelineContext;
+  
+  /** Step results so far */
+  steps: PipelineStepResult[];
+  
+  /** Actions collected so far */
+  actions: PipelineAction[];
+}
+
+/**
+ * Pluggable storage for run checkpoints (FileCheckpointStore is the default)
+ */
+export interface CheckpointStore {
+  save(runId: string, state: RunCheckpoint): Promise<void>;
+  load(runId: string): Promise<RunCheckpoint | null>;
+  delete(runId: string): Promise<boolean>;
+  list(): Promise<Array<Pick<RunCheckpoint, 'runId' | 'pipelineId' | 'status' | 'updatedAt'>>>;
+}
+
+/**
+ * An agent call as recorded by RecordingClient
+ */
+export interface CassetteInteraction {
+  /** Hash of the request at recording time */
+  key: string;
+  
+  request: {
+    agent: AgentName;
+    method: AgentMethod;
+    input: any;
+    context?: Record<string, any>;
+  };
+  
+  /** Agent response, including its signature (null if the call threw) */
+  response: { success: boolean; data: any; timestamp?: string; signature?: any } | null;
+  
+  /** Error thrown by the call: enough to rethrow it with the same classification */
+  error: { name?: string; message: string; code?: string; status?: number } | null;
+  
+  duration: number;
+  recordedAt: string;
+}
+
+/**
+ * Entry of the hash-chained audit log
+ */
+export interface AuditEntry {
+  /** Position in the log, from 0 */
+  seq: number;
+  timestamp: string;
+  type: 'run:start' | 'policy:check' | 'approval' | 'agent:call' | 'action:applied' | 'workspace:verify' | string;
+  /** Entry data; engine entries carry runId and pipelineId */
+  data: Record<string, any>;
+  /** Hash of the previous entry ('0' x 64 for the first) */
+  prevHash: string;
+  /** SHA-256 of the canonical JSON of the other fields */
+  hash: string;
+}
+
+/**
+ * Result of verifyAuditLog
+ */
+export interface AuditVerification {
+  valid: boolean;
+  count: number;
+  headHash: string;
+  errors: Array<{ index: number; seq: number | null; reason: string }>;
+}
+
+/**
+ * What onApprovalRequired may return: a boolean, or a decision naming who made it
+ */
+export type ApprovalAnswer = boolean | { approved: boolean; approvedBy?: string; reason?: string };
+
+/**
+ * Inclusion proof of one signed step in a run's Merkle root
+ */
+export interface StepProof {
+  proofVersion: number;
+  root: string;
+  /** Position of the leaf among the run's signed steps */
+  index: number;
+  leafCount: number;
+  /** Step path ('generate-code', 'refine/2/improve') and its signature */
+  leaf: { path: string; hash: string; signature: string; publicKey: string; signedAt: string };
+  /** Sibling hashes from the leaf up to the root */
+  siblings: Array<{ hash: string; position: 'left' | 'right' }>;
+  /** The step's output */
+  data: any;
+}
+
+/**
+ * Outcome of verifying a response signature
+ */
+export interface SignatureVerification {
+  verified: boolean;
+  reason: string;
+  publicKey: string | null;
+}
+
+/**
+ * Cassette file written by RecordingClient and served by ReplayClient
+ */
+export interface Cassette {
+  cassetteVersion: number;
+  recordedAt: string;
+  interactions: CassetteInteraction[];
+}
+
 /**
  * Policy rules for restricting pipeline/step execution
  */
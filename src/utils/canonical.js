@@ -0,0 +1,59 @@
+/**
+ * Canonical JSON
+ *
+ * Deterministic serialization used wherever a value has to hash the same
+ * way every time: object keys are sorted, functions are replaced by their
+ * source, and undefined values are dropped (as JSON.stringify does).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value to canonical JSON
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalize(value) {
+  return JSON.stringify(normalize(value));
+}
+
+/**
+ * Convert a value into a plain structure with sorted keys
+ * @private
+ */
+function normalize(value) {
+  if (typeof value === 'function') {
+    return `[Function ${value.toString()}]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (item === undefined ? null : normalize(item)));
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return normalize(value.toJSON());
+    }
+    const sorted = {};
+    Object.keys(value).sort().forEach(key => {
+      if (value[key] !== undefined) {
+        sorted[key] = normalize(value[key]);
+      }
+    });
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * SHA-256 hex digest of a value's canonical JSON (strings are hashed as-is)
+ * @param {*} value - Value to hash
+ * @returns {string}
+ */
+function sha256(value) {
+  const data = typeof value === 'string' ? value : canonicalize(value);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+  canonicalize,
+  sha256
+};
@@ -0,0 +1,98 @@
+/**
+ * Shell Commands
+ *
+ * Runs a command line through the shell and collects its output, for
+ * RUN_COMMAND actions and workspace verification commands.
+ */
+
+const { spawn } = require('child_process');
+
+/** Output kept per stream (the end; earlier output is dropped) */
+const OUTPUT_LIMIT = 1024 * 1024;
+
+/** Time a timed-out command gets to exit after SIGTERM before SIGKILL */
+const KILL_GRACE = 2000;
+
+/**
+ * Run a shell command to completion
+ *
+ * The command runs in its own process group. On timeout the whole group
+ * (the shell and whatever it started) gets SIGTERM, then SIGKILL after
+ * `killGrace`, and the promise resolves without waiting for stray
+ * processes to close the output pipes.
+ *
+ * @param {string} command - Command line
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory
+ * @param {number} options.timeout - Time in ms after which the command is stopped
+ * @param {number} [options.maxOutput] - Characters kept per stream (default 1 MiB)
+ * @param {number} [options.killGrace] - Time in ms between SIGTERM and SIGKILL (default 2000)
+ * @returns {Promise<{command: string, exitCode: number|null, stdout: string, stderr: string, timedOut: boolean, duration: number}>}
+ *   Resolves for any exit code; rejects only when the command cannot be started
+ */
+function runShellCommand(command, { cwd, timeout, maxOutput = OUTPUT_LIMIT, killGrace = KILL_GRACE }) {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const child = spawn(command, { cwd, shell: true, detached: true });
+    const output = { command, exitCode: null, stdout: '', stderr: '', timedOut: false, duration: 0 };
+    let settled = false;
+    let killTimer = null;
+
+    const killGroup = signal => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch (error) {
+        // The group is gone already
+      }
+    };
+
+    const finish = exitCode => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      output.exitCode = exitCode;
+      output.duration = Date.now() - startTime;
+      if (output.timedOut) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }
+      resolve(output);
+    };
+
+    const timer = setTimeout(() => {
+      output.timedOut = true;
+      killGroup('SIGTERM');
+      killTimer = setTimeout(() => {
+        killGroup('SIGKILL');
+        finish(null);
+      }, killGrace);
+    }, timeout);
+
+    const collect = stream => chunk => {
+      output[stream] += chunk;
+      if (output[stream].length > maxOutput) {
+        output[stream] = output[stream].slice(-maxOutput);
+      }
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      error.outcome = output;
+      reject(error);
+    });
+    // After a timeout the shell's exit is enough: its children may hold the pipes open
+    child.on('exit', exitCode => {
+      if (output.timedOut) {
+        finish(exitCode);
+      }
+    });
+    child.on('close', finish);
+  });
+}
+
+module.exports = { runShellCommand };
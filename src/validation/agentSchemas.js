@@ -0,0 +1,177 @@
+/**
+ * Agent Output Schemas
+ *
+ * JSON Schemas for the `data` each Schema.ICU agent returns, mirroring
+ * the response types in schema-icu-sdk.d.ts. PipelineEngine validates
+ * agent steps against these unless a step sets its own `validation`.
+ *
+ * Only the field a step's output is used for is required (e.g. `code`
+ * for codeGenerator); the other documented fields are type-checked when
+ * present, so agent responses that omit optional metadata still pass.
+ */
+
+const missingContext = { type: 'array', items: { type: 'string' } };
+
+const boxIO = {
+  type: 'object',
+  required: ['name', 'type'],
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string' },
+    description: { type: 'string' }
+  }
+};
+
+const AGENT_OUTPUT_SCHEMAS = {
+  base: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string' },
+      missingContext
+    }
+  },
+
+  codeGenerator: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', minLength: 1 },
+      missingContext,
+      reasoning: { type: 'string' },
+      language: { type: 'string' },
+      complexity: { type: 'string' }
+    }
+  },
+
+  schemaGenerator: {
+    type: 'object',
+    required: ['schemaAsString'],
+    properties: {
+      schemaAsString: { type: 'string', minLength: 1 },
+      code: { type: 'string' },
+      missingContext
+    }
+  },
+
+  terminalAgent: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', minLength: 1 },
+      reasoning: { type: 'string' },
+      missingContext
+    }
+  },
+
+  codeImprover: {
+    type: 'object',
+    required: ['improvedCode'],
+    properties: {
+      improvedCode: { type: 'string' },
+      code: { type: 'string' },
+      missingContext
+    }
+  },
+
+  diffImprover: {
+    type: 'object',
+    required: ['diff', 'improvedCode'],
+    properties: {
+      diff: { type: 'string' },
+      improvedCode: { type: 'string' },
+      explanation: { type: 'string' },
+      missingContext
+    }
+  },
+
+  boxDesigner: {
+    type: 'object',
+    required: ['name', 'inputs', 'outputs'],
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      inputs: { type: 'array', items: boxIO },
+      outputs: { type: 'array', items: boxIO },
+      dependencies: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  projectPlanner: {
+    type: 'object',
+    required: ['tasks'],
+    properties: {
+      projectName: { type: 'string' },
+      projectDescription: { type: 'string' },
+      tasks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['taskName'],
+          properties: {
+            taskName: { type: 'string' },
+            taskDescription: { type: 'string' },
+            estimatedTimeHours: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+
+  promptImprover: {
+    type: 'object',
+    required: ['improvedPrompt'],
+    properties: {
+      improvedPrompt: { type: 'string', minLength: 1 },
+      code: { type: 'string' },
+      missingContext
+    }
+  },
+
+  toolChoice: {
+    type: 'object',
+    required: ['chosenTool'],
+    properties: {
+      chosenTool: { type: 'string' },
+      chosenToolIndex: { type: 'integer' },
+      isAgent: { type: 'boolean' },
+      shouldInvokeTool: { type: 'boolean' },
+      missingContext,
+      reasoning: { type: 'string' },
+      alternativeTools: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            tool: { type: 'string' },
+            index: { type: 'integer' },
+            score: { type: 'number' },
+            rationale: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  githubAgent: {
+    type: 'object',
+    required: ['githubCommands'],
+    properties: {
+      githubCommands: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['command'],
+          properties: {
+            command: { type: 'string' },
+            reasoning: { type: 'string' }
+          }
+        }
+      },
+      code: { type: 'string' },
+      missingContext
+    }
+  }
+};
+
+module.exports = { AGENT_OUTPUT_SCHEMAS };
@@ -0,0 +1,174 @@
+/**
+ * JSON Schema Validation
+ *
+ * A small validator for the JSON Schema keywords agent output schemas
+ * need; it has no dependencies, so it runs wherever the engine does.
+ *
+ * Supported keywords: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, allOf, anyOf, oneOf, not.
+ *
+ * Errors locate the offending value with a JSON path:
+ *
+ * @example
+ * validateSchema({ type: 'object', required: ['code'] }, { language: 'js' });
+ * // [{ path: '$.code', keyword: 'required', message: 'is required' }]
+ */
+
+const { canonicalize } = require('../utils/canonical');
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [path] - JSON path of the value
+ * @returns {Array<{path: string, keyword: string, message: string}>} Empty when valid
+ */
+function validateSchema(schema, value, path = '$') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [error(path, 'false', 'is not allowed')];
+
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      // Nothing below makes sense for a value of the wrong type
+      return [error(path, 'type', `must be ${types.join(' or ')}, got ${typeOf(value)}`)];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(error(path, 'enum', `must be one of ${JSON.stringify(schema.enum)}`));
+  }
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    errors.push(error(path, 'const', `must equal ${JSON.stringify(schema.const)}`));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(error(path, 'minLength', `must have at least ${schema.minLength} characters`));
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(error(path, 'maxLength', `must have at most ${schema.maxLength} characters`));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(error(path, 'pattern', `must match ${schema.pattern}`));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(error(path, 'minimum', `must be >= ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(error(path, 'maximum', `must be <= ${schema.maximum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(error(path, 'minItems', `must have at least ${schema.minItems} items`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(error(path, 'maxItems', `must have at most ${schema.maxItems} items`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(error(childPath(path, key), 'required', 'is required'));
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (key in properties) {
+        errors.push(...validateSchema(properties[key], value[key], childPath(path, key)));
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validateSchema(schema.additionalProperties, value[key], childPath(path, key)));
+      }
+    });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => errors.push(...validateSchema(sub, value, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(sub, value, path).length === 0)) {
+    errors.push(error(path, 'anyOf', 'must match at least one schema in anyOf'));
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateSchema(sub, value, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(error(path, 'oneOf', `must match exactly one schema in oneOf (matched ${matches})`));
+    }
+  }
+  if (schema.not && validateSchema(schema.not, value, path).length === 0) {
+    errors.push(error(path, 'not', 'must not match the schema in not'));
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors as one line each, e.g. for logs or prompts
+ * @param {Object[]} errors - Errors from validateSchema
+ * @returns {string}
+ */
+function formatValidationErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('\n');
+}
+
+/**
+ * @private
+ */
+function error(path, keyword, message) {
+  return { path, keyword, message };
+}
+
+/**
+ * JSON path of an object property: $.code, or $["file-name"] for keys
+ * that are not identifiers
+ * @private
+ */
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * JSON type name of a value
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Deep equality for enum and const
+ * @private
+ */
+function isEqual(a, b) {
+  return canonicalize(a) === canonicalize(b);
+}
+
+module.exports = {
+  validateSchema,
+  formatValidationErrors
+};
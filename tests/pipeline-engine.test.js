@@ -2,7 +2,7 @@
  * PipelineEngine Tests
  */
 
-const { PipelineEngine, PolicyEngine } = require('../src');
+const { PipelineEngine, PolicyEngine, FileCheckpointStore, PIPELINE_EVENTS, pipelines } = require('../src');
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
 
 describe('PipelineEngine', () => {
@@ -90,6 +90,77 @@ describe('PipelineEngine', () => {
       
       expect(() => engine.registerPipeline(invalid)).toThrow();
     });
+
+    test('should reject dependencies on unknown steps', () => {
+      const invalid = {
+        id: 'test',
+        name: 'Test',
+        steps: [
+          { id: 'a', agent: 'base', method: 'query', inputFrom: 'user', dependsOn: ['missing'] }
+        ]
+      };
+
+      expect(() => engine.registerPipeline(invalid)).toThrow('Step a depends on unknown step: missing');
+    });
+
+    test('should detect dependency cycles on registration', () => {
+      const cyclic = {
+        id: 'cyclic',
+        name: 'Cyclic',
+        steps: [
+          { id: 'a', agent: 'base', method: 'query', inputFrom: 'user', dependsOn: ['c'] },
+          { id: 'b', agent: 'base', method: 'query', inputFrom: 'user', dependsOn: ['a'] },
+          { id: 'c', agent: 'base', method: 'query', inputFrom: 'user', dependsOn: ['b'] }
+        ]
+      };
+
+      expect(() => engine.registerPipeline(cyclic)).toThrow('dependency cycle: a -> c -> b -> a');
+    });
+
+    test('should reject duplicate step ids, also in loop and map bodies', () => {
+      const agentStep = (id, extra = {}) => ({ id, agent: 'base', method: 'query', inputFrom: 'user', ...extra });
+      const definition = steps => ({ id: 'dupes', name: 'Dupes', steps });
+
+      expect(() => engine.registerPipeline(definition([agentStep('a', { dependsOn: [] }), agentStep('a', { dependsOn: [] })])))
+        .toThrow('Pipeline dupes has more than one step with id a');
+      expect(() => engine.registerPipeline(definition([agentStep('a'), agentStep('a')])))
+        .toThrow('Pipeline dupes has more than one step with id a');
+      expect(() => engine.registerPipeline(definition([
+        { id: 'loop', type: 'loop', maxIterations: 2, steps: [agentStep('x'), agentStep('x')] }
+      ]))).toThrow('Loop step loop has more than one step with id x');
+      expect(() => engine.registerPipeline(definition([
+        { id: 'each', type: 'map', items: 'items', steps: [agentStep('x'), agentStep('x')] }
+      ]))).toThrow('Map step each has more than one step with id x');
+      expect(engine.getPipeline('dupes')).toBeUndefined();
+    });
+
+    test('should require maxConcurrency to be a positive integer', () => {
+      const fan = { id: 'fan', name: 'Fan', steps: [{ id: 'a', agent: 'base', method: 'query', inputFrom: 'user' }] };
+
+      expect(() => new PipelineEngine(client, { maxConcurrency: 0 })).toThrow('maxConcurrency must be a positive integer, got 0');
+      expect(() => new PipelineEngine(client, { maxConcurrency: 1.5 })).toThrow(/positive integer/);
+      expect(() => engine.registerPipeline({ ...fan, maxConcurrency: -1 })).toThrow('Pipeline fan maxConcurrency must be a positive integer');
+      expect(() => engine.registerPipeline({
+        ...fan,
+        steps: [{ id: 'each', type: 'map', items: 'items', maxConcurrency: 0, step: fan.steps[0] }]
+      })).toThrow('Map step each maxConcurrency must be a positive integer');
+    });
+
+    test('should fail a run whose steps could not be scheduled', async () => {
+      engine.registerPipeline({ id: 'fan', name: 'Fan', steps: [{ id: 'a', agent: 'base', method: 'query', inputFrom: 'user' }] });
+      engine.options.maxConcurrency = 0; // past constructor validation
+
+      const result = await engine.runPipeline('fan');
+
+      expect(result).toMatchObject({ success: false, status: 'failed', error: 'Steps could not be scheduled: a' });
+      expect(result.steps).toHaveLength(0);
+    });
+
+    test('should accept the built-in pipelines', () => {
+      pipelines.all.forEach(pipeline => {
+        expect(() => engine.registerPipeline(pipeline)).not.toThrow();
+      });
+    });
   });
 
   describe('Pipeline Execution', () => {
@@ -100,6 +171,2883 @@ describe('PipelineEngine', () => {
     // Note: Full execution tests require live API calls
     // These would be integration tests run separately
   });
+
+  describe('Parallel Execution', () => {
+    let calls;
+    let mockClient;
+
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    beforeEach(() => {
+      calls = [];
+      let active = 0;
+      mockClient = {
+        maxActive: 0,
+        base: {
+          query: async (query) => {
+            active++;
+            mockClient.maxActive = Math.max(mockClient.maxActive, active);
+            calls.push(`start:${query}`);
+            await delay(query === 'slow' ? 30 : 10);
+            calls.push(`end:${query}`);
+            active--;
+            return { success: true, data: { code: query } };
+          }
+        }
+      };
+    });
+
+    const step = (id, query, extra = {}) => ({
+      id,
+      name: id,
+      agent: 'base',
+      method: 'query',
+      inputFrom: 'context',
+      query,
+      ...extra
+    });
+
+    test('should run steps without dependsOn sequentially', async () => {
+      const sequentialEngine = new PipelineEngine(mockClient);
+      sequentialEngine.registerPipeline({
+        id: 'seq',
+        name: 'Sequential',
+        steps: [step('a', 'a'), step('b', 'b'), step('c', 'c')]
+      });
+
+      const result = await sequentialEngine.runPipeline('seq');
+
+      expect(result.success).toBe(true);
+      expect(calls).toEqual(['start:a', 'end:a', 'start:b', 'end:b', 'start:c', 'end:c']);
+    });
+
+    test('should run independent branches concurrently', async () => {
+      const dagEngine = new PipelineEngine(mockClient);
+      dagEngine.registerPipeline({
+        id: 'dag',
+        name: 'DAG',
+        steps: [
+          step('root', 'root'),
+          step('left', 'slow', { dependsOn: ['root'] }),
+          step('right', 'right', { dependsOn: ['root'] }),
+          step('join', 'join', { dependsOn: ['left', 'right'] })
+        ]
+      });
+
+      const result = await dagEngine.runPipeline('dag');
+
+      expect(result.success).toBe(true);
+      expect(calls.indexOf('start:right')).toBeLessThan(calls.indexOf('end:slow'));
+      expect(calls.indexOf('start:join')).toBeGreaterThan(calls.indexOf('end:slow'));
+      expect(result.steps.map(s => s.stepId)).toEqual(['root', 'left', 'right', 'join']);
+    });
+
+    test('should respect the concurrency cap', async () => {
+      const cappedEngine = new PipelineEngine(mockClient, { maxConcurrency: 2 });
+      cappedEngine.registerPipeline({
+        id: 'fan',
+        name: 'Fan',
+        steps: ['a', 'b', 'c', 'd', 'e'].map(id => step(id, id, { dependsOn: [] }))
+      });
+
+      const result = await cappedEngine.runPipeline('fan');
+
+      expect(result.steps).toHaveLength(5);
+      expect(mockClient.maxActive).toBe(2);
+    });
+
+    test('should resolve previousStep input from the last dependency', async () => {
+      const inputs = [];
+      mockClient.base.query = async (query) => {
+        inputs.push(query);
+        return { success: true, data: { code: `out-${inputs.length}` } };
+      };
+
+      const dagEngine = new PipelineEngine(mockClient);
+      dagEngine.registerPipeline({
+        id: 'prev',
+        name: 'Previous',
+        steps: [
+          step('a', 'a', { dependsOn: [] }),
+          step('b', 'b', { dependsOn: [] }),
+          step('c', undefined, { inputFrom: 'previousStep', dependsOn: ['b', 'a'] })
+        ]
+      });
+
+      const result = await dagEngine.runPipeline('prev');
+
+      expect(inputs[2]).toBe(result.steps[0].data.code);
+    });
+
+    test('should not start new steps after a failure', async () => {
+      mockClient.base.query = async (query) => {
+        calls.push(query);
+        if (query === 'bad') throw new Error('boom');
+        return { success: true, data: { code: query } };
+      };
+
+      const dagEngine = new PipelineEngine(mockClient);
+      dagEngine.registerPipeline({
+        id: 'fail',
+        name: 'Failing',
+        steps: [step('a', 'bad'), step('b', 'b')]
+      });
+
+      const result = await dagEngine.runPipeline('fail');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('boom');
+      expect(calls).toEqual(['bad']);
+    });
+  });
+});
+
+describe('PipelineEngine retries', () => {
+  const httpError = (statusCode, message = `HTTP ${statusCode}`) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  };
+
+  const buildEngine = (query, options = {}) => {
+    const engine = new PipelineEngine({ base: { query } }, options);
+    engine.registerPipeline({
+      id: 'retry',
+      name: 'Retry',
+      steps: [
+        {
+          id: 'ask',
+          name: 'Ask',
+          agent: 'base',
+          method: 'query',
+          inputFrom: 'context',
+          query: 'hello',
+          retry: { attempts: 3, backoff: 1 }
+        }
+      ]
+    });
+    return engine;
+  };
+
+  test('should not retry by default', async () => {
+    const query = jest.fn().mockRejectedValue(httpError(503));
+    const engine = new PipelineEngine({ base: { query } });
+    engine.registerPipeline({
+      id: 'once',
+      name: 'Once',
+      steps: [{ id: 'ask', name: 'Ask', agent: 'base', method: 'query', inputFrom: 'user' }]
+    });
+
+    const result = await engine.runPipeline('once');
+
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(result.steps[0].attempts).toHaveLength(1);
+  });
+
+  test('should retry transient failures and record every attempt', async () => {
+    const query = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValue({ success: true, data: { code: 'ok' } });
+
+    const result = await buildEngine(query).runPipeline('retry');
+
+    expect(result.success).toBe(true);
+    expect(query).toHaveBeenCalledTimes(3);
+    expect(result.steps[0].attempts.map(a => a.errorType)).toEqual(['server', 'rate-limit', undefined]);
+    expect(result.steps[0].attempts[0].retryDelay).toBe(1);
+    expect(result.steps[0].attempts[1].retryDelay).toBe(2);
+  });
+
+  test('should not retry validation errors', async () => {
+    const query = jest.fn().mockRejectedValue(httpError(400, 'Bad request'));
+
+    const result = await buildEngine(query).runPipeline('retry');
+
+    expect(result.success).toBe(false);
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(result.steps[0].errorType).toBe('validation');
+    expect(result.steps[0].attempts).toHaveLength(1);
+  });
+
+  test('should give up after the configured attempts', async () => {
+    const error = new Error('socket hang up');
+    error.code = 'ECONNRESET';
+    const query = jest.fn().mockRejectedValue(error);
+
+    const result = await buildEngine(query).runPipeline('retry');
+
+    expect(query).toHaveBeenCalledTimes(3);
+    expect(result.error).toBe('socket hang up');
+    expect(result.steps[0].attempts.every(a => a.errorType === 'network')).toBe(true);
+  });
+
+  test('should retry fetch errors that carry the network code on their cause', async () => {
+    const error = new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND api.schema.icu'), { code: 'ENOTFOUND' }) });
+    const query = jest.fn()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValue({ success: true, data: { code: 'ok' } });
+
+    const result = await buildEngine(query).runPipeline('retry');
+
+    expect(result.success).toBe(true);
+    expect(query).toHaveBeenCalledTimes(2);
+    expect(result.steps[0].attempts[0].errorType).toBe('network');
+  });
+
+  test('should use the engine default policy and custom retryOn predicates', async () => {
+    const query = jest.fn()
+      .mockRejectedValueOnce(new Error('flaky'))
+      .mockResolvedValue({ success: true, data: { code: '' } });
+    const engine = new PipelineEngine({ base: { query } }, {
+      retry: { attempts: 2, backoff: 0, retryOn: error => error.message === 'flaky' }
+    });
+    engine.registerPipeline({
+      id: 'defaults',
+      name: 'Defaults',
+      steps: [{ id: 'ask', name: 'Ask', agent: 'base', method: 'query', inputFrom: 'user' }]
+    });
+
+    const result = await engine.runPipeline('defaults');
+
+    expect(result.success).toBe(true);
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+
+  test('should cap backoff delays at maxDelay', () => {
+    const engine = new PipelineEngine({});
+    const policy = { backoff: 1000, maxDelay: 3000 };
+
+    expect(engine.getRetryDelay(policy, 1)).toBe(1000);
+    expect(engine.getRetryDelay(policy, 2)).toBe(2000);
+    expect(engine.getRetryDelay(policy, 3)).toBe(3000);
+  });
+
+  test('should classify errors', () => {
+    const engine = new PipelineEngine({});
+    const timeout = new Error('Step timeout after 5ms');
+    timeout.code = 'STEP_TIMEOUT';
+    const policy = new Error('Step blocked by policy');
+    policy.code = 'POLICY_DENIED';
+
+    expect(engine.classifyError(timeout)).toBe('timeout');
+    expect(engine.classifyError(policy)).toBe('policy');
+    expect(engine.classifyError(httpError(502))).toBe('server');
+    expect(engine.classifyError(httpError(422))).toBe('validation');
+    expect(engine.classifyError(new Error('???'))).toBe('unknown');
+  });
+});
+
+describe('PipelineEngine cancellation', () => {
+  // Agent that only settles when its signal aborts, like a hung request
+  const hangingQuery = jest.fn((query, context, { signal }) => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('request aborted')));
+  }));
+
+  const pipeline = (extra = {}) => ({
+    id: 'slow',
+    name: 'Slow',
+    steps: [
+      { id: 'first', name: 'First', agent: 'fast', method: 'query', inputFrom: 'user' },
+      { id: 'hang', name: 'Hang', agent: 'base', method: 'query', inputFrom: 'user' },
+      { id: 'never', name: 'Never', agent: 'fast', method: 'query', inputFrom: 'user' }
+    ],
+    ...extra
+  });
+
+  const buildEngine = () => new PipelineEngine({
+    base: { query: hangingQuery },
+    fast: { query: jest.fn().mockResolvedValue({ success: true, data: { code: 'ok' } }) }
+  });
+
+  test('should cancel a running pipeline through an AbortSignal', async () => {
+    const engine = buildEngine().registerPipeline(pipeline());
+    const controller = new AbortController();
+    hangingQuery.mockImplementationOnce((query, context, { signal }) => {
+      setTimeout(() => controller.abort(), 5);
+      return new Promise((_, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('request aborted')));
+      });
+    });
+
+    const result = await engine.runPipeline('slow', {}, { signal: controller.signal });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Pipeline cancelled');
+    expect(result.steps.map(s => s.status)).toEqual(['completed', 'cancelled']);
+  });
+
+  test('should return immediately for an already aborted signal', async () => {
+    const engine = buildEngine().registerPipeline(pipeline());
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await engine.runPipeline('slow', {}, { signal: controller.signal });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.steps).toHaveLength(0);
+  });
+
+  test('should enforce the pipeline timeout', async () => {
+    const engine = buildEngine().registerPipeline(pipeline({ timeout: 10 }));
+
+    const result = await engine.runPipeline('slow');
+
+    expect(result.status).toBe('cancelled');
+    expect(result.error).toBe('Pipeline timeout after 10ms');
+    expect(result.steps).toHaveLength(2);
+  });
+
+  test('should cancel a run while it waits for pipeline approval', async () => {
+    const controller = new AbortController();
+    const fast = jest.fn().mockResolvedValue({ success: true, data: { code: 'ok' } });
+    const engine = new PipelineEngine({ base: { query: hangingQuery }, fast: { query: fast } }, {
+      onApprovalRequired: () => {
+        setTimeout(() => controller.abort(), 5);
+        return new Promise(() => {});
+      }
+    }).registerPipeline(pipeline({ requiresApproval: true }));
+
+    const result = await engine.runPipeline('slow', {}, { signal: controller.signal });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.error).toBe('Pipeline cancelled');
+    expect(result.steps).toHaveLength(0);
+    expect(fast).not.toHaveBeenCalled();
+  });
+
+  test('should time out a run while it waits for pipeline approval', async () => {
+    const engine = new PipelineEngine(buildEngine().client, {
+      onApprovalRequired: () => new Promise(() => {})
+    }).registerPipeline(pipeline({ requiresApproval: true, timeout: 10 }));
+
+    const result = await engine.runPipeline('slow');
+
+    expect(result.status).toBe('cancelled');
+    expect(result.error).toBe('Pipeline timeout after 10ms');
+  });
+
+  test('should cancel a run while a step waits for approval', async () => {
+    const controller = new AbortController();
+    const fast = jest.fn().mockResolvedValue({ success: true, data: { code: 'ok' } });
+    const engine = new PipelineEngine({ base: { query: hangingQuery }, fast: { query: fast } }, {
+      onApprovalRequired: () => {
+        setTimeout(() => controller.abort(), 5);
+        return new Promise(() => {});
+      }
+    }).registerPipeline(pipeline({
+      steps: [
+        { id: 'first', name: 'First', agent: 'fast', method: 'query', inputFrom: 'user', requiresApproval: true },
+        { id: 'never', name: 'Never', agent: 'fast', method: 'query', inputFrom: 'user' }
+      ]
+    }));
+
+    const result = await engine.runPipeline('slow', {}, { signal: controller.signal });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.error).toBe('Pipeline cancelled');
+    expect(result.steps.map(s => s.status)).toEqual(['cancelled']);
+    expect(fast).not.toHaveBeenCalled();
+  });
+
+  test('should time out a run while a step waits for approval', async () => {
+    const engine = new PipelineEngine(buildEngine().client, {
+      onApprovalRequired: () => new Promise(() => {})
+    }).registerPipeline(pipeline({
+      timeout: 10,
+      steps: [{ id: 'first', name: 'First', agent: 'fast', method: 'query', inputFrom: 'user', requiresApproval: true }]
+    }));
+
+    const result = await engine.runPipeline('slow');
+
+    expect(result.status).toBe('cancelled');
+    expect(result.error).toBe('Pipeline timeout after 10ms');
+  });
+
+  test('should not call a step given an already aborted signal', async () => {
+    const engine = buildEngine();
+    const controller = new AbortController();
+    controller.abort();
+    const fn = jest.fn(() => {
+      throw new Error('should not run');
+    });
+
+    await expect(engine.executeWithTimeout(fn, 1000, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('should abort the agent call when a step times out', async () => {
+    let stepSignal;
+    const engine = new PipelineEngine({
+      base: {
+        query: (query, context, { signal }) => {
+          stepSignal = signal;
+          return new Promise(() => {});
+        }
+      }
+    }, { defaultTimeout: 5 });
+    engine.registerPipeline({
+      id: 'timeout',
+      name: 'Timeout',
+      steps: [{ id: 'hang', name: 'Hang', agent: 'base', method: 'query', inputFrom: 'user' }]
+    });
+
+    const result = await engine.runPipeline('timeout');
+
+    expect(result.status).toBe('failed');
+    expect(result.steps[0].errorType).toBe('timeout');
+    expect(stepSignal.aborted).toBe(true);
+  });
+
+  test('should stop waiting for retries when cancelled', async () => {
+    const error = new Error('unavailable');
+    error.statusCode = 503;
+    const engine = new PipelineEngine({ base: { query: jest.fn().mockRejectedValue(error) } });
+    engine.registerPipeline({
+      id: 'retrying',
+      name: 'Retrying',
+      steps: [
+        {
+          id: 'ask',
+          name: 'Ask',
+          agent: 'base',
+          method: 'query',
+          inputFrom: 'user',
+          retry: { attempts: 5, backoff: 60000 }
+        }
+      ]
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    const result = await engine.runPipeline('retrying', {}, { signal: controller.signal });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.steps[0].attempts).toHaveLength(1);
+  });
+});
+
+describe('PipelineEngine conditional steps', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      base: { query: jest.fn(async query => ({ success: true, data: { code: query } })) }
+    };
+  });
+
+  const step = (id, query, extra = {}) => ({
+    id,
+    name: id,
+    agent: 'base',
+    method: 'query',
+    inputFrom: 'context',
+    query,
+    ...extra
+  });
+
+  test('should skip steps whose predicate returns false', async () => {
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'when-fn',
+      name: 'When function',
+      steps: [
+        step('a', 'a'),
+        step('b', 'b', { when: (results, context) => context.runB === true }),
+        step('c', 'c', {
+          contextBuilder: results => ({ fromB: results.find(r => r.stepId === 'b')?.data.code })
+        })
+      ]
+    });
+
+    const result = await engine.runPipeline('when-fn', { runB: false });
+
+    expect(result.success).toBe(true);
+    expect(client.base.query).toHaveBeenCalledTimes(2);
+    expect(result.steps.map(s => s.status)).toEqual(['completed', 'skipped', 'completed']);
+    expect(result.steps[1].skipReason).toBe('Condition not met: when predicate returned false');
+    expect(result.steps[1].data).toEqual({});
+    expect(result.context.stepResults.b).toEqual({});
+    expect(client.base.query.mock.calls[1][1]).toEqual({ fromB: undefined });
+  });
+
+  test('should evaluate declarative conditions against steps and context', async () => {
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'when-object',
+      name: 'When object',
+      steps: [
+        step('a', ''),
+        step('b', 'b', { when: { path: 'steps.a.data.code', notEmpty: true } }),
+        step('c', 'c', {
+          when: {
+            any: [
+              { path: 'context.mode', equals: 'full' },
+              { not: { path: 'steps.b.status', equals: 'skipped' } }
+            ]
+          }
+        })
+      ]
+    });
+
+    const skipped = await engine.runPipeline('when-object', { mode: 'quick' });
+    expect(skipped.steps.map(s => s.status)).toEqual(['completed', 'skipped', 'skipped']);
+    expect(skipped.steps[1].skipReason).toBe('Condition not met: steps.a.data.code notEmpty true');
+
+    const full = await engine.runPipeline('when-object', { mode: 'full' });
+    expect(full.steps.map(s => s.status)).toEqual(['completed', 'skipped', 'completed']);
+  });
+
+  test('should fail the step when a condition is malformed', async () => {
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'when-bad',
+      name: 'When bad',
+      steps: [step('a', 'a', { when: { path: 'context.x' } })]
+    });
+
+    const result = await engine.runPipeline('when-bad');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Condition on context.x has no operator');
+  });
+
+  test('should skip the fix-tests diff step when nothing was found', async () => {
+    const fixClient = {
+      terminalAgent: { generate: jest.fn().mockResolvedValue({ success: true, data: { code: 'npm test' } }) },
+      base: { query: jest.fn().mockResolvedValue({ success: true, data: { code: '' } }) },
+      codeImprover: { improve: jest.fn().mockResolvedValue({ success: true, data: { improvedCode: '' } }) },
+      diffImprover: { improve: jest.fn() }
+    };
+    const engine = new PipelineEngine(fixClient).registerPipeline(pipelines.fixTests);
+
+    const result = await engine.runPipeline('fix-tests', { testResults: {} });
+
+    expect(fixClient.diffImprover.improve).not.toHaveBeenCalled();
+    expect(result.steps.find(s => s.stepId === 'create-diff').status).toBe('skipped');
+  });
+});
+
+describe('PipelineEngine loop steps', () => {
+  const improveStep = {
+    id: 'improve',
+    name: 'Improve',
+    agent: 'codeImprover',
+    method: 'improve',
+    inputFrom: 'previousStep',
+    contextBuilder: results => ({
+      code: results.find(r => r.stepId === 'improve')?.data.improvedCode ||
+        results.find(r => r.stepId === 'generate')?.data.code
+    })
+  };
+
+  const buildPipeline = (loop) => ({
+    id: 'refine',
+    name: 'Refine',
+    steps: [
+      { id: 'generate', name: 'Generate', agent: 'codeGenerator', method: 'generate', inputFrom: 'user' },
+      { id: 'loop', name: 'Loop', type: 'loop', steps: [improveStep], ...loop },
+      {
+        id: 'after',
+        name: 'After',
+        agent: 'base',
+        method: 'query',
+        inputFrom: 'previousStep'
+      }
+    ]
+  });
+
+  let client;
+
+  beforeEach(() => {
+    let version = 0;
+    client = {
+      codeGenerator: { generate: jest.fn().mockResolvedValue({ success: true, data: { code: 'v0' } }) },
+      codeImprover: {
+        improve: jest.fn(async (query, context) => {
+          version++;
+          return {
+            success: true,
+            data: {
+              improvedCode: `v${version}`,
+              improvements: version < 3 ? [`from ${context.code}`] : []
+            }
+          };
+        })
+      },
+      base: { query: jest.fn(async query => ({ success: true, data: { code: query } })) }
+    };
+  });
+
+  test('should iterate until no improvements are reported', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(
+      buildPipeline({ maxIterations: 5, until: 'no-improvements' })
+    );
+
+    const result = await engine.runPipeline('refine', { userPrompt: 'cache' });
+    const loop = result.steps[1];
+
+    expect(loop.iterations).toBe(3);
+    expect(loop.converged).toBe(true);
+    expect(loop.history.map(h => h.steps[0].data.improvedCode)).toEqual(['v1', 'v2', 'v3']);
+    expect(client.codeImprover.improve.mock.calls.map(call => call[1].code)).toEqual(['v0', 'v1', 'v2']);
+    expect(loop.data.improvedCode).toBe('v3');
+    expect(client.base.query).toHaveBeenCalledWith('v3', {}, expect.anything());
+  });
+
+  test('should stop at maxIterations when the condition never holds', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(
+      buildPipeline({ maxIterations: 2, until: { path: 'steps.improve.data.improvedCode', equals: 'v9' } })
+    );
+
+    const result = await engine.runPipeline('refine');
+
+    expect(result.success).toBe(true);
+    expect(result.steps[1].iterations).toBe(2);
+    expect(result.steps[1].converged).toBe(false);
+  });
+
+  test('should support predicate conditions with the iteration number', async () => {
+    const until = jest.fn((results, context, iteration) => iteration === 2);
+    const engine = new PipelineEngine(client).registerPipeline(
+      buildPipeline({ maxIterations: 5, until })
+    );
+
+    const result = await engine.runPipeline('refine');
+
+    expect(result.steps[1].iterations).toBe(2);
+    expect(until).toHaveBeenCalledTimes(2);
+  });
+
+  test('should fail the loop when a sub-step fails', async () => {
+    client.codeImprover.improve.mockRejectedValueOnce(new Error('improver down'));
+    const engine = new PipelineEngine(client).registerPipeline(
+      buildPipeline({ maxIterations: 3 })
+    );
+
+    const result = await engine.runPipeline('refine');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('improver down');
+    expect(result.steps[1].history).toHaveLength(1);
+    expect(client.base.query).not.toHaveBeenCalled();
+  });
+
+  test('should validate loop definitions', () => {
+    const engine = new PipelineEngine(client);
+
+    expect(() => engine.registerPipeline(buildPipeline({ maxIterations: 0 })))
+      .toThrow('Loop step loop must have a positive integer maxIterations');
+    expect(() => engine.registerPipeline(buildPipeline({ maxIterations: 2, until: 'forever' })))
+      .toThrow('Loop step loop has unknown until condition: forever');
+    expect(() => engine.registerPipeline(buildPipeline({ maxIterations: 2, steps: [{ id: 'x' }] })))
+      .toThrow('Step x missing agent');
+  });
+});
+
+describe('PipelineEngine map steps', () => {
+  let client;
+  let active;
+  let maxActive;
+
+  beforeEach(() => {
+    active = 0;
+    maxActive = 0;
+    client = {
+      projectPlanner: {
+        plan: jest.fn().mockResolvedValue({
+          success: true,
+          data: { tasks: [{ taskName: 'a' }, { taskName: 'b' }, { taskName: 'c' }, { taskName: 'd' }] }
+        })
+      },
+      codeGenerator: {
+        generate: jest.fn(async (query, context) => {
+          active++;
+          maxActive = Math.max(maxActive, active);
+          // Later items finish first to check ordering
+          await new Promise(resolve => setTimeout(resolve, 20 - context.index * 5));
+          active--;
+          if (context.task === 'fail') throw new Error('cannot implement');
+          return { success: true, data: { code: `// ${context.task}`, language: 'javascript' } };
+        })
+      }
+    };
+  });
+
+  const buildPipeline = (extra = {}) => ({
+    id: 'map',
+    name: 'Map',
+    steps: [
+      { id: 'plan-tasks', name: 'Plan', agent: 'projectPlanner', method: 'plan', inputFrom: 'user' },
+      {
+        id: 'implement',
+        name: 'Implement',
+        type: 'map',
+        items: 'steps.plan-tasks.data.tasks',
+        as: 'task',
+        maxConcurrency: 2,
+        step: {
+          id: 'implement-task',
+          name: 'Implement Task',
+          agent: 'codeGenerator',
+          method: 'generate',
+          inputFrom: 'item',
+          query: 'Implement:',
+          contextBuilder: (results, ctx) => ({ task: ctx.task.taskName, index: ctx.itemIndex })
+        },
+        ...extra
+      }
+    ]
+  });
+
+  test('should run the sub-step once per item with bounded concurrency', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(buildPipeline());
+
+    const result = await engine.runPipeline('map');
+    const map = result.steps[1];
+
+    expect(result.success).toBe(true);
+    expect(client.codeGenerator.generate).toHaveBeenCalledTimes(4);
+    expect(client.codeGenerator.generate.mock.calls[0][0]).toBe('Implement:\n\n{"taskName":"a"}');
+    expect(maxActive).toBe(2);
+    expect(map.data.map(d => d.code)).toEqual(['// a', '// b', '// c', '// d']);
+    expect(map.items.map(i => i.status)).toEqual(['completed', 'completed', 'completed', 'completed']);
+    expect(result.actions.map(a => a.payload.content)).toEqual(['// a', '// b', '// c', '// d']);
+  });
+
+  test('should stop remaining items when one fails', async () => {
+    client.projectPlanner.plan.mockResolvedValue({
+      success: true,
+      data: { tasks: [{ taskName: 'fail' }, { taskName: 'b' }, { taskName: 'c' }] }
+    });
+    const engine = new PipelineEngine(client).registerPipeline(buildPipeline({ maxConcurrency: 1 }));
+
+    const result = await engine.runPipeline('map');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('1/3 item(s) failed: cannot implement');
+    expect(client.codeGenerator.generate).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run every item with continueOnError', async () => {
+    client.projectPlanner.plan.mockResolvedValue({
+      success: true,
+      data: { tasks: [{ taskName: 'a' }, { taskName: 'fail' }, { taskName: 'c' }] }
+    });
+    const engine = new PipelineEngine(client).registerPipeline(buildPipeline({ continueOnError: true }));
+
+    const result = await engine.runPipeline('map');
+    const map = result.steps[1];
+
+    expect(result.success).toBe(true);
+    expect(map.success).toBe(false);
+    expect(map.data).toEqual([expect.objectContaining({ code: '// a' }), null, expect.objectContaining({ code: '// c' })]);
+  });
+
+  test('should fail when items do not resolve to an array', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(
+      buildPipeline({ items: 'steps.plan-tasks.data.missing' })
+    );
+
+    const result = await engine.runPipeline('map');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('items did not resolve to an array');
+  });
+
+  test('should validate map definitions', () => {
+    const engine = new PipelineEngine(client);
+
+    expect(() => engine.registerPipeline(buildPipeline({ items: 42 })))
+      .toThrow('Map step implement must have items (a path or a function)');
+    expect(() => engine.registerPipeline(buildPipeline({ step: undefined })))
+      .toThrow('Map step implement must have a step or a non-empty steps array');
+  });
+});
+
+describe('PipelineEngine sub-pipelines', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      base: { query: jest.fn(async query => ({ success: true, data: { code: query } })) },
+      codeGenerator: {
+        generate: jest.fn(async (query, context) => ({
+          success: true,
+          data: { code: `// ${context.feature}`, language: 'javascript' }
+        }))
+      }
+    };
+  });
+
+  const child = {
+    id: 'child',
+    name: 'Child',
+    steps: [
+      {
+        id: 'generate',
+        name: 'Generate',
+        agent: 'codeGenerator',
+        method: 'generate',
+        inputFrom: 'user',
+        contextBuilder: (results, context) => ({ feature: context.feature })
+      }
+    ]
+  };
+
+  const parent = {
+    id: 'parent',
+    name: 'Parent',
+    steps: [
+      {
+        id: 'run-child',
+        name: 'Run Child',
+        type: 'pipeline',
+        pipelineId: 'child',
+        contextBuilder: () => ({ feature: 'login' })
+      },
+      { id: 'after', name: 'After', agent: 'base', method: 'query', inputFrom: 'previousStep' }
+    ]
+  };
+
+  test('should run a child pipeline and nest its result', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(child).registerPipeline(parent);
+
+    const result = await engine.runPipeline('parent', { userPrompt: 'build it' });
+    const step = result.steps[0];
+
+    expect(result.success).toBe(true);
+    expect(step.pipelineResult.pipelineId).toBe('child');
+    expect(step.pipelineResult.context.userPrompt).toBe('build it');
+    expect(step.data.code).toBe('// login');
+    expect(result.actions).toHaveLength(1);
+    expect(result.actions[0].payload.content).toBe('// login');
+    expect(client.base.query).toHaveBeenCalledWith('// login', {}, expect.anything());
+  });
+
+  test('should apply policy rules to the child pipeline', async () => {
+    const policyEngine = new PolicyEngine();
+    policyEngine.addRule({ id: 'no-child', appliesTo: 'pipeline', target: 'child', effect: 'deny' });
+    const engine = new PipelineEngine(client, { policyEngine })
+      .registerPipeline(child)
+      .registerPipeline(parent);
+
+    const result = await engine.runPipeline('parent');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Pipeline blocked by policy');
+    expect(client.codeGenerator.generate).not.toHaveBeenCalled();
+  });
+
+  test('should reject recursive invocations', async () => {
+    const engine = new PipelineEngine(client)
+      .registerPipeline({
+        id: 'ping',
+        name: 'Ping',
+        steps: [{ id: 'to-pong', name: 'To Pong', type: 'pipeline', pipelineId: 'pong' }]
+      })
+      .registerPipeline({
+        id: 'pong',
+        name: 'Pong',
+        steps: [{ id: 'to-ping', name: 'To Ping', type: 'pipeline', pipelineId: 'ping' }]
+      });
+
+    const result = await engine.runPipeline('ping');
+
+    expect(result.success).toBe(false);
+    expect(result.steps[0].pipelineResult.error).toBe('Recursive pipeline invocation: ping -> pong -> ping');
+  });
+
+  test('should require a pipelineId', () => {
+    const engine = new PipelineEngine(client);
+
+    expect(() => engine.registerPipeline({
+      id: 'bad',
+      name: 'Bad',
+      steps: [{ id: 'sub', name: 'Sub', type: 'pipeline' }]
+    })).toThrow('Pipeline step sub missing pipelineId');
+  });
+});
+
+describe('PipelineEngine checkpoints', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+
+  let directory;
+  let store;
+  let client;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-checkpoints-'));
+    store = new FileCheckpointStore(directory);
+    client = {
+      base: { query: jest.fn(async query => ({ success: true, data: { code: query } })) }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const pipeline = {
+    id: 'checkpointed',
+    version: '1.0.0',
+    name: 'Checkpointed',
+    steps: ['one', 'two', 'three'].map(id => ({
+      id,
+      name: id,
+      agent: 'base',
+      method: 'query',
+      inputFrom: 'context',
+      query: id
+    }))
+  };
+
+  test('should save a checkpoint for every run', async () => {
+    const engine = new PipelineEngine(client, { checkpoint: true, checkpointStore: store })
+      .registerPipeline(pipeline);
+
+    const result = await engine.runPipeline('checkpointed', { userPrompt: 'hi' });
+    const saved = await store.load(result.runId);
+
+    expect(saved.status).toBe('completed');
+    expect(saved.pipelineVersion).toBe('1.0.0');
+    expect(saved.steps.map(s => s.stepId)).toEqual(['one', 'two', 'three']);
+    expect(saved.context).toEqual({ userPrompt: 'hi' });
+    expect(await engine.listRuns()).toEqual([
+      expect.objectContaining({ runId: result.runId, status: 'completed' })
+    ]);
+  });
+
+  test('should resume a failed run from the first incomplete step', async () => {
+    client.base.query.mockImplementation(async query => {
+      if (query === 'two') throw new Error('agent unavailable');
+      return { success: true, data: { code: query } };
+    });
+    const engine = new PipelineEngine(client, { checkpoint: true, checkpointStore: store })
+      .registerPipeline(pipeline);
+
+    const failed = await engine.runPipeline('checkpointed');
+    expect(failed.success).toBe(false);
+    expect((await store.load(failed.runId)).status).toBe('failed');
+
+    client.base.query.mockClear();
+    client.base.query.mockImplementation(async query => ({ success: true, data: { code: query } }));
+
+    const resumed = await engine.resumeRun(failed.runId);
+
+    expect(resumed.success).toBe(true);
+    expect(resumed.runId).toBe(failed.runId);
+    expect(client.base.query.mock.calls.map(call => call[0])).toEqual(['two', 'three']);
+    expect(resumed.steps.map(s => s.status)).toEqual(['completed', 'completed', 'completed']);
+    expect(resumed.context.stepResults.one).toEqual({ code: 'one' });
+  });
+
+  test('should refuse to resume when the pipeline changed', async () => {
+    client.base.query.mockRejectedValue(new Error('down'));
+    const engine = new PipelineEngine(client, { checkpoint: true, checkpointStore: store })
+      .registerPipeline(pipeline);
+    const failed = await engine.runPipeline('checkpointed');
+
+    engine.registerPipeline({ ...pipeline, version: '1.1.0' });
+    await expect(engine.resumeRun(failed.runId)).rejects.toThrow('version 1.0.0 -> 1.1.0');
+
+    engine.registerPipeline({ ...pipeline, steps: pipeline.steps.slice(0, 2) });
+    await expect(engine.resumeRun(failed.runId)).rejects.toThrow('definition changed');
+  });
+
+  test('should refuse to resume unknown or completed runs', async () => {
+    const engine = new PipelineEngine(client, { checkpoint: true, checkpointStore: store })
+      .registerPipeline(pipeline);
+    const result = await engine.runPipeline('checkpointed');
+
+    await expect(engine.resumeRun('missing')).rejects.toThrow('No checkpoint found for run: missing');
+    await expect(engine.resumeRun(result.runId)).rejects.toThrow('already completed');
+    await expect(new PipelineEngine(client).resumeRun(result.runId)).rejects.toThrow('not enabled');
+  });
+
+  test('should reject run ids that are not plain names', async () => {
+    await expect(store.load('../etc/passwd')).rejects.toThrow('Invalid run id');
+  });
+});
+
+describe('PipelineEngine events', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      base: { query: jest.fn(async query => ({ success: true, data: { code: query } })) },
+      codeGenerator: {
+        generate: jest.fn(async query => ({ success: true, data: { code: query, language: 'javascript' } }))
+      }
+    };
+  });
+
+  const pipeline = {
+    id: 'observed',
+    name: 'Observed',
+    steps: [
+      { id: 'first', name: 'First', agent: 'codeGenerator', method: 'generate', inputFrom: 'context', query: 'one' },
+      {
+        id: 'optional',
+        name: 'Optional',
+        agent: 'base',
+        method: 'query',
+        inputFrom: 'context',
+        query: 'two',
+        when: { path: 'context.extra', exists: true }
+      },
+      { id: 'last', name: 'Last', agent: 'base', method: 'query', inputFrom: 'previousStep' }
+    ]
+  };
+
+  test('should emit run, step and action events in order', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(pipeline);
+    const events = [];
+    PIPELINE_EVENTS.forEach(type => engine.on(type, event => events.push(event)));
+
+    const result = await engine.runPipeline('observed', {}, { runId: 'run-1' });
+
+    expect(result.runId).toBe('run-1');
+    expect(events.map(e => `${e.type}${e.stepId ? ` ${e.stepId}` : ''}`)).toEqual([
+      'run:start',
+      'step:start first',
+      'step:complete first',
+      'action:collected first',
+      'step:skipped optional',
+      'step:start last',
+      'step:complete last',
+      'run:complete'
+    ]);
+    expect(events.every(e => e.runId === 'run-1' && e.pipelineId === 'observed')).toBe(true);
+    expect(events[0]).toEqual(expect.objectContaining({ parentRunId: null, totalSteps: 3, resumed: false }));
+    expect(events[2].result.status).toBe('completed');
+    expect(events[events.length - 1].result).toBe(result);
+  });
+
+  test('should emit retry, approval and policy events', async () => {
+    client.codeGenerator.generate
+      .mockRejectedValueOnce(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))
+      .mockResolvedValue({ success: true, data: { code: 'ok' } });
+    const policyEngine = new PolicyEngine();
+    policyEngine.addRule({ id: 'no-improver', appliesTo: 'agent', target: 'codeImprover', effect: 'deny' });
+    const engine = new PipelineEngine(client, {
+      policyEngine,
+      retry: { attempts: 2, backoff: 0 },
+      onApprovalRequired: async () => true
+    }).registerPipeline({
+      id: 'guarded',
+      name: 'Guarded',
+      steps: [
+        { ...pipeline.steps[0], requiresApproval: true },
+        { id: 'improve', name: 'Improve', agent: 'codeImprover', method: 'improve', inputFrom: 'previousStep' }
+      ]
+    });
+    const events = [];
+    ['step:retry', 'approval:requested', 'policy:denied'].forEach(type => engine.on(type, event => events.push(event)));
+
+    await engine.runPipeline('guarded');
+
+    expect(events.map(e => e.type)).toEqual(['approval:requested', 'step:retry', 'policy:denied']);
+    expect(events[0].request).toEqual(expect.objectContaining({ type: 'step', step: 'First' }));
+    expect(events[1]).toEqual(expect.objectContaining({ stepId: 'first', attempt: 1, maxAttempts: 2, errorType: 'network' }));
+    expect(events[2]).toEqual(expect.objectContaining({ stepId: 'improve' }));
+  });
+
+  test('should stream events of a run and its sub-pipelines', async () => {
+    const engine = new PipelineEngine(client)
+      .registerPipeline(pipeline)
+      .registerPipeline({
+        id: 'outer',
+        name: 'Outer',
+        steps: [{ id: 'nested', name: 'Nested', type: 'pipeline', pipelineId: 'observed' }]
+      });
+
+    const events = [];
+    for await (const event of engine.stream('outer', {}, { runId: 'outer-run' })) {
+      events.push(event);
+    }
+
+    const childStart = events.find(e => e.type === 'run:start' && e.pipelineId === 'observed');
+    expect(childStart.parentRunId).toBe('outer-run');
+    expect(childStart.runId).not.toBe('outer-run');
+    expect(events.filter(e => e.runId === childStart.runId)).toHaveLength(8);
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({
+      type: 'run:complete',
+      runId: 'outer-run',
+      status: 'completed'
+    }));
+    expect(engine.listenerCount('run:start')).toBe(0);
+  });
+
+  test('should cancel the run when the stream is closed early', async () => {
+    client.codeGenerator.generate.mockImplementation((query, context, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const engine = new PipelineEngine(client).registerPipeline(pipeline);
+    const completed = [];
+    engine.on('run:complete', event => completed.push(event));
+
+    for await (const event of engine.stream('observed')) {
+      if (event.type === 'step:start') break;
+    }
+
+    expect(completed).toHaveLength(1);
+    expect(completed[0].status).toBe('cancelled');
+    expect(engine.listenerCount('step:start')).toBe(0);
+  });
+
+  test('should rethrow when the run is blocked', async () => {
+    const policyEngine = new PolicyEngine();
+    policyEngine.addRule({ id: 'deny', appliesTo: 'pipeline', target: 'observed', effect: 'deny' });
+    const engine = new PipelineEngine(client, { policyEngine }).registerPipeline(pipeline);
+
+    const events = [];
+    await expect((async () => {
+      for await (const event of engine.stream('observed')) {
+        events.push(event.type);
+      }
+    })()).rejects.toThrow('Pipeline blocked by policy');
+    expect(events).toEqual(['run:start', 'policy:denied', 'run:complete']);
+  });
+});
+
+describe('PipelineEngine output validation', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      codeGenerator: {
+        generate: jest.fn(async () => ({ success: true, data: { reasoning: 'no code this time' } }))
+      }
+    };
+  });
+
+  const pipeline = {
+    id: 'validated',
+    name: 'Validated',
+    steps: [
+      { id: 'generate', name: 'Generate', agent: 'codeGenerator', method: 'generate', inputFrom: 'user' }
+    ]
+  };
+
+  test('should fail steps whose output does not match the agent schema', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(pipeline);
+
+    const result = await engine.runPipeline('validated', { userPrompt: 'Write a parser' });
+    const step = result.steps[0];
+
+    expect(result.success).toBe(false);
+    expect(step.errorType).toBe('validation');
+    expect(step.error).toBe('Step output failed schema validation: $.code is required');
+    expect(step.validationErrors).toEqual([{ path: '$.code', keyword: 'required', message: 'is required' }]);
+    expect(result.actions).toHaveLength(0);
+  });
+
+  test('should re-ask the agent with the validation errors attached', async () => {
+    client.codeGenerator.generate
+      .mockResolvedValueOnce({ success: true, data: { code: 42 } })
+      .mockResolvedValueOnce({ success: true, data: { code: 'const x = 1;' } });
+    const engine = new PipelineEngine(client, { maxReasks: 1 }).registerPipeline(pipeline);
+    const reasks = [];
+    engine.on('step:retry', event => reasks.push(event));
+
+    const result = await engine.runPipeline('validated', { userPrompt: 'Write a parser' });
+    const [retryInput, retryContext] = client.codeGenerator.generate.mock.calls[1];
+
+    expect(result.success).toBe(true);
+    expect(result.steps[0].data.code).toBe('const x = 1;');
+    expect(retryInput).toContain('Write a parser');
+    expect(retryInput).toContain('$.code must be string, got integer');
+    expect(retryContext.validationFeedback).toContain('$.code must be string');
+    expect(result.steps[0].attempts.map(a => [a.attempt, a.errorType])).toEqual([[1, 'validation'], [2, undefined]]);
+    expect(reasks).toEqual([expect.objectContaining({ stepId: 'generate', reask: 1, maxReasks: 1 })]);
+  });
+
+  test('should validate against a step schema with JSON paths', async () => {
+    client.projectPlanner = {
+      plan: jest.fn(async () => ({
+        success: true,
+        data: { tasks: [{ taskName: 'Design', estimatedTimeHours: 'two' }] }
+      }))
+    };
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'planned',
+      name: 'Planned',
+      steps: [
+        {
+          id: 'plan',
+          name: 'Plan',
+          agent: 'projectPlanner',
+          method: 'plan',
+          inputFrom: 'user',
+          maxReasks: 0,
+          validation: {
+            type: 'object',
+            required: ['projectName', 'tasks'],
+            properties: {
+              tasks: { type: 'array', minItems: 1, items: { properties: { estimatedTimeHours: { type: 'number' } } } }
+            }
+          }
+        }
+      ]
+    });
+
+    const result = await engine.runPipeline('planned');
+
+    expect(result.steps[0].validationErrors.map(e => e.path)).toEqual([
+      '$.projectName',
+      '$.tasks[0].estimatedTimeHours'
+    ]);
+  });
+
+  test('should skip validation when disabled', async () => {
+    const optedOut = new PipelineEngine(client).registerPipeline({
+      ...pipeline,
+      steps: [{ ...pipeline.steps[0], validation: false }]
+    });
+    const noDefaults = new PipelineEngine(client, { outputSchemas: false }).registerPipeline(pipeline);
+
+    expect((await optedOut.runPipeline('validated')).success).toBe(true);
+    expect((await noDefaults.runPipeline('validated')).success).toBe(true);
+  });
+});
+
+describe('PipelineEngine templates', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      projectPlanner: {
+        plan: jest.fn(async () => ({
+          success: true,
+          data: { projectName: 'Auth', tasks: [{ taskName: 'Login' }, { taskName: 'Logout' }] }
+        }))
+      },
+      codeGenerator: {
+        generate: jest.fn(async query => ({ success: true, data: { code: query, language: 'javascript' } }))
+      }
+    };
+  });
+
+  const pipeline = {
+    id: 'templated',
+    name: 'Templated',
+    steps: [
+      { id: 'plan', name: 'Plan', agent: 'projectPlanner', method: 'plan', inputFrom: 'user' },
+      {
+        id: 'generate',
+        name: 'Generate',
+        agent: 'codeGenerator',
+        method: 'generate',
+        inputFrom: 'context',
+        query: 'Implement {{steps.plan.data.projectName}} for {{context.userPrompt | upper}}: ' +
+          '{{steps.plan.data.tasks | pluck:taskName | join:" + "}}',
+        context: {
+          plan: '{{steps.plan.data}}',
+          summary: '{{steps.plan.data | json:0 | truncate:20}}',
+          style: '{{context.style | default:"standard"}}'
+        }
+      }
+    ]
+  };
+
+  test('should interpolate context and step outputs into queries and context', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(pipeline);
+
+    const result = await engine.runPipeline('templated', { userPrompt: 'web' });
+    const [query, context] = client.codeGenerator.generate.mock.calls[0];
+
+    expect(result.success).toBe(true);
+    expect(query).toBe('Implement Auth for WEB: Login + Logout');
+    expect(context.plan.tasks).toHaveLength(2);
+    expect(context.summary).toBe('{"projectName":"A...');
+    expect(context.style).toBe('standard');
+    expect(context.language).toBe('JavaScript');
+  });
+
+  test('should reject references to steps that are not dependencies', () => {
+    const engine = new PipelineEngine(client);
+
+    expect(() => engine.registerPipeline({
+      id: 'bad-ref',
+      name: 'Bad Ref',
+      steps: [
+        { ...pipeline.steps[0], dependsOn: [] },
+        { ...pipeline.steps[1], dependsOn: [] }
+      ]
+    })).toThrow('Step generate query references step plan, which is not one of its dependencies');
+  });
+
+  test('should reject unknown filters and roots at registration', () => {
+    const engine = new PipelineEngine(client);
+    const withQuery = query => ({ ...pipeline, steps: [{ ...pipeline.steps[0], query }] });
+
+    expect(() => engine.registerPipeline(withQuery('{{context.x | shout}}'))).toThrow('unknown filter: shout');
+    expect(() => engine.registerPipeline(withQuery('{{userPrompt}}'))).toThrow('must start with steps or context');
+  });
+
+  test('should fail the run before calling agents when context references are unresolved', async () => {
+    const engine = new PipelineEngine(client).registerPipeline(pipeline);
+
+    await expect(engine.runPipeline('templated', {})).rejects.toThrow(
+      'Unresolved template references: generate query: {{context.userPrompt | upper}}'
+    );
+    expect(client.projectPlanner.plan).not.toHaveBeenCalled();
+  });
+
+  test('should fail a step whose referenced output is missing', async () => {
+    client.projectPlanner.plan.mockResolvedValue({ success: true, data: { tasks: [] } });
+    const engine = new PipelineEngine(client).registerPipeline(pipeline);
+
+    const result = await engine.runPipeline('templated', { userPrompt: 'web' });
+
+    expect(result.success).toBe(false);
+    expect(result.steps[1].error).toBe('Unresolved template reference(s): steps.plan.data.projectName');
+    expect(client.codeGenerator.generate).not.toHaveBeenCalled();
+  });
+});
+
+describe('PipelineEngine pipeline files', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { readPipelineFile, toPipelineFile } = require('../src/format/pipelineFile');
+
+  let directory;
+  let client;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-files-'));
+    client = {
+      projectPlanner: {
+        plan: jest.fn(async () => ({
+          success: true,
+          data: { projectName: 'Auth', tasks: [{ taskName: 'Login', estimatedTimeHours: 2 }] }
+        }))
+      }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const yamlPipeline = [
+    'formatVersion: 1',
+    'id: planner',
+    'name: Planner',
+    'steps:',
+    '  - id: plan',
+    '    name: Plan',
+    '    agent: projectPlanner',
+    '    method: plan',
+    '    inputFrom: user',
+    '    context:',
+    '      technology: \'{{context.stack | default:"Node.js"}}\'',
+    '    resultMap:',
+    '      name: "{{data.projectName | upper}}"',
+    '      taskNames: "{{data.tasks | pluck:taskName}}"',
+    ''
+  ].join('\n');
+
+  test('should load and run a YAML pipeline', async () => {
+    const file = path.join(directory, 'planner.yaml');
+    fs.writeFileSync(file, yamlPipeline);
+    const engine = new PipelineEngine(client);
+
+    const pipeline = await engine.loadPipelineFile(file);
+    const result = await engine.runPipeline('planner', { userPrompt: 'Auth service' });
+
+    expect(pipeline.id).toBe('planner');
+    expect(engine.getPipeline('planner')).toBe(pipeline);
+    expect(client.projectPlanner.plan).toHaveBeenCalledWith(
+      'Auth service',
+      expect.objectContaining({ technology: 'Node.js' }),
+      expect.anything()
+    );
+    expect(result.steps[0].data).toEqual({ name: 'AUTH', taskNames: ['Login'] });
+  });
+
+  test('should round-trip pipelines through JSON', async () => {
+    const yamlFile = path.join(directory, 'planner.yml');
+    const jsonFile = path.join(directory, 'planner.json');
+    fs.writeFileSync(yamlFile, yamlPipeline);
+
+    const pipeline = await readPipelineFile(yamlFile);
+    fs.writeFileSync(jsonFile, toPipelineFile(pipeline, 'json'));
+
+    expect(await readPipelineFile(jsonFile)).toEqual(pipeline);
+  });
+
+  test('should keep the exported built-in pipelines in sync', async () => {
+    const engine = new PipelineEngine(client);
+
+    for (const pipeline of pipelines.all) {
+      const loaded = await engine.loadPipelineFile(path.join(__dirname, '..', 'pipelines', `${pipeline.id}.yaml`));
+      expect(loaded).toEqual(JSON.parse(JSON.stringify(pipeline)));
+    }
+  });
+
+  test('should refuse to export functions', () => {
+    expect(() => toPipelineFile({
+      id: 'closures',
+      steps: [{ id: 'a', contextBuilder: () => ({}) }]
+    })).toThrow('Pipeline closures cannot be exported: steps[0].contextBuilder is a function');
+  });
+
+  test('should reject unsupported files', async () => {
+    const engine = new PipelineEngine(client);
+    const future = path.join(directory, 'future.yaml');
+    fs.writeFileSync(future, yamlPipeline.replace('formatVersion: 1', 'formatVersion: 2'));
+
+    await expect(engine.loadPipelineFile(path.join(directory, 'planner.txt'))).rejects.toThrow('Unsupported pipeline file extension: .txt');
+    await expect(engine.loadPipelineFile(future)).rejects.toThrow('Unsupported pipeline file formatVersion: 2');
+  });
+});
+
+describe('PipelineEngine lint', () => {
+  const agentStep = (id, extra = {}) => ({ id, agent: 'codeGenerator', method: 'generate', inputFrom: 'user', ...extra });
+  const rulesOf = report => report.diagnostics.map(d => d.rule);
+
+  let engine;
+
+  beforeEach(() => {
+    engine = new PipelineEngine({});
+  });
+
+  test('should lint the built-in pipelines clean', () => {
+    pipelines.all.forEach(pipeline => engine.registerPipeline(pipeline));
+
+    pipelines.all.forEach(pipeline => {
+      expect(engine.lintPipeline(pipeline)).toEqual({
+        pipelineId: pipeline.id,
+        valid: true,
+        errorCount: 0,
+        warningCount: 0,
+        diagnostics: []
+      });
+    });
+  });
+
+  test('should report unknown agent methods and input sources with paths', () => {
+    const report = engine.lintPipeline({
+      id: 'typos',
+      steps: [
+        agentStep('generate'),
+        agentStep('improve', { method: 'improve', inputFrom: 'previousStep' }),
+        agentStep('review', { agent: 'reviewer', inputFrom: 'clipboard' })
+      ]
+    });
+
+    expect(report.valid).toBe(false);
+    expect(report.diagnostics).toEqual([
+      {
+        severity: 'error',
+        rule: 'unknown-method',
+        message: 'codeGenerator has no method improve (available: generate)',
+        path: '$.steps[1].method',
+        stepId: 'improve'
+      },
+      {
+        severity: 'error',
+        rule: 'unknown-agent',
+        message: 'Unknown agent: reviewer',
+        path: '$.steps[2].agent',
+        stepId: 'review'
+      },
+      expect.objectContaining({ rule: 'unknown-input-source', path: '$.steps[2].inputFrom' })
+    ]);
+  });
+
+  test('should report structural mistakes registration lets through', () => {
+    const report = engine.lintPipeline({
+      id: 'broken',
+      steps: [
+        agentStep('first', { inputFrom: 'previousStep' }),
+        agentStep('first'),
+        agentStep('orphan', { dependsOn: ['missing'] }),
+        agentStep('after-orphan', { dependsOn: ['orphan'], query: '{{steps.nowhere.data.code}}' }),
+        agentStep('loose', { dependsOn: [], query: '{{steps.first.data.code}}', retries: 3 })
+      ]
+    });
+
+    expect(rulesOf(report)).toEqual([
+      'unknown-dependency',
+      'unreachable-step',
+      'unreachable-step',
+      'previous-step-without-predecessor',
+      'duplicate-step-id',
+      'unknown-step-reference',
+      'unknown-field',
+      'step-reference-not-dependency'
+    ]);
+    expect(report.errorCount).toBe(7);
+    expect(report.warningCount).toBe(1);
+  });
+
+  test('should check loop and map bodies and sub-pipelines', () => {
+    const report = engine.lintPipeline({
+      id: 'nested',
+      steps: [
+        agentStep('plan', { agent: 'projectPlanner', method: 'plan' }),
+        {
+          id: 'per-task',
+          type: 'map',
+          items: 'steps.plan.data.tasks',
+          steps: [agentStep('code', { inputFrom: 'item' }), agentStep('fix', { agent: 'codeImprover', method: 'improve', inputFrom: 'previousStep' })]
+        },
+        { id: 'refine', type: 'loop', maxIterations: 2, until: 'done', steps: [agentStep('again', { inputFrom: 'item' })] },
+        { id: 'child', type: 'pipeline', pipelineId: 'not-registered' }
+      ]
+    });
+
+    expect(report.diagnostics.map(d => [d.rule, d.path])).toEqual([
+      ['unknown-condition', '$.steps[2].until'],
+      ['item-outside-map', '$.steps[2].steps[0].inputFrom'],
+      ['unknown-pipeline', '$.steps[3].pipelineId']
+    ]);
+  });
+});
+
+describe('PipelineEngine dry runs', () => {
+  const { formatPlan } = require('../src');
+
+  let client;
+  let engine;
+
+  const pipeline = {
+    id: 'planned',
+    name: 'Planned',
+    steps: [
+      { id: 'improve', name: 'Improve', agent: 'promptImprover', method: 'improve', inputFrom: 'user' },
+      {
+        id: 'generate',
+        name: 'Generate',
+        agent: 'codeGenerator',
+        method: 'generate',
+        inputFrom: 'context',
+        query: 'Implement: {{steps.improve.data.improvedPrompt}}',
+        context: { framework: '{{context.framework | default:"express"}}' }
+      },
+      {
+        id: 'review',
+        name: 'Review',
+        agent: 'codeImprover',
+        method: 'improve',
+        inputFrom: 'context',
+        query: 'Review for {{context.framework}}',
+        context: { code: '{{steps.generate.data.code}}' },
+        requiresApproval: true
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    client = {
+      promptImprover: { improve: jest.fn(async query => ({ success: true, data: { improvedPrompt: `${query}!` } })) },
+      codeGenerator: { generate: jest.fn(async () => ({ success: true, data: { code: 'x' } })) },
+      codeImprover: { improve: jest.fn(async () => ({ success: true, data: { improvedCode: 'y' } })) }
+    };
+    engine = new PipelineEngine(client, { onApprovalRequired: async () => true });
+    engine.registerPipeline(pipeline);
+  });
+
+  test('should plan a run without calling agents', async () => {
+    const plan = await engine.planRun('planned', { userPrompt: 'Login', framework: 'koa' });
+
+    expect(client.promptImprover.improve).not.toHaveBeenCalled();
+    expect(plan.allowed).toBe(true);
+    expect(plan.steps.map(step => [step.stepId, step.input])).toEqual([
+      ['improve', 'Login'],
+      ['generate', null],
+      ['review', 'Review for koa']
+    ]);
+    expect(plan.steps[1].context).toEqual({ language: 'JavaScript', framework: 'koa' });
+    expect(plan.runtimeInputs).toEqual([
+      { pipelineId: 'planned', stepId: 'generate', field: 'input', reference: '{{steps.improve.data.improvedPrompt}}' },
+      { pipelineId: 'planned', stepId: 'review', field: 'context.code', reference: '{{steps.generate.data.code}}' }
+    ]);
+    expect(plan.approvals).toEqual([{ type: 'step', pipelineId: 'planned', stepId: 'review', name: 'Review' }]);
+
+    const text = formatPlan(plan);
+    expect(text).toContain('1. improve - promptImprover.improve');
+    expect(text).toContain('runtime: context.code <- {{steps.generate.data.code}}');
+    expect(text).toContain('Verdict: ready to run');
+  });
+
+  test('should report policy denials and unresolved context', async () => {
+    const policyEngine = new PolicyEngine();
+    policyEngine.addRule({ id: 'no-improver', appliesTo: 'agent', target: 'codeImprover', effect: 'deny' });
+    engine = new PipelineEngine(client, { policyEngine });
+    engine.registerPipeline(pipeline);
+
+    const plan = await engine.planRun('planned', { userPrompt: 'Login' });
+
+    expect(plan.allowed).toBe(false);
+    expect(plan.unresolved).toEqual(['review query: {{context.framework}}']);
+    expect(plan.denied).toEqual([{
+      pipelineId: 'planned',
+      stepId: 'review',
+      reason: 'Agent codeImprover is denied by policy rule: no-improver'
+    }]);
+    expect(formatPlan(plan)).toContain('Verdict: the run would be blocked');
+  });
+
+  test('should run a pipeline under its plan', async () => {
+    const plan = await engine.planRun('planned', { userPrompt: 'Login', framework: 'koa' });
+    const result = await engine.runPipeline('planned', { userPrompt: 'Login', framework: 'koa' }, { plan });
+
+    expect(result.success).toBe(true);
+    await expect(engine.runPipeline('planned', { userPrompt: 'Logout', framework: 'koa' }, { plan }))
+      .rejects.toMatchObject({ code: 'PLAN_MISMATCH', message: expect.stringContaining('context differs') });
+  });
+
+  test('should fail steps that deviate from the plan', async () => {
+    const plan = await engine.planRun('planned', { userPrompt: 'Login', framework: 'koa' });
+    plan.steps[2].input = 'Review for express';
+
+    const result = await engine.runPipeline('planned', { userPrompt: 'Login', framework: 'koa' }, { plan });
+
+    expect(result.success).toBe(false);
+    expect(result.steps[2].error).toBe('Step review violates the run plan: input differs from the planned input');
+    expect(client.codeImprover.improve).not.toHaveBeenCalled();
+  });
+});
+
+describe('PipelineEngine record and replay', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { RecordingClient, ReplayClient } = require('../src');
+
+  const cassettePath = path.join(__dirname, 'fixtures', 'cassettes', 'implement-feature.json');
+  const context = {
+    userPrompt: 'Add a password strength check to signup',
+    preferences: { language: 'JavaScript', framework: 'Express' }
+  };
+
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should run implement-feature end to end from a cassette', async () => {
+    const client = await ReplayClient.load(cassettePath);
+    const engine = new PipelineEngine(client);
+    engine.registerPipeline(pipelines.implementFeature);
+
+    const result = await engine.runPipeline('implement-feature', context);
+
+    expect(result.status).toBe('completed');
+    expect(result.steps.map(step => step.status)).toEqual(Array(6).fill('completed'));
+    expect(result.steps[3].data.code).toContain('function validatePassword');
+    expect(result.steps[0].signature.publicKey).toMatch(/^02/);
+    expect(result.steps.map(step => step.verified)).toEqual(Array(6).fill(true));
+    expect(result.actions.map(action => action.type)).toEqual(['CREATE_FILE', 'APPLY_DIFF']);
+    expect(client.getUnusedInteractions()).toEqual([]);
+  });
+
+  test('should record calls, responses and errors to a cassette file', async () => {
+    const file = path.join(directory, 'run.json');
+    let calls = 0;
+    const recorder = new RecordingClient({
+      codeGenerator: {
+        generate: async () => {
+          calls++;
+          if (calls === 1) {
+            const error = new Error('Service unavailable');
+            error.status = 503;
+            throw error;
+          }
+          return { success: true, data: { code: 'ok' }, signature: { hash: 'abc' } };
+        }
+      }
+    }, { cassette: file });
+    const engine = new PipelineEngine(recorder, { retry: { attempts: 2, backoff: 0 } });
+    engine.registerPipeline({
+      id: 'recorded',
+      steps: [{ id: 'code', agent: 'codeGenerator', method: 'generate', inputFrom: 'user' }]
+    });
+
+    await engine.runPipeline('recorded', { userPrompt: 'Hello' });
+    const cassette = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+    expect(cassette.interactions).toHaveLength(2);
+    expect(cassette.interactions[0]).toMatchObject({
+      request: { agent: 'codeGenerator', method: 'generate', input: 'Hello', context: { language: 'JavaScript' } },
+      response: null,
+      error: { message: 'Service unavailable', status: 503 }
+    });
+    expect(cassette.interactions[1].response).toEqual({ success: true, data: { code: 'ok' }, signature: { hash: 'abc' } });
+
+    // Replaying reproduces the failed first attempt and the retry
+    const replayEngine = new PipelineEngine(await ReplayClient.load(file), { retry: { attempts: 2, backoff: 0 } });
+    replayEngine.registerPipeline(engine.getPipeline('recorded'));
+    const result = await replayEngine.runPipeline('recorded', { userPrompt: 'Hello' });
+
+    expect(result.steps[0].attempts.map(attempt => attempt.errorType || 'ok')).toEqual(['server', 'ok']);
+  });
+
+  test('should match requests ignoring volatile fields', async () => {
+    const cassette = {
+      cassetteVersion: 1,
+      recordedAt: '2026-01-01T00:00:00.000Z',
+      interactions: [{
+        request: { agent: 'base', method: 'query', input: 'Hi', context: { requestId: 'a1', user: { id: 1, seenAt: 'x' } } },
+        response: { success: true, data: { code: 'hello' } },
+        error: null
+      }]
+    };
+    const volatile = { requestId: 'b2', user: { id: 1, seenAt: 'y' } };
+
+    await expect(new ReplayClient(cassette).base.query('Hi', volatile)).rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+
+    const client = new ReplayClient(cassette, { ignore: ['context.requestId', 'context.*.seenAt'], repeat: false });
+    expect(await client.base.query('Hi', volatile)).toEqual({ success: true, data: { code: 'hello' } });
+    await expect(client.base.query('Hi', volatile)).rejects.toThrow('No recorded response for base.query');
+  });
+});
+
+describe('LocalSchemaICUServer', () => {
+  const { LocalSchemaICUServer, AGENT_METHODS, AGENT_OUTPUT_SCHEMAS, validateSchema, verifyResponse } = require('../src');
+  const { hashData } = require('../src/signing/signatures');
+
+  let server;
+
+  const call = (agent, body, headers = {}) => fetch(`${server.url}/api/${agent}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should serve schema-conformant, signed responses for all 11 agents', async () => {
+    server = new LocalSchemaICUServer();
+    await server.start();
+
+    const agents = Object.keys(AGENT_METHODS);
+    expect(agents).toHaveLength(11);
+
+    for (const agent of agents) {
+      const response = await call(agent, {
+        query: 'Build a user login endpoint',
+        context: { code: 'const a = 1;\n', availableTools: [{ name: 'codeGenerator', description: 'Generate code' }] }
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(validateSchema(AGENT_OUTPUT_SCHEMAS[agent], body.data)).toEqual([]);
+      expect(body.signature.publicKey).toBe(server.publicKey);
+      expect(body.signature.hash).toBe(hashData(body.data));
+      expect(verifyResponse(body, { trustedKeys: [server.publicKey] }).verified).toBe(true);
+    }
+
+    const health = await (await fetch(`${server.url}/health`)).json();
+    expect(health).toEqual({ status: 'ok', agents, publicKey: server.publicKey });
+  });
+
+  test('should serve fixtures and accept other route spellings', async () => {
+    server = new LocalSchemaICUServer({
+      apiKey: 'secret',
+      fixtures: { promptImprover: [{ improvedPrompt: 'first' }, { improvedPrompt: 'second' }] }
+    });
+    await server.start();
+
+    const unauthorized = await call('prompt-improver', { prompt: 'x' });
+    const send = () => fetch(`${server.url}/api/agents/promptImprover/improve`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer secret' },
+      body: JSON.stringify({ prompt: 'x' })
+    }).then(response => response.json());
+
+    expect(unauthorized.status).toBe(401);
+    expect((await send()).data).toEqual({ improvedPrompt: 'first' });
+    expect((await send()).data).toEqual({ improvedPrompt: 'second' });
+    expect((await send()).data).toEqual({ improvedPrompt: 'second' });
+    expect(server.getClientConfig()).toEqual({ baseUrl: 'http://127.0.0.1', port: server.port, apiKey: 'secret' });
+  });
+
+  test('should inject rate limits, server errors, malformed payloads and latency', async () => {
+    server = new LocalSchemaICUServer({
+      faults: [
+        { mode: 'rate-limit', agent: 'codeGenerator', times: 1, retryAfter: 3 },
+        { mode: 'latency', agent: 'base', delay: 50 }
+      ]
+    });
+    await server.start();
+
+    const limited = await call('code-generator', { query: 'x' });
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('retry-after')).toBe('3');
+    expect((await call('code-generator', { query: 'x' })).status).toBe(200);
+
+    const started = Date.now();
+    expect((await call('base', { query: 'x' })).status).toBe(200);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+
+    expect((await call('base', { query: 'x' }, { 'x-schema-icu-fault': 'server-error' })).status).toBe(500);
+    await expect((await call('base', { query: 'x' }, { 'x-schema-icu-fault': 'malformed' })).json()).rejects.toThrow();
+
+    server.injectFault({ mode: 'malformed', payload: 'schema' });
+    const invalid = await (await call('code-generator', { query: 'x' })).json();
+    expect(validateSchema(AGENT_OUTPUT_SCHEMAS.codeGenerator, invalid.data)).not.toEqual([]);
+
+    expect(server.requests.map(request => request.fault)).toEqual(['rate-limit', null, null, 'server-error', 'malformed', 'malformed']);
+  });
+});
+
+describe('PipelineEngine signature verification', () => {
+  const { verifyResponse } = require('../src');
+  const { createSigningKey, signData } = require('../src/signing/signatures');
+  const ProjectManager = require('../examples/project-manager');
+
+  const key = createSigningKey();
+  const otherKey = createSigningKey();
+  const signed = (data, privateKey = key.privateKey) => ({ success: true, data, signature: signData(data, privateKey) });
+
+  const createPipeline = () => ({
+    id: 'signed',
+    name: 'Signed',
+    steps: [{ id: 'code', agent: 'codeGenerator', method: 'generate', inputFrom: 'userPrompt', retry: { attempts: 3, backoff: 1 } }]
+  });
+
+  test('should verify the hash, signature and pinned keys of a response', () => {
+    const response = signed({ code: 'const a = 1;', missingContext: [] });
+    const reason = candidate => verifyResponse(candidate).reason;
+
+    expect(verifyResponse(response)).toEqual({ verified: true, reason: 'signature valid', publicKey: key.publicKey });
+    expect(verifyResponse(response, { trustedKeys: [key.publicKey.toUpperCase()] }).verified).toBe(true);
+    expect(verifyResponse(response, { trustedKeys: [otherKey.publicKey] }).reason).toBe(`untrusted public key: ${key.publicKey}`);
+
+    expect(reason({ ...response, signature: undefined })).toBe('missing signature');
+    expect(reason({ ...response, signature: { hash: response.signature.hash } })).toMatch(/^malformed signature/);
+    expect(reason({ ...response, data: { ...response.data, code: 'const a = 2;' } })).toMatch(/^hash mismatch/);
+    expect(reason({ ...response, signature: { ...response.signature, publicKey: otherKey.publicKey } })).toBe('invalid signature');
+    expect(reason({ ...response, signature: { ...response.signature, publicKey: 'zz' } })).toMatch(/^invalid public key/);
+    expect(reason({ ...response, signature: { ...response.signature, signature: 'MEUCIQ==' } })).toMatch(/^malformed signature: expected a 65-byte compact signature/);
+  });
+
+  test('should verify a Schema.ICU response signed as a Bitcoin signed message', () => {
+    // Signed with bsv's Message.sign over the hash of the data's JSON, in the service's key order
+    const response = require('./fixtures/responses/code-generator.json');
+    const { publicKey } = response.signature;
+
+    expect(response.signature.signature).toMatch(/^[HI]/);
+    expect(verifyResponse(response)).toEqual({ verified: true, reason: 'signature valid', publicKey });
+    expect(verifyResponse(response, { trustedKeys: [publicKey] }).verified).toBe(true);
+    expect(verifyResponse(response, { trustedKeys: [key.publicKey] }).reason).toBe(`untrusted public key: ${publicKey}`);
+    expect(verifyResponse({ ...response, data: { ...response.data, reasoning: 'edited' } }).reason).toMatch(/^hash mismatch/);
+    expect(verifyResponse({ ...response, signature: { ...response.signature, publicKey: key.publicKey } }).reason).toBe('invalid signature');
+  });
+
+  test('should sign and recover Bitcoin signed messages', () => {
+    const { signMessage, recoverMessageSigner, getMessageDigest } = require('../src/signing/signatures');
+    const signature = signMessage('hello', key.privateKey);
+
+    expect(Buffer.from(signature, 'base64')).toHaveLength(65);
+    expect(recoverMessageSigner('hello', signature)).toBe(key.publicKey);
+    expect(recoverMessageSigner('hello!', signature)).not.toBe(key.publicKey);
+    // Digest of "hello" as computed by bitcoin's signmessage
+    expect(getMessageDigest('hello').toString('hex')).toBe(
+      require('crypto').createHash('sha256').update(require('crypto').createHash('sha256')
+        .update(Buffer.concat([Buffer.from([24]), Buffer.from('Bitcoin Signed Message:\n'), Buffer.from([5]), Buffer.from('hello')])).digest()).digest('hex')
+    );
+  });
+
+  test('should record verification on each step and flag tampered responses', async () => {
+    const response = signed({ code: 'ok', missingContext: [] });
+    const engine = new PipelineEngine({
+      codeGenerator: { generate: async () => ({ ...response, data: { ...response.data, code: 'tampered' } }) }
+    });
+    engine.registerPipeline(createPipeline());
+
+    const result = await engine.runPipeline('signed', { userPrompt: 'x' });
+
+    expect(result.status).toBe('completed');
+    expect(result.steps[0].verified).toBe(false);
+    expect(result.steps[0].verificationReason).toMatch(/^hash mismatch/);
+  });
+
+  test('should fail unverified steps with requireSignatures, without retrying', async () => {
+    let calls = 0;
+    const client = { codeGenerator: { generate: async () => { calls++; return signed({ code: 'ok', missingContext: [] }, otherKey.privateKey); } } };
+    const strict = new PipelineEngine(client, { trustedKeys: [key.publicKey], requireSignatures: true });
+    const pinned = new PipelineEngine(client, { trustedKeys: [otherKey.publicKey], requireSignatures: true });
+    strict.registerPipeline(createPipeline());
+    pinned.registerPipeline(createPipeline());
+
+    const failed = await strict.runPipeline('signed', { userPrompt: 'x' });
+
+    expect(failed.success).toBe(false);
+    expect(failed.steps[0]).toMatchObject({
+      status: 'failed',
+      errorType: 'signature',
+      verified: false,
+      verificationReason: `untrusted public key: ${otherKey.publicKey}`
+    });
+    expect(calls).toBe(1);
+
+    const passed = await pinned.runPipeline('signed', { userPrompt: 'x' });
+    expect(passed.steps[0]).toMatchObject({ status: 'completed', verified: true, verificationReason: 'signature valid' });
+  });
+
+  test('should refuse requireSignatures without trustedKeys', () => {
+    expect(() => new PipelineEngine({}, { requireSignatures: true })).toThrow(expect.objectContaining({ code: 'SIGNATURE_KEYS_REQUIRED' }));
+    expect(() => new PipelineEngine({}, { requireSignatures: true, trustedKeys: [] })).toThrow(/needs trustedKeys/);
+    expect(() => new ProjectManager({ client: {}, requireSignatures: true })).toThrow(expect.objectContaining({ code: 'SIGNATURE_KEYS_REQUIRED' }));
+  });
+
+  test('should verify ProjectManager responses', async () => {
+    const client = { codeGenerator: { generate: async () => signed({ code: 'ok' }, otherKey.privateKey) } };
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const pm = new ProjectManager({ client });
+      expect(await pm.generateFeature('x')).toEqual({ code: 'ok' });
+      expect(pm.lastVerification).toMatchObject({ verified: true, publicKey: otherKey.publicKey });
+
+      const strict = new ProjectManager({ client, trustedKeys: [key.publicKey], requireSignatures: true });
+      await expect(strict.generateFeature('x')).rejects.toMatchObject({ code: 'SIGNATURE_INVALID' });
+      expect(strict.lastVerification.reason).toMatch(/^untrusted public key/);
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
+
+describe('PipelineEngine signed pipelines', () => {
+  const { signPipeline, verifyPipeline } = require('../src');
+  const { createSigningKey } = require('../src/signing/signatures');
+
+  const teamKey = createSigningKey();
+  const otherKey = createSigningKey();
+  const definition = {
+    id: 'shared',
+    name: 'Shared',
+    steps: [{ id: 'code', agent: 'codeGenerator', method: 'generate', inputFrom: 'userPrompt' }]
+  };
+
+  test('should sign the canonical definition and detect changes', () => {
+    const signed = signPipeline(definition, teamKey.privateKey);
+    const reordered = { steps: signed.steps, signature: signed.signature, name: signed.name, id: signed.id };
+    const tampered = { ...signed, steps: [{ ...signed.steps[0], agent: 'terminalAgent' }] };
+
+    expect(signed.signature.publicKey).toBe(teamKey.publicKey);
+    expect(verifyPipeline(reordered, { trustedKeys: [teamKey.publicKey] }).verified).toBe(true);
+    expect(verifyPipeline(signPipeline(signed, otherKey.privateKey)).publicKey).toBe(otherKey.publicKey);
+    expect(verifyPipeline(tampered).reason).toBe('hash mismatch: pipeline definition was changed after signing');
+    expect(verifyPipeline(definition).reason).toBe('unsigned pipeline');
+  });
+
+  test('should refuse unsigned, tampered and untrusted pipelines with requireSignedPipelines', () => {
+    const engine = new PipelineEngine({}, {
+      trustedPipelineKeys: [teamKey.publicKey],
+      requireSignedPipelines: true
+    });
+    const signed = signPipeline(definition, teamKey.privateKey);
+    const refusal = candidate => {
+      try {
+        engine.registerPipeline(candidate);
+      } catch (error) {
+        return { code: error.code, reason: error.verification.reason };
+      }
+      return null;
+    };
+
+    expect(refusal(definition)).toEqual({ code: 'PIPELINE_SIGNATURE_INVALID', reason: 'unsigned pipeline' });
+    expect(refusal({ ...signed, name: 'Renamed' }).reason).toMatch(/^hash mismatch/);
+    expect(refusal(signPipeline(definition, otherKey.privateKey)).reason).toBe(`untrusted public key: ${otherKey.publicKey}`);
+    expect(engine.listPipelines()).toEqual([]);
+
+    engine.registerPipeline(signed);
+    expect(engine.getPipelineVerification('shared')).toEqual({ verified: true, reason: 'signature valid', publicKey: teamKey.publicKey });
+    expect(engine.listPipelines()[0].verified).toBe(true);
+  });
+
+  test('should refuse requireSignedPipelines without trustedPipelineKeys', () => {
+    expect(() => new PipelineEngine({}, { requireSignedPipelines: true })).toThrow(expect.objectContaining({ code: 'PIPELINE_KEYS_REQUIRED' }));
+    expect(() => new PipelineEngine({}, { requireSignedPipelines: true, trustedPipelineKeys: [] })).toThrow(/needs trustedPipelineKeys/);
+  });
+
+  test('should not report success from sign-pipeline --verify without a trusted key', () => {
+    const { execFileSync } = require('child_process');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'signed-pipeline-'));
+    const file = path.join(directory, 'shared.json');
+    fs.writeFileSync(file, JSON.stringify(signPipeline(definition, teamKey.privateKey)));
+    const verify = (...args) => {
+      try {
+        return { status: 0, stdout: execFileSync('node', [path.join(__dirname, '../scripts/sign-pipeline.js'), file, '--verify', ...args], { encoding: 'utf-8' }) };
+      } catch (error) {
+        return { status: error.status, stdout: error.stdout };
+      }
+    };
+
+    try {
+      const untrusted = verify();
+      expect(untrusted.status).toBe(1);
+      expect(untrusted.stdout).toContain('signature valid, signer not trusted');
+
+      const trusted = verify(`--trusted-key=${teamKey.publicKey}`);
+      expect(trusted.status).toBe(0);
+      expect(trusted.stdout).toContain(`✅ ${file}: signature valid`);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should register unverified pipelines and record why without requireSignedPipelines', () => {
+    const engine = new PipelineEngine({}, { trustedPipelineKeys: [teamKey.publicKey] });
+
+    engine.registerPipeline({ ...signPipeline(definition, teamKey.privateKey), name: 'Renamed' });
+
+    expect(engine.getPipeline('shared').name).toBe('Renamed');
+    expect(engine.getPipelineVerification('shared').verified).toBe(false);
+    expect(engine.getPipelineVerification('shared').reason).toMatch(/^hash mismatch/);
+  });
+});
+
+describe('PipelineEngine audit log', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { AuditLog, verifyAuditLog } = require('../src');
+  const { createSigningKey, signData } = require('../src/signing/signatures');
+
+  const key = createSigningKey();
+  const pipeline = {
+    id: 'audited',
+    name: 'Audited',
+    steps: [
+      { id: 'plan', name: 'Plan', agent: 'projectPlanner', method: 'plan', inputFrom: 'userPrompt', requiresApproval: true },
+      { id: 'code', name: 'Code', agent: 'codeGenerator', method: 'generate', inputFrom: 'previousStep' }
+    ]
+  };
+  const client = {
+    projectPlanner: { plan: async () => ({ success: true, data: { projectName: 'P', tasks: [] } }) },
+    codeGenerator: {
+      generate: async () => {
+        const data = { code: 'ok', missingContext: [] };
+        return { success: true, data, signature: signData(data, key.privateKey) };
+      }
+    }
+  };
+
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should record runs, policy checks, approvals and agent calls in a hash chain', async () => {
+    const file = path.join(directory, 'audit.jsonl');
+    const engine = new PipelineEngine(client, {
+      audit: true,
+      auditLog: new AuditLog({ file }),
+      policyEngine: new PolicyEngine(),
+      onApprovalRequired: async () => ({ approved: true, approvedBy: 'alice' })
+    }).registerPipeline(pipeline);
+
+    const result = await engine.runPipeline('audited', { userPrompt: 'x' });
+    const log = await AuditLog.load(file);
+
+    expect(result.success).toBe(true);
+    expect(log.entries.map(entry => entry.type)).toEqual([
+      'run:start', 'policy:check', 'policy:check', 'approval', 'agent:call', 'policy:check', 'agent:call'
+    ]);
+    expect(log.entries.every(entry => entry.data.runId === result.runId)).toBe(true);
+    expect(log.getEntries({ type: 'approval' })[0].data).toMatchObject({ stepId: 'plan', approved: true, decidedBy: 'alice' });
+    expect(log.getEntries({ type: 'agent:call' }).map(entry => entry.data.verified)).toEqual([false, true]);
+    expect(log.entries[6].data.signatureHash).toBe(result.steps[1].signature.hash);
+    expect(log.verify()).toEqual({ valid: true, count: 7, headHash: engine.auditLog.headHash, errors: [] });
+  });
+
+  test('should continue the chain of an existing file across engines', async () => {
+    const file = path.join(directory, 'audit.jsonl');
+    const run = () => new PipelineEngine(client, { audit: true, auditLog: new AuditLog({ file }), autoApprove: true })
+      .registerPipeline(pipeline)
+      .runPipeline('audited', { userPrompt: 'x' });
+
+    const first = await run();
+    const second = await run();
+    const log = await AuditLog.load(file);
+
+    expect(log.entries).toHaveLength(8);
+    expect(log.entries[4]).toMatchObject({ seq: 4, type: 'run:start', prevHash: log.entries[3].hash });
+    expect(log.getEntries({ runId: first.runId })).toHaveLength(4);
+    expect(log.getEntries({ runId: second.runId })).toHaveLength(4);
+    expect(log.verify().valid).toBe(true);
+  });
+
+  test('should refuse appends to a file log before it is open', async () => {
+    const log = new AuditLog({ file: path.join(directory, 'audit.jsonl') });
+
+    expect(() => log.append('run:start')).toThrow(expect.objectContaining({ code: 'AUDIT_LOG_NOT_OPEN' }));
+    await log.open();
+    expect(log.append('run:start').seq).toBe(0);
+  });
+
+  test('should detect edited, deleted and truncated entries', () => {
+    const log = new AuditLog();
+    ['run:start', 'policy:check', 'approval', 'agent:call'].forEach((type, index) => log.append(type, { index }));
+    const entries = log.getEntries().map(entry => JSON.parse(JSON.stringify(entry)));
+
+    const edited = entries.map((entry, index) => (index === 2 ? { ...entry, data: { index: 2, approved: true } } : entry));
+    expect(verifyAuditLog(edited).errors).toEqual([{ index: 2, seq: 2, reason: 'hash mismatch: entry was changed after it was written' }]);
+
+    const deleted = verifyAuditLog(entries.filter((entry, index) => index !== 1));
+    expect(deleted.valid).toBe(false);
+    expect(deleted.errors.map(error => error.reason)).toEqual([
+      'sequence gap: expected entry 1, found 2',
+      'chain broken: prevHash does not match the previous entry',
+      'sequence gap: expected entry 2, found 3'
+    ]);
+
+    expect(verifyAuditLog(entries.slice(0, 3)).valid).toBe(true);
+    expect(verifyAuditLog(entries.slice(0, 3), { headHash: log.headHash }).valid).toBe(false);
+  });
+
+  test('should reject approvals without a handler instead of auto-approving', async () => {
+    const engine = new PipelineEngine(client, { audit: true, auditLog: new AuditLog() }).registerPipeline(pipeline);
+    const autoEngine = new PipelineEngine(client, { audit: true, auditLog: new AuditLog(), autoApprove: true }).registerPipeline(pipeline);
+
+    const rejected = await engine.runPipeline('audited', { userPrompt: 'x' });
+    const approved = await autoEngine.runPipeline('audited', { userPrompt: 'x' });
+
+    expect(rejected.success).toBe(false);
+    expect(rejected.steps[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('no approval handler') });
+    expect(engine.auditLog.getEntries({ type: 'approval' })[0].data).toMatchObject({ approved: false, decidedBy: 'none' });
+    expect(approved.success).toBe(true);
+    expect(autoEngine.auditLog.getEntries({ type: 'approval' })[0].data).toMatchObject({ approved: true, decidedBy: 'autoApprove' });
+  });
+});
+
+describe('PipelineEngine run proofs', () => {
+  const path = require('path');
+  const { ReplayClient, getRunMerkleRoot, createStepProof, verifyStepProof } = require('../src');
+  const { createSigningKey, signData } = require('../src/signing/signatures');
+  const { hashLeaf, getMerkleRoot, getMerklePath, computeMerkleRoot } = require('../src/signing/merkle');
+
+  const cassettePath = path.join(__dirname, 'fixtures', 'cassettes', 'implement-feature.json');
+  const context = {
+    userPrompt: 'Add a password strength check to signup',
+    preferences: { language: 'JavaScript', framework: 'Express' }
+  };
+
+  test('should prove every leaf of trees of any size', () => {
+    for (let size = 1; size <= 7; size++) {
+      const leaves = Array.from({ length: size }, (_, index) => hashLeaf(`leaf ${index}`));
+      const root = getMerkleRoot(leaves);
+      leaves.forEach((leaf, index) => {
+        expect(computeMerkleRoot(leaf, getMerklePath(leaves, index))).toBe(root);
+      });
+    }
+    expect(getMerkleRoot([])).toBeNull();
+  });
+
+  test('should issue step proofs that verify offline against the run root', async () => {
+    const engine = new PipelineEngine(await ReplayClient.load(cassettePath));
+    engine.registerPipeline(pipelines.implementFeature);
+
+    const result = await engine.runPipeline('implement-feature', context);
+    const proof = JSON.parse(JSON.stringify(createStepProof(result, 'generate-code')));
+    const publicKey = result.steps[0].signature.publicKey;
+
+    expect(result.merkleRoot).toMatch(/^[0-9a-f]{64}$/);
+    expect(result.merkleRoot).toBe(getRunMerkleRoot(result));
+    expect(proof).toMatchObject({ root: result.merkleRoot, index: 3, leafCount: 6 });
+    result.steps.forEach(step => {
+      expect(verifyStepProof(createStepProof(result, step.stepId), { root: result.merkleRoot }).verified).toBe(true);
+    });
+
+    expect(verifyStepProof(proof, { root: result.merkleRoot, trustedKeys: [publicKey] })).toEqual({
+      verified: true,
+      reason: 'step output is signed and included in the run',
+      path: 'generate-code',
+      publicKey
+    });
+    expect(verifyStepProof(proof, { root: result.merkleRoot, data: { ...proof.data, code: 'evil()' } }).reason).toMatch(/^hash mismatch/);
+    expect(verifyStepProof(proof, { root: getRunMerkleRoot({ steps: result.steps.slice(1) }) }).reason).toBe('root mismatch: the step is not part of the run');
+    expect(verifyStepProof({ ...proof, leaf: { ...proof.leaf, path: 'improve-prompt' } }, { root: result.merkleRoot }).verified).toBe(false);
+    expect(() => createStepProof(result, 'missing')).toThrow('No signed step at missing');
+  });
+
+  test('should not report success from proofs:verify without a trusted key', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const { execFileSync } = require('child_process');
+    const engine = new PipelineEngine(await ReplayClient.load(cassettePath)).registerPipeline(pipelines.implementFeature);
+    const result = await engine.runPipeline('implement-feature', context);
+    const publicKey = result.steps[0].signature.publicKey;
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'step-proof-'));
+    const file = path.join(directory, 'generate-code.proof.json');
+    fs.writeFileSync(file, JSON.stringify(createStepProof(result, 'generate-code')));
+    const verify = (...args) => {
+      try {
+        return { status: 0, stdout: execFileSync('node', [path.join(__dirname, '../scripts/verify-step-proof.js'), file, `--root=${result.merkleRoot}`, ...args], { encoding: 'utf-8' }) };
+      } catch (error) {
+        return { status: error.status, stdout: error.stdout };
+      }
+    };
+
+    try {
+      const untrusted = verify();
+      expect(untrusted.status).toBe(1);
+      expect(untrusted.stdout).toContain('signature valid, signer not trusted');
+
+      const trusted = verify(`--trusted-key=${publicKey}`);
+      expect(trusted.status).toBe(0);
+      expect(trusted.stdout).toContain('✅');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should include loop iterations under nested paths', async () => {
+    const key = createSigningKey();
+    let call = 0;
+    const client = {
+      codeImprover: {
+        improve: async () => {
+          const data = { improvedCode: `v${++call}`, missingContext: [] };
+          return { success: true, data, signature: signData(data, key.privateKey) };
+        }
+      }
+    };
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'refining',
+      name: 'Refining',
+      steps: [{
+        id: 'refine',
+        type: 'loop',
+        maxIterations: 2,
+        steps: [{ id: 'improve', agent: 'codeImprover', method: 'improve', inputFrom: 'userPrompt' }]
+      }]
+    });
+
+    const result = await engine.runPipeline('refining', { userPrompt: 'x' });
+    const proof = createStepProof(result, 'refine/2/improve');
+
+    expect(proof).toMatchObject({ index: 1, leafCount: 2, data: { improvedCode: 'v2' } });
+    expect(verifyStepProof(proof, { root: result.merkleRoot }).verified).toBe(true);
+  });
+});
+
+describe('ActionExecutor', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { ActionExecutor, AuditLog } = require('../src');
+
+  const createFile = (target, content) => ({ type: 'CREATE_FILE', targets: [target], payload: { content }, requiresApproval: true });
+
+  let directory;
+  let root;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-'));
+    root = path.join(directory, 'project');
+    fs.mkdirSync(root);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should apply run actions after policy checks and approval, and audit them', async () => {
+    const approvals = [];
+    const client = { codeGenerator: { generate: async () => ({ success: true, data: { code: 'module.exports = 1;\n', language: 'JavaScript', missingContext: [] } }) } };
+    const engine = new PipelineEngine(client, {
+      audit: true,
+      auditLog: new AuditLog(),
+      policyEngine: new PolicyEngine(),
+      onApprovalRequired: async request => {
+        approvals.push(request);
+        return { approved: true, approvedBy: 'alice' };
+      }
+    }).registerPipeline({
+      id: 'generate',
+      name: 'Generate',
+      steps: [{ id: 'code', agent: 'codeGenerator', method: 'generate', inputFrom: 'userPrompt' }]
+    });
+
+    const result = await engine.runPipeline('generate', { userPrompt: 'x' });
+    const applied = await engine.applyActions(result, { root });
+    const target = result.actions[0].targets[0];
+
+    expect(applied.success).toBe(true);
+    expect(applied.results).toEqual([expect.objectContaining({
+      index: 0,
+      type: 'CREATE_FILE',
+      targets: [target],
+      status: 'applied',
+      decidedBy: 'alice',
+      outcome: { path: target, bytes: 20 }
+    })]);
+    expect(fs.readFileSync(path.join(root, target), 'utf-8')).toBe('module.exports = 1;\n');
+    expect(approvals.map(request => request.type)).toEqual(['action']);
+    expect(engine.auditLog.getEntries({ type: 'action:applied' })[0].data).toMatchObject({
+      runId: result.runId,
+      status: 'applied',
+      targets: [target]
+    });
+    expect(engine.auditLog.verify().valid).toBe(true);
+  });
+
+  test('should record denied, rejected, applied and failed actions', async () => {
+    fs.writeFileSync(path.join(root, 'app.js'), 'a\nb\nc\n');
+    const executor = new ActionExecutor({
+      root,
+      policyEngine: new PolicyEngine(),
+      onApprovalRequired: async ({ action }) => (action.type === 'DELETE_FILE' ? { approved: false, reason: 'keep it' } : true),
+      continueOnError: true
+    });
+
+    const { success, results } = await executor.apply([
+      createFile('config/.env', 'SECRET=1'),
+      { type: 'DELETE_FILE', targets: ['app.js'], payload: {}, requiresApproval: true },
+      { type: 'APPLY_DIFF', targets: ['app.js'], payload: { diff: '--- a/app.js\n+++ b/app.js\n@@ -2,1 +2,1 @@\n-b\n+B\n' }, requiresApproval: true },
+      { type: 'RUN_COMMAND', targets: [], payload: { command: 'cat app.js' }, requiresApproval: true },
+      { type: 'RUN_COMMAND', targets: [], payload: { command: 'exit 3' }, requiresApproval: true },
+      { type: 'SHOW_MESSAGE', targets: [], payload: { message: 'x' }, requiresApproval: true }
+    ]);
+
+    expect(success).toBe(false);
+    expect(results.map(result => result.status)).toEqual(['denied', 'rejected', 'applied', 'applied', 'failed', 'failed']);
+    expect(results[0].reason).toMatch(/matches denied pattern/);
+    expect(results[1]).toMatchObject({ reason: 'keep it', decidedBy: 'onApprovalRequired' });
+    expect(results[3].outcome).toMatchObject({ exitCode: 0, stdout: 'a\nB\nc\n' });
+    expect(results[4]).toMatchObject({ code: 'COMMAND_FAILED', outcome: { exitCode: 3 } });
+    expect(results[5].error).toBe('Unsupported action type: SHOW_MESSAGE');
+    expect(fs.existsSync(path.join(root, 'config'))).toBe(false);
+
+    const unattended = await new ActionExecutor({ root }).apply([createFile('new.js', 'x')]);
+    expect(unattended.results[0]).toMatchObject({ status: 'rejected', decidedBy: 'none' });
+  });
+
+  test('should keep actions inside the root and stop at the first failure', async () => {
+    fs.mkdirSync(path.join(directory, 'outside'));
+    fs.symlinkSync(path.join(directory, 'outside'), path.join(root, 'link'));
+    const executor = new ActionExecutor({ root, autoApprove: true });
+
+    const escaped = await executor.apply([createFile('../escape.js', 'x'), createFile('ok.js', 'x')]);
+    const linked = await executor.applyAction(createFile('link/escape.js', 'x'));
+    const placeholder = await executor.applyAction({ type: 'APPLY_DIFF', targets: ['current-file'], payload: { diff: '@@ -1 +1 @@\n-a\n+b\n' } });
+
+    expect(escaped.results).toEqual([
+      expect.objectContaining({ status: 'failed', code: 'PATH_OUTSIDE_ROOT' }),
+      expect.objectContaining({ status: 'skipped', reason: 'an earlier action failed' })
+    ]);
+    expect(linked).toMatchObject({ status: 'failed', code: 'PATH_OUTSIDE_ROOT' });
+    expect(placeholder).toMatchObject({ status: 'failed', code: 'INVALID_TARGET' });
+    expect(fs.readdirSync(path.join(directory, 'outside'))).toEqual([]);
+    expect(fs.existsSync(path.join(root, 'ok.js'))).toBe(false);
+  });
+
+  test('should stop the whole process group of a command that times out', async () => {
+    const { runShellCommand } = require('../src/utils/shell');
+    // Killed processes stay zombies (state Z) when nothing reaps them
+    const isRunning = pid => {
+      try {
+        process.kill(pid, 0);
+      } catch (error) {
+        return false;
+      }
+      const stat = path.join('/proc', String(pid), 'stat');
+      return !(fs.existsSync(stat) && /\) Z /.test(fs.readFileSync(stat, 'utf-8')));
+    };
+    const startTime = Date.now();
+
+    // The background subshell ignores SIGTERM and keeps stdout open
+    const output = await runShellCommand('(trap "" TERM; sleep 30) & echo $!; wait', { cwd: root, timeout: 300, killGrace: 200 });
+    const pid = Number(output.stdout.trim());
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    expect(output.timedOut).toBe(true);
+    expect(Date.now() - startTime).toBeLessThan(5000);
+    expect(isRunning(pid)).toBe(false);
+  });
+
+  test('should keep only the end of long command output', async () => {
+    const { runShellCommand } = require('../src/utils/shell');
+
+    const output = await runShellCommand('yes | head -n 20000; echo done', { cwd: root, timeout: 10000, maxOutput: 1000 });
+
+    expect(output.exitCode).toBe(0);
+    expect(output.stdout).toHaveLength(1000);
+    expect(output.stdout.endsWith('y\ndone\n')).toBe(true);
+  });
+
+  test('should refuse targets that are symlinks out of the root', async () => {
+    fs.writeFileSync(path.join(directory, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(directory, 'secret.txt'), path.join(root, 'secret.txt'));
+    fs.symlinkSync(path.join(directory, 'missing.txt'), path.join(root, 'dangling.txt'));
+    fs.writeFileSync(path.join(root, 'real.txt'), 'a');
+    fs.symlinkSync(path.join(root, 'real.txt'), path.join(root, 'alias.txt'));
+    const executor = new ActionExecutor({ root, autoApprove: true, overwrite: true });
+
+    const modified = await executor.applyAction({ type: 'MODIFY_FILE', targets: ['secret.txt'], payload: { content: 'x' } });
+    const created = await executor.applyAction(createFile('dangling.txt', 'x'));
+    const inside = await executor.applyAction({ type: 'MODIFY_FILE', targets: ['alias.txt'], payload: { content: 'b' } });
+
+    expect(modified).toMatchObject({ status: 'failed', code: 'PATH_OUTSIDE_ROOT' });
+    expect(created).toMatchObject({ status: 'failed', code: 'PATH_OUTSIDE_ROOT' });
+    expect(fs.readFileSync(path.join(directory, 'secret.txt'), 'utf-8')).toBe('secret');
+    expect(fs.existsSync(path.join(directory, 'missing.txt'))).toBe(false);
+    expect(inside.status).toBe('applied');
+    expect(fs.readFileSync(path.join(root, 'real.txt'), 'utf-8')).toBe('b');
+  });
+});
+
+describe('Unified diffs', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { ActionExecutor } = require('../src');
+  const { parseUnifiedDiff, applyPatch, formatRejects } = require('../src/diff/unifiedDiff');
+
+  const original = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\n';
+  const diff = [
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -2,5 +2,5 @@',
+    ' two',
+    ' three',
+    ' four',
+    '-five',
+    '+FIVE',
+    ' six',
+    '@@ -8,3 +8,4 @@',
+    ' eight',
+    ' nine',
+    '+nine and a half',
+    ' ten',
+    ''
+  ].join('\n');
+
+  test('should apply hunks with offset and fuzz and report conflicts per hunk', () => {
+    const [file] = parseUnifiedDiff(diff);
+    expect(file).toMatchObject({ oldPath: 'src/app.js', newPath: 'src/app.js' });
+    expect(file.hunks.map(hunk => hunk.lines.length)).toEqual([6, 4]);
+
+    const shifted = applyPatch(`zero\n${original}`, file.hunks);
+    expect(shifted.content).toBe(`zero\n${original.replace('five', 'FIVE').replace('nine\n', 'nine\nnine and a half\n')}`);
+    expect(shifted.hunks.map(hunk => [hunk.status, hunk.offset, hunk.fuzz])).toEqual([['applied', 1, 0], ['applied', 1, 0]]);
+
+    const fuzzy = applyPatch(original.replace('two', 'TWO'), file.hunks);
+    expect(fuzzy.hunks[0]).toMatchObject({ status: 'applied', fuzz: 1 });
+
+    const drifted = original.replace('five', 'five!');
+    const conflict = applyPatch(drifted, file.hunks);
+    expect(conflict).toMatchObject({ applied: false, content: drifted });
+    expect(conflict.hunks).toEqual([
+      { index: 0, header: '@@ -2,5 +2,5 @@', status: 'rejected', reason: 'context does not match the file' },
+      { index: 1, header: '@@ -8,3 +8,4 @@', status: 'applied', line: 8, offset: 0, fuzz: 0 }
+    ]);
+    expect(formatRejects(file, [0])).toBe('--- a/src/app.js\n+++ b/src/app.js\n@@ -2,5 +2,5 @@\n two\n three\n four\n-five\n+FIVE\n six\n');
+  });
+
+  test('should merge three ways with the original when the context has drifted', () => {
+    const [file] = parseUnifiedDiff(diff);
+    const current = original.replace('one', 'ONE').replace('two', 'TWO');
+
+    expect(applyPatch(current, file.hunks, { fuzz: 0 }).applied).toBe(false);
+    const merged = applyPatch(current, file.hunks, { fuzz: 0, original });
+    expect(merged).toMatchObject({ applied: true, method: 'merge', conflicts: [] });
+    expect(merged.content).toBe('ONE\nTWO\nthree\nfour\nFIVE\nsix\nseven\neight\nnine\nnine and a half\nten\n');
+
+    const clashing = applyPatch(original.replace('five', 'five!'), file.hunks, { original });
+    expect(clashing.applied).toBe(false);
+    expect(clashing.conflicts).toEqual([{ line: 5, base: ['five'], ours: ['five!'], theirs: ['FIVE'] }]);
+  });
+
+  test('should patch diff header paths and write rejected hunks to .rej files', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'diffs-'));
+    const file = path.join(root, 'src', 'app.js');
+    fs.mkdirSync(path.dirname(file));
+    const executor = new ActionExecutor({ root, autoApprove: true });
+    const action = { type: 'APPLY_DIFF', targets: ['current-file'], payload: { diff }, requiresApproval: true };
+
+    try {
+      fs.writeFileSync(file, original.replace('five', 'five!'));
+      const rejected = await executor.applyAction(action);
+      expect(rejected).toMatchObject({ status: 'failed', code: 'DIFF_CONFLICT', targets: ['src/app.js'] });
+      expect(rejected.outcome.files[0]).toMatchObject({ path: 'src/app.js', applied: false, rejectFile: 'src/app.js.rej' });
+      expect(fs.readFileSync(file, 'utf-8')).toBe(original.replace('five', 'five!'));
+      expect(fs.readFileSync(`${file}.rej`, 'utf-8')).toMatch(/^--- a\/src\/app.js\n\+\+\+ b\/src\/app.js\n@@ -2,5 \+2,5 @@\n/);
+
+      fs.writeFileSync(file, original);
+      const applied = await executor.applyAction(action);
+      expect(applied).toMatchObject({ status: 'applied', outcome: { files: [{ path: 'src/app.js', applied: true, method: 'patch' }] } });
+      expect(fs.readFileSync(file, 'utf-8')).toContain('FIVE\n');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  test('should target the selected file and keep the code the agent saw', async () => {
+    const client = { diffImprover: { improve: async () => ({ success: true, data: { diff, improvedCode: 'x', missingContext: [] } }) } };
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'review',
+      name: 'Review',
+      steps: [{ id: 'diff', agent: 'diffImprover', method: 'improve', inputFrom: 'selection' }]
+    });
+
+    const result = await engine.runPipeline('review', { selection: { file: 'lib/main.js', content: original } });
+
+    expect(result.actions).toEqual([expect.objectContaining({
+      type: 'APPLY_DIFF',
+      targets: ['lib/main.js'],
+      payload: { diff, original }
+    })]);
+  });
+});
+
+describe('Generated code files', () => {
+  const { splitCodeFiles, inferFilePath } = require('../src/actions/codeFiles');
+
+  const design = { name: 'TodoService', inputs: [{ name: 'todo', type: 'object' }], outputs: [{ name: 'id', type: 'string' }] };
+  const plan = { projectName: 'Todo API', tasks: [{ taskName: 'Routes', taskDescription: 'Expose the service in src/http/routes.js.' }] };
+  const codeStep = (id, extra = {}) => ({ id, agent: 'codeGenerator', method: 'generate', inputFrom: 'context', query: id, ...extra });
+
+  test('should split output on named fences and File headers', () => {
+    const fenced = [
+      'Here is the service.',
+      '',
+      '**src/todo.js**',
+      '```js',
+      'module.exports = {};',
+      '```',
+      '',
+      '```ts:src/types.ts',
+      'export type Todo = {};',
+      '```',
+      '',
+      '```js title="tests/todo.test.js"',
+      "test('todo', () => {});",
+      '```'
+    ].join('\n');
+
+    expect(splitCodeFiles(fenced)).toEqual([
+      { path: 'src/todo.js', language: 'js', content: 'module.exports = {};\n' },
+      { path: 'src/types.ts', language: 'ts', content: 'export type Todo = {};\n' },
+      { path: 'tests/todo.test.js', language: 'js', content: "test('todo', () => {});\n" }
+    ]);
+    expect(splitCodeFiles('// File: src/a.js\nconst a = 1;\n\n# File: b.py\nb = 2\n')).toEqual([
+      { path: 'src/a.js', language: null, content: 'const a = 1;\n' },
+      { path: 'b.py', language: null, content: 'b = 2\n' }
+    ]);
+    expect(splitCodeFiles('const x = 1;')).toEqual([{ path: null, language: null, content: 'const x = 1;' }]);
+    expect(splitCodeFiles('```python\nprint(1)\n```')).toEqual([{ path: null, language: 'python', content: 'print(1)\n' }]);
+
+    expect(inferFilePath({ path: null, content: 'x' }, { stepId: 'code', language: 'JavaScript', design })).toBe('src/todo-service.js');
+    expect(inferFilePath({ path: null, content: "describe('x', () => {})" }, { stepId: 'code', language: 'JavaScript', plan })).toBe('tests/todo-api.test.js');
+    expect(inferFilePath({ path: 'routes.js', content: 'x' }, { stepId: 'code', plan })).toBe('src/http/routes.js');
+    expect(inferFilePath({ path: null, content: 'x' }, { stepId: 'code', language: 'Python' })).toBe('generated-code.py');
+  });
+
+  test('should name files after the design and plan, one action per file', async () => {
+    const client = {
+      boxDesigner: { design: async () => ({ success: true, data: design }) },
+      projectPlanner: { plan: async () => ({ success: true, data: plan }) },
+      codeGenerator: {
+        generate: async query => ({
+          success: true,
+          data: query === 'service'
+            ? { code: '// File: src/todo-service.js\nmodule.exports = {};\n\n// File: routes.js\nroutes();\n', language: 'JavaScript', missingContext: [] }
+            : { code: "test('todo', () => {});\n", language: 'JavaScript', missingContext: [] }
+        })
+      }
+    };
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'service',
+      name: 'Service',
+      steps: [
+        { id: 'design', agent: 'boxDesigner', method: 'design', inputFrom: 'user' },
+        { id: 'plan', agent: 'projectPlanner', method: 'plan', inputFrom: 'previousStep' },
+        codeStep('service'),
+        codeStep('tests')
+      ]
+    });
+
+    const result = await engine.runPipeline('service', { userPrompt: 'todo service', files: ['src/todo-service.js'] });
+
+    expect(result.actions.map(action => [action.type, action.targets[0]])).toEqual([
+      ['MODIFY_FILE', 'src/todo-service.js'],
+      ['CREATE_FILE', 'src/http/routes.js'],
+      ['CREATE_FILE', 'tests/todo-service.test.js']
+    ]);
+    expect(result.actions[1].payload.content).toBe('routes();\n');
+  });
+
+  test('should move files whose path an earlier step already writes', async () => {
+    const events = [];
+    const client = { codeGenerator: { generate: async () => ({ success: true, data: { code: '```js src/app.js\napp();\n```', missingContext: [] } }) } };
+    const engine = new PipelineEngine(client).registerPipeline({
+      id: 'twice',
+      name: 'Twice',
+      steps: [codeStep('first'), codeStep('second')]
+    });
+    engine.on('action:collected', event => events.push(event.action.targets[0]));
+
+    const result = await engine.runPipeline('twice', {});
+
+    expect(result.actions.map(action => action.targets[0])).toEqual(['src/app.js', 'src/app-2.js']);
+    expect(result.actions[1].collision).toEqual({ path: 'src/app.js', stepId: 'first' });
+    expect(result.steps[1].actions[0].targets).toEqual(['src/app-2.js']);
+    expect(events).toEqual(['src/app.js', 'src/app-2.js']);
+  });
+});
+
+describe('Git integration', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { execFileSync } = require('child_process');
+  const { ActionExecutor, GitRepository } = require('../src');
+
+  const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf-8' }).trim();
+  const createFile = (target, content, reasoning) => ({ type: 'CREATE_FILE', targets: [target], payload: { content }, reasoning, requiresApproval: true });
+
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-actions-'));
+    git('init', '-q', '--initial-branch=main');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    fs.writeFileSync(path.join(root, 'README.md'), '# Project\n');
+    git('add', 'README.md');
+    git('commit', '-q', '-m', 'Initial commit');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should commit applied actions on a run branch and roll them back', async () => {
+    const client = {
+      codeGenerator: {
+        generate: async () => ({
+          success: true,
+          data: { code: '// File: src/a.js\na();\n\n// File: src/b.js\nb();\n', reasoning: 'Add the a and b modules', missingContext: [] }
+        })
+      }
+    };
+    const engine = new PipelineEngine(client, { autoApprove: true }).registerPipeline({
+      id: 'modules',
+      name: 'Modules',
+      steps: [{ id: 'code', agent: 'codeGenerator', method: 'generate', inputFrom: 'context', query: 'x' }]
+    });
+    fs.writeFileSync(path.join(root, 'notes.txt'), 'not part of the run\n');
+
+    const result = await engine.runPipeline('modules', {}, { runId: 'run-1' });
+    const applied = await engine.applyActions(result, { root, git: true });
+
+    expect(applied.success).toBe(true);
+    expect(result.git).toEqual(applied.git);
+    expect(applied.git).toMatchObject({ branch: 'schema-icu/run-run-1', baseBranch: 'main', baseSha: git('rev-parse', 'main') });
+    expect(applied.git.commits.map(commit => [commit.index, commit.targets])).toEqual([[0, ['src/a.js']], [1, ['src/b.js']]]);
+    expect(applied.results.map(record => record.commit)).toEqual(applied.git.commits.map(commit => commit.sha));
+    expect(git('rev-parse', '--abbrev-ref', 'HEAD')).toBe('schema-icu/run-run-1');
+    expect(git('log', '-1', '--format=%B', applied.git.commits[1].sha)).toBe(
+      'Add the a and b modules\n\nAction: CREATE_FILE src/b.js\nSchema-ICU-Run: run-1\nSchema-ICU-Pipeline: modules'
+    );
+    expect(git('status', '--porcelain')).toBe('?? notes.txt');
+
+    await new GitRepository(root).rollback(applied.git);
+
+    expect(git('rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+    expect(git('branch', '--list', 'schema-icu/*')).toBe('');
+    expect(fs.existsSync(path.join(root, 'src', 'a.js'))).toBe(false);
+    expect(fs.readFileSync(path.join(root, 'notes.txt'), 'utf-8')).toBe('not part of the run\n');
+  });
+
+  test('should apply CREATE_BRANCH and COMMIT_CHANGES actions and revert commits', async () => {
+    const executor = new ActionExecutor({ root, autoApprove: true });
+
+    const { success, results } = await executor.apply([
+      { type: 'CREATE_BRANCH', targets: [], payload: { branch: 'feature/rate-limit' }, requiresApproval: true },
+      createFile('src/limit.js', 'limit();\n'),
+      { type: 'COMMIT_CHANGES', targets: ['src/limit.js'], payload: { message: 'Add rate limiter' }, requiresApproval: true }
+    ]);
+
+    expect(success).toBe(true);
+    expect(results[0].outcome).toEqual({ branch: 'feature/rate-limit', baseBranch: 'main', baseSha: git('rev-parse', 'main') });
+    expect(results[2].outcome.sha).toBe(git('rev-parse', 'HEAD'));
+    expect(git('log', '-1', '--format=%s')).toBe('Add rate limiter');
+
+    await new GitRepository(root).revert([results[2].outcome.sha]);
+    expect(fs.existsSync(path.join(root, 'src', 'limit.js'))).toBe(false);
+    expect(git('rev-parse', '--abbrev-ref', 'HEAD')).toBe('feature/rate-limit');
+  });
+
+  test('should refuse to start outside a repository or on an existing branch', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'no-git-'));
+    git('branch', 'schema-icu/run-taken');
+
+    try {
+      await expect(new ActionExecutor({ root: outside, git: true }).apply([], { runId: 'x' }))
+        .rejects.toMatchObject({ code: 'GIT_NOT_A_REPOSITORY' });
+      await expect(new ActionExecutor({ root, git: { branch: 'schema-icu/run-taken' } }).apply([]))
+        .rejects.toMatchObject({ code: 'GIT_BRANCH_EXISTS' });
+      expect(git('rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Transactional workspace', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { execFileSync } = require('child_process');
+  const { AuditLog, TransactionalWorkspace } = require('../src');
+
+  const read = file => fs.readFileSync(path.join(root, file), 'utf-8');
+  const actions = [
+    { type: 'CREATE_FILE', targets: ['src/limit.js'], payload: { content: 'module.exports = require(\'dep\');\n' }, requiresApproval: true },
+    { type: 'MODIFY_FILE', targets: ['README.md'], payload: { content: '# Project\n\nRate limited.\n' }, requiresApproval: true },
+    { type: 'DELETE_FILE', targets: ['old.txt'], requiresApproval: true }
+  ];
+
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-'));
+    fs.mkdirSync(path.join(root, 'node_modules', 'dep'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'node_modules', 'dep', 'index.js'), 'module.exports = 42;\n');
+    fs.writeFileSync(path.join(root, 'README.md'), '# Project\n');
+    fs.writeFileSync(path.join(root, 'old.txt'), 'old\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should promote changes once the verify commands pass in the scratch copy', async () => {
+    const auditLog = new AuditLog();
+    const engine = new PipelineEngine(new SchemaICU(), { autoApprove: true, audit: true, auditLog });
+    const result = { runId: 'run-1', pipelineId: 'limits', actions };
+
+    const applied = await engine.applyActions(result, {
+      root,
+      workspace: {
+        verify: [
+          'node -e "process.exit(require(\'./src/limit.js\') === 42 ? 0 : 1)"',
+          'node -e "require(\'fs\').writeFileSync(\'coverage.txt\', \'100%\')"'
+        ]
+      }
+    });
+
+    expect(applied.success).toBe(true);
+    expect(result.verification).toMatchObject({
+      mode: 'copy',
+      passed: true,
+      promoted: true,
+      reason: null,
+      changes: { created: ['src/limit.js'], modified: ['README.md'], deleted: ['old.txt'] },
+      conflicts: []
+    });
+    expect(result.verification.commands.map(command => command.exitCode)).toEqual([0, 0]);
+    expect(read('src/limit.js')).toBe('module.exports = require(\'dep\');\n');
+    expect(read('README.md')).toBe('# Project\n\nRate limited.\n');
+    expect(fs.existsSync(path.join(root, 'old.txt'))).toBe(false);
+    expect(fs.existsSync(path.join(root, 'coverage.txt'))).toBe(false);
+    expect(auditLog.entries.filter(entry => entry.type === 'workspace:verify').map(entry => entry.data)).toEqual([
+      expect.objectContaining({ runId: 'run-1', passed: true, promoted: true })
+    ]);
+  });
+
+  test('should leave the project untouched when verification fails or files changed meanwhile', async () => {
+    const failing = new TransactionalWorkspace({ root, verify: ['node -e "process.exit(3)"', 'echo never'], keep: true });
+    const failed = await failing.apply(actions, { autoApprove: true });
+
+    expect(failed.success).toBe(false);
+    expect(failed.results.map(record => record.status)).toEqual(['applied', 'applied', 'applied']);
+    expect(failed.verification).toMatchObject({ passed: false, promoted: false, reason: 'Verification failed: node -e "process.exit(3)"' });
+    expect(failed.verification.commands.map(command => command.exitCode)).toEqual([3]);
+    expect(fs.readFileSync(path.join(failed.verification.workspace, 'README.md'), 'utf-8')).toBe('# Project\n\nRate limited.\n');
+    fs.rmSync(path.dirname(failed.verification.workspace), { recursive: true, force: true });
+
+    // A verify command standing in for an edit made in the project during the run
+    const editReadme = `node -e "require('fs').appendFileSync('${path.join(root, 'README.md')}', 'edited\\n')"`;
+    const conflicting = new TransactionalWorkspace({ root, verify: [editReadme] });
+    const conflicted = await conflicting.apply(actions, { autoApprove: true });
+
+    expect(conflicted.verification).toMatchObject({
+      passed: true,
+      promoted: false,
+      conflicts: [{ path: 'README.md', reason: 'modified in the project' }]
+    });
+    expect(read('README.md')).toBe('# Project\nedited\n');
+    expect(fs.existsSync(path.join(root, 'old.txt'))).toBe(true);
+    expect(fs.existsSync(path.join(root, 'src'))).toBe(false);
+  });
+
+  test('should roll back a promotion that fails partway', async () => {
+    const rename = fs.promises.rename;
+    const spy = jest.spyOn(fs.promises, 'rename').mockImplementation((from, to) => (
+      from === path.join(root, 'old.txt')
+        ? Promise.reject(Object.assign(new Error('EBUSY: resource busy'), { code: 'EBUSY' }))
+        : rename(from, to)
+    ));
+
+    try {
+      const workspace = new TransactionalWorkspace({ root });
+      const { success, verification } = await workspace.apply(actions, { autoApprove: true });
+
+      expect(success).toBe(false);
+      expect(verification).toMatchObject({
+        passed: true,
+        promoted: false,
+        reason: 'Promotion failed and was rolled back: EBUSY: resource busy'
+      });
+    } finally {
+      spy.mockRestore();
+    }
+    expect(read('README.md')).toBe('# Project\n');
+    expect(read('old.txt')).toBe('old\n');
+    expect(fs.readdirSync(root).sort()).toEqual(['README.md', 'node_modules', 'old.txt']);
+  });
+
+  test('should verify in a git worktree of a clean working tree', async () => {
+    const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf-8' }).trim();
+    git('init', '-q', '--initial-branch=main');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    fs.writeFileSync(path.join(root, '.gitignore'), 'node_modules\n');
+    git('add', '.gitignore', 'README.md');
+    git('commit', '-q', '-m', 'Initial commit');
+
+    const workspace = new TransactionalWorkspace({ root, mode: 'worktree', verify: ['node -e "require(\'./src/limit.js\')"'] });
+    await expect(workspace.apply(actions, { autoApprove: true })).rejects.toMatchObject({ code: 'WORKSPACE_DIRTY' });
+
+    git('add', 'old.txt');
+    git('commit', '-q', '-m', 'Add old.txt');
+    const { success, verification } = await workspace.apply(actions, { autoApprove: true });
+
+    expect(success).toBe(true);
+    expect(verification).toMatchObject({ mode: 'worktree', promoted: true, changes: { created: ['src/limit.js'], modified: ['README.md'], deleted: ['old.txt'] } });
+    expect(read('README.md')).toBe('# Project\n\nRate limited.\n');
+    expect(git('worktree', 'list').split('\n')).toHaveLength(1);
+    expect(git('status', '--porcelain')).toBe('M README.md\n D old.txt\n?? src/');
+  });
 });
 
 describe('PolicyEngine', () => {